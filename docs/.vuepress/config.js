@@ -216,7 +216,11 @@ module.exports = {
         {
           collapsable: true,
           title: '⚙️️ Admin Panel',
-          children: ['/3.0.0-beta.x/admin-panel/customization', '/3.0.0-beta.x/admin-panel/deploy'],
+          children: [
+            '/3.0.0-beta.x/admin-panel/customization',
+            '/3.0.0-beta.x/admin-panel/deploy',
+            '/3.0.0-beta.x/admin-panel/roles',
+          ],
         },
         {
           collapsable: true,
@@ -2,6 +2,7 @@ import React from 'react';
 import { useLocation } from 'react-router-dom';
 import PropTypes from 'prop-types';
 import { get, snakeCase, isEmpty } from 'lodash';
+import { hasPermission } from 'strapi-helper-plugin';
 
 import { SETTINGS_BASE_URL } from '../../config';
 import Wrapper from './Wrapper';
@@ -9,7 +10,7 @@ import messages from './messages.json';
 
 import LeftMenuLinkSection from '../LeftMenuLinkSection';
 
-const LeftMenuLinkContainer = ({ plugins }) => {
+const LeftMenuLinkContainer = ({ plugins, userPermissions }) => {
   const location = useLocation();
 
   // Generate the list of content types sections
@@ -38,7 +39,11 @@ const LeftMenuLinkContainer = ({ plugins }) => {
   // Generate the list of plugin links (plugins without a mainComponent should not appear in the left menu)
   const pluginsLinks = Object.values(plugins)
     .filter(
-      plugin => plugin.id !== 'email' && plugin.id !== 'content-manager' && !!plugin.mainComponent
+      plugin =>
+        plugin.id !== 'email' &&
+        plugin.id !== 'content-manager' &&
+        !!plugin.mainComponent &&
+        hasPermission(userPermissions, { scope: `plugins::${plugin.id}` })
     )
     .map(plugin => {
       const pluginSuffixUrl = plugin.suffixUrl ? plugin.suffixUrl(plugins) : '';
@@ -50,6 +55,20 @@ const LeftMenuLinkContainer = ({ plugins }) => {
       };
     });
 
+  const pluginsManagementLinks = [
+    {
+      icon: 'list',
+      label: messages.listPlugins.id,
+      destination: '/list-plugins',
+    },
+    {
+      icon: 'shopping-basket',
+      label: messages.installNewPlugin.id,
+      destination: '/marketplace',
+    },
+  ];
+  const canManagePlugins = hasPermission(userPermissions, { scope: 'admin::marketplace' });
+
   const menu = {
     ...contentTypesSections,
     plugins: {
@@ -62,16 +81,7 @@ const LeftMenuLinkContainer = ({ plugins }) => {
       searchable: false,
       name: 'general',
       links: [
-        {
-          icon: 'list',
-          label: messages.listPlugins.id,
-          destination: '/list-plugins',
-        },
-        {
-          icon: 'shopping-basket',
-          label: messages.installNewPlugin.id,
-          destination: '/marketplace',
-        },
+        ...(canManagePlugins ? pluginsManagementLinks : []),
         {
           icon: 'cog',
           label: messages.settings.id,
@@ -97,8 +107,13 @@ const LeftMenuLinkContainer = ({ plugins }) => {
   );
 };
 
+LeftMenuLinkContainer.defaultProps = {
+  userPermissions: null,
+};
+
 LeftMenuLinkContainer.propTypes = {
   plugins: PropTypes.object.isRequired,
+  userPermissions: PropTypes.object,
 };
 
 export default LeftMenuLinkContainer;
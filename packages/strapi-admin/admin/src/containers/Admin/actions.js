@@ -6,6 +6,7 @@
 
 import {
   GET_PLUGINS_FROM_MARKETPLACE_SUCCEEDED,
+  GET_USER_PERMISSIONS_SUCCEEDED,
   SET_APP_ERROR,
 } from './constants';
 
@@ -16,6 +17,13 @@ export function getPluginsFromMarketPlaceSucceeded(plugins) {
   };
 }
 
+export function getUserPermissionsSucceeded(userPermissions) {
+  return {
+    type: GET_USER_PERMISSIONS_SUCCEEDED,
+    userPermissions,
+  };
+}
+
 export function setAppError() {
   return {
     type: SET_APP_ERROR,
@@ -7,3 +7,4 @@
 export const GET_PLUGINS_FROM_MARKETPLACE_SUCCEEDED =
   'StrapiAdmin/Admin/GET_PLUGINS_FROM_MARKETPLACE_SUCCEEDED';
 export const SET_APP_ERROR = 'StrapiAdmin/Admin/SET_APP_ERROR';
+export const GET_USER_PERMISSIONS_SUCCEEDED = 'StrapiAdmin/Admin/GET_USER_PERMISSIONS_SUCCEEDED';
@@ -19,6 +19,7 @@ import {
   GlobalContextProvider,
   LoadingIndicatorPage,
   OverlayBlocker,
+  request,
 } from 'strapi-helper-plugin';
 import { SETTINGS_BASE_URL, SHOW_TUTORIALS } from '../../config';
 
@@ -41,7 +42,7 @@ import {
 } from '../App/actions';
 import makeSelecApp from '../App/selectors';
 import injectReducer from '../../utils/injectReducer';
-import { setAppError } from './actions';
+import { getUserPermissionsSucceeded, setAppError } from './actions';
 import makeSelectAdmin from './selectors';
 import reducer from './reducer';
 import Wrapper from './Wrapper';
@@ -56,6 +57,7 @@ export class Admin extends React.Component {
 
   componentDidMount() {
     this.emitEvent('didAccessAuthenticatedAdministration');
+    this.fetchUserPermissions();
   }
 
   shouldComponentUpdate(prevProps) {
@@ -94,6 +96,18 @@ export class Admin extends React.Component {
     }
   };
 
+  fetchUserPermissions = async () => {
+    try {
+      const { data } = await request('/admin/permissions/me', {
+        method: 'GET',
+      });
+
+      this.props.getUserPermissionsSucceeded(data);
+    } catch (err) {
+      strapi.notification.error('notification.error');
+    }
+  };
+
   hasApluginNotReady = props => {
     const {
       global: { plugins },
@@ -107,7 +121,11 @@ export class Admin extends React.Component {
    * @returns {Boolean}
    */
   showLoader = () => {
-    return this.hasApluginNotReady(this.props);
+    const {
+      admin: { userPermissions },
+    } = this.props;
+
+    return this.hasApluginNotReady(this.props) || !userPermissions;
   };
 
   renderInitializers = () => {
@@ -135,6 +153,7 @@ export class Admin extends React.Component {
 
   render() {
     const {
+      admin: { userPermissions },
       global: {
         autoReload,
         blockApp,
@@ -172,9 +191,10 @@ export class Admin extends React.Component {
         plugins={plugins}
         settingsBaseURL={SETTINGS_BASE_URL || '/settings'}
         updatePlugin={updatePlugin}
+        userPermissions={userPermissions}
       >
         <Wrapper>
-          <LeftMenu version={strapiVersion} plugins={plugins} />
+          <LeftMenu version={strapiVersion} plugins={plugins} userPermissions={userPermissions} />
           <NavTopRightWrapper>
             {/* Injection zone not ready yet */}
             <Logout />
@@ -231,9 +251,11 @@ Admin.defaultProps = {
 Admin.propTypes = {
   admin: PropTypes.shape({
     appError: PropTypes.bool,
+    userPermissions: PropTypes.object,
   }).isRequired,
   disableGlobalOverlayBlocker: PropTypes.func.isRequired,
   enableGlobalOverlayBlocker: PropTypes.func.isRequired,
+  getUserPermissionsSucceeded: PropTypes.func.isRequired,
   global: PropTypes.shape({
     autoReload: PropTypes.bool,
     blockApp: PropTypes.bool,
@@ -263,6 +285,7 @@ export function mapDispatchToProps(dispatch) {
     {
       disableGlobalOverlayBlocker,
       enableGlobalOverlayBlocker,
+      getUserPermissionsSucceeded,
       setAppError,
       updatePlugin,
     },
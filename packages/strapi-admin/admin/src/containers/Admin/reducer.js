@@ -7,12 +7,14 @@
 import { fromJS } from 'immutable';
 import {
   GET_PLUGINS_FROM_MARKETPLACE_SUCCEEDED,
+  GET_USER_PERMISSIONS_SUCCEEDED,
   SET_APP_ERROR,
 } from './constants';
 
 const initialState = fromJS({
   appError: false,
   pluginsFromMarketplace: [],
+  userPermissions: null,
 });
 
 function adminReducer(state = initialState, action) {
@@ -21,6 +23,10 @@ function adminReducer(state = initialState, action) {
       return state.update('pluginsFromMarketplace', () =>
         fromJS(action.plugins)
       );
+    case GET_USER_PERMISSIONS_SUCCEEDED:
+      return state.update('userPermissions', () =>
+        fromJS(action.userPermissions)
+      );
     case SET_APP_ERROR:
       return state.update('appError', () => true);
     default:
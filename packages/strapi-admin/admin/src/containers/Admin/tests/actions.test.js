@@ -1,5 +1,5 @@
-import { setAppError } from '../actions';
-import { SET_APP_ERROR } from '../constants';
+import { getUserPermissionsSucceeded, setAppError } from '../actions';
+import { GET_USER_PERMISSIONS_SUCCEEDED, SET_APP_ERROR } from '../constants';
 
 describe('<Admin /> actions', () => {
   describe('SetAppError Action', () => {
@@ -11,4 +11,16 @@ describe('<Admin /> actions', () => {
       expect(setAppError()).toEqual(expected);
     });
   });
+
+  describe('GetUserPermissionsSucceeded Action', () => {
+    it('has a type of GET_USER_PERMISSIONS_SUCCEEDED', () => {
+      const userPermissions = { isSuperAdmin: true, scopes: [], contentTypes: {} };
+      const expected = {
+        type: GET_USER_PERMISSIONS_SUCCEEDED,
+        userPermissions,
+      };
+
+      expect(getUserPermissionsSucceeded(userPermissions)).toEqual(expected);
+    });
+  });
 });
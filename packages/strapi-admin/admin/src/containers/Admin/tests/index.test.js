@@ -9,7 +9,7 @@ import {
 } from '../../App/actions';
 
 import { Admin, mapDispatchToProps } from '../index';
-import { setAppError } from '../actions';
+import { getUserPermissionsSucceeded, setAppError } from '../actions';
 
 describe('<Admin />', () => {
   let props;
@@ -18,10 +18,12 @@ describe('<Admin />', () => {
     props = {
       admin: {
         appError: false,
+        userPermissions: { isSuperAdmin: true, scopes: [], contentTypes: {} },
       },
       disableGlobalOverlayBlocker: jest.fn(),
       emitEvent: jest.fn(),
       enableGlobalOverlayBlocker: jest.fn(),
+      getUserPermissionsSucceeded: jest.fn(),
       global: {
         autoReload: false,
         blockApp: false,
@@ -88,6 +90,17 @@ describe('<Admin />', () => {
     });
   });
 
+  describe('ShowLoader instance', () => {
+    it('should return true while the permissions of the user are loading', () => {
+      props.admin.userPermissions = null;
+
+      const wrapper = shallow(<Admin {...props} />);
+      const { showLoader } = wrapper.instance();
+
+      expect(showLoader()).toBeTruthy();
+    });
+  });
+
   describe('renderRoute instance', () => {
     it('should render the routes', () => {
       const renderedComponent = shallow(<Admin {...props} />);
@@ -161,6 +174,23 @@ describe('<Admin />, mapDispatchToProps', () => {
     });
   });
 
+  describe('getUserPermissionsSucceeded', () => {
+    it('should be injected', () => {
+      const dispatch = jest.fn();
+      const result = mapDispatchToProps(dispatch);
+
+      expect(result.getUserPermissionsSucceeded).toBeDefined();
+    });
+
+    it('should dispatch the getUserPermissionsSucceeded action when called', () => {
+      const dispatch = jest.fn();
+      const result = mapDispatchToProps(dispatch);
+      result.getUserPermissionsSucceeded({});
+
+      expect(dispatch).toHaveBeenCalledWith(getUserPermissionsSucceeded({}));
+    });
+  });
+
   describe('setAppError', () => {
     it('should be injected', () => {
       const dispatch = jest.fn();
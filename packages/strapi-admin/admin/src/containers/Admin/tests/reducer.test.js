@@ -1,6 +1,6 @@
 import { fromJS } from 'immutable';
 
-import { setAppError } from '../actions';
+import { getUserPermissionsSucceeded, setAppError } from '../actions';
 import adminReducer from '../reducer';
 
 describe('adminReducer', () => {
@@ -10,6 +10,7 @@ describe('adminReducer', () => {
     state = fromJS({
       appError: false,
       pluginsFromMarketplace: [],
+      userPermissions: null,
     });
   });
 
@@ -24,4 +25,15 @@ describe('adminReducer', () => {
 
     expect(adminReducer(state, setAppError())).toEqual(expected);
   });
+
+  it('should handle the getUserPermissionsSucceeded action correctly', () => {
+    const userPermissions = {
+      isSuperAdmin: false,
+      scopes: ['admin::webhooks'],
+      contentTypes: { '*': ['read'] },
+    };
+    const expected = state.set('userPermissions', fromJS(userPermissions));
+
+    expect(adminReducer(state, getUserPermissionsSucceeded(userPermissions))).toEqual(expected);
+  });
 });
@@ -171,6 +171,24 @@ const form = {
         .required(translatedErrors.required),
     }),
   },
+  'two-factor': {
+    endPoint: '2fa/verify',
+    inputs: [
+      [
+        {
+          label: {
+            id: 'Auth.form.two-factor.code.label',
+          },
+          name: 'code',
+          type: 'text',
+          placeholder: 'Auth.form.two-factor.code.placeholder',
+        },
+      ],
+    ],
+    schema: yup.object({
+      code: yup.string().required(translatedErrors.required),
+    }),
+  },
 };
 
 export default form;
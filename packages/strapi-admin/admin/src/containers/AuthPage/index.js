@@ -54,12 +54,15 @@ const AuthPage = ({
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [authType, codeRef]);
   const {
+    challengeToken,
     didCheckErrors,
     errors,
     modifiedData,
     submitSuccess,
     userEmail,
   } = reducerState.toJS();
+  // The login continues with the code of the two-factor authentication
+  const formType = challengeToken ? 'two-factor' : authType;
   const handleChange = ({ target: { name, value } }) => {
     dispatch({
       type: 'ON_CHANGE',
@@ -70,7 +73,7 @@ const AuthPage = ({
 
   const handleSubmit = async e => {
     e.preventDefault();
-    const schema = forms[authType].schema;
+    const schema = forms[formType].schema;
     let formErrors = {};
 
     try {
@@ -89,25 +92,33 @@ const AuthPage = ({
       }
 
       try {
-        const requestEndPoint = forms[authType].endPoint;
+        const requestEndPoint = forms[formType].endPoint;
         const requestURL = `/admin/auth/${requestEndPoint}`;
-        const body = omit(modifiedData, 'news');
+        const body = challengeToken
+          ? { challengeToken, code: modifiedData.code }
+          : omit(modifiedData, 'news');
 
         if (authType === 'forgot-password') {
           set(body, 'url', `${strapi.remoteURL}/auth/reset-password`);
         }
 
-        const { jwt, user, ok } = await request(requestURL, {
+        const response = await request(requestURL, {
           method: 'POST',
           body,
           signal,
         });
+        const { jwt, user, ok } = response;
 
         if (authType === 'forgot-password' && ok === true) {
           dispatch({
             type: 'SUBMIT_SUCCESS',
             email: modifiedData.email,
           });
+        } else if (response.twoFactorRequired === true) {
+          dispatch({
+            type: 'SET_CHALLENGE_TOKEN',
+            challengeToken: response.challengeToken,
+          });
         } else {
           auth.setToken(jwt, modifiedData.rememberMe);
           auth.setUserInfo(user, modifiedData.rememberMe);
@@ -115,7 +126,17 @@ const AuthPage = ({
       } catch (err) {
         const formattedError = formatErrorFromRequest(err);
 
-        if (authType === 'login') {
+        if (formType === 'two-factor') {
+          formErrors = { global: formattedError, code: formattedError };
+
+          // Go back to the login when the challenge has expired
+          if (
+            get(formattedError, '0.id') ===
+            'Auth.form.error.two-factor.challenge'
+          ) {
+            dispatch({ type: 'SET_CHALLENGE_TOKEN', challengeToken: null });
+          }
+        } else if (authType === 'login') {
           formErrors = {
             global: formattedError,
             identifier: formattedError,
@@ -199,7 +220,7 @@ const AuthPage = ({
                     </div>
                   )}
                   {!submitSuccess &&
-                    forms[authType].inputs.map((row, index) => {
+                    forms[formType].inputs.map((row, index) => {
                       return row.map(input => {
                         return (
                           <Input
@@ -217,7 +238,7 @@ const AuthPage = ({
                     })}
                   <div
                     className={`${
-                      authType === 'login'
+                      formType === 'login'
                         ? 'col-6 loginButton'
                         : 'col-12 buttonContainer'
                     }`}
@@ -226,10 +247,10 @@ const AuthPage = ({
                       className={submitSuccess ? 'buttonForgotSuccess' : ''}
                       type="submit"
                       label={`Auth.form.button.${
-                        submitSuccess ? 'forgot-password.success' : authType
+                        submitSuccess ? 'forgot-password.success' : formType
                       }`}
                       primary={!submitSuccess}
-                      style={authType === 'login' ? {} : { width: '100%' }}
+                      style={formType === 'login' ? {} : { width: '100%' }}
                     />
                   </div>
                 </div>
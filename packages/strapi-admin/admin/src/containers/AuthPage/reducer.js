@@ -1,6 +1,7 @@
 import { fromJS } from 'immutable';
 
 const initialState = fromJS({
+  challengeToken: null,
   didCheckErrors: false,
   errors: {},
   modifiedData: {},
@@ -17,6 +18,10 @@ const reducer = (state, action) => {
       );
     case 'RESET_PROPS':
       return initialState;
+    case 'SET_CHALLENGE_TOKEN':
+      return state
+        .update('challengeToken', () => action.challengeToken)
+        .updateIn(['modifiedData', 'code'], () => '');
     case 'SET_ERRORS':
       return state
         .update('errors', () => action.formErrors)
@@ -11,17 +11,22 @@ import LeftMenuLinkContainer from '../../components/LeftMenuLinkContainer';
 import LeftMenuFooter from '../../components/LeftMenuFooter';
 import Wrapper from './Wrapper';
 
-const LeftMenu = ({ version, plugins }) => (
+const LeftMenu = ({ version, plugins, userPermissions }) => (
   <Wrapper>
     <LeftMenuHeader />
-    <LeftMenuLinkContainer plugins={plugins} />
+    <LeftMenuLinkContainer plugins={plugins} userPermissions={userPermissions} />
     <LeftMenuFooter key="footer" version={version} />
   </Wrapper>
 );
 
+LeftMenu.defaultProps = {
+  userPermissions: null,
+};
+
 LeftMenu.propTypes = {
   version: PropTypes.string.isRequired,
   plugins: PropTypes.object.isRequired,
+  userPermissions: PropTypes.object,
 };
 
 export default LeftMenu;
@@ -5,8 +5,13 @@
  */
 
 import React, { memo } from 'react';
-import { useGlobalContext, LeftMenu, LeftMenuList } from 'strapi-helper-plugin';
-import { get } from 'lodash';
+import {
+  hasPermission,
+  useGlobalContext,
+  LeftMenu,
+  LeftMenuList,
+} from 'strapi-helper-plugin';
+import { get, isEmpty } from 'lodash';
 import { Switch, Redirect, Route, useParams } from 'react-router-dom';
 
 import EditView from '../Webhooks/EditView';
@@ -16,12 +21,20 @@ import Wrapper from './Wrapper';
 
 function SettingsPage() {
   const { settingId } = useParams();
-  const { formatMessage, plugins, settingsBaseURL } = useGlobalContext();
+  const {
+    formatMessage,
+    plugins,
+    settingsBaseURL,
+    userPermissions,
+  } = useGlobalContext();
 
   const pluginsMenu = Object.keys(plugins).reduce((acc, current) => {
     const pluginMenu = get(plugins, [current, 'settings', 'menuSection'], null);
 
-    if (!pluginMenu) {
+    if (
+      !pluginMenu ||
+      !hasPermission(userPermissions, { scope: `plugins::${current}` })
+    ) {
       return acc;
     }
 
@@ -30,26 +43,29 @@ function SettingsPage() {
     return acc;
   }, []);
 
+  const webhooksLink = {
+    title: formatMessage({ id: 'Settings.webhooks.title' }),
+    to: `${settingsBaseURL}/webhooks`,
+    name: 'webhooks',
+  };
+  const canManageWebhooks = hasPermission(userPermissions, {
+    scope: 'admin::webhooks',
+  });
+
   const menuItems = [
     {
       id: 'global',
       title: { id: 'Settings.global' },
-      links: [
-        {
-          title: formatMessage({ id: 'Settings.webhooks.title' }),
-          to: `${settingsBaseURL}/webhooks`,
-          name: 'webhooks',
-        },
-      ],
+      links: canManageWebhooks ? [webhooksLink] : [],
     },
     ...pluginsMenu,
-  ];
+  ].filter(item => !isEmpty(item.links));
 
-  // Redirect to the first static link of the menu
+  // Redirect to the first link of the menu
   // This is needed in order to keep the menu highlight
   // The link points to /settings instead of /settings/webhooks
   if (!settingId) {
-    return <Redirect to={`${settingsBaseURL}/webhooks`} />;
+    return <Redirect to={get(menuItems, [0, 'links', 0, 'to'], '/')} />;
   }
 
   return (
@@ -30,7 +30,10 @@ describe('Admin | containers | SettingsPage', () => {
         defaultLocale="en"
         messages={translationMessages}
       >
-        <GlobalContextProvider formatMessage={originalIntl.formatMessage}>
+        <GlobalContextProvider
+          formatMessage={originalIntl.formatMessage}
+          userPermissions={{ isSuperAdmin: true }}
+        >
           <Router history={history}>
             <Switch>
               <Route>
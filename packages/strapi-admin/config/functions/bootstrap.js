@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * An asynchronous bootstrap function that runs before
+ * the plugins and the application get started.
+ */
+
+module.exports = async () => {
+  const roleService = strapi.admin.services.role;
+
+  const hasRoles = !!(await roleService.getSuperAdmin());
+
+  await roleService.createDefaultRoles();
+
+  // The administrators created before the roles existed keep all their rights.
+  if (!hasRoles) {
+    await roleService.assignSuperAdminToAdministratorsWithoutRole();
+  }
+};
@@ -16,6 +16,12 @@ const isValidPluginName = plugin => {
   return _.isString(plugin) && !_.isEmpty(plugin) && PLUGIN_NAME_REGEX.test(plugin);
 };
 
+const roleNotFoundError = formatError({
+  id: 'role.notFound',
+  message: 'Role not found',
+  field: ['role'],
+});
+
 /**
  * A set of functions called "actions" for `Admin`
  */
@@ -50,6 +56,15 @@ module.exports = {
     }
   },
 
+  /**
+   * Returns the role and the permissions of the authenticated admin
+   */
+  async getPermissions(ctx) {
+    const permissions = await strapi.admin.services.permission.getAdminPermissions(ctx.state.admin);
+
+    ctx.send({ data: permissions });
+  },
+
   async getGaConfig(ctx) {
     try {
       ctx.send({ uuid: _.get(strapi.config, 'uuid', false) });
@@ -138,7 +153,7 @@ module.exports = {
    */
 
   async create(ctx) {
-    const { email, username, password, blocked } = ctx.request.body;
+    const { email, username, password, blocked, role } = ctx.request.body;
 
     if (!email) {
       return ctx.badRequest(
@@ -173,6 +188,21 @@ module.exports = {
       );
     }
 
+    if (!role) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'missing.role',
+          message: 'Missing role',
+          field: ['role'],
+        })
+      );
+    }
+
+    if (!(await strapi.query('role', 'admin').findOne({ id: role }))) {
+      return ctx.badRequest(null, roleNotFoundError);
+    }
+
     const adminsWithSameEmail = await strapi.query('administrator', 'admin').findOne({ email });
 
     const adminsWithSameUsername = await strapi
@@ -206,6 +236,7 @@ module.exports = {
       username: username,
       blocked: blocked === true ? true : false,
       password: await strapi.admin.services.auth.hashPassword(password),
+      role: String(role),
     };
 
     const data = await strapi.query('administrator', 'admin').create(user);
@@ -222,7 +253,7 @@ module.exports = {
 
   async update(ctx) {
     const { id } = ctx.params;
-    const { email, username, password, blocked } = ctx.request.body;
+    const { email, username, password, blocked, role } = ctx.request.body;
 
     if (!email) {
       return ctx.badRequest(
@@ -301,6 +332,32 @@ module.exports = {
       blocked: blocked === true ? true : false,
     };
 
+    if (role && String(role) !== admin.role) {
+      if (!(await strapi.query('role', 'admin').findOne({ id: role }))) {
+        return ctx.badRequest(null, roleNotFoundError);
+      }
+
+      const roleService = strapi.admin.services.role;
+      const superAdmin = await roleService.getSuperAdmin();
+
+      // There must always be an admin able to manage the roles.
+      if (
+        admin.role === String(superAdmin.id) &&
+        (await roleService.countAdministrators(superAdmin)) <= 1
+      ) {
+        return ctx.badRequest(
+          null,
+          formatError({
+            id: 'role.superAdmin.last',
+            message: 'The last super admin cannot lose its role',
+            field: ['role'],
+          })
+        );
+      }
+
+      user.role = String(role);
+    }
+
     if (password !== admin.password) {
       user.password = await strapi.admin.services.auth.hashPassword(password);
     }
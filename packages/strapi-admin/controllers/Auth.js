@@ -15,6 +15,40 @@ const formatError = error => [
   { messages: [{ id: error.id, message: error.message, field: error.field }] },
 ];
 
+/**
+ * Returns the admin of the request, the routes of the two-factor authentication settings require an admin token
+ */
+const getAuthenticatedAdmin = ctx => {
+  if (!ctx.state.admin) {
+    return null;
+  }
+
+  return strapi.query('administrator', 'admin').findOne({ id: ctx.state.admin.id });
+};
+
+/**
+ * Sends the token of an authenticated admin, or the challenge token of the second step
+ * when the admin has enabled the two-factor authentication.
+ */
+const sendAuthResponse = (ctx, admin) => {
+  const { twofactor } = strapi.plugins['users-permissions'].services;
+
+  if (admin.twoFactorEnabled === true) {
+    return ctx.send({
+      twoFactorRequired: true,
+      challengeToken: twofactor.createChallengeToken(
+        { id: admin.id, isAdmin: true },
+        twofactor.CHALLENGE_TYPES.verification
+      ),
+    });
+  }
+
+  ctx.send({
+    jwt: strapi.admin.services.auth.createJwtToken(admin),
+    user: strapi.admin.services.auth.sanitizeUser(admin),
+  });
+};
+
 module.exports = {
   async callback(ctx) {
     const params = ctx.request.body;
@@ -92,10 +126,7 @@ module.exports = {
     } else {
       admin.isAdmin = true;
 
-      ctx.send({
-        jwt: strapi.admin.services.auth.createJwtToken(admin),
-        user: strapi.admin.services.auth.sanitizeUser(admin),
-      });
+      sendAuthResponse(ctx, admin);
     }
   },
 
@@ -159,6 +190,10 @@ module.exports = {
 
     params.password = await strapi.admin.services.auth.hashPassword(params.password);
 
+    // The first admin can manage everything.
+    const superAdmin = await strapi.admin.services.role.getSuperAdmin();
+    params.role = String(superAdmin.id);
+
     const admin = await strapi.query('administrator', 'admin').findOne({
       email: params.email,
     });
@@ -267,10 +302,7 @@ module.exports = {
       .query('administrator', 'admin')
       .update({ id: admin.id }, data);
 
-    return ctx.send({
-      jwt: strapi.admin.services.auth.createJwtToken(updatedAdmin),
-      user: strapi.admin.services.auth.sanitizeUser(updatedAdmin),
-    });
+    return sendAuthResponse(ctx, updatedAdmin);
   },
 
   async forgotPassword(ctx) {
@@ -353,4 +385,158 @@ module.exports = {
 
     ctx.send({ ok: true });
   },
+
+  async twoFactorVerify(ctx) {
+    const { challengeToken, code } = ctx.request.body;
+    const { twofactor } = strapi.plugins['users-permissions'].services;
+
+    if (!challengeToken || !code) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.provide',
+          message: 'Please provide your challenge token and your code.',
+        })
+      );
+    }
+
+    let admin;
+    try {
+      const { id } = await twofactor.verifyChallengeToken(challengeToken, {
+        type: twofactor.CHALLENGE_TYPES.verification,
+        isAdmin: true,
+      });
+
+      admin = await strapi.query('administrator', 'admin').findOne({ id });
+    } catch (err) {
+      admin = null;
+    }
+
+    if (!admin || admin.blocked === true) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.challenge',
+          message: 'Invalid challenge token.',
+        })
+      );
+    }
+
+    const validCode = await twofactor.verifyCode(
+      admin,
+      code,
+      strapi.query('administrator', 'admin')
+    );
+
+    if (!validCode) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    admin.isAdmin = true;
+
+    ctx.send({
+      jwt: strapi.admin.services.auth.createJwtToken(admin),
+      user: strapi.admin.services.auth.sanitizeUser(admin),
+    });
+  },
+
+  async twoFactorSetup(ctx) {
+    const admin = await getAuthenticatedAdmin(ctx);
+
+    if (!admin) {
+      return ctx.unauthorized();
+    }
+
+    if (admin.twoFactorEnabled === true) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.enabled',
+          message: 'The two-factor authentication is already enabled.',
+        })
+      );
+    }
+
+    ctx.send(
+      await strapi.plugins['users-permissions'].services.twofactor.setup(
+        admin,
+        strapi.query('administrator', 'admin')
+      )
+    );
+  },
+
+  async twoFactorEnable(ctx) {
+    const { code } = ctx.request.body;
+
+    const admin = await getAuthenticatedAdmin(ctx);
+
+    if (!admin) {
+      return ctx.unauthorized();
+    }
+
+    if (admin.twoFactorEnabled === true || !admin.twoFactorSecret) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.setup',
+          message: 'Please set up the two-factor authentication first.',
+        })
+      );
+    }
+
+    const recoveryCodes = await strapi.plugins['users-permissions'].services.twofactor.enable(
+      admin,
+      code,
+      strapi.query('administrator', 'admin')
+    );
+
+    if (!recoveryCodes) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    ctx.send({ recoveryCodes });
+  },
+
+  async twoFactorDisable(ctx) {
+    const { code } = ctx.request.body;
+    const { twofactor } = strapi.plugins['users-permissions'].services;
+
+    const admin = await getAuthenticatedAdmin(ctx);
+
+    if (!admin) {
+      return ctx.unauthorized();
+    }
+
+    const validCode = await twofactor.verifyCode(
+      admin,
+      code,
+      strapi.query('administrator', 'admin')
+    );
+
+    if (!validCode) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    await twofactor.disable(admin, strapi.query('administrator', 'admin'));
+
+    ctx.send({ ok: true });
+  },
 };
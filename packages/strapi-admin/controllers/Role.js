@@ -0,0 +1,186 @@
+'use strict';
+
+const _ = require('lodash');
+const { yup, formatYupErrors } = require('strapi-utils');
+
+const createRoleValidator = () => {
+  const { getScopes, getContentTypes } = strapi.admin.services.permission;
+  const { CONTENT_TYPE_ACTIONS } = strapi.admin.services.role;
+
+  return yup
+    .object({
+      name: yup
+        .string()
+        .min(1)
+        .required(),
+      description: yup.string().nullable(),
+      permissions: yup
+        .object({
+          scopes: yup
+            .array()
+            .of(
+              yup
+                .string()
+                .oneOf(getScopes())
+                .required()
+            )
+            .required(),
+          contentTypes: yup.lazy(data => {
+            if (!_.isPlainObject(data)) {
+              return yup.object().required();
+            }
+
+            return yup
+              .object(
+                _.mapValues(data, () =>
+                  yup
+                    .array()
+                    .of(
+                      yup
+                        .string()
+                        .oneOf(CONTENT_TYPE_ACTIONS)
+                        .required()
+                    )
+                    .required()
+                )
+              )
+              .test(
+                'isContentType',
+                '${path} must only contain content type uids or *',
+                contentTypes =>
+                  Object.keys(contentTypes).every(
+                    uid => uid === '*' || getContentTypes().includes(uid)
+                  )
+              )
+              .required();
+          }),
+        })
+        .noUnknown()
+        .required(),
+    })
+    .noUnknown();
+};
+
+const sanitizeRole = role => _.pick(role, ['id', 'name', 'code', 'description', 'permissions']);
+
+module.exports = {
+  /**
+   * Returns the scopes, the content types and the actions which can be given to a role
+   */
+  async getAvailablePermissions(ctx) {
+    const { getScopes, getContentTypes } = strapi.admin.services.permission;
+
+    ctx.send({
+      data: {
+        scopes: getScopes(),
+        contentTypes: getContentTypes(),
+        actions: strapi.admin.services.role.CONTENT_TYPE_ACTIONS,
+      },
+    });
+  },
+
+  async listRoles(ctx) {
+    const roles = await strapi.query('role', 'admin').find({ _limit: -1 });
+
+    ctx.send({ data: roles.map(sanitizeRole) });
+  },
+
+  async getRole(ctx) {
+    const { id } = ctx.params;
+    const role = await strapi.query('role', 'admin').findOne({ id });
+
+    if (!role) {
+      return ctx.notFound('role.notFound');
+    }
+
+    ctx.send({ data: sanitizeRole(role) });
+  },
+
+  async createRole(ctx) {
+    const { body } = ctx.request;
+
+    try {
+      await createRoleValidator().validate(body, {
+        strict: true,
+        abortEarly: false,
+      });
+    } catch (error) {
+      return ctx.badRequest('ValidationError', {
+        errors: formatYupErrors(error),
+      });
+    }
+
+    const existingRole = await strapi.query('role', 'admin').findOne({ name: body.name });
+
+    if (existingRole) {
+      return ctx.badRequest('ValidationError', {
+        errors: { name: ['name is already taken'] },
+      });
+    }
+
+    const role = await strapi.query('role', 'admin').create(body);
+
+    ctx.created({ data: sanitizeRole(role) });
+  },
+
+  async updateRole(ctx) {
+    const { id } = ctx.params;
+    const { body } = ctx.request;
+
+    try {
+      await createRoleValidator().validate(body, {
+        strict: true,
+        abortEarly: false,
+      });
+    } catch (error) {
+      return ctx.badRequest('ValidationError', {
+        errors: formatYupErrors(error),
+      });
+    }
+
+    const role = await strapi.query('role', 'admin').findOne({ id });
+
+    if (!role) {
+      return ctx.notFound('role.notFound');
+    }
+
+    // The super admin role always has all the permissions.
+    if (strapi.admin.services.role.isSuperAdmin(role)) {
+      return ctx.badRequest('The super admin role cannot be updated');
+    }
+
+    const roleWithSameName = await strapi.query('role', 'admin').findOne({ name: body.name });
+
+    if (roleWithSameName && String(roleWithSameName.id) !== String(role.id)) {
+      return ctx.badRequest('ValidationError', {
+        errors: { name: ['name is already taken'] },
+      });
+    }
+
+    const updatedRole = await strapi.query('role', 'admin').update({ id }, body);
+
+    ctx.send({ data: sanitizeRole(updatedRole) });
+  },
+
+  async deleteRole(ctx) {
+    const { id } = ctx.params;
+    const roleService = strapi.admin.services.role;
+    const role = await strapi.query('role', 'admin').findOne({ id });
+
+    if (!role) {
+      return ctx.notFound('role.notFound');
+    }
+
+    if (roleService.isSuperAdmin(role)) {
+      return ctx.badRequest('The super admin role cannot be deleted');
+    }
+
+    if ((await roleService.countAdministrators(role)) > 0) {
+      return ctx.badRequest('The role cannot be deleted while administrators have it');
+    }
+
+    await strapi.query('role', 'admin').delete({ id });
+
+    ctx.send({ data: sanitizeRole(role) });
+  },
+};
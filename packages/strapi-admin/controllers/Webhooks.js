@@ -1,7 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
-const { yup, formatYupErrors } = require('strapi-utils');
+const { yup, formatYupErrors, convertRestQueryParams } = require('strapi-utils');
 
 const ALLOWED_EVENTS = [
   'entry.create',
@@ -13,6 +13,52 @@ const ALLOWED_EVENTS = [
 
 const urlRegex = /^(?:([a-z0-9+.-]+):\/\/)(?:\S+(?::\S*)?@)?(?:(?:[1-9]\d?|1\d\d|2[01]\d|22[0-3])(?:\.(?:1?\d{1,2}|2[0-4]\d|25[0-5])){2}(?:\.(?:[1-9]\d?|1\d\d|2[0-4]\d|25[0-4]))|(?:(?:[a-z\u00a1-\uffff0-9]-*)*[a-z\u00a1-\uffff0-9]+)(?:\.(?:[a-z\u00a1-\uffff0-9]-*)*[a-z\u00a1-\uffff0-9]+)*\.?)(?::\d{2,5})?(?:[/?#]\S*)?$/;
 
+const isValidWhere = {
+  name: 'isValidWhere',
+  message: '${path} must be valid query filters',
+  test(where) {
+    if (_.isNil(where)) return true;
+
+    if (['_sort', '_start', '_limit'].some(key => _.has(where, key))) {
+      return false;
+    }
+
+    try {
+      convertRestQueryParams(where);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+const filtersValidator = yup
+  .object({
+    models: yup.array().of(
+      yup
+        .string()
+        .test('isContentType', '${value} is not a content type uid', uid =>
+          _.has(strapi.contentTypes, uid)
+        )
+        .required()
+    ),
+    where: yup.object().test(isValidWhere),
+    fields: yup.array().of(
+      yup
+        .string()
+        .min(1)
+        .required()
+    ),
+    omit: yup.array().of(
+      yup
+        .string()
+        .min(1)
+        .required()
+    ),
+  })
+  .noUnknown()
+  .nullable();
+
 const webhookValidator = yup
   .object({
     name: yup.string().required(),
@@ -46,6 +92,7 @@ const webhookValidator = yup
       )
       .min(1)
       .required(),
+    filters: filtersValidator,
   })
   .noUnknown();
 
@@ -53,10 +100,28 @@ const updateWebhookValidator = webhookValidator.shape({
   isEnabled: yup.boolean(),
 });
 
+const rotateSecretValidator = yup
+  .object({
+    gracePeriod: yup
+      .number()
+      .integer()
+      .min(0),
+  })
+  .noUnknown();
+
+// Fields computed by sanitizeWebhook that the admin sends back on update
+const READ_ONLY_FIELDS = ['hasSecret', 'previousSecretExpiresAt'];
+
+// Secrets are only sent back when they are generated
+const sanitizeWebhook = webhook => ({
+  ..._.omit(webhook, ['secret', 'previousSecret']),
+  hasSecret: !!webhook.secret,
+});
+
 module.exports = {
   async listWebhooks(ctx) {
     const webhooks = await strapi.webhookStore.findWebhooks();
-    ctx.send({ data: webhooks });
+    ctx.send({ data: webhooks.map(sanitizeWebhook) });
   },
 
   async getWebhook(ctx) {
@@ -67,7 +132,7 @@ module.exports = {
       return ctx.notFound('webhook.notFound');
     }
 
-    ctx.send({ data: webhook });
+    ctx.send({ data: sanitizeWebhook(webhook) });
   },
 
   async createWebhook(ctx) {
@@ -88,12 +153,12 @@ module.exports = {
 
     strapi.webhookRunner.add(webhook);
 
-    ctx.created({ data: webhook });
+    ctx.created({ data: sanitizeWebhook(webhook) });
   },
 
   async updateWebhook(ctx) {
     const { id } = ctx.params;
-    const { body } = ctx.request;
+    const body = _.omit(ctx.request.body, READ_ONLY_FIELDS);
 
     try {
       await updateWebhookValidator.validate(body, {
@@ -123,7 +188,7 @@ module.exports = {
 
     strapi.webhookRunner.update(updatedWebhook);
 
-    ctx.send({ data: updatedWebhook });
+    ctx.send({ data: sanitizeWebhook(updatedWebhook) });
   },
 
   async deleteWebhook(ctx) {
@@ -135,10 +200,11 @@ module.exports = {
     }
 
     await strapi.webhookStore.deleteWebhook(id);
+    await strapi.webhookStore.deleteDeliveries(id);
 
     strapi.webhookRunner.remove(webhook);
 
-    ctx.body = { data: webhook };
+    ctx.body = { data: sanitizeWebhook(webhook) };
   },
 
   async deleteWebhooks(ctx) {
@@ -154,6 +220,7 @@ module.exports = {
       if (!webhook) continue;
 
       await strapi.webhookStore.deleteWebhook(id);
+      await strapi.webhookStore.deleteDeliveries(id);
       strapi.webhookRunner.remove(webhook);
     }
 
@@ -173,4 +240,91 @@ module.exports = {
 
     ctx.body = { data: response };
   },
+
+  async generateSecret(ctx) {
+    const { id } = ctx.params;
+
+    const webhook = await strapi.webhookStore.setWebhookSecret(id);
+
+    if (!webhook) {
+      return ctx.notFound('webhook.notFound');
+    }
+
+    strapi.webhookRunner.update(webhook);
+
+    ctx.send({ data: { ...sanitizeWebhook(webhook), secret: webhook.secret } });
+  },
+
+  async rotateSecret(ctx) {
+    const { id } = ctx.params;
+    const { body = {} } = ctx.request;
+
+    try {
+      await rotateSecretValidator.validate(body, {
+        strict: true,
+        abortEarly: false,
+      });
+    } catch (error) {
+      return ctx.badRequest('ValidationError', {
+        errors: formatYupErrors(error),
+      });
+    }
+
+    const { gracePeriod = strapi.webhookRunner.config.signature.gracePeriod } = body;
+
+    const webhook = await strapi.webhookStore.setWebhookSecret(id, { gracePeriod });
+
+    if (!webhook) {
+      return ctx.notFound('webhook.notFound');
+    }
+
+    strapi.webhookRunner.update(webhook);
+
+    ctx.send({ data: { ...sanitizeWebhook(webhook), secret: webhook.secret } });
+  },
+
+  async listDeliveries(ctx) {
+    const { id } = ctx.params;
+    const { _start = 0, _limit = 20 } = ctx.query;
+
+    const webhook = await strapi.webhookStore.findWebhook(id);
+
+    if (!webhook) {
+      return ctx.notFound('webhook.notFound');
+    }
+
+    const start = parseInt(_start, 10);
+    const limit = parseInt(_limit, 10);
+
+    if (!Number.isInteger(start) || start < 0 || !Number.isInteger(limit) || limit < 1) {
+      return ctx.badRequest('_start and _limit must be positive integers');
+    }
+
+    const [deliveries, total] = await Promise.all([
+      strapi.webhookStore.findDeliveries(id, { start, limit }),
+      strapi.webhookStore.countDeliveries(id),
+    ]);
+
+    ctx.send({ data: deliveries, pagination: { start, limit, total } });
+  },
+
+  async redeliverWebhook(ctx) {
+    const { id, deliveryId } = ctx.params;
+
+    const webhook = await strapi.webhookStore.findWebhook(id);
+
+    if (!webhook) {
+      return ctx.notFound('webhook.notFound');
+    }
+
+    const delivery = await strapi.webhookStore.findDelivery(deliveryId);
+
+    if (!delivery || String(delivery.webhookId) !== String(webhook.id)) {
+      return ctx.notFound('webhook.delivery.notFound');
+    }
+
+    const newDelivery = await strapi.webhookRunner.redeliver(webhook, delivery);
+
+    ctx.send({ data: newDelivery });
+  },
 };
@@ -0,0 +1,183 @@
+const _ = require('lodash');
+const { totp } = require('strapi-utils');
+const authController = require('../Auth');
+const authService = require('../../services/auth');
+const twoFactorService = require('../../../strapi-plugin-users-permissions/services/TwoFactor');
+const jwtService = require('../../../strapi-plugin-users-permissions/services/Jwt');
+
+const NOW = 1580000000000;
+const PERIOD = 30 * 1000;
+
+const createContext = ({ body = {}, state = {} } = {}) => {
+  const ctx = { params: {}, query: {}, request: { body }, state };
+
+  const respond = status => (_err, body) => {
+    ctx.status = status;
+    ctx.body = body;
+  };
+
+  ctx.send = body => respond(200)(null, body);
+  ctx.badRequest = respond(400);
+  ctx.unauthorized = respond(401);
+
+  return ctx;
+};
+
+// A mongoose model applying the conditional updates of the two-factor authentication to the administrators kept in memory.
+const createTwoFactorModel = getEntities => ({
+  orm: 'mongoose',
+  primaryKey: 'id',
+  async updateOne({ id, $or, twoFactorRecoveryCodes: recoveryCode }, update) {
+    const entity = _.find(getEntities(), { id });
+    const maxLastCounter = _.get($or, [1, 'twoFactorLastCounter', '$lt']);
+
+    const matches =
+      !!entity &&
+      (_.isUndefined(maxLastCounter) ||
+        _.isNil(entity.twoFactorLastCounter) ||
+        entity.twoFactorLastCounter < maxLastCounter) &&
+      (_.isUndefined(recoveryCode) || (entity.twoFactorRecoveryCodes || []).includes(recoveryCode));
+
+    if (!matches) {
+      return { nModified: 0 };
+    }
+
+    if (_.has(update, '$pull')) {
+      _.pull(entity.twoFactorRecoveryCodes, update.$pull.twoFactorRecoveryCodes);
+    } else {
+      Object.assign(entity, update);
+    }
+
+    return { nModified: 1 };
+  },
+});
+
+describe('Auth controller - two-factor authentication', () => {
+  let admins;
+
+  const login = async () => {
+    const ctx = createContext({ body: { identifier: 'admin', password: 'password' } });
+    await authController.callback(ctx);
+    return ctx;
+  };
+
+  const verify = async (challengeToken, code) => {
+    const ctx = createContext({ body: { challengeToken, code } });
+    await authController.twoFactorVerify(ctx);
+    return ctx;
+  };
+
+  const enroll = async () => {
+    const setupCtx = createContext({ state: { admin: { id: 1 } } });
+    await authController.twoFactorSetup(setupCtx);
+
+    const enableCtx = createContext({
+      body: { code: totp.generateCode(setupCtx.body.secret, { time: NOW - PERIOD }) },
+      state: { admin: { id: 1 } },
+    });
+    await authController.twoFactorEnable(enableCtx);
+
+    return enableCtx.body;
+  };
+
+  beforeEach(() => {
+    admins = [{ id: 1, username: 'admin', email: 'admin@doe.com', password: 'password' }];
+
+    const administratorQuery = {
+      findOne: async params => _.cloneDeep(_.find(admins, _.pick(params, ['id', 'username']))),
+      update: async ({ id }, values) => Object.assign(_.find(admins, { id }), values),
+      custom: mapping => mapping.bind(null, { model: createTwoFactorModel(() => admins) }),
+    };
+
+    global.strapi = {
+      config: { info: { name: 'My app' } },
+      admin: {
+        services: {
+          auth: { ...authService, validatePassword: async (password, hash) => password === hash },
+        },
+      },
+      plugins: {
+        'users-permissions': {
+          config: { jwtSecret: 'secret' },
+          services: { jwt: jwtService, twofactor: twoFactorService },
+        },
+      },
+      query: () => administratorQuery,
+    };
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Enrolls an administrator', async () => {
+    const { recoveryCodes } = await enroll();
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(admins[0].twoFactorEnabled).toBe(true);
+  });
+
+  test('Requires an admin token to enroll', async () => {
+    const ctx = createContext({ state: { user: { id: 1 } } });
+    await authController.twoFactorSetup(ctx);
+
+    expect(ctx.status).toBe(401);
+  });
+
+  test('Logs in an enrolled administrator with a code', async () => {
+    await enroll();
+
+    const loginCtx = await login();
+
+    expect(loginCtx.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+
+    const ctx = await verify(
+      loginCtx.body.challengeToken,
+      totp.generateCode(admins[0].twoFactorSecret)
+    );
+
+    expect(ctx.status).toBe(200);
+    expect(ctx.body).toMatchObject({ jwt: expect.any(String), user: { id: 1 } });
+    expect(ctx.body.user).not.toHaveProperty('twoFactorSecret');
+    expect(ctx.body.user).not.toHaveProperty('twoFactorLastCounter');
+    await expect(jwtService.verify(ctx.body.jwt)).resolves.toMatchObject({ id: 1, isAdmin: true });
+  });
+
+  test('Rejects a code already used to log in', async () => {
+    await enroll();
+    const code = totp.generateCode(admins[0].twoFactorSecret);
+
+    expect((await verify((await login()).body.challengeToken, code)).status).toBe(200);
+
+    const ctx = await verify((await login()).body.challengeToken, code);
+
+    expect(ctx.status).toBe(400);
+    expect(ctx.body[0].messages[0].id).toBe('Auth.form.error.two-factor.invalid');
+  });
+
+  test('Rejects the challenge token of a user', async () => {
+    await enroll();
+    const challengeToken = twoFactorService.createChallengeToken({ id: 1 });
+
+    const ctx = await verify(challengeToken, totp.generateCode(admins[0].twoFactorSecret));
+
+    expect(ctx.status).toBe(401);
+  });
+
+  test('Disables the two-factor authentication with a code', async () => {
+    await enroll();
+
+    const ctx = createContext({
+      body: { code: totp.generateCode(admins[0].twoFactorSecret) },
+      state: { admin: { id: 1 } },
+    });
+    await authController.twoFactorDisable(ctx);
+
+    expect(ctx.body).toEqual({ ok: true });
+    expect(admins[0]).toMatchObject({ twoFactorEnabled: false, twoFactorSecret: null });
+
+    expect((await login()).body).toMatchObject({ jwt: expect.any(String) });
+  });
+});
@@ -3,5 +3,14 @@ module.exports = {
     resetPasswordToken: {
       hidden: true,
     },
+    twoFactorSecret: {
+      hidden: true,
+    },
+    twoFactorRecoveryCodes: {
+      hidden: true,
+    },
+    twoFactorLastCounter: {
+      hidden: true,
+    },
   },
 };
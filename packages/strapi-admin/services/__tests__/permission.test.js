@@ -0,0 +1,266 @@
+const permissionService = require('../permission');
+const roleService = require('../role');
+
+const { can, getRouteRequirement, isAllowed } = permissionService;
+
+const editorPermissions = {
+  isSuperAdmin: false,
+  scopes: ['plugins::upload'],
+  contentTypes: {
+    'application::article.article': ['read'],
+  },
+};
+
+const roles = {
+  1: { id: 1, name: 'Super Admin', code: roleService.SUPER_ADMIN_CODE, permissions: {} },
+  2: { id: 2, name: 'Editor', code: 'strapi-editor', permissions: editorPermissions },
+};
+
+const createContext = ({ route, params = {}, body = {} }) => ({
+  params,
+  request: { route, body },
+});
+
+describe('Permission service', () => {
+  beforeEach(() => {
+    global.strapi = {
+      models: {
+        article: { uid: 'application::article.article' },
+      },
+      query: () => ({
+        findOne: async ({ id }) => roles[id] || null,
+      }),
+      admin: {
+        services: { role: roleService },
+      },
+    };
+  });
+
+  describe('can', () => {
+    test('Super admins fulfill every requirement', () => {
+      const permissions = { isSuperAdmin: true, scopes: [], contentTypes: {} };
+
+      expect(can(permissions, { scope: 'admin::webhooks' })).toBe(true);
+      expect(can(permissions, { superAdmin: true })).toBe(true);
+      expect(can(permissions, { contentType: 'strapi::administrator', action: 'delete' })).toBe(
+        true
+      );
+    });
+
+    test('Checks the scopes', () => {
+      expect(can(editorPermissions, { scope: 'plugins::upload' })).toBe(true);
+      expect(can(editorPermissions, { scope: 'admin::webhooks' })).toBe(false);
+    });
+
+    test('Checks the actions on the content types', () => {
+      const requirement = { contentType: 'application::article.article' };
+
+      expect(can(editorPermissions, { ...requirement, action: 'read' })).toBe(true);
+      expect(can(editorPermissions, { ...requirement, action: 'update' })).toBe(false);
+    });
+
+    test('The * content type only gives actions on the content types of the application', () => {
+      const permissions = { ...editorPermissions, contentTypes: { '*': ['read'] } };
+
+      expect(can(permissions, { contentType: 'application::tag.tag', action: 'read' })).toBe(true);
+      expect(can(permissions, { contentType: 'application::tag.tag', action: 'delete' })).toBe(
+        false
+      );
+      expect(
+        can(permissions, { contentType: 'plugins::users-permissions.user', action: 'read' })
+      ).toBe(false);
+    });
+
+    test('The admin models need the administrators scope', () => {
+      const requirement = { contentType: 'strapi::administrator', action: 'read' };
+      const permissions = {
+        ...editorPermissions,
+        contentTypes: { 'strapi::administrator': ['read'] },
+      };
+
+      expect(can(permissions, requirement)).toBe(false);
+      expect(can({ ...permissions, scopes: ['admin::administrators'] }, requirement)).toBe(true);
+    });
+
+    test('Only the super admins fulfill the super admin requirement', () => {
+      expect(can(editorPermissions, { superAdmin: true })).toBe(false);
+    });
+
+    test('Every admin fulfills an empty requirement', () => {
+      expect(can(editorPermissions, null)).toBe(true);
+    });
+  });
+
+  describe('getRouteRequirement', () => {
+    test('Returns the scope of the admin routes', () => {
+      const route = { plugin: 'admin', controller: 'webhooks', action: 'listwebhooks' };
+
+      expect(getRouteRequirement(route, createContext({ route }))).toEqual({
+        scope: 'admin::webhooks',
+      });
+    });
+
+    test('Returns the scope of an action of the admin routes', () => {
+      const create = { plugin: 'admin', controller: 'admin', action: 'create' };
+      const information = { plugin: 'admin', controller: 'admin', action: 'information' };
+
+      expect(getRouteRequirement(create, createContext({ route: create }))).toEqual({
+        scope: 'admin::administrators',
+      });
+      expect(getRouteRequirement(information, createContext({ route: information }))).toBeNull();
+    });
+
+    test('Returns the content type action of the content manager routes', () => {
+      const route = { plugin: 'content-manager', controller: 'contentmanager', action: 'update' };
+      const ctx = createContext({ route, params: { model: 'application::article.article' } });
+
+      expect(getRouteRequirement(route, ctx)).toEqual({
+        contentType: 'application::article.article',
+        action: 'update',
+      });
+    });
+
+    test('Returns the content type of the uid routes of the content manager', () => {
+      const route = {
+        plugin: 'content-manager',
+        controller: 'contentmanager',
+        action: 'generateuid',
+      };
+      const ctx = createContext({
+        route,
+        body: { contentTypeUID: 'application::article.article', field: 'slug' },
+      });
+
+      expect(getRouteRequirement(route, ctx)).toEqual({
+        contentType: 'application::article.article',
+        action: 'read',
+      });
+    });
+
+    test('Reserves the unlisted routes of the content manager to the super admins', () => {
+      const schema = {
+        plugin: 'content-manager',
+        controller: 'contenttypes',
+        action: 'findcontenttype',
+      };
+      const unknown = {
+        plugin: 'content-manager',
+        controller: 'contentmanager',
+        action: 'publish',
+      };
+      const other = { plugin: 'content-manager', controller: 'relations', action: 'find' };
+
+      expect(getRouteRequirement(schema, createContext({ route: schema }))).toBeNull();
+      expect(getRouteRequirement(unknown, createContext({ route: unknown }))).toEqual({
+        superAdmin: true,
+      });
+      expect(getRouteRequirement(other, createContext({ route: other }))).toEqual({
+        superAdmin: true,
+      });
+    });
+
+    test('Returns the scope of the plugins', () => {
+      const route = { plugin: 'upload', controller: 'upload', action: 'upload' };
+
+      expect(getRouteRequirement(route, createContext({ route }))).toEqual({
+        scope: 'plugins::upload',
+      });
+    });
+
+    test('Returns the content type action of the core API routes', () => {
+      const find = { controller: 'article', action: 'find' };
+      const remove = { controller: 'article', action: 'delete' };
+
+      expect(getRouteRequirement(find, createContext({ route: find }))).toEqual({
+        contentType: 'application::article.article',
+        action: 'read',
+      });
+      expect(getRouteRequirement(remove, createContext({ route: remove }))).toEqual({
+        contentType: 'application::article.article',
+        action: 'delete',
+      });
+    });
+
+    test('Returns the content type action of the bulk routes of the core API', () => {
+      ['create', 'update', 'delete'].forEach(action => {
+        const route = { controller: 'article', action: `bulk${action}` };
+
+        expect(getRouteRequirement(route, createContext({ route }))).toEqual({
+          contentType: 'application::article.article',
+          action,
+        });
+      });
+    });
+
+    test('Reserves the other routes of the application to the super admins', () => {
+      const custom = { controller: 'article', action: 'publish' };
+      const unknown = { controller: 'newsletter', action: 'send' };
+
+      expect(getRouteRequirement(custom, createContext({ route: custom }))).toEqual({
+        superAdmin: true,
+      });
+      expect(getRouteRequirement(unknown, createContext({ route: unknown }))).toEqual({
+        superAdmin: true,
+      });
+    });
+  });
+
+  describe('isAllowed', () => {
+    const editor = { id: 5, role: '2' };
+    const superAdmin = { id: 6, role: '1' };
+
+    test('Checks the core API routes with the actions on the content types', async () => {
+      const find = { controller: 'article', action: 'find' };
+      const update = { controller: 'article', action: 'update' };
+
+      expect(await isAllowed(editor, createContext({ route: find }))).toBe(true);
+      expect(await isAllowed(editor, createContext({ route: update, params: { id: 1 } }))).toBe(
+        false
+      );
+      expect(await isAllowed(superAdmin, createContext({ route: update, params: { id: 1 } }))).toBe(
+        true
+      );
+    });
+
+    test('Rejects the admins without role', async () => {
+      const route = { plugin: 'upload', controller: 'upload', action: 'upload' };
+
+      expect(await isAllowed({ id: 7 }, createContext({ route }))).toBe(false);
+    });
+
+    describe('Own administrator entry', () => {
+      const route = { plugin: 'content-manager', controller: 'contentmanager', action: 'update' };
+      const params = { model: 'strapi::administrator', id: '5' };
+
+      test('An admin can read its own entry', async () => {
+        const findOne = { ...route, action: 'findone' };
+
+        expect(await isAllowed(editor, createContext({ route: findOne, params }))).toBe(true);
+      });
+
+      test('An admin can update its own entry without changing its role', async () => {
+        const ctx = createContext({ route, params, body: { username: 'editor', role: '2' } });
+
+        expect(await isAllowed(editor, ctx)).toBe(true);
+      });
+
+      test('An admin cannot change its own role', async () => {
+        const ctx = createContext({ route, params, body: { role: '1' } });
+
+        expect(await isAllowed(editor, ctx)).toBe(false);
+      });
+
+      test('An admin cannot change its own role with a multipart body', async () => {
+        const ctx = createContext({ route, params, body: { data: JSON.stringify({ role: '1' }) } });
+
+        expect(await isAllowed(editor, ctx)).toBe(false);
+      });
+
+      test('An admin cannot update the entry of another admin', async () => {
+        const ctx = createContext({ route, params: { ...params, id: '6' }, body: {} });
+
+        expect(await isAllowed(editor, ctx)).toBe(false);
+      });
+    });
+  });
+});
@@ -5,6 +5,9 @@ const sanitizeUser = user => {
   return _.omit(user.toJSON ? user.toJSON() : user, [
     'password',
     'resetPasswordToken',
+    'twoFactorSecret',
+    'twoFactorRecoveryCodes',
+    'twoFactorLastCounter',
   ]);
 };
 
@@ -0,0 +1,264 @@
+'use strict';
+
+const _ = require('lodash');
+
+const ADMIN_SCOPES = [
+  'admin::administrators',
+  'admin::webhooks',
+  'admin::marketplace',
+  'admin::content-manager.configure-views',
+];
+
+/**
+ * The scopes required by the routes of the admin, by controller and action
+ */
+const ADMIN_ROUTES_SCOPES = {
+  admin: {
+    installplugin: 'admin::marketplace',
+    uninstallplugin: 'admin::marketplace',
+    create: 'admin::administrators',
+    update: 'admin::administrators',
+  },
+  role: 'admin::administrators',
+  webhooks: 'admin::webhooks',
+};
+
+/**
+ * The content type actions of the routes of the content manager
+ */
+const EXPLORER_ACTIONS = {
+  find: 'read',
+  count: 'read',
+  findone: 'read',
+  create: 'create',
+  update: 'update',
+  delete: 'delete',
+  deletemany: 'delete',
+};
+
+/**
+ * The content type actions of the routes of the core API
+ */
+const CORE_API_ACTIONS = {
+  find: 'read',
+  findone: 'read',
+  count: 'read',
+  create: 'create',
+  update: 'update',
+  delete: 'delete',
+  bulkcreate: 'create',
+  bulkupdate: 'update',
+  bulkdelete: 'delete',
+};
+
+/**
+ * The routes of the content manager every admin can call, they return the schemas displayed by the admin
+ */
+const CONTENT_MANAGER_PUBLIC_ROUTES = {
+  contenttypes: ['listcontenttypes', 'findcontenttype'],
+  components: ['listcomponents', 'findcomponent'],
+};
+
+/**
+ * The routes of the content manager generating the uid attributes, they read the entries of a content type
+ */
+const UID_ACTIONS = ['generateuid', 'checkuidavailability'];
+
+/**
+ * The requirement of the routes only the super admins can call
+ */
+const SUPER_ADMIN_REQUIREMENT = { superAdmin: true };
+
+/**
+ * The plugins don't have a scope when their routes are checked by other means
+ */
+const PLUGINS_WITHOUT_SCOPE = ['content-manager'];
+
+/**
+ * Returns the scopes which can be given to a role
+ * @returns {Array<string>}
+ */
+const getScopes = () => [
+  ...ADMIN_SCOPES,
+  ...Object.keys(strapi.plugins)
+    .filter(plugin => !PLUGINS_WITHOUT_SCOPE.includes(plugin))
+    .map(plugin => `plugins::${plugin}`),
+];
+
+/**
+ * Returns the content types whose entries can be managed with the permissions of a role
+ * @returns {Array<string>}
+ */
+const getContentTypes = () =>
+  Object.keys(strapi.contentTypes).filter(uid => !uid.startsWith('strapi::'));
+
+const parseBody = body => {
+  const data = _.get(body, 'data');
+
+  if (!_.isString(data)) {
+    return body || {};
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Checks if an admin reads or updates its own entry in the content manager without changing its role
+ */
+const isOwnAdministratorEntry = (admin, { contentType, action }, ctx) => {
+  if (contentType !== 'strapi::administrator' || String(ctx.params.id) !== String(admin.id)) {
+    return false;
+  }
+
+  if (action === 'read') {
+    return true;
+  }
+
+  const { role } = parseBody(ctx.request.body);
+
+  return action === 'update' && (_.isNil(role) || String(role) === String(admin.role));
+};
+
+/**
+ * Returns what is required to call a route of the application.
+ * The routes of the core API need the action on their content type, the other routes are reserved
+ * to the super admins.
+ */
+const getApplicationRouteRequirement = ({ controller, action }) => {
+  const uid = _.get(strapi.models, [controller, 'uid']);
+
+  if (uid && _.has(CORE_API_ACTIONS, action)) {
+    return { contentType: uid, action: CORE_API_ACTIONS[action] };
+  }
+
+  return SUPER_ADMIN_REQUIREMENT;
+};
+
+/**
+ * Returns what is required to call a route, either a scope or an action on a content type.
+ * Returns null when every admin can call the route.
+ * @param {object} route - the route of the request, see the global policy
+ * @param {object} ctx - the context of the request
+ */
+const getRouteRequirement = (route, ctx) => {
+  const { plugin, controller, action } = route;
+
+  if (plugin === 'admin') {
+    const scope = _.get(ADMIN_ROUTES_SCOPES, controller);
+    const actionScope = _.isPlainObject(scope) ? scope[action] : scope;
+
+    return actionScope ? { scope: actionScope } : null;
+  }
+
+  if (plugin === 'content-manager') {
+    if (['updatecontenttype', 'updatecomponent'].includes(action)) {
+      return { scope: 'admin::content-manager.configure-views' };
+    }
+
+    if (controller === 'contentmanager' && _.has(EXPLORER_ACTIONS, action)) {
+      return { contentType: ctx.params.model, action: EXPLORER_ACTIONS[action] };
+    }
+
+    if (controller === 'contentmanager' && UID_ACTIONS.includes(action)) {
+      return { contentType: _.get(ctx.request.body, 'contentTypeUID'), action: 'read' };
+    }
+
+    // The routes which aren't listed are reserved to the super admins.
+    return _.includes(CONTENT_MANAGER_PUBLIC_ROUTES[controller], action)
+      ? null
+      : SUPER_ADMIN_REQUIREMENT;
+  }
+
+  return plugin ? { scope: `plugins::${plugin}` } : getApplicationRouteRequirement(route);
+};
+
+/**
+ * Checks if permissions fulfill a requirement.
+ * The `*` content type gives actions on all the content types of the application.
+ * @param {object} permissions - see getAdminPermissions
+ * @param {object} requirement - see getRouteRequirement
+ * @returns {boolean}
+ */
+const can = (permissions, requirement) => {
+  if (!requirement || permissions.isSuperAdmin) {
+    return true;
+  }
+
+  if (requirement.superAdmin) {
+    return false;
+  }
+
+  if (requirement.scope) {
+    return permissions.scopes.includes(requirement.scope);
+  }
+
+  const { contentType, action } = requirement;
+
+  // The entries of the admin models are managed by the administrators managers.
+  if (_.startsWith(contentType, 'strapi::')) {
+    return permissions.scopes.includes('admin::administrators');
+  }
+
+  const actions = [
+    ..._.get(permissions, ['contentTypes', contentType], []),
+    ...(_.startsWith(contentType, 'application::')
+      ? _.get(permissions, ['contentTypes', '*'], [])
+      : []),
+  ];
+
+  return actions.includes(action);
+};
+
+/**
+ * Returns the permissions of an admin
+ * @param {object} admin
+ * @returns {{ role: object, isSuperAdmin: boolean, scopes: Array<string>, contentTypes: object }}
+ */
+const getAdminPermissions = async admin => {
+  const role = _.get(admin, 'role')
+    ? await strapi.query('role', 'admin').findOne({ id: admin.role })
+    : null;
+
+  if (!role) {
+    return { role: null, isSuperAdmin: false, scopes: [], contentTypes: {} };
+  }
+
+  return {
+    role: _.pick(role, ['id', 'name', 'code']),
+    isSuperAdmin: strapi.admin.services.role.isSuperAdmin(role),
+    scopes: _.get(role, ['permissions', 'scopes'], []),
+    contentTypes: _.get(role, ['permissions', 'contentTypes'], {}),
+  };
+};
+
+/**
+ * Checks if an admin can call the route of a request
+ * @param {object} admin
+ * @param {object} ctx - the context of the request
+ * @returns {boolean}
+ */
+const isAllowed = async (admin, ctx) => {
+  const requirement = getRouteRequirement(ctx.request.route, ctx);
+
+  if (
+    !requirement ||
+    (requirement.contentType && isOwnAdministratorEntry(admin, requirement, ctx))
+  ) {
+    return true;
+  }
+
+  return can(await getAdminPermissions(admin), requirement);
+};
+
+module.exports = {
+  getScopes,
+  getContentTypes,
+  getRouteRequirement,
+  can,
+  getAdminPermissions,
+  isAllowed,
+};
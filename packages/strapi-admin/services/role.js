@@ -0,0 +1,84 @@
+'use strict';
+
+const _ = require('lodash');
+
+const SUPER_ADMIN_CODE = 'strapi-super-admin';
+
+const CONTENT_TYPE_ACTIONS = ['read', 'create', 'update', 'delete'];
+
+const DEFAULT_ROLES = [
+  {
+    name: 'Super Admin',
+    code: SUPER_ADMIN_CODE,
+    description: 'Super Admins can access and manage all the features and settings.',
+    permissions: { scopes: [], contentTypes: {} },
+  },
+  {
+    name: 'Editor',
+    code: 'strapi-editor',
+    description: 'Editors can manage the content and the media library.',
+    permissions: {
+      scopes: ['plugins::upload'],
+      contentTypes: { '*': CONTENT_TYPE_ACTIONS },
+    },
+  },
+];
+
+/**
+ * Checks if a role is the super admin role, which has all the permissions
+ * @param {object} role
+ * @returns {boolean}
+ */
+const isSuperAdmin = role => _.get(role, 'code') === SUPER_ADMIN_CODE;
+
+/**
+ * Returns the super admin role
+ */
+const getSuperAdmin = () => strapi.query('role', 'admin').findOne({ code: SUPER_ADMIN_CODE });
+
+/**
+ * Creates the default roles which don't exist yet
+ */
+const createDefaultRoles = async () => {
+  for (const role of DEFAULT_ROLES) {
+    const existingRole = await strapi.query('role', 'admin').findOne({ code: role.code });
+
+    if (!existingRole) {
+      await strapi.query('role', 'admin').create(role);
+    }
+  }
+};
+
+/**
+ * Gives the super admin role to the administrators without a role
+ */
+const assignSuperAdminToAdministratorsWithoutRole = async () => {
+  const superAdmin = await getSuperAdmin();
+  const admins = await strapi.query('administrator', 'admin').find({ _limit: -1 });
+
+  const adminsWithoutRole = admins.filter(admin => !admin.role);
+
+  for (const admin of adminsWithoutRole) {
+    await strapi
+      .query('administrator', 'admin')
+      .update({ id: admin.id }, { role: String(superAdmin.id) });
+  }
+};
+
+/**
+ * Counts the administrators of a role
+ * @param {object} role
+ * @returns {number}
+ */
+const countAdministrators = role =>
+  strapi.query('administrator', 'admin').count({ role: String(role.id) });
+
+module.exports = {
+  SUPER_ADMIN_CODE,
+  CONTENT_TYPE_ACTIONS,
+  isSuperAdmin,
+  getSuperAdmin,
+  createDefaultRoles,
+  assignSuperAdminToAdministratorsWithoutRole,
+  countAdministrators,
+};
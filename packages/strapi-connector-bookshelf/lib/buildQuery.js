@@ -1,5 +1,9 @@
 const _ = require('lodash');
 const { singular } = require('pluralize');
+const { fields: fieldsUtils } = require('strapi-utils');
+
+// the databases sorting the null values after the other values in ascending order
+const NULLS_LARGEST_CLIENTS = ['pg', 'postgres', 'postgresql', 'oracle', 'oracledb'];
 
 /**
  * Build filters on a bookshelf query
@@ -13,9 +17,17 @@ const buildQuery = ({ model, filters }) => qb => {
     buildJoinsAndFilter(qb, model, filters.where);
   }
 
+  if (_.has(filters, 'cursor')) {
+    buildCursorClause(qb, model, filters);
+  }
+
+  if (_.has(filters, 'fields')) {
+    qb.column(getColumns(model, filters));
+  }
+
   if (_.has(filters, 'sort')) {
     qb.orderBy(
-      filters.sort.map(({ field, order }) => ({
+      getSort(filters).map(({ field, order }) => ({
         column: field,
         order,
       }))
@@ -31,6 +43,92 @@ const buildQuery = ({ model, filters }) => qb => {
   }
 };
 
+/**
+ * Returns the columns to select, relations stored in the table are selected to be populated
+ * @param {Object} model - Bookshelf model
+ * @param {Object} filters - Filters params (fields, sort)
+ */
+const getColumns = (model, filters) => {
+  const isColumn = key => {
+    const attribute = model.allAttributes[key];
+    if (!attribute) return false;
+
+    if (attribute.type) {
+      return !['component', 'dynamiczone'].includes(attribute.type);
+    }
+
+    const assoc = findAssoc(model, key);
+    return _.has(assoc, 'nature') && ['oneToOne', 'manyToOne', 'oneWay'].includes(assoc.nature);
+  };
+
+  return _.uniq([model.primaryKey, ...fieldsUtils.getRootFields(filters).filter(isColumn)]).map(
+    key => `${model.collectionName}.${key}`
+  );
+};
+
+/**
+ * Returns the sort of the query, reversed when fetching the entries before a cursor
+ * @param {Object} filters - Filters params (sort, cursor)
+ */
+const getSort = ({ sort, cursor }) => {
+  if (_.get(cursor, 'direction') !== 'before') {
+    return sort;
+  }
+
+  return sort.map(({ field, order }) => ({
+    field,
+    order: order === 'asc' ? 'desc' : 'asc',
+  }));
+};
+
+/**
+ * Add a where clause keeping the entries after (or before) a cursor
+ * e.g for a sort on (a, b): a > cursor.a OR (a = cursor.a AND b > cursor.b)
+ * The null values are compared the way the database sorts them.
+ * @param {Object} qb - knex query builder
+ * @param {Object} model - Bookshelf model
+ * @param {Object} filters - Filters params (sort, cursor)
+ */
+const buildCursorClause = (qb, model, filters) => {
+  const { values } = filters.cursor;
+  const sort = getSort(filters);
+  const columns = sort.map(({ field }) => `${model.collectionName}.${field}`);
+  const nullsLargest = NULLS_LARGEST_CLIENTS.includes(_.get(qb, 'client.config.client'));
+
+  qb.where(cursorQb => {
+    sort.forEach(({ order }, index) => {
+      const column = columns[index];
+      const value = values[index];
+      const nullsAfter = (order === 'asc') === nullsLargest;
+
+      // no entry is after a null value when the nulls come last
+      if (_.isNil(value) && nullsAfter) {
+        return;
+      }
+
+      cursorQb.orWhere(subQb => {
+        for (let i = 0; i < index; i++) {
+          if (_.isNil(values[i])) {
+            subQb.whereNull(columns[i]);
+          } else {
+            subQb.where(columns[i], values[i]);
+          }
+        }
+
+        if (_.isNil(value)) {
+          subQb.whereNotNull(column);
+        } else if (nullsAfter) {
+          subQb.where(afterQb =>
+            afterQb.where(column, order === 'asc' ? '>' : '<', value).orWhereNull(column)
+          );
+        } else {
+          subQb.where(column, order === 'asc' ? '>' : '<', value);
+        }
+      });
+    });
+  });
+};
+
 /**
  * Add joins and where filters
  * @param {Object} qb - knex query builder
@@ -153,48 +251,67 @@ const buildJoinsAndFilter = (qb, model, whereClauses) => {
    */
   const buildQueryTree = (whereClauses, model, queryTree) => {
     for (let whereClause of whereClauses) {
-      const { field, operator, value } = whereClause;
-      let [key, ...parts] = field.split('.');
-
-      const assoc = findAssoc(model, key);
-
-      // if the key is an attribute add as where clause
-      if (!assoc) {
-        queryTree.where.push({
-          field: `${queryTree.alias}.${key}`,
-          operator,
-          value,
-        });
-        continue;
-      }
+      queryTree.where.push(buildTreeWhereClause(whereClause, model, queryTree));
+    }
 
-      const assocModel = findModelByAssoc(assoc);
+    return queryTree;
+  };
 
-      // if the last part of the path is an association
-      // add the primary key of the model to the parts
-      if (parts.length === 0) {
-        parts = [assocModel.primaryKey];
-      }
+  /**
+   * Adds the joins a where clause needs to the query tree
+   * and returns the where clause with an aliased field
+   * @param {Object} whereClause - Strapi where clause
+   * @param {Object} model - Strapi model
+   * @param {Object} queryTree - queryTree
+   */
+  const buildTreeWhereClause = (whereClause, model, queryTree) => {
+    const { field, operator, value } = whereClause;
 
-      // init sub query tree
-      if (!queryTree.children[key]) {
-        queryTree.children[key] = createTreeNode(assocModel, assoc);
-      }
+    // or / and groups contain lists of where clauses
+    if (isGroupClause(whereClause)) {
+      return {
+        operator,
+        value: value.map(clauses =>
+          clauses.map(clause => buildTreeWhereClause(clause, model, queryTree))
+        ),
+      };
+    }
 
-      buildQueryTree(
-        [
-          {
-            field: parts.join('.'),
-            operator,
-            value,
-          },
-        ],
-        assocModel,
-        queryTree.children[key]
-      );
+    let [key, ...parts] = field.split('.');
+
+    const assoc = findAssoc(model, key);
+
+    // if the key is an attribute add as where clause
+    if (!assoc) {
+      return {
+        field: `${queryTree.alias}.${key}`,
+        operator,
+        value,
+      };
     }
 
-    return queryTree;
+    const assocModel = findModelByAssoc(assoc);
+
+    // if the last part of the path is an association
+    // add the primary key of the model to the parts
+    if (parts.length === 0) {
+      parts = [assocModel.primaryKey];
+    }
+
+    // init sub query tree
+    if (!queryTree.children[key]) {
+      queryTree.children[key] = createTreeNode(assocModel, assoc);
+    }
+
+    return buildTreeWhereClause(
+      {
+        field: parts.join('.'),
+        operator,
+        value,
+      },
+      assocModel,
+      queryTree.children[key]
+    );
   };
 
   const root = buildQueryTree(whereClauses, model, {
@@ -217,7 +334,23 @@ const buildJoinsAndFilter = (qb, model, whereClauses) => {
  * @param {Object} options.value - Filter value
  */
 const buildWhereClause = ({ qb, field, operator, value }) => {
-  if (Array.isArray(value) && !['in', 'nin'].includes(operator)) {
+  if (operator === 'or') {
+    return qb.where(subQb => {
+      for (let clauses of value) {
+        subQb.orWhere(q => clauses.forEach(clause => buildWhereClause({ qb: q, ...clause })));
+      }
+    });
+  }
+
+  if (operator === 'and') {
+    return qb.where(subQb => {
+      for (let clauses of value) {
+        subQb.where(q => clauses.forEach(clause => buildWhereClause({ qb: q, ...clause })));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && !['in', 'nin', 'between'].includes(operator)) {
     return qb.where(subQb => {
       for (let val of value) {
         subQb.orWhere(q => buildWhereClause({ qb: q, field, operator, value: val }));
@@ -253,12 +386,68 @@ const buildWhereClause = ({ qb, field, operator, value }) => {
     case 'null': {
       return value ? qb.whereNull(field) : qb.whereNotNull(field);
     }
+    case 'notNull': {
+      return value ? qb.whereNotNull(field) : qb.whereNull(field);
+    }
+    case 'between':
+      return qb.whereBetween(field, value);
+    case 'startsWith':
+      return qb.whereRaw(`LOWER(??) LIKE LOWER(?) ESCAPE '${LIKE_ESCAPE}'`, [
+        field,
+        `${escapeLike(qb, value)}%`,
+      ]);
+    case 'endsWith':
+      return qb.whereRaw(`LOWER(??) LIKE LOWER(?) ESCAPE '${LIKE_ESCAPE}'`, [
+        field,
+        `%${escapeLike(qb, value)}`,
+      ]);
+    case 'regex':
+      return buildRegexClause({ qb, field, value });
 
     default:
       throw new Error(`Unhandled whereClause : ${field} ${operator} ${value}`);
   }
 };
 
+// a character escaped the same way in the string literals of all the databases
+const LIKE_ESCAPE = '!';
+
+/**
+ * Escapes the wildcards of a value matched with LIKE, MSSQL also has character ranges (e.g [a-z])
+ * @param {Object} qb - Bookshelf (knex) query builder
+ * @param {*} value - the matched value
+ */
+const escapeLike = (qb, value) => {
+  const wildcards = _.get(qb, 'client.config.client') === 'mssql' ? /[!%_[]/g : /[!%_]/g;
+
+  return String(value).replace(wildcards, char => `${LIKE_ESCAPE}${char}`);
+};
+
+/**
+ * Builds a sql regular expression match, the syntax of the expression is the one of the database
+ * @param {Object} options - Options
+ * @param {Object} options.qb - Bookshelf (knex) query builder
+ * @param {Object} options.field - Filtered field
+ * @param {Object} options.value - Regular expression
+ */
+const buildRegexClause = ({ qb, field, value }) => {
+  const client = _.get(qb, 'client.config.client');
+
+  switch (client) {
+    case 'pg':
+      return qb.whereRaw('?? ~ ?', [field, value]);
+    case 'mysql':
+    case 'mysql2':
+    case 'mariasql':
+      return qb.whereRaw('?? REGEXP ?', [field, value]);
+    default: {
+      const err = new Error(`The regex filter isn't supported by the ${client} database client`);
+      err.status = 400;
+      throw err;
+    }
+  }
+};
+
 /**
  * Returns a Bookshelf model based on a model association
  * @param {Object} assoc - A strapi association
@@ -268,6 +457,8 @@ const findModelByAssoc = assoc => {
   return models[assoc.collection || assoc.model];
 };
 
+const isGroupClause = ({ operator }) => ['or', 'and'].includes(operator);
+
 const findAssoc = (model, key) => model.associations.find(assoc => assoc.alias === key);
 
 module.exports = buildQuery;
@@ -133,9 +133,24 @@ module.exports = function(strapi) {
     );
   }
 
+  /**
+   * Runs fn in a knex transaction of the connection.
+   * Like the queries, fn runs without a transaction on mssql
+   */
+  async function transaction(fn, { connection = defaults.defaultConnection } = {}) {
+    const db = strapi.connections[connection];
+
+    if (_.get(db, 'context.client.config.client') === 'mssql') {
+      return fn();
+    }
+
+    return db.transaction(trx => fn(trx));
+  }
+
   return {
     defaults,
     initialize,
+    transaction,
     getQueryParams,
     buildQuery,
     queries,
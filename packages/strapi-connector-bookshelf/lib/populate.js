@@ -137,6 +137,9 @@ const populateComponent = (key, attr, { prefix = '' } = {}) => {
 const formatPopulateOptions = (definition, withRelated) => {
   if (!Array.isArray(withRelated)) withRelated = [withRelated];
 
+  // components of the populated relations
+  let relationComponents = [];
+
   const obj = withRelated.reduce((acc, key) => {
     if (_.isString(key)) {
       acc[key] = () => {};
@@ -189,13 +192,15 @@ const formatPopulateOptions = (definition, withRelated) => {
 
       newKey = `${prefix}${part}`;
       prefix = `${newKey}.`;
+
+      relationComponents = relationComponents.concat(populateComponents(tmpModel, { prefix }));
     }
 
     acc[newKey] = obj[key];
     return acc;
   }, {});
 
-  return [finalObj];
+  return [finalObj, ..._.uniqWith(relationComponents, _.isEqual)];
 };
 
 const formatPolymorphicPopulate = ({ assoc, prefix = '' }) => {
@@ -4,7 +4,12 @@
  */
 
 const _ = require('lodash');
-const { convertRestQueryParams, buildQuery, models: modelUtils } = require('strapi-utils');
+const {
+  convertRestQueryParams,
+  buildQuery,
+  fields: fieldsUtils,
+  models: modelUtils,
+} = require('strapi-utils');
 
 module.exports = function createQueryBuilder({ model, modelKey, strapi }) {
   /* Utils */
@@ -57,23 +62,41 @@ module.exports = function createQueryBuilder({ model, modelKey, strapi }) {
    */
   function find(params, populate, { transacting } = {}) {
     const filters = convertRestQueryParams(params);
+    const hasFields = _.has(filters, 'fields');
+
+    // the _populate param replaces the default populate
+    const populatePaths = _.has(filters, 'populate') ? filters.populate : populate;
 
     return model
       .query(buildQuery({ model, filters }))
       .fetchAll({
-        withRelated: populate,
+        // only populate the selected relations
+        withRelated: hasFields
+          ? fieldsUtils.getPopulate({ model, filters, populate: populatePaths })
+          : populatePaths,
         transacting,
       })
-      .then(results => results.toJSON());
+      .then(results => results.toJSON())
+      .then(results =>
+        // entries before a cursor are fetched in the reverse order
+        _.get(filters, ['cursor', 'direction']) === 'before' ? results.reverse() : results
+      )
+      .then(results =>
+        hasFields
+          ? results.map(result =>
+              fieldsUtils.pickFields(result, filters, { primaryKey: model.primaryKey })
+            )
+          : results
+      );
   }
 
   /**
    * Count entries based on filters
    */
-  function count(params = {}) {
+  function count(params = {}, { transacting } = {}) {
     const { where } = convertRestQueryParams(params);
 
-    return model.query(buildQuery({ model, filters: { where } })).count();
+    return model.query(buildQuery({ model, filters: { where } })).count({ transacting });
   }
 
   async function create(values, { transacting } = {}) {
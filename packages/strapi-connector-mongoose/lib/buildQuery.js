@@ -1,6 +1,7 @@
 'use strict';
 
 const _ = require('lodash');
+const { fields: fieldsUtils } = require('strapi-utils');
 const utils = require('./utils')();
 
 /**
@@ -10,22 +11,24 @@ const utils = require('./utils')();
  * @param {Object} options.filers - An object with the possible filters (start, limit, sort, where)
  * @param {Object} options.populate - An array of paths to populate
  * @param {boolean} options.aggregate - Force aggregate function to use group by feature
+ * @param {Object} options.session - A mongoose session to run the query in
  */
 const buildQuery = ({
   model,
   filters = {},
   populate = [],
   aggregate = false,
+  session,
 } = {}) => {
-  const deepFilters = (filters.where || []).filter(
+  const deepFilters = getLeafClauses(filters.where || []).filter(
     ({ field }) => field.split('.').length > 1
   );
 
   if (deepFilters.length === 0 && aggregate === false) {
-    return buildSimpleQuery({ model, filters, populate });
+    return buildSimpleQuery({ model, filters, populate, session });
   }
 
-  return buildDeepQuery({ model, filters, populate });
+  return buildDeepQuery({ model, filters, populate, session });
 };
 
 /**
@@ -34,15 +37,24 @@ const buildQuery = ({
  * @param {Object} options.model - The model you are querying
  * @param {Object} options.filers - An object with the possible filters (start, limit, sort, where)
  * @param {Object} options.populate - An array of paths to populate
+ * @param {Object} options.session - A mongoose session to run the query in
  */
-const buildSimpleQuery = ({ model, filters, populate }) => {
+const buildSimpleQuery = ({ model, filters, populate, session }) => {
   const { where = [] } = filters;
 
   const wheres = where.map(buildWhereClause);
+
+  if (_.has(filters, 'cursor')) {
+    wheres.push(buildCursorClause(filters));
+  }
+
   const findCriteria = wheres.length > 0 ? { $and: wheres } : {};
 
-  let query = model.find(findCriteria).populate(populate);
-  query = applyQueryParams({ query, filters });
+  let query = model
+    .find(findCriteria)
+    .populate(formatPopulate(populate))
+    .session(session);
+  query = applyQueryParams({ model, query, filters });
 
   return Object.assign(query, {
     // Override count to use countDocuments on simple find query
@@ -58,8 +70,9 @@ const buildSimpleQuery = ({ model, filters, populate }) => {
  * @param {Object} options.model - The model you are querying
  * @param {Object} options.filers - An object with the possible filters (start, limit, sort, where)
  * @param {Object} options.populate - An array of paths to populate
+ * @param {Object} options.session - A mongoose session to run the query in
  */
-const buildDeepQuery = ({ model, filters, populate }) => {
+const buildDeepQuery = ({ model, filters, populate, session }) => {
   // Build a tree of paths to populate based on the filtering and the populate option
   const { populatePaths, wherePaths } = computePopulatedPaths({
     model,
@@ -74,7 +87,8 @@ const buildDeepQuery = ({ model, filters, populate }) => {
         paths: _.merge({}, populatePaths, wherePaths),
       })
     )
-    .append(buildQueryMatches(model, filters));
+    .append(buildQueryMatches(model, filters))
+    .session(session);
 
   return {
     /**
@@ -95,9 +109,10 @@ const buildDeepQuery = ({ model, filters, populate }) => {
                 $in: ids,
               },
             })
-            .populate(populate);
+            .populate(formatPopulate(populate))
+            .session(session);
 
-          return applyQueryParams({ query, filters });
+          return applyQueryParams({ model, query, filters });
         })
         .then(...args);
     },
@@ -134,13 +149,14 @@ const buildDeepQuery = ({ model, filters, populate }) => {
 /**
  * Apply sort limit and start params
  * @param {Object} options - Options
+ * @param {Object} options.model - The model you are querying
  * @param {Object} options.query - Mongoose query
  * @param {Object} options.filters - Filters object
  */
-const applyQueryParams = ({ query, filters }) => {
+const applyQueryParams = ({ model, query, filters }) => {
   // Apply sort param
   if (_.has(filters, 'sort')) {
-    const sortFilter = filters.sort.reduce((acc, sort) => {
+    const sortFilter = getSort(filters).reduce((acc, sort) => {
       const { field, order } = sort;
       acc[field] = order === 'asc' ? 1 : -1;
       return acc;
@@ -159,9 +175,80 @@ const applyQueryParams = ({ query, filters }) => {
     query = query.limit(filters.limit);
   }
 
+  // Apply fields param
+  if (_.has(filters, 'fields')) {
+    query = query.select(getProjection(model, filters));
+  }
+
   return query;
 };
 
+/**
+ * Returns the projection selecting the fields of the filters
+ * @param {Object} model - The model you are querying
+ * @param {Object} filters - Filters object
+ */
+const getProjection = (model, filters) => {
+  return fieldsUtils
+    .getRootFields(filters)
+    .filter(key => _.has(model.allAttributes, key))
+    .reduce((acc, key) => _.set(acc, key, 1), {});
+};
+
+/**
+ * Returns the sort of the query, reversed when fetching the entries before a cursor
+ * @param {Object} filters - Filters object
+ */
+const getSort = ({ sort, cursor }) => {
+  if (_.get(cursor, 'direction') !== 'before') {
+    return sort;
+  }
+
+  return sort.map(({ field, order }) => ({
+    field,
+    order: order === 'asc' ? 'desc' : 'asc',
+  }));
+};
+
+/**
+ * Builds a match keeping the entries after (or before) a cursor
+ * e.g for a sort on (a, b): a > cursor.a OR (a = cursor.a AND b > cursor.b)
+ * MongoDB sorts the null values before the other values in ascending order.
+ * @param {Object} filters - Filters object
+ */
+const buildCursorClause = filters => {
+  const values = filters.cursor.values.map(formatValue);
+  const sort = getSort(filters);
+
+  const clauses = sort.reduce((acc, { field, order }, index) => {
+    const value = values[index];
+    const nullsAfter = order === 'desc';
+
+    // no entry is after a null value when the nulls come last
+    if (_.isNil(value) && nullsAfter) {
+      return acc;
+    }
+
+    const equalities = sort
+      .slice(0, index)
+      .map((sortKey, i) => ({ [sortKey.field]: _.isNil(values[i]) ? null : values[i] }));
+
+    let comparison;
+    if (_.isNil(value)) {
+      comparison = { [field]: { $ne: null } };
+    } else if (nullsAfter) {
+      comparison = { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    } else {
+      comparison = { [field]: { $gt: value } };
+    }
+
+    return acc.concat({ $and: equalities.concat(comparison) });
+  }, []);
+
+  // the cursor is the last entry when all the sort values are null
+  return clauses.length > 0 ? { $or: clauses } : { _id: null };
+};
+
 /**
  * Returns a tree of the paths to populate both for population and deep filtering purposes
  * @param {Object} options - Options
@@ -188,7 +275,7 @@ const computePopulatedPaths = ({ model, populate = [], where = [] }) => {
     })
     .reduce((acc, paths) => acc.concat(paths), []);
 
-  const castedWherePaths = where
+  const castedWherePaths = getLeafClauses(where)
     .map(({ field }) => findModelPath({ rootModel: model, path: field }))
     .filter(path => !!path);
 
@@ -198,6 +285,26 @@ const computePopulatedPaths = ({ model, populate = [], where = [] }) => {
   };
 };
 
+/**
+ * Converts the populate paths to mongoose populate options, nested paths are populated level by level
+ * e.g ['author', 'comments.author'] => ['author', { path: 'comments', populate: [{ path: 'author' }] }]
+ * @param {Array} populate - Paths to populate
+ */
+const formatPopulate = populate => {
+  const [paths, options] = _.partition(populate, el => _.isString(el) || Array.isArray(el));
+
+  const treeToPopulate = tree =>
+    Object.keys(tree).map(key =>
+      _.isEmpty(tree[key])
+        ? key
+        : { path: key, populate: treeToPopulate(tree[key]) }
+    );
+
+  const populatePaths = paths.map(el => (Array.isArray(el) ? el.join('.') : el));
+
+  return treeToPopulate(pathsToTree(populatePaths)).concat(options);
+};
+
 /**
  * Builds an object based on paths:
  * [
@@ -353,15 +460,21 @@ const buildLookupMatch = ({ assoc }) => {
  * @param {Object} filters - Filters object
  */
 const buildQueryMatches = (model, filters) => {
+  const matches = [];
+
   if (_.has(filters, 'where') && Array.isArray(filters.where)) {
-    return filters.where.map(whereClause => {
-      return {
+    filters.where.forEach(whereClause => {
+      matches.push({
         $match: buildWhereClause(formatWhereClause(model, whereClause)),
-      };
+      });
     });
   }
 
-  return [];
+  if (_.has(filters, 'cursor')) {
+    matches.push({ $match: buildCursorClause(filters) });
+  }
+
+  return matches;
 };
 
 /**
@@ -378,7 +491,15 @@ const formatValue = value => utils.valueToId(value);
  * @param {*} options.value - Where clause alue
  */
 const buildWhereClause = ({ field, operator, value }) => {
-  if (Array.isArray(value) && !['in', 'nin'].includes(operator)) {
+  if (isGroupClause({ operator })) {
+    return {
+      [`$${operator}`]: value.map(clauses => ({
+        $and: clauses.map(buildWhereClause),
+      })),
+    };
+  }
+
+  if (Array.isArray(value) && !['in', 'nin', 'between'].includes(operator)) {
     return {
       $or: value.map(val => buildWhereClause({ field, operator, value: val })),
     };
@@ -440,6 +561,33 @@ const buildWhereClause = ({ field, operator, value }) => {
     case 'null': {
       return value ? { [field]: { $eq: null } } : { [field]: { $ne: null } };
     }
+    case 'notNull': {
+      return value ? { [field]: { $ne: null } } : { [field]: { $eq: null } };
+    }
+    case 'between': {
+      const [min, max] = val;
+      return { [field]: { $gte: min, $lte: max } };
+    }
+    case 'startsWith':
+      return {
+        [field]: {
+          $regex: `^${_.escapeRegExp(val)}`,
+          $options: 'i',
+        },
+      };
+    case 'endsWith':
+      return {
+        [field]: {
+          $regex: `${_.escapeRegExp(val)}$`,
+          $options: 'i',
+        },
+      };
+    case 'regex':
+      return {
+        [field]: {
+          $regex: `${val}`,
+        },
+      };
 
     default:
       throw new Error(`Unhandled whereClause : ${field} ${operator} ${value}`);
@@ -455,6 +603,16 @@ const buildWhereClause = ({ field, operator, value }) => {
  * @param {*} whereClause.value - Where clause alue
  */
 const formatWhereClause = (model, { field, operator, value }) => {
+  if (isGroupClause({ operator })) {
+    return {
+      field,
+      operator,
+      value: value.map(clauses =>
+        clauses.map(clause => formatWhereClause(model, clause))
+      ),
+    };
+  }
+
   const { assoc, model: assocModel } = getAssociationFromFieldKey(model, field);
 
   const shouldFieldBeSuffixed =
@@ -470,6 +628,17 @@ const formatWhereClause = (model, { field, operator, value }) => {
   };
 };
 
+const isGroupClause = ({ operator }) => ['or', 'and'].includes(operator);
+
+/**
+ * Returns the where clauses with a field, looking into the or / and groups
+ * @param {Array} clauses - Where clauses
+ */
+const getLeafClauses = clauses =>
+  _.flatMap(clauses, clause =>
+    isGroupClause(clause) ? _.flatMap(clause.value, getLeafClauses) : [clause]
+  );
+
 /**
  * Returns an association from a path starting from model
  * @param {Object} model - Mongoose model
@@ -192,9 +192,71 @@ module.exports = function(strapi) {
     );
   }
 
+  const transactionSupport = new Map();
+
+  /**
+   * Transactions are only available on replica sets and sharded clusters
+   */
+  function supportsTransactions(connectionName) {
+    if (!transactionSupport.has(connectionName)) {
+      const instance = strapi.connections[connectionName];
+
+      const support = instance.connection.db
+        .admin()
+        .command({ isMaster: 1 })
+        .then(({ setName, msg }) => {
+          const isSupported = !_.isNil(setName) || msg === 'isdbgrid';
+
+          if (!isSupported) {
+            strapi.log.warn(
+              `The connection ${connectionName} is a standalone MongoDB server which doesn't support transactions. Writes will not be rolled back on failure.`
+            );
+          }
+
+          return isSupported;
+        });
+
+      transactionSupport.set(connectionName, support);
+    }
+
+    return transactionSupport.get(connectionName);
+  }
+
+  /**
+   * Runs fn in a transaction of the connection, fn receives the mongoose session
+   */
+  async function transaction(
+    fn,
+    { connection = defaults.defaultConnection } = {}
+  ) {
+    if (!(await supportsTransactions(connection))) {
+      return fn();
+    }
+
+    const session = await strapi.connections[connection].startSession();
+
+    try {
+      session.startTransaction();
+
+      let result;
+      try {
+        result = await fn(session);
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      }
+
+      await session.commitTransaction();
+      return result;
+    } finally {
+      session.endSession();
+    }
+  }
+
   return {
     defaults,
     initialize,
+    transaction,
     getQueryParams,
     buildQuery,
     queries,
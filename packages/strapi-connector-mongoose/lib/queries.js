@@ -4,7 +4,12 @@
  */
 
 const _ = require('lodash');
-const { convertRestQueryParams, buildQuery, models: modelUtils } = require('strapi-utils');
+const {
+  convertRestQueryParams,
+  buildQuery,
+  fields: fieldsUtils,
+  models: modelUtils,
+} = require('strapi-utils');
 
 const { findComponentByGlobalId } = require('./utils/helpers');
 
@@ -31,7 +36,7 @@ module.exports = ({ model, modelKey, strapi }) => {
     return _.omit(values, excludedKeys);
   };
 
-  async function createComponents(entry, values) {
+  async function createComponents(entry, values, { transacting } = {}) {
     if (componentKeys.length === 0) return;
 
     for (let key of componentKeys) {
@@ -57,7 +62,7 @@ module.exports = ({ model, modelKey, strapi }) => {
           validateRepeatableInput(componentValue, { key, ...attr });
           const components = await Promise.all(
             componentValue.map(value => {
-              return strapi.query(component).create(value);
+              return strapi.query(component).create(value, { transacting });
             })
           );
 
@@ -67,19 +72,21 @@ module.exports = ({ model, modelKey, strapi }) => {
           }));
 
           entry[key] = componentsArr;
-          await entry.save();
+          await entry.save({ session: transacting });
         } else {
           validateNonRepeatableInput(componentValue, { key, ...attr });
           if (componentValue === null) continue;
 
-          const componentEntry = await strapi.query(component).create(componentValue);
+          const componentEntry = await strapi
+            .query(component)
+            .create(componentValue, { transacting });
           entry[key] = [
             {
               kind: componentModel.globalId,
               ref: componentEntry.id,
             },
           ];
-          await entry.save();
+          await entry.save({ session: transacting });
         }
       }
 
@@ -103,7 +110,7 @@ module.exports = ({ model, modelKey, strapi }) => {
             const component = value.__component;
             return strapi
               .query(component)
-              .create(value)
+              .create(value, { transacting })
               .then(entity => {
                 return {
                   __component: value.__component,
@@ -123,12 +130,12 @@ module.exports = ({ model, modelKey, strapi }) => {
         });
 
         entry[key] = componentsArr;
-        await entry.save();
+        await entry.save({ session: transacting });
       }
     }
   }
 
-  async function updateComponents(entry, values) {
+  async function updateComponents(entry, values, { transacting } = {}) {
     if (componentKeys.length === 0) return;
 
     const updateOrCreateComponent = async ({ componentUID, value }) => {
@@ -139,10 +146,11 @@ module.exports = ({ model, modelKey, strapi }) => {
           {
             [query.model.primaryKey]: getPK(value, query.model),
           },
-          value
+          value,
+          { transacting }
         );
       }
-      return query.create(value);
+      return query.create(value, { transacting });
     };
 
     for (let key of componentKeys) {
@@ -164,6 +172,7 @@ module.exports = ({ model, modelKey, strapi }) => {
           await deleteOldComponents(entry, componentValue, {
             key,
             componentModel,
+            transacting,
           });
 
           const components = await Promise.all(
@@ -175,13 +184,14 @@ module.exports = ({ model, modelKey, strapi }) => {
           }));
 
           entry[key] = componentsArr;
-          await entry.save();
+          await entry.save({ session: transacting });
         } else {
           validateNonRepeatableInput(componentValue, { key, ...attr });
 
           await deleteOldComponents(entry, componentValue, {
             key,
             componentModel,
+            transacting,
           });
 
           if (componentValue === null) continue;
@@ -197,7 +207,7 @@ module.exports = ({ model, modelKey, strapi }) => {
               ref: component.id,
             },
           ];
-          await entry.save();
+          await entry.save({ session: transacting });
         }
       }
 
@@ -208,6 +218,7 @@ module.exports = ({ model, modelKey, strapi }) => {
 
         await deleteDynamicZoneOldComponents(entry, dynamiczoneValues, {
           key,
+          transacting,
         });
 
         const dynamiczones = await Promise.all(
@@ -232,13 +243,13 @@ module.exports = ({ model, modelKey, strapi }) => {
         });
 
         entry[key] = componentsArr;
-        await entry.save();
+        await entry.save({ session: transacting });
       }
     }
     return;
   }
 
-  async function deleteDynamicZoneOldComponents(entry, values, { key }) {
+  async function deleteDynamicZoneOldComponents(entry, values, { key, transacting }) {
     const idsToKeep = values.reduce((acc, value) => {
       const component = value.__component;
       const componentModel = strapi.components[component];
@@ -296,13 +307,13 @@ module.exports = ({ model, modelKey, strapi }) => {
         Object.keys(deleteMap).map(componentUID => {
           return strapi
             .query(componentUID)
-            .delete({ [`${model.primaryKey}_in`]: deleteMap[componentUID] });
+            .delete({ [`${model.primaryKey}_in`]: deleteMap[componentUID] }, { transacting });
         })
       );
     }
   }
 
-  async function deleteOldComponents(entry, componentValue, { key, componentModel }) {
+  async function deleteOldComponents(entry, componentValue, { key, componentModel, transacting }) {
     const componentArr = Array.isArray(componentValue) ? componentValue : [componentValue];
 
     const idsToKeep = componentArr
@@ -331,11 +342,13 @@ module.exports = ({ model, modelKey, strapi }) => {
     }, []);
 
     if (idsToDelete.length > 0) {
-      await strapi.query(componentModel.uid).delete({ [`${model.primaryKey}_in`]: idsToDelete });
+      await strapi
+        .query(componentModel.uid)
+        .delete({ [`${model.primaryKey}_in`]: idsToDelete }, { transacting });
     }
   }
 
-  async function deleteComponents(entry) {
+  async function deleteComponents(entry, { transacting } = {}) {
     if (componentKeys.length === 0) return;
 
     for (let key of componentKeys) {
@@ -350,7 +363,7 @@ module.exports = ({ model, modelKey, strapi }) => {
           const idsToDelete = entry[key].map(el => el.ref);
           await strapi
             .query(componentModel.uid)
-            .delete({ [`${model.primaryKey}_in`]: idsToDelete });
+            .delete({ [`${model.primaryKey}_in`]: idsToDelete }, { transacting });
         }
       }
 
@@ -373,9 +386,12 @@ module.exports = ({ model, modelKey, strapi }) => {
 
           await Promise.all(
             Object.keys(deleteMap).map(componentUID => {
-              return strapi.query(componentUID).delete({
-                [`${model.primaryKey}_in`]: deleteMap[componentUID],
-              });
+              return strapi.query(componentUID).delete(
+                {
+                  [`${model.primaryKey}_in`]: deleteMap[componentUID],
+                },
+                { transacting }
+              );
             })
           );
         }
@@ -383,51 +399,75 @@ module.exports = ({ model, modelKey, strapi }) => {
     }
   }
 
-  function find(params, populate) {
-    const populateOpt = populate || defaultPopulate;
-
+  function find(params, populate, { transacting } = {}) {
     const filters = convertRestQueryParams(params);
+    const hasFields = _.has(filters, 'fields');
+
+    // the _populate param replaces the default populate
+    const populatePaths = _.has(filters, 'populate') ? filters.populate : populate;
+
+    // only populate the selected relations
+    const populateOpt = hasFields
+      ? fieldsUtils.getPopulate({ model, filters, populate: populatePaths })
+      : populatePaths || defaultPopulate;
 
     return buildQuery({
       model,
       filters,
       populate: populateOpt,
-    }).then(results => results.map(result => (result ? result.toObject() : null)));
+      session: transacting,
+    })
+      .then(results => results.map(result => (result ? result.toObject() : null)))
+      .then(results =>
+        // entries before a cursor are fetched in the reverse order
+        _.get(filters, ['cursor', 'direction']) === 'before' ? results.reverse() : results
+      )
+      .then(results =>
+        hasFields
+          ? results.map(result =>
+              fieldsUtils.pickFields(result, filters, { primaryKey: model.primaryKey })
+            )
+          : results
+      );
   }
 
-  async function findOne(params, populate) {
-    const entries = await find({ ...params, _limit: 1 }, populate);
+  async function findOne(params, populate, { transacting } = {}) {
+    const entries = await find({ ...params, _limit: 1 }, populate, { transacting });
     return entries[0] || null;
   }
 
-  function count(params) {
+  function count(params, { transacting } = {}) {
     const filters = convertRestQueryParams(params);
 
     return buildQuery({
       model,
       filters: { where: filters.where },
+      session: transacting,
     }).count();
   }
 
-  async function create(values) {
+  async function create(values, { transacting } = {}) {
     // Extract values related to relational data.
     const relations = pickRelations(values);
     const data = omitExernalValues(values);
 
     // Create entry with no-relational data.
-    const entry = await model.create(data);
+    const [entry] = await model.create([data], { session: transacting });
 
-    await createComponents(entry, values);
+    await createComponents(entry, values, { transacting });
 
     // Create relational data and return the entry.
-    return model.updateRelations({
-      [model.primaryKey]: getPK(entry, model),
-      values: relations,
-    });
+    return model.updateRelations(
+      {
+        [model.primaryKey]: getPK(entry, model),
+        values: relations,
+      },
+      { transacting }
+    );
   }
 
-  async function update(params, values) {
-    const entry = await model.findOne(params);
+  async function update(params, values, { transacting } = {}) {
+    const entry = await model.findOne(params).session(transacting);
 
     if (!entry) {
       const err = new Error('entry.notFound');
@@ -440,30 +480,30 @@ module.exports = ({ model, modelKey, strapi }) => {
     const data = omitExernalValues(values);
 
     // update components first in case it fails don't update the entity
-    await updateComponents(entry, values);
+    await updateComponents(entry, values, { transacting });
     // Update entry with no-relational data.
-    await entry.updateOne(data);
+    await entry.updateOne(data, { session: transacting });
 
     // Update relational data and return the entry.
-    return model.updateRelations(Object.assign(params, { values: relations }));
+    return model.updateRelations(Object.assign(params, { values: relations }), { transacting });
   }
 
-  async function deleteMany(params) {
+  async function deleteMany(params, { transacting } = {}) {
     if (params[model.primaryKey]) {
-      const entries = await find({ ...params, _limit: 1 });
+      const entries = await find({ ...params, _limit: 1 }, null, { transacting });
       if (entries.length > 0) {
-        return deleteOne(entries[0][model.primaryKey]);
+        return deleteOne(entries[0][model.primaryKey], { transacting });
       }
       return null;
     }
 
-    const entries = await find(params);
-    return Promise.all(entries.map(entry => deleteOne(entry[model.primaryKey])));
+    const entries = await find(params, null, { transacting });
+    return Promise.all(entries.map(entry => deleteOne(entry[model.primaryKey], { transacting })));
   }
 
-  async function deleteOne(id) {
+  async function deleteOne(id, { transacting } = {}) {
     const entry = await model
-      .findOneAndRemove({ [model.primaryKey]: id })
+      .findOneAndRemove({ [model.primaryKey]: id }, { session: transacting })
       .populate(defaultPopulate);
 
     if (!entry) {
@@ -472,7 +512,7 @@ module.exports = ({ model, modelKey, strapi }) => {
       throw err;
     }
 
-    await deleteComponents(entry);
+    await deleteComponents(entry, { transacting });
 
     await Promise.all(
       model.associations.map(async association => {
@@ -494,7 +534,7 @@ module.exports = ({ model, modelKey, strapi }) => {
           ? strapi.plugins[association.plugin].models[association.model || association.collection]
           : strapi.models[association.model || association.collection];
 
-        return model.updateMany(search, update);
+        return model.updateMany(search, update, { session: transacting });
       })
     );
 
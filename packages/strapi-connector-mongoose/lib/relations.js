@@ -22,13 +22,15 @@ const getModel = function(model, plugin) {
 const removeUndefinedKeys = obj => _.pickBy(obj, _.negate(_.isUndefined));
 
 module.exports = {
-  update: async function(params) {
+  update: async function(params, { transacting } = {}) {
     const relationUpdates = [];
     const populate = this.associations.map(x => x.alias);
     const primaryKeyValue = getValuePrimaryKey(params, this.primaryKey);
+    const options = { session: transacting };
 
     const entry = await this.findOne({ [this.primaryKey]: primaryKeyValue })
       .populate(populate)
+      .session(transacting)
       .lean();
 
     // Only update fields which are on this document.
@@ -77,7 +79,8 @@ module.exports = {
                           assocModel.primaryKey
                         ),
                       },
-                      { [details.via]: null }
+                      { [details.via]: null },
+                      options
                     );
 
                     relationUpdates.push(updatePromise);
@@ -87,7 +90,8 @@ module.exports = {
                   // set old relations to null
                   const updateLink = this.updateOne(
                     { [attribute]: new mongoose.Types.ObjectId(newValue) },
-                    { [attribute]: null }
+                    { [attribute]: null },
+                    options
                   ).then(() => {
                     return assocModel.updateOne(
                       {
@@ -95,7 +99,8 @@ module.exports = {
                           newValue
                         ),
                       },
-                      { [details.via]: primaryKeyValue }
+                      { [details.via]: primaryKeyValue },
+                      options
                     );
                   });
 
@@ -129,7 +134,8 @@ module.exports = {
                           ),
                         },
                       },
-                      { [details.via]: null }
+                      { [details.via]: null },
+                      options
                     )
                     .then(() => {
                       return assocModel.updateMany(
@@ -143,7 +149,8 @@ module.exports = {
                             ),
                           },
                         },
-                        { [details.via]: primaryKeyValue }
+                        { [details.via]: primaryKeyValue },
+                        options
                       );
                     });
 
@@ -187,7 +194,8 @@ module.exports = {
                             primaryKeyValue
                           ),
                         },
-                      }
+                      },
+                      options
                     )
                     .then(() => {
                       return assocModel.updateMany(
@@ -205,7 +213,8 @@ module.exports = {
                         },
                         {
                           $addToSet: { [association.via]: [primaryKeyValue] },
-                        }
+                        },
+                        options
                       );
                     });
 
@@ -220,14 +229,18 @@ module.exports = {
                     const refModel = strapi.getModel(obj.ref, obj.source);
 
                     const createRelation = () => {
-                      return module.exports.addRelationMorph.call(this, {
-                        id: entry[this.primaryKey],
-                        alias: association.alias,
-                        ref: obj.kind || refModel.globalId,
-                        refId: new mongoose.Types.ObjectId(obj.refId),
-                        field: obj.field,
-                        filter: association.filter,
-                      });
+                      return module.exports.addRelationMorph.call(
+                        this,
+                        {
+                          id: entry[this.primaryKey],
+                          alias: association.alias,
+                          ref: obj.kind || refModel.globalId,
+                          refId: new mongoose.Types.ObjectId(obj.refId),
+                          field: obj.field,
+                          filter: association.filter,
+                        },
+                        { transacting }
+                      );
                     };
 
                     // Clear relations to refModel
@@ -240,13 +253,17 @@ module.exports = {
                     ) {
                       relationUpdates.push(
                         module.exports.removeRelationMorph
-                          .call(this, {
-                            alias: association.alias,
-                            ref: obj.kind || refModel.globalId,
-                            refId: new mongoose.Types.ObjectId(obj.refId),
-                            field: obj.field,
-                            filter: association.filter,
-                          })
+                          .call(
+                            this,
+                            {
+                              alias: association.alias,
+                              ref: obj.kind || refModel.globalId,
+                              refId: new mongoose.Types.ObjectId(obj.refId),
+                              field: obj.field,
+                              filter: association.filter,
+                            },
+                            { transacting }
+                          )
                           .then(createRelation)
                       );
                     } else {
@@ -299,27 +316,35 @@ module.exports = {
                   // Remove relations in the other side.
                   toAdd.forEach(id => {
                     relationUpdates.push(
-                      module.exports.addRelationMorph.call(model, {
-                        id,
-                        alias: association.via,
-                        ref: this.globalId,
-                        refId: entry._id,
-                        field: association.alias,
-                        filter: association.filter,
-                      })
+                      module.exports.addRelationMorph.call(
+                        model,
+                        {
+                          id,
+                          alias: association.via,
+                          ref: this.globalId,
+                          refId: entry._id,
+                          field: association.alias,
+                          filter: association.filter,
+                        },
+                        { transacting }
+                      )
                     );
                   });
 
                   // Remove relations in the other side.
                   toRemove.forEach(id => {
                     relationUpdates.push(
-                      module.exports.removeRelationMorph.call(model, {
-                        id,
-                        alias: association.via,
-                        ref: this.globalId,
-                        refId: entry._id,
-                        field: association.alias,
-                      })
+                      module.exports.removeRelationMorph.call(
+                        model,
+                        {
+                          id,
+                          alias: association.via,
+                          ref: this.globalId,
+                          refId: entry._id,
+                          field: association.alias,
+                        },
+                        { transacting }
+                      )
                     );
                   });
                   break;
@@ -339,24 +364,27 @@ module.exports = {
     await Promise.all(relationUpdates).then(() =>
       this.updateOne({ [this.primaryKey]: primaryKeyValue }, values, {
         strict: false,
+        session: transacting,
       })
     );
 
     const updatedEntity = await this.findOne({
       [this.primaryKey]: primaryKeyValue,
-    }).populate(populate);
+    })
+      .populate(populate)
+      .session(transacting);
 
     return updatedEntity && updatedEntity.toObject
       ? updatedEntity.toObject()
       : updatedEntity;
   },
 
-  async addRelationMorph(params) {
+  async addRelationMorph(params, { transacting } = {}) {
     const { alias, id } = params;
 
     let entry = await this.findOne({
       [this.primaryKey]: id,
-    });
+    }).session(transacting);
 
     if (!entry) return Promise.resolve();
 
@@ -381,10 +409,10 @@ module.exports = {
       [params.filter]: params.field,
     });
 
-    await entry.save();
+    await entry.save({ session: transacting });
   },
 
-  async removeRelationMorph(params) {
+  async removeRelationMorph(params, { transacting } = {}) {
     const { alias } = params;
 
     let opts;
@@ -405,7 +433,7 @@ module.exports = {
       };
     }
 
-    const entries = await this.find(opts);
+    const entries = await this.find(opts).session(transacting);
 
     const updates = entries.map(entry => {
       entry[alias] = entry[alias].filter(obj => {
@@ -420,7 +448,7 @@ module.exports = {
         return true;
       });
 
-      return entry.save();
+      return entry.save({ session: transacting });
     });
 
     await Promise.all(updates);
@@ -0,0 +1,139 @@
+const { createDatabaseManager } = require('../database-manager');
+
+const createManager = () => {
+  const trx = { id: 'trx' };
+  const connector = {
+    transaction: jest.fn(fn => fn(trx)),
+  };
+
+  const db = createDatabaseManager({
+    config: {
+      currentEnvironment: { database: { defaultConnection: 'default' } },
+      connections: { default: { connector: 'bookshelf' } },
+    },
+    log: { error: jest.fn() },
+  });
+
+  db.connectors.set('bookshelf', connector);
+
+  return { db, trx, connector };
+};
+
+describe('Database manager', () => {
+  describe('transaction', () => {
+    test('Runs the function in a transaction of the connector', async () => {
+      const { db, trx, connector } = createManager();
+      const fn = jest.fn(() => 'result');
+
+      await expect(db.transaction(fn)).resolves.toBe('result');
+      expect(connector.transaction).toHaveBeenCalledWith(expect.any(Function), {
+        connection: 'default',
+      });
+      expect(fn).toHaveBeenCalledWith(trx);
+    });
+
+    test('Reuses an existing transaction', async () => {
+      const { db, connector } = createManager();
+      const fn = jest.fn();
+      const transacting = {};
+
+      await db.transaction(fn, { transacting });
+
+      expect(connector.transaction).not.toHaveBeenCalled();
+      expect(fn).toHaveBeenCalledWith(transacting);
+    });
+
+    test('Calls the rollback handlers when the transaction fails', async () => {
+      const { db } = createManager();
+      const handler = jest.fn();
+
+      await expect(
+        db.transaction(trx => {
+          db.onRollback(trx, handler);
+          throw new Error('Failed');
+        })
+      ).rejects.toThrow('Failed');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('Does not call the rollback handlers when the transaction succeeds', async () => {
+      const { db } = createManager();
+      const handler = jest.fn();
+
+      await db.transaction(trx => db.onRollback(trx, handler));
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('Calls the rollback handlers registered in a reused transaction', async () => {
+      const { db } = createManager();
+      const handler = jest.fn();
+
+      await expect(
+        db.transaction(async trx => {
+          await db.transaction(nestedTrx => db.onRollback(nestedTrx, handler), {
+            transacting: trx,
+          });
+          throw new Error('Failed');
+        })
+      ).rejects.toThrow('Failed');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('Rethrows the error of the transaction when a rollback handler fails', async () => {
+      const { db } = createManager();
+
+      await expect(
+        db.transaction(trx => {
+          db.onRollback(trx, () => Promise.reject(new Error('Handler failed')));
+          throw new Error('Failed');
+        })
+      ).rejects.toThrow('Failed');
+
+      expect(db.strapi.log.error).toHaveBeenCalled();
+    });
+
+    test('Calls the commit handlers once the outermost transaction is committed', async () => {
+      const { db } = createManager();
+      const handler = jest.fn();
+
+      await db.transaction(async trx => {
+        await db.transaction(nestedTrx => db.onCommit(nestedTrx, handler), {
+          transacting: trx,
+        });
+
+        expect(handler).not.toHaveBeenCalled();
+      });
+
+      expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    test('Does not call the commit handlers when the transaction fails', async () => {
+      const { db } = createManager();
+      const handler = jest.fn();
+
+      await expect(
+        db.transaction(trx => {
+          db.onCommit(trx, handler);
+          throw new Error('Failed');
+        })
+      ).rejects.toThrow('Failed');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('Calls the commit handlers right away outside of a transaction', async () => {
+      const { db, trx } = createManager();
+      const handler = jest.fn();
+
+      db.onCommit(undefined, handler);
+      expect(handler).toHaveBeenCalledTimes(1);
+
+      await db.transaction(() => {});
+      db.onCommit(trx, handler);
+      expect(handler).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -15,6 +15,8 @@ class DatabaseManager {
     this.queries = new Map();
     this.connectors = new Map();
     this.models = new Map();
+    this.rollbackHandlers = new WeakMap();
+    this.commitHandlers = new WeakMap();
   }
 
   async initialize() {
@@ -99,6 +101,111 @@ class DatabaseManager {
     return query;
   }
 
+  /**
+   * Runs a function inside a transaction of a connection.
+   * The transaction is committed when the function resolves and rolled back when it throws.
+   * The function receives the transaction object to pass to the queries as `{ transacting }`.
+   *
+   * @param {Function} fn - async trx => {}
+   * @param {Object} options
+   * @param {string} options.connection - the connection name (default connection by default)
+   * @param {Object} options.transacting - an existing transaction to reuse instead of starting a new one
+   */
+  async transaction(fn, { connection, transacting } = {}) {
+    if (transacting) {
+      return fn(transacting);
+    }
+
+    const connectionName =
+      connection || _.get(this.strapi.config, 'currentEnvironment.database.defaultConnection');
+
+    const connectionConfig = _.get(this.strapi.config, ['connections', connectionName]);
+
+    if (!connectionConfig) {
+      throw new Error(`The connection ${connectionName} can't be found.`);
+    }
+
+    const connector = this.connectors.get(connectionConfig.connector);
+
+    if (!connector || typeof connector.transaction !== 'function') {
+      throw new Error(`The connector ${connectionConfig.connector} doesn't support transactions.`);
+    }
+
+    const rollbackHandlers = [];
+    const commitHandlers = [];
+
+    const runHandlers = (handlers, name) =>
+      Promise.all(
+        handlers.map(handler =>
+          Promise.resolve()
+            .then(handler)
+            .catch(err => this.strapi.log.error(`${name} handler failed: ${err.message}`))
+        )
+      );
+
+    let transactionObject;
+    let result;
+    try {
+      result = await connector.transaction(
+        trx => {
+          if (trx) {
+            transactionObject = trx;
+            this.rollbackHandlers.set(trx, rollbackHandlers);
+            this.commitHandlers.set(trx, commitHandlers);
+          }
+          return fn(trx);
+        },
+        { connection: connectionName }
+      );
+    } catch (error) {
+      await runHandlers(rollbackHandlers, 'Rollback');
+
+      throw error;
+    } finally {
+      // the handlers registered once the transaction is over are called right away
+      if (transactionObject) this.commitHandlers.delete(transactionObject);
+    }
+
+    await runHandlers(commitHandlers, 'Commit');
+
+    return result;
+  }
+
+  /**
+   * Registers a function to call when a transaction is rolled back,
+   * to undo the side effects which are not in the database (e.g. the uploaded files).
+   * Nothing is registered outside of a transaction.
+   *
+   * @param {Object} transacting - the transaction object
+   * @param {Function} handler - async () => {}
+   */
+  onRollback(transacting, handler) {
+    const handlers = transacting && this.rollbackHandlers.get(transacting);
+
+    if (handlers) {
+      handlers.push(handler);
+    }
+  }
+
+  /**
+   * Registers a function to call once the outermost transaction is committed,
+   * to defer the side effects which must not happen before (e.g. the events of the entries).
+   * The function is called right away outside of a transaction.
+   *
+   * @param {Object} transacting - the transaction object
+   * @param {Function} handler - () => {}
+   */
+  onCommit(transacting, handler) {
+    const handlers = transacting && this.commitHandlers.get(transacting);
+
+    if (handlers) {
+      handlers.push(handler);
+      return;
+    }
+
+    handler();
+  }
+
   getModel(name, plugin) {
     const key = _.toLower(name);
 
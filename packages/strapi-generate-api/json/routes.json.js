@@ -57,6 +57,30 @@ function generateCollectionTypeRoutes({ route, name }) {
         policies: [],
       },
     },
+    {
+      method: 'POST',
+      path: '/' + route + '/bulk',
+      handler: name + '.bulkCreate',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'PUT',
+      path: '/' + route + '/bulk',
+      handler: name + '.bulkUpdate',
+      config: {
+        policies: [],
+      },
+    },
+    {
+      method: 'DELETE',
+      path: '/' + route + '/bulk',
+      handler: name + '.bulkDelete',
+      config: {
+        policies: [],
+      },
+    },
     {
       method: 'GET',
       path: '/' + route + '/:id',
@@ -18,6 +18,7 @@ GlobalContextProvider.defaultProps = {
   enableGlobalOverlayBlocker: () => {},
   plugins: {},
   updatePlugin: () => {},
+  userPermissions: null,
 };
 
 GlobalContextProvider.propTypes = {
@@ -28,6 +29,11 @@ GlobalContextProvider.propTypes = {
   enableGlobalOverlayBlocker: PropTypes.func,
   plugins: PropTypes.object,
   updatePlugin: PropTypes.func,
+  userPermissions: PropTypes.shape({
+    isSuperAdmin: PropTypes.bool,
+    scopes: PropTypes.arrayOf(PropTypes.string),
+    contentTypes: PropTypes.object,
+  }),
 };
 
 export { GlobalContext, GlobalContextProvider, useGlobalContext };
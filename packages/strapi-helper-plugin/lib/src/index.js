@@ -88,6 +88,7 @@ export { default as difference } from './utils/difference';
 export { default as translatedErrors } from './utils/translatedErrors';
 export { darken } from './utils/colors';
 export { default as getQueryParameters } from './utils/getQueryParameters';
+export { default as hasPermission } from './utils/hasPermission';
 export { default as injectHooks } from './utils/injectHooks';
 export { default as validateInput } from './utils/inputsValidations';
 export { default as Manager } from './utils/Manager';
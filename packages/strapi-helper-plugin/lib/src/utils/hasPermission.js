@@ -0,0 +1,39 @@
+import { get, startsWith } from 'lodash';
+
+/**
+ * Checks if the permissions of the admin's role fulfill a requirement,
+ * the same rules are enforced by the API.
+ * @param {Object} userPermissions - the permissions returned by /admin/permissions/me
+ * @param {Object} requirement - either `{ scope }` or `{ contentType, action }`
+ * @returns {Boolean}
+ */
+const hasPermission = (userPermissions, { scope, contentType, action }) => {
+  if (!userPermissions) {
+    return false;
+  }
+
+  if (userPermissions.isSuperAdmin) {
+    return true;
+  }
+
+  const scopes = get(userPermissions, 'scopes', []);
+
+  if (scope) {
+    return scopes.includes(scope);
+  }
+
+  if (startsWith(contentType, 'strapi::')) {
+    return scopes.includes('admin::administrators');
+  }
+
+  const actions = [
+    ...get(userPermissions, ['contentTypes', contentType], []),
+    ...(startsWith(contentType, 'application::')
+      ? get(userPermissions, ['contentTypes', '*'], [])
+      : []),
+  ];
+
+  return actions.includes(action);
+};
+
+export default hasPermission;
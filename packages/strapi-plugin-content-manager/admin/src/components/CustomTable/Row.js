@@ -68,7 +68,7 @@ const getDisplayedValue = (type, value, name) => {
 };
 
 function Row({ goTo, isBulkable, row, headers }) {
-  const { entriesToDelete, onChangeBulk, onClickDelete, schema } = useListView();
+  const { canDelete, entriesToDelete, onChangeBulk, onClickDelete, schema } = useListView();
 
   const memoizedDisplayedValue = useCallback(
     name => {
@@ -124,7 +124,7 @@ function Row({ goTo, isBulkable, row, headers }) {
                 onClickDelete(row.id);
               },
             },
-          ]}
+          ].filter(icon => canDelete || icon.icoType !== 'trash')}
         />
       </ActionContainer>
     </>
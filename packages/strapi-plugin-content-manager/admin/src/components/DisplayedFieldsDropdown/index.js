@@ -2,7 +2,11 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { ButtonDropdown } from 'reactstrap';
 import { FormattedMessage } from 'react-intl';
-import { LayoutIcon, useGlobalContext } from 'strapi-helper-plugin';
+import {
+  hasPermission,
+  LayoutIcon,
+  useGlobalContext,
+} from 'strapi-helper-plugin';
 import pluginId from '../../pluginId';
 import InputCheckbox from '../InputCheckbox';
 import DropdownItemLink from './DropdownItemLink';
@@ -21,7 +25,10 @@ const DisplayedFieldsDropdown = ({
   slug,
   toggle,
 }) => {
-  const { emitEvent } = useGlobalContext();
+  const { emitEvent, userPermissions } = useGlobalContext();
+  const canConfigureView = hasPermission(userPermissions, {
+    scope: 'admin::content-manager.configure-views',
+  });
 
   return (
     <DropdownWrapper>
@@ -29,15 +36,17 @@ const DisplayedFieldsDropdown = ({
         {/* Fix React warning unrecognize prop */}
         <Toggle isopen={isOpen.toString()} />
         <MenuDropdown isopen={isOpen.toString()}>
-          <DropdownItemLink>
-            <LayoutWrapper
-              to={`${slug}/ctm-configurations/list-settings`}
-              onClick={() => emitEvent('willEditListLayout')}
-            >
-              <LayoutIcon />
-              <FormattedMessage id="app.links.configure-view" />
-            </LayoutWrapper>
-          </DropdownItemLink>
+          {canConfigureView && (
+            <DropdownItemLink>
+              <LayoutWrapper
+                to={`${slug}/ctm-configurations/list-settings`}
+                onClick={() => emitEvent('willEditListLayout')}
+              >
+                <LayoutIcon />
+                <FormattedMessage id="app.links.configure-view" />
+              </LayoutWrapper>
+            </DropdownItemLink>
+          )}
           <FormattedMessage
             id={`${pluginId}.containers.ListPage.displayedFields`}
           >
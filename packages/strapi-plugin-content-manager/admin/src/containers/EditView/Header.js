@@ -2,8 +2,15 @@ import React, { useState } from 'react';
 import { useParams, useRouteMatch } from 'react-router-dom';
 import { Header as PluginHeader } from '@buffetjs/custom';
 
-import { PopUpWarning, request, templateObject, useGlobalContext } from 'strapi-helper-plugin';
-import { get } from 'lodash';
+import {
+  auth,
+  hasPermission,
+  PopUpWarning,
+  request,
+  templateObject,
+  useGlobalContext,
+} from 'strapi-helper-plugin';
+import { get, toString } from 'lodash';
 import pluginId from '../../pluginId';
 import useDataManager from '../../hooks/useDataManager';
 
@@ -13,7 +20,7 @@ const Header = () => {
   const [showWarningCancel, setWarningCancel] = useState(false);
   const [showWarningDelete, setWarningDelete] = useState(false);
 
-  const { formatMessage, emitEvent } = useGlobalContext();
+  const { formatMessage, emitEvent, userPermissions } = useGlobalContext();
   const { id } = useParams();
   const {
     deleteSuccess,
@@ -34,6 +41,17 @@ const Header = () => {
   const currentContentTypeName = get(layout, ['schema', 'info', 'name']);
   const isCreatingEntry = id === 'create' || (isSingleType && !initialData.created_at);
 
+  // The admins can always update their own profile
+  const isOwnProfile =
+    slug === 'strapi::administrator' && toString(id) === toString(get(auth.getUserInfo(), 'id'));
+  const canSave =
+    (!isCreatingEntry && isOwnProfile) ||
+    hasPermission(userPermissions, {
+      contentType: slug,
+      action: isCreatingEntry ? 'create' : 'update',
+    });
+  const canDelete = hasPermission(userPermissions, { contentType: slug, action: 'delete' });
+
   /* eslint-disable indent */
   const entryHeaderTitle = isCreatingEntry
     ? formatMessage({
@@ -44,7 +62,7 @@ const Header = () => {
   const headerTitle = isSingleType ? currentContentTypeName : entryHeaderTitle;
 
   const getHeaderActions = () => {
-    const headerActions = [
+    const saveActions = [
       {
         onClick: () => {
           toggleWarningCancel();
@@ -72,8 +90,9 @@ const Header = () => {
         },
       },
     ];
+    const headerActions = canSave ? saveActions : [];
 
-    if (!isCreatingEntry) {
+    if (!isCreatingEntry && canDelete) {
       headerActions.unshift({
         label: formatMessage({
           id: 'app.utils.delete',
@@ -2,7 +2,7 @@ import React, { memo, useCallback, useMemo, useEffect, useReducer, useRef } from
 import PropTypes from 'prop-types';
 import { get } from 'lodash';
 import { useHistory, useLocation, useRouteMatch } from 'react-router-dom';
-import { BackHeader, LiLink } from 'strapi-helper-plugin';
+import { BackHeader, hasPermission, LiLink, useGlobalContext } from 'strapi-helper-plugin';
 import pluginId from '../../pluginId';
 import Container from '../../components/Container';
 import DynamicZone from '../../components/DynamicZone';
@@ -32,6 +32,10 @@ const EditView = ({ components, currentEnvironment, layouts, plugins, slug }) =>
     params: { contentType },
   } = useRouteMatch('/plugins/content-manager/:contentType');
   const isSingleType = contentType === 'singleType';
+  const { userPermissions } = useGlobalContext();
+  const canConfigureView = hasPermission(userPermissions, {
+    scope: 'admin::content-manager.configure-views',
+  });
   const [reducerState, dispatch] = useReducer(reducer, initialState, () => init(initialState));
   const allLayoutData = useMemo(() => get(layouts, [slug], {}), [layouts, slug]);
   const currentContentTypeLayoutData = useMemo(() => get(allLayoutData, ['contentType'], {}), [
@@ -228,19 +232,21 @@ const EditView = ({ components, currentEnvironment, layouts, plugins, slug }) =>
               )}
               <LinkWrapper>
                 <ul>
-                  <LiLink
-                    message={{
-                      id: 'app.links.configure-view',
-                    }}
-                    icon="layout"
-                    key={`${pluginId}.link`}
-                    url={`${
-                      isSingleType ? `${pathname}/` : ''
-                    }ctm-configurations/edit-settings/content-types`}
-                    onClick={() => {
-                      // emitEvent('willEditContentTypeLayoutFromEditView');
-                    }}
-                  />
+                  {canConfigureView && (
+                    <LiLink
+                      message={{
+                        id: 'app.links.configure-view',
+                      }}
+                      icon="layout"
+                      key={`${pluginId}.link`}
+                      url={`${
+                        isSingleType ? `${pathname}/` : ''
+                      }ctm-configurations/edit-settings/content-types`}
+                      onClick={() => {
+                        // emitEvent('willEditContentTypeLayoutFromEditView');
+                      }}
+                    />
+                  )}
                   {getInjectedComponents(
                     'editView',
                     'right.links',
@@ -5,7 +5,13 @@ import { bindActionCreators, compose } from 'redux';
 import { get, sortBy } from 'lodash';
 import { FormattedMessage } from 'react-intl';
 import { Header } from '@buffetjs/custom';
-import { PopUpWarning, getQueryParameters, useGlobalContext, request } from 'strapi-helper-plugin';
+import {
+  PopUpWarning,
+  getQueryParameters,
+  hasPermission,
+  useGlobalContext,
+  request,
+} from 'strapi-helper-plugin';
 import pluginId from '../../pluginId';
 import DisplayedFieldsDropdown from '../../components/DisplayedFieldsDropdown';
 import Container from '../../components/Container';
@@ -60,7 +66,7 @@ function ListView({
 }) {
   strapi.useInjectReducer({ key: 'listView', reducer, pluginId });
 
-  const { formatMessage } = useGlobalContext();
+  const { formatMessage, userPermissions } = useGlobalContext();
   const getLayoutSettingRef = useRef();
   const getDataRef = useRef();
   const [isLabelPickerOpen, setLabelPickerState] = useState(false);
@@ -273,6 +279,9 @@ function ListView({
     },
   ];
 
+  const canCreate = hasPermission(userPermissions, { contentType: slug, action: 'create' });
+  const canDelete = hasPermission(userPermissions, { contentType: slug, action: 'delete' });
+
   const headerAction = [
     {
       label: formatMessage(
@@ -314,7 +323,7 @@ function ListView({
       },
       { label: count }
     ),
-    actions: headerAction,
+    actions: canCreate ? headerAction : [],
   };
 
   return (
@@ -329,6 +338,7 @@ function ListView({
         onChangeBulk={onChangeBulk}
         onChangeBulkSelectall={onChangeBulkSelectall}
         onChangeParams={handleChangeParams}
+        canDelete={canDelete}
         onClickDelete={handleClickDelete}
         schema={getListSchema()}
         searchParams={getSearchParams()}
@@ -396,7 +406,7 @@ function ListView({
                 <CustomTable
                   data={data}
                   headers={getTableHeaders()}
-                  isBulkable={getLayoutSettingRef.current('bulkable')}
+                  isBulkable={canDelete && getLayoutSettingRef.current('bulkable')}
                   onChangeParams={handleChangeParams}
                 />
                 <Footer />
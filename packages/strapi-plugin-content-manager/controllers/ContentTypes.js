@@ -18,12 +18,25 @@ module.exports = {
     }
 
     const service = strapi.plugins['content-manager'].services.contenttypes;
+    const permissionService = strapi.admin.services.permission;
+
+    // The admins only see the content types their role can read.
+    const permissions = ctx.state.admin
+      ? await permissionService.getAdminPermissions(ctx.state.admin)
+      : null;
 
     const contentTypes = Object.keys(strapi.contentTypes)
       .filter(uid => {
         if (uid.startsWith('strapi::')) return false;
         if (uid === 'plugins::upload.file') return false;
 
+        if (
+          permissions &&
+          !permissionService.can(permissions, { contentType: uid, action: 'read' })
+        ) {
+          return false;
+        }
+
         if (kind && _.get(strapi.contentTypes[uid], 'kind', 'collectionType') !== kind) {
           return false;
         }
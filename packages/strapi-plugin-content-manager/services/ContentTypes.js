@@ -27,6 +27,8 @@ const HIDDEN_CONTENT_TYPES = [
   'plugins::upload.file',
   'plugins::users-permissions.permission',
   'plugins::users-permissions.role',
+  'plugins::users-permissions.token',
+  'plugins::users-permissions.apitoken',
 ];
 
 const getConfiguration = uid => {
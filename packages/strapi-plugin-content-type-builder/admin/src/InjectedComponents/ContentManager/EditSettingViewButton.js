@@ -6,7 +6,7 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import { useGlobalContext } from 'strapi-helper-plugin';
+import { hasPermission, useGlobalContext } from 'strapi-helper-plugin';
 import { get } from 'lodash';
 import { Button } from '@buffetjs/core';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
@@ -14,7 +14,12 @@ import getTrad from '../../utils/getTrad';
 
 // Create link from content-type-builder to content-manager
 function EditViewButton(props) {
-  const { currentEnvironment, emitEvent, formatMessage } = useGlobalContext();
+  const {
+    currentEnvironment,
+    emitEvent,
+    formatMessage,
+    userPermissions,
+  } = useGlobalContext();
   // Retrieve URL from props
   const { modifiedData, componentSlug, type } = get(
     props,
@@ -44,6 +49,12 @@ function EditViewButton(props) {
     return null;
   }
 
+  if (
+    !hasPermission(userPermissions, { scope: 'plugins::content-type-builder' })
+  ) {
+    return null;
+  }
+
   if (props.getModelName() === 'strapi::administrator') {
     return null;
   }
@@ -6,11 +6,11 @@
 
 import React from 'react';
 import PropTypes from 'prop-types';
-import { LiLink, useGlobalContext } from 'strapi-helper-plugin';
+import { hasPermission, LiLink, useGlobalContext } from 'strapi-helper-plugin';
 
 // Create link from content-type-builder to content-manager
 function EditViewLink(props) {
-  const { currentEnvironment, emitEvent } = useGlobalContext();
+  const { currentEnvironment, emitEvent, userPermissions } = useGlobalContext();
   // Retrieve URL from props
   const url = `/plugins/content-type-builder/content-types/${props.getModelName()}`;
 
@@ -18,6 +18,10 @@ function EditViewLink(props) {
     return null;
   }
 
+  if (!hasPermission(userPermissions, { scope: 'plugins::content-type-builder' })) {
+    return null;
+  }
+
   if (props.getModelName() === 'strapi::administrator') {
     return null;
   }
@@ -5,6 +5,7 @@
  */
 
 // Public node modules.
+const http = require('http');
 const _ = require('lodash');
 const { ApolloServer } = require('apollo-server-koa');
 const depthLimit = require('graphql-depth-limit');
@@ -30,6 +31,26 @@ const attachMetadataToResolvers = (schema, { api, plugin }) => {
   return schema;
 };
 
+/**
+ * Creates the koa context of a subscription from the upgrade request of its WebSocket connection
+ * The authorization header can be sent in the connection params as browsers can't set headers on WebSockets
+ */
+const createSubscriptionContext = ({ request, connectionParams = {} }) => {
+  const ctx = strapi.app.createContext(
+    request,
+    new http.ServerResponse(request)
+  );
+
+  const authorization =
+    connectionParams.Authorization || connectionParams.authorization;
+
+  if (authorization) {
+    ctx.request.header.authorization = authorization;
+  }
+
+  return ctx;
+};
+
 module.exports = strapi => {
   const { appPath, installedPlugins } = strapi.config;
 
@@ -84,7 +105,10 @@ module.exports = strapi => {
     initialize() {
       const { typeDefs, resolvers } = strapi.plugins.graphql.services[
         'schema-generator'
-      ].generateSchema();
+      ].generateSchema({
+        federation:
+          _.get(strapi.plugins.graphql, 'config.federation', false) === true,
+      });
 
       if (_.isEmpty(typeDefs)) {
         strapi.log.warn(
@@ -94,20 +118,92 @@ module.exports = strapi => {
         return;
       }
 
+      const subscriptionsEnabled =
+        _.get(strapi.plugins.graphql, 'config.subscriptions', false) === true;
+
+      const onlyPersisted =
+        _.get(strapi.plugins.graphql, 'config.onlyPersisted', false) === true;
+
+      const persistedQueriesService =
+        strapi.plugins.graphql.services['persisted-queries'];
+
+      // The clients can only register their queries (APQ) in development.
+      const persistedQueries = persistedQueriesService.createAppPersistedQueriesRegistry(
+        {
+          appPath,
+          allowRegistration:
+            !onlyPersisted && strapi.config.environment === 'development',
+        }
+      );
+
+      const costOptions = {
+        maxCost: strapi.plugins.graphql.config.maxCost,
+        costs: _.get(
+          strapi.plugins.graphql,
+          'config._schema.graphql.cost',
+          {}
+        ),
+        defaultListSize: strapi.plugins.graphql.config.amountLimit,
+      };
+
+      const validationRules = [
+        depthLimit(strapi.plugins.graphql.config.depthLimit),
+      ];
+
+      const plugins = [
+        strapi.plugins.graphql.services['cost-analysis'].createCostPlugin(
+          costOptions
+        ),
+      ];
+
+      if (onlyPersisted) {
+        plugins.push(
+          persistedQueriesService.createOnlyPersistedPlugin(persistedQueries)
+        );
+      }
+
+      // The operations of the WebSocket connections skip the Apollo plugins.
+      const checkSubscriptionOperation = strapi.plugins.graphql.services[
+        'build-subscriptions'
+      ].createOperationCheck({
+        validationRules,
+        cost: costOptions,
+        persistedQueries: onlyPersisted ? persistedQueries : null,
+      });
+
       const serverParams = {
         typeDefs,
         resolvers,
-        context: ({ ctx }) => {
-          // Initiliase loaders for this request.
-          // TODO: set loaders in the context not globally
+        context: async ({ ctx, connection, payload }) => {
+          if (connection) {
+            await checkSubscriptionOperation(server.schema, payload);
+          }
 
-          strapi.plugins.graphql.services['data-loaders'].initializeLoader();
+          // Initiliase loaders for this request.
+          const loaders = strapi.plugins.graphql.services[
+            'data-loaders'
+          ].createLoaders();
 
           return {
-            context: ctx,
+            context: connection
+              ? createSubscriptionContext(connection.context)
+              : ctx,
+            loaders,
           };
         },
-        validationRules: [depthLimit(strapi.plugins.graphql.config.depthLimit)],
+        subscriptions: subscriptionsEnabled && {
+          path: strapi.plugins.graphql.config.endpoint,
+          onConnect: (connectionParams, webSocket, { request }) => ({
+            request,
+            connectionParams,
+          }),
+        },
+        validationRules,
+        plugins,
+        persistedQueries: {
+          cache: persistedQueries,
+        },
+        cacheControl: _.get(strapi.plugins.graphql, 'config.cacheControl', {}),
         tracing: _.get(strapi.plugins.graphql, 'config.tracing', false),
         playground: false,
         cors: false,
@@ -136,6 +232,15 @@ module.exports = strapi => {
         app: strapi.app,
         path: strapi.plugins.graphql.config.endpoint,
       });
+
+      if (subscriptionsEnabled) {
+        // Listen to the WebSocket connections of the subscriptions on the same endpoint.
+        server.installSubscriptionHandlers(strapi.server);
+
+        strapi.plugins.graphql.services[
+          'build-subscriptions'
+        ].publishEntryEvents(strapi.eventHub);
+      }
     },
   };
 };
@@ -146,14 +251,24 @@ module.exports = strapi => {
  */
 const mergeSchemas = schemas => {
   return schemas.reduce((acc, el) => {
-    const { definition, query, mutation, type, resolver } = el;
+    const {
+      definition,
+      query,
+      mutation,
+      subscription,
+      type,
+      resolver,
+      cost,
+    } = el;
 
     return _.merge(acc, {
       definition: `${acc.definition || ''} ${definition || ''}`,
       query: `${acc.query || ''} ${query || ''}`,
       mutation: `${acc.mutation || ''} ${mutation || ''}`,
+      subscription: `${acc.subscription || ''} ${subscription || ''}`,
       type,
       resolver,
+      cost,
     });
   }, {});
 };
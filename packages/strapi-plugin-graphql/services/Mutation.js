@@ -11,6 +11,7 @@ const pluralize = require('pluralize');
 const compose = require('koa-compose');
 const policyUtils = require('strapi-utils').policy;
 const Query = require('./Query.js');
+const { withValidationErrors } = require('./validation-errors');
 
 module.exports = {
   /**
@@ -165,7 +166,7 @@ module.exports = {
       }
     });
 
-    return async (obj, options, graphqlCtx) => {
+    return withValidationErrors(async (obj, options, graphqlCtx) => {
       const { context } = graphqlCtx;
 
       if (options.input && options.input.where) {
@@ -233,6 +234,6 @@ module.exports = {
 
       // Resolver can be a promise.
       return resolver;
-    };
+    });
   },
 };
@@ -0,0 +1,99 @@
+'use strict';
+
+const { cursor } = require('strapi-utils');
+const {
+  convertRelayArgs,
+  reverseSort,
+  checkCursorSort,
+  toConnection,
+} = require('../build-relay-connection');
+
+describe('Relay connection', () => {
+  describe('convertRelayArgs', () => {
+    test('Converts first and after to a limit and an after cursor', () => {
+      expect(convertRelayArgs({ first: 10, after: 'WzFd', sort: 'title:asc' })).toEqual({
+        limit: 10,
+        after: 'WzFd',
+        sort: 'title:asc',
+      });
+    });
+
+    test('Converts last and before to a limit and a before cursor', () => {
+      expect(convertRelayArgs({ last: 5, before: 'WzFd', where: { price_gt: 10 } })).toEqual({
+        limit: 5,
+        before: 'WzFd',
+        where: { price_gt: 10 },
+      });
+    });
+
+    test('Converts last without cursor to a limit', () => {
+      expect(convertRelayArgs({ last: 5, sort: 'title:asc' })).toEqual({
+        limit: 5,
+        sort: 'title:asc',
+      });
+    });
+
+    test('Throws on invalid arguments', () => {
+      expect(() => convertRelayArgs({ first: 1, last: 1, before: 'WzFd' })).toThrow();
+    });
+  });
+
+  describe('last entries', () => {
+    test('Reverses the cursor sort', () => {
+      expect(reverseSort('title:asc')).toBe('title:desc,id:desc');
+      expect(reverseSort('title:desc,id:asc')).toBe('title:asc,id:desc');
+      expect(reverseSort()).toBe('id:desc');
+    });
+
+    test('Builds the connection of the last entries in the order of the sort', () => {
+      const entries = [
+        { id: 4, title: 'd' },
+        { id: 3, title: 'c' },
+      ];
+
+      const connection = toConnection(entries, { sort: 'title:asc', limit: 2 }, { last: true });
+
+      expect(connection.edges.map(({ node }) => node.id)).toEqual([3, 4]);
+      expect(connection.edges[0].cursor).toBe(
+        cursor.encodeCursor(entries[1], [
+          { field: 'title', order: 'asc' },
+          { field: 'id', order: 'asc' },
+        ])
+      );
+      expect(connection.pageInfo).toMatchObject({ hasNextPage: false, hasPreviousPage: true });
+      expect(
+        toConnection(entries, { sort: 'title:asc', limit: 5 }, { last: true }).pageInfo
+      ).toMatchObject({ hasNextPage: false, hasPreviousPage: false });
+    });
+  });
+
+  describe('checkCursorSort', () => {
+    const model = {
+      uid: 'application::article.article',
+      attributes: {
+        title: { type: 'string' },
+        rank: { type: 'integer' },
+        notes: { type: 'text', private: true },
+      },
+    };
+
+    test('Accepts the readable attributes', () => {
+      expect(() => checkCursorSort(model, { sort: 'title:asc,rank:desc' })).not.toThrow();
+      expect(() =>
+        checkCursorSort(model, { sort: 'title' }, { 'application::article.article': ['title'] })
+      ).not.toThrow();
+    });
+
+    test('Rejects the private attributes', () => {
+      expect(() => checkCursorSort(model, { sort: 'notes:asc' })).toThrow(
+        'You are not allowed to sort the cursors by the attribute "notes"'
+      );
+    });
+
+    test('Rejects the attributes the role cannot read', () => {
+      expect(() =>
+        checkCursorSort(model, { sort: 'rank:desc' }, { 'application::article.article': ['title'] })
+      ).toThrow('You are not allowed to sort the cursors by the attribute "rank"');
+    });
+  });
+});
@@ -0,0 +1,267 @@
+'use strict';
+
+const EventEmitter = require('events');
+const http = require('http');
+const Koa = require('koa');
+const { buildSchema } = require('graphql');
+const depthLimit = require('graphql-depth-limit');
+
+const {
+  pubsub,
+  getTopic,
+  publishEntryEvents,
+  createOperationCheck,
+  formatModelSubscriptionsGQL,
+} = require('../build-subscriptions');
+const { computeQueryHash, createPersistedQueriesRegistry } = require('../persisted-queries');
+
+const model = {
+  uid: 'application::article.article',
+  globalId: 'Article',
+  modelName: 'article',
+  attributes: {
+    title: { type: 'string' },
+    content: { type: 'text' },
+    secret: { type: 'string', private: true },
+  },
+};
+
+const createGraphqlContext = (headers = {}) => {
+  const req = new http.IncomingMessage();
+  req.headers = headers;
+
+  return {
+    context: { app: new Koa(), req, res: new http.ServerResponse(req) },
+  };
+};
+
+describe('Subscriptions', () => {
+  const eventHub = new EventEmitter();
+  let readableFields;
+  const permissions = jest.fn(async (ctx, next) => {
+    if (!ctx.request.header.authorization) {
+      throw new Error('Forbidden');
+    }
+
+    ctx.state.readableFields = readableFields;
+    await next();
+  });
+
+  beforeEach(() => {
+    readableFields = {};
+  });
+
+  beforeAll(() => {
+    global.strapi = {
+      plugins: {
+        'users-permissions': {
+          config: { policies: { permissions } },
+        },
+      },
+    };
+
+    publishEntryEvents(eventHub);
+  });
+
+  afterAll(() => {
+    delete global.strapi;
+  });
+
+  test('Creates a subscription for each entry event', () => {
+    const { subscription, resolvers } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+    });
+
+    expect(subscription).toEqual({
+      'articleCreated(where: JSON)': 'Article',
+      'articleUpdated(where: JSON)': 'Article',
+      'articleDeleted(where: JSON)': 'Article',
+    });
+    expect(Object.keys(resolvers.Subscription)).toEqual([
+      'articleCreated',
+      'articleUpdated',
+      'articleDeleted',
+    ]);
+  });
+
+  test('Can disable a subscription', () => {
+    const { subscription } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+      _schema: { resolver: { Subscription: { articleDeleted: false } } },
+    });
+
+    expect(Object.keys(subscription)).toEqual([
+      'articleCreated(where: JSON)',
+      'articleUpdated(where: JSON)',
+    ]);
+  });
+
+  test('Publishes each entry of the entry events', async () => {
+    const published = [];
+    const subId = await pubsub.subscribe(getTopic(model.uid, 'entry.update'), payload =>
+      published.push(payload)
+    );
+
+    eventHub.emit('entry.update', { uid: model.uid, entry: { id: 1 } });
+    eventHub.emit('entry.update', { uid: model.uid, entries: [{ id: 2 }, { id: 3 }] });
+    eventHub.emit('entry.create', { uid: model.uid, entry: { id: 4 } });
+
+    pubsub.unsubscribe(subId);
+
+    expect(published).toEqual([{ entry: { id: 1 } }, { entry: { id: 2 } }, { entry: { id: 3 } }]);
+  });
+
+  test('Only sends the entries matching the where argument', async () => {
+    const { resolvers } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+    });
+
+    const { subscribe, resolve } = resolvers.Subscription.articleCreated;
+    const graphqlContext = createGraphqlContext({ authorization: 'Bearer token' });
+
+    const iterator = await subscribe(null, { where: { title_contains: 'strapi' } }, graphqlContext);
+
+    const next = iterator.next();
+
+    eventHub.emit('entry.create', { uid: model.uid, entry: { id: 1, title: 'graphql' } });
+    eventHub.emit('entry.create', { uid: model.uid, entry: { id: 2, title: 'Hello strapi' } });
+
+    const { value } = await next;
+    expect(resolve(value, {}, graphqlContext)).toEqual({ id: 2, title: 'Hello strapi' });
+
+    await iterator.return();
+  });
+
+  test('Removes the private attributes and the attributes the role cannot read', async () => {
+    readableFields = { [model.uid]: ['title'] };
+
+    const { resolvers } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+    });
+
+    const { subscribe, resolve } = resolvers.Subscription.articleCreated;
+    const graphqlContext = createGraphqlContext({ authorization: 'Bearer token' });
+
+    const iterator = await subscribe(
+      null,
+      { where: { content_contains: 'draft' } },
+      graphqlContext
+    );
+    const allIterator = await subscribe(null, {}, graphqlContext);
+
+    const next = iterator.next();
+    const nextAll = allIterator.next();
+
+    eventHub.emit('entry.create', {
+      uid: model.uid,
+      entry: { id: 1, title: 'strapi', content: 'draft', secret: 'secret' },
+    });
+
+    const { value } = await nextAll;
+    expect(resolve(value, {}, graphqlContext)).toEqual({ id: 1, title: 'strapi' });
+
+    await iterator.return();
+    await allIterator.return();
+
+    // the entry doesn't match the filter on an attribute the role can't read
+    await expect(next).resolves.toMatchObject({ done: true });
+  });
+
+  test('Rejects the regex filter when it is disabled', async () => {
+    const { resolvers } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+    });
+
+    await expect(
+      resolvers.Subscription.articleCreated.subscribe(
+        null,
+        { where: { title_regex: '^(a+)+$' } },
+        createGraphqlContext({ authorization: 'Bearer token' })
+      )
+    ).rejects.toThrow('The regex filter is disabled');
+  });
+
+  test('Checks the policies when subscribing', async () => {
+    const { resolvers } = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${model.uid}.find`,
+    });
+
+    await expect(
+      resolvers.Subscription.articleUpdated.subscribe(null, {}, createGraphqlContext())
+    ).rejects.toThrow('Forbidden');
+
+    expect(permissions).toHaveBeenCalledWith(
+      expect.objectContaining({
+        request: expect.objectContaining({
+          route: expect.objectContaining({ controller: 'article', action: 'find' }),
+        }),
+      }),
+      expect.any(Function)
+    );
+  });
+
+  describe('createOperationCheck', () => {
+    const schema = buildSchema(`
+      type Article {
+        title: String
+        related(limit: Int): [Article]
+      }
+
+      type Query {
+        articles: [Article]
+      }
+
+      type Subscription {
+        articleCreated: Article
+      }
+    `);
+
+    const subscription = 'subscription { articleCreated { title } }';
+    const expensiveSubscription =
+      'subscription { articleCreated { related(limit: 100) { related(limit: 100) { title } } } }';
+
+    test('Accepts the operations within the limits', async () => {
+      const check = createOperationCheck({ cost: { maxCost: 10 } });
+
+      await expect(check(schema, { query: subscription })).resolves.toBeUndefined();
+    });
+
+    test('Rejects the operations exceeding the max cost', async () => {
+      const check = createOperationCheck({ cost: { maxCost: 10 } });
+
+      await expect(check(schema, { query: expensiveSubscription })).rejects.toThrow(
+        'The query cost 10101 exceeds the maximum cost of 10'
+      );
+    });
+
+    test('Applies the validation rules', async () => {
+      const check = createOperationCheck({ validationRules: [depthLimit(1)] });
+
+      await expect(check(schema, { query: expensiveSubscription })).rejects.toThrow(
+        'exceeds maximum operation depth'
+      );
+      await expect(check(schema, { query: 'subscription { unknown }' })).rejects.toThrow(
+        'Cannot query field "unknown"'
+      );
+    });
+
+    test('Only accepts the persisted queries when a registry is given', async () => {
+      const check = createOperationCheck({
+        persistedQueries: createPersistedQueriesRegistry({
+          queries: { [computeQueryHash(subscription)]: subscription },
+        }),
+      });
+
+      await expect(check(schema, { query: subscription })).resolves.toBeUndefined();
+      await expect(
+        check(schema, { query: 'subscription { articleCreated { related { title } } }' })
+      ).rejects.toThrow('Only persisted queries are allowed');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+'use strict';
+
+// apollo server uses the Headers of node-fetch, which is mocked for the metrics tests
+jest.unmock('node-fetch');
+
+const { parse } = require('graphql');
+const { ApolloServer, gql, makeExecutableSchema } = require('apollo-server-koa');
+
+const { computeCost, createCostPlugin } = require('../cost-analysis');
+
+const typeDefs = gql`
+  type User {
+    username: String
+  }
+
+  type Comment {
+    content: String
+    author: User
+  }
+
+  type Article {
+    title: String
+    author: User
+    comments(limit: Int): [Comment]
+  }
+
+  type ArticleEdge {
+    node: Article
+  }
+
+  type ArticleRelayConnection {
+    edges: [ArticleEdge!]!
+  }
+
+  type Query {
+    articles(limit: Int): [Article]
+    articlesRelayConnection(first: Int): ArticleRelayConnection!
+  }
+`;
+
+const resolvers = {
+  Query: {
+    articles: () => [{ title: 'Hello' }],
+  },
+};
+
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+const getCost = (query, options = {}) => {
+  const document = parse(query);
+  const [operation] = document.definitions;
+
+  return computeCost({ schema, document, operation, ...options });
+};
+
+describe('Cost analysis', () => {
+  test('Multiplies the limits through the relations', () => {
+    const query = `
+      {
+        articles(limit: 10) {
+          title
+          comments(limit: 5) {
+            author {
+              username
+            }
+          }
+        }
+      }
+    `;
+
+    // 10 articles + 10 * 5 comments + 10 * 5 authors
+    expect(getCost(query)).toBe(110);
+  });
+
+  test('Uses the default list size without a limit', () => {
+    expect(getCost('{ articles { title } }', { defaultListSize: 20 })).toBe(20);
+    expect(getCost('{ articles(limit: 1000) { title } }', { defaultListSize: 20 })).toBe(20);
+  });
+
+  test('Reads the limits from the variables', () => {
+    const query = 'query($limit: Int) { articles(limit: $limit) { title } }';
+
+    expect(getCost(query, { variables: { limit: 3 } })).toBe(3);
+  });
+
+  test('Applies the size of a connection to its lists', () => {
+    const query = `
+      {
+        articlesRelayConnection(first: 5) {
+          edges {
+            node {
+              ...ArticleFields
+            }
+          }
+        }
+      }
+
+      fragment ArticleFields on Article {
+        author {
+          username
+        }
+      }
+    `;
+
+    // 1 connection + 5 edges + 5 nodes + 5 authors
+    expect(getCost(query)).toBe(16);
+  });
+
+  test('Applies the cost of the types', () => {
+    const query = '{ articles(limit: 2) { author { username } } }';
+
+    expect(getCost(query, { costs: { Article: 5, User: 0 } })).toBe(10);
+  });
+
+  describe('Plugin', () => {
+    const createServer = maxCost =>
+      new ApolloServer({
+        schema,
+        plugins: [createCostPlugin({ maxCost, costs: {}, defaultListSize: 100 })],
+      });
+
+    test('Reports the cost in the extensions', async () => {
+      const server = createServer(50);
+      await server.willStart();
+
+      const res = await server.executeOperation({ query: '{ articles(limit: 10) { title } }' });
+
+      expect(res.errors).toBeUndefined();
+      expect(res.extensions.cost).toEqual({ requestedQueryCost: 10, maximumAvailable: 50 });
+    });
+
+    test('Rejects the queries above the max cost', async () => {
+      const server = createServer(50);
+      await server.willStart();
+
+      const res = await server.executeOperation({
+        query: '{ articles(limit: 10) { comments(limit: 10) { content } } }',
+      });
+
+      expect(res.data).toBeUndefined();
+      expect(res.errors[0].extensions).toMatchObject({
+        code: 'QUERY_COST_EXCEEDED',
+        cost: 110,
+        maxCost: 50,
+      });
+      expect(res.extensions.cost).toEqual({ requestedQueryCost: 110, maximumAvailable: 50 });
+    });
+  });
+});
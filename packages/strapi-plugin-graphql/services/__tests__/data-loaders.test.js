@@ -0,0 +1,80 @@
+'use strict';
+
+const dataLoaders = require('../data-loaders');
+
+const model = {
+  uid: 'application::article.article',
+  primaryKey: 'id',
+  associations: [],
+};
+
+const loadArticle = (loaders, id) =>
+  loaders[model.uid].load({ params: { id }, options: {}, single: true });
+
+describe('Data loaders', () => {
+  let fetchAll;
+
+  beforeEach(() => {
+    fetchAll = jest.fn();
+
+    global.strapi = {
+      models: { article: model },
+      plugins: {
+        'content-manager': {
+          models: {},
+          services: { contentmanager: { fetchAll } },
+        },
+      },
+      getModel: () => model,
+    };
+  });
+
+  afterEach(() => {
+    delete global.strapi;
+  });
+
+  test('Creates a loader for each model', () => {
+    const loaders = dataLoaders.createLoaders();
+
+    expect(Object.keys(loaders)).toEqual([model.uid]);
+  });
+
+  test('Caches the loads of a request', async () => {
+    fetchAll.mockResolvedValue([{ id: 1 }]);
+
+    const loaders = dataLoaders.createLoaders();
+
+    const entries = await Promise.all([loadArticle(loaders, 1), loadArticle(loaders, 1)]);
+    expect(await loadArticle(loaders, 1)).toEqual({ id: 1 });
+
+    expect(entries).toEqual([{ id: 1 }, { id: 1 }]);
+    expect(fetchAll).toHaveBeenCalledTimes(1);
+  });
+
+  test("Concurrent requests don't share their batches or their caches", async () => {
+    // each request only sees the entries its user is allowed to read
+    fetchAll
+      .mockResolvedValueOnce([{ id: 1, title: 'request A' }])
+      .mockResolvedValueOnce([{ id: 1, title: 'request B' }]);
+
+    const requestA = dataLoaders.createLoaders();
+    const pendingA = loadArticle(requestA, 1);
+
+    // a second request starts before the batch of the first one is dispatched
+    const requestB = dataLoaders.createLoaders();
+    const pendingB = loadArticle(requestB, 1);
+
+    const [entryA, entryB] = await Promise.all([pendingA, pendingB]);
+
+    expect(entryA).toEqual({ id: 1, title: 'request A' });
+    expect(entryB).toEqual({ id: 1, title: 'request B' });
+    expect(fetchAll).toHaveBeenCalledTimes(2);
+
+    // the cache of a request isn't reused by a later request
+    fetchAll.mockResolvedValueOnce([{ id: 1, title: 'request C' }]);
+    const requestC = dataLoaders.createLoaders();
+
+    expect(await loadArticle(requestC, 1)).toEqual({ id: 1, title: 'request C' });
+    expect(await loadArticle(requestA, 1)).toEqual({ id: 1, title: 'request A' });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { buildSchema } = require('graphql');
+const { UserInputError } = require('apollo-server-koa');
+
+const {
+  generateDynamicZoneInputs,
+  convertDynamicZoneInput,
+  buildDynamicZonesInputTransform,
+} = require('../dynamic-zones');
+
+const restaurantModel = {
+  attributes: {
+    name: { type: 'string' },
+    blocks: { type: 'dynamiczone', components: ['shared.seo', 'blocks.quote'] },
+  },
+};
+
+describe('Dynamic zones', () => {
+  beforeEach(() => {
+    global.strapi = {
+      components: {
+        'shared.seo': { uid: 'shared.seo', globalId: 'ComponentSharedSeo' },
+        'blocks.quote': { uid: 'blocks.quote', globalId: 'ComponentBlocksQuote' },
+      },
+      plugins: { graphql: { config: {} } },
+    };
+  });
+
+  test('Generates an input with a field per component', () => {
+    const schema = buildSchema(`
+      input ComponentSharedSeoInput { metaTitle: String! }
+      input editComponentSharedSeoInput { id: ID, metaTitle: String }
+      input ComponentBlocksQuoteInput { text: String }
+      input editComponentBlocksQuoteInput { id: ID, text: String }
+
+      ${generateDynamicZoneInputs('RestaurantBlocksDynamicZone', ['shared.seo', 'blocks.quote'])}
+
+      type Query { _: Boolean }
+    `);
+
+    const fields = schema.getType('RestaurantBlocksDynamicZoneInput').getFields();
+    expect(Object.keys(fields)).toEqual(['componentSharedSeo', 'componentBlocksQuote']);
+    expect(fields.componentSharedSeo.type.toString()).toBe('ComponentSharedSeoInput');
+
+    const editFields = schema.getType('editRestaurantBlocksDynamicZoneInput').getFields();
+    expect(editFields.componentBlocksQuote.type.toString()).toBe('editComponentBlocksQuoteInput');
+  });
+
+  test('Converts the entries to components', () => {
+    const entries = [
+      { componentSharedSeo: { metaTitle: 'Le Bistrot' } },
+      { componentSharedSeo: null, componentBlocksQuote: { id: 1, text: 'Delicious' } },
+    ];
+
+    expect(
+      convertDynamicZoneInput(entries, {
+        attribute: 'blocks',
+        components: ['shared.seo', 'blocks.quote'],
+      })
+    ).toEqual([
+      { __component: 'shared.seo', metaTitle: 'Le Bistrot' },
+      { __component: 'blocks.quote', id: 1, text: 'Delicious' },
+    ]);
+  });
+
+  test('Rejects the entries without exactly one allowed component', () => {
+    const convert = entries =>
+      convertDynamicZoneInput(entries, { attribute: 'blocks', components: ['shared.seo'] });
+
+    expect(() => convert([{}])).toThrow(UserInputError);
+    expect(() =>
+      convert([{ componentSharedSeo: { metaTitle: 'a' }, componentBlocksQuote: { text: 'b' } }])
+    ).toThrow(
+      'The entry 0 of the dynamic zone "blocks" must set exactly one of: componentSharedSeo'
+    );
+    expect(() => convert([{ componentBlocksQuote: { text: 'b' } }])).toThrow(UserInputError);
+  });
+
+  test('Converts the dynamic zones of the mutation arguments', () => {
+    const transform = buildDynamicZonesInputTransform(restaurantModel);
+    const args = {
+      input: {
+        where: { id: 1 },
+        data: { name: 'Le Bistrot', blocks: [{ componentBlocksQuote: { text: 'Delicious' } }] },
+      },
+    };
+
+    expect(transform(args)).toEqual({
+      input: {
+        where: { id: 1 },
+        data: { name: 'Le Bistrot', blocks: [{ __component: 'blocks.quote', text: 'Delicious' }] },
+      },
+    });
+
+    // the arguments aren't mutated
+    expect(args.input.data.blocks).toEqual([{ componentBlocksQuote: { text: 'Delicious' } }]);
+  });
+
+  test('Keeps the arguments with the scalar inputs', () => {
+    global.strapi.plugins.graphql.config.dynamicZoneScalar = true;
+
+    const transform = buildDynamicZonesInputTransform(restaurantModel);
+    const args = { input: { data: { blocks: [{ __component: 'blocks.quote', text: 'a' }] } } };
+
+    expect(transform(args)).toBe(args);
+  });
+});
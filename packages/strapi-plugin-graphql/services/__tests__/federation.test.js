@@ -0,0 +1,102 @@
+'use strict';
+
+// apollo server uses the Headers of node-fetch, which is mocked for the metrics tests
+jest.unmock('node-fetch');
+
+const { ApolloServer } = require('apollo-server-koa');
+
+const { buildFederatedSchema } = require('../federation');
+
+const typeDefs = `
+  type Article {
+    id: ID!
+    title: String
+    seo: ComponentSharedSeo
+  }
+
+  type Restaurant @key(fields: "name") {
+    id: ID!
+    name: String
+  }
+
+  type ComponentSharedSeo {
+    metaTitle: String
+  }
+
+  type Query {
+    articles: [Article]
+  }
+`;
+
+const articles = [{ id: '1', title: 'Hello' }];
+
+const referenceResolvers = {
+  Article: jest.fn(reference => articles.find(({ id }) => id === reference.id)),
+  Restaurant: jest.fn(reference => ({ id: '1', name: reference.name })),
+  // not a type of the schema, e.g a disabled type
+  Review: jest.fn(),
+};
+
+const createServer = () => {
+  const { typeDefs: federatedTypeDefs, resolvers } = buildFederatedSchema({
+    typeDefs,
+    referenceResolvers,
+  });
+
+  return new ApolloServer({ typeDefs: federatedTypeDefs, resolvers });
+};
+
+describe('Federation', () => {
+  test('Sends the schema of the service with the keys of the entities', async () => {
+    const res = await createServer().executeOperation({ query: '{ _service { sdl } }' });
+
+    const { sdl } = res.data._service;
+
+    expect(sdl).toMatch('type Article @key(fields: "id")');
+    expect(sdl).toMatch('type Restaurant @key(fields: "name")');
+    expect(sdl).toMatch(/type ComponentSharedSeo {/);
+    expect(sdl).not.toMatch('_entities');
+  });
+
+  test('Resolves the entities from their representation', async () => {
+    const res = await createServer().executeOperation({
+      query: `
+        query($representations: [_Any!]!) {
+          _entities(representations: $representations) {
+            ... on Article {
+              title
+            }
+            ... on Restaurant {
+              name
+            }
+          }
+        }
+      `,
+      variables: {
+        representations: [
+          { __typename: 'Article', id: '1' },
+          { __typename: 'Restaurant', name: 'Le Bistrot' },
+          { __typename: 'Article', id: '2' },
+        ],
+      },
+    });
+
+    expect(res.errors).toBeUndefined();
+    expect(res.data._entities).toEqual([{ title: 'Hello' }, { name: 'Le Bistrot' }, null]);
+    expect(referenceResolvers.Article).toHaveBeenCalledWith(
+      { __typename: 'Article', id: '1' },
+      {},
+      expect.any(Object),
+      expect.any(Object)
+    );
+  });
+
+  test("Rejects the representations of types which aren't entities", async () => {
+    const res = await createServer().executeOperation({
+      query:
+        '{ _entities(representations: [{ __typename: "ComponentSharedSeo" }]) { __typename } }',
+    });
+
+    expect(res.errors[0].message).toMatch(`"ComponentSharedSeo" isn't an entity`);
+  });
+});
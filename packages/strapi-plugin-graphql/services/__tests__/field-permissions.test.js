@@ -0,0 +1,53 @@
+'use strict';
+
+const { ForbiddenError } = require('apollo-server-koa');
+
+const { isReadable, withFieldPermissions } = require('../field-permissions');
+
+describe('Field permissions', () => {
+  const model = {
+    uid: 'application::article.article',
+    attributes: {
+      title: { type: 'string' },
+      notes: { type: 'text' },
+      secret: { type: 'string', private: true },
+      author: { model: 'user', plugin: 'users-permissions' },
+    },
+  };
+
+  test('Checks if an attribute is readable', () => {
+    expect(isReadable(undefined, model, 'notes')).toBe(true);
+    expect(isReadable({ 'application::tag.tag': [] }, model, 'notes')).toBe(true);
+    expect(isReadable({ [model.uid]: ['title'] }, model, 'title')).toBe(true);
+    expect(isReadable({ [model.uid]: ['title'] }, model, 'notes')).toBe(false);
+  });
+
+  test('Wraps the resolvers of the public attributes', () => {
+    const id = jest.fn();
+    const author = jest.fn(() => ({ id: 1 }));
+
+    const resolvers = withFieldPermissions(model, { id, author });
+
+    expect(Object.keys(resolvers).sort()).toEqual(['author', 'id', 'notes', 'title']);
+    expect(resolvers.id).toBe(id);
+
+    const graphqlContext = { readableFields: { [model.uid]: ['title', 'author'] } };
+
+    expect(resolvers.author({}, {}, graphqlContext, {})).toEqual({ id: 1 });
+    expect(author).toHaveBeenCalledWith({}, {}, graphqlContext, {});
+  });
+
+  test('Throws a forbidden error on the attributes which are not readable', () => {
+    const resolvers = withFieldPermissions(model);
+    const article = { title: 'Hello', notes: 'Draft' };
+    const graphqlContext = { readableFields: { [model.uid]: ['title'] } };
+
+    expect(resolvers.title(article, {}, graphqlContext, { fieldName: 'title' })).toBe('Hello');
+    expect(() => resolvers.notes(article, {}, graphqlContext, { fieldName: 'notes' })).toThrow(
+      ForbiddenError
+    );
+
+    // without field permissions
+    expect(resolvers.notes(article, {}, {}, { fieldName: 'notes' })).toBe('Draft');
+  });
+});
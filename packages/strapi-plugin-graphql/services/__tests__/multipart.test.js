@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const { Readable } = require('stream');
+const Koa = require('koa');
+
+const { setMultipartBody, removeTmpFiles } = require('../multipart');
+const { buildMutation } = require('../resolvers-builder');
+const types = require('../type-builder');
+
+const createUpload = (filename, content) =>
+  Promise.resolve({
+    filename,
+    mimetype: 'image/png',
+    createReadStream: () => {
+      const stream = new Readable();
+      stream.push(content);
+      stream.push(null);
+      return stream;
+    },
+  });
+
+describe('Multipart', () => {
+  test('Sets the data and the files as a multipart body', async () => {
+    const ctx = { request: { body: { name: 'Le Bistrot' } } };
+
+    const files = await setMultipartBody(ctx, {
+      cover: createUpload('cover.png', 'cover'),
+      gallery: [createUpload('first.png', 'first'), createUpload('second.png', 'second')],
+      logo: null,
+    });
+
+    expect(ctx.request.body).toEqual({ data: JSON.stringify({ name: 'Le Bistrot' }) });
+    expect(Object.keys(ctx.request.files)).toEqual(['files.cover', 'files.gallery']);
+
+    const cover = ctx.request.files['files.cover'];
+    expect(cover).toMatchObject({ name: 'cover.png', type: 'image/png', size: 5 });
+    expect(fs.readFileSync(cover.path, 'utf8')).toBe('cover');
+
+    const gallery = ctx.request.files['files.gallery'];
+    expect(gallery.map(file => file.name)).toEqual(['first.png', 'second.png']);
+
+    removeTmpFiles(files);
+
+    // the files are removed asynchronously
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(cover.path)).toBe(false);
+    expect(gallery.some(file => fs.existsSync(file.path))).toBe(false);
+  });
+
+  test('Sets an empty list of files without uploads', async () => {
+    const ctx = { request: { body: {} } };
+
+    await setMultipartBody(ctx);
+
+    expect(ctx.request).toEqual({ body: { data: '{}' }, files: {} });
+  });
+
+  describe('Mutations', () => {
+    const model = {
+      attributes: {
+        name: { type: 'string' },
+        cover: { model: 'file', via: 'related', plugin: 'upload' },
+      },
+    };
+
+    // a multipart request of the GraphQL endpoint
+    const createGraphqlContext = () => {
+      const req = new http.IncomingMessage();
+      req.headers = { 'content-type': 'multipart/form-data; boundary=x', 'content-length': '10' };
+
+      return { context: { app: new Koa(), req, res: new http.ServerResponse(req) } };
+    };
+
+    beforeEach(() => {
+      const controller = {
+        create: ctx => ctx.request.body,
+        publish: ctx => ctx.request.body,
+      };
+
+      global.strapi = {
+        api: { restaurant: { controllers: { restaurant: controller } } },
+        plugins: {},
+      };
+    });
+
+    afterEach(() => {
+      delete global.strapi;
+    });
+
+    test('The create and update mutations of the models with media attributes upload files', () => {
+      expect(types.hasFilesInput(model, 'create')).toBe(true);
+      expect(types.hasFilesInput(model, 'update')).toBe(true);
+      expect(types.hasFilesInput(model, 'delete')).toBe(false);
+      expect(types.hasFilesInput({ attributes: { name: { type: 'string' } } }, 'create')).toBe(
+        false
+      );
+    });
+
+    test('Sets the multipart body of the mutations uploading files', async () => {
+      const mutation = buildMutation('createRestaurant', {
+        resolver: 'application::restaurant.restaurant.create',
+        uploadFiles: true,
+      });
+
+      const result = await mutation(
+        null,
+        { input: { data: { name: 'Le Bistrot' } } },
+        createGraphqlContext()
+      );
+
+      expect(result).toEqual({ data: JSON.stringify({ name: 'Le Bistrot' }) });
+    });
+
+    test('Does not change the body of the other mutations', async () => {
+      const mutation = buildMutation('publishRestaurant', {
+        resolver: 'application::restaurant.restaurant.publish',
+      });
+
+      const result = await mutation(
+        null,
+        { input: { data: { name: 'Le Bistrot' } } },
+        createGraphqlContext()
+      );
+
+      expect(result).toEqual({ name: 'Le Bistrot' });
+    });
+  });
+});
@@ -1,4 +1,10 @@
-const { toPlural, toSingular, toInputName } = require('../naming');
+const {
+  toPlural,
+  toSingular,
+  toInputName,
+  toFilesInputName,
+  toDynamicZoneName,
+} = require('../naming');
 
 describe('Name util', () => {
   it('Pluralizes with camelcase', () => {
@@ -20,4 +26,14 @@ describe('Name util', () => {
     expect(toInputName('posts')).toBe('PostInput');
     expect(toInputName('home-page')).toBe('HomePageInput');
   });
+
+  it('Generates valid files input type names', () => {
+    expect(toFilesInputName('posts')).toBe('PostFilesInput');
+    expect(toFilesInputName('home-page')).toBe('HomePageFilesInput');
+  });
+
+  it('Generates valid dynamic zone type names', () => {
+    expect(toDynamicZoneName('Restaurant', 'blocks')).toBe('RestaurantBlocksDynamicZone');
+    expect(toDynamicZoneName('HomePage', 'main-content')).toBe('HomePageMainContentDynamicZone');
+  });
 });
@@ -0,0 +1,119 @@
+'use strict';
+
+// apollo server uses the Headers of node-fetch, which is mocked for the metrics tests
+jest.unmock('node-fetch');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse, print } = require('graphql');
+const { ApolloServer, gql } = require('apollo-server-koa');
+
+const {
+  computeQueryHash,
+  loadPersistedQueries,
+  createPersistedQueriesRegistry,
+  createOnlyPersistedPlugin,
+} = require('../persisted-queries');
+
+const typeDefs = gql`
+  type Query {
+    hello: String
+    secret: String
+  }
+`;
+
+const resolvers = {
+  Query: {
+    hello: () => 'world',
+    secret: () => 'secret',
+  },
+};
+
+const helloQuery = print(parse('{ hello }'));
+const helloHash = computeQueryHash(helloQuery);
+
+describe('Persisted queries', () => {
+  test('Loads the queries of a directory', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queries-'));
+    fs.writeFileSync(path.join(dir, 'hello.graphql'), 'query {\n  hello\n}\n');
+    fs.writeFileSync(path.join(dir, 'README.md'), '# Queries');
+
+    expect(loadPersistedQueries(dir)).toEqual({ [helloHash]: helloQuery });
+
+    fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+    fs.rmdirSync(dir);
+  });
+
+  test('Finds the queries of the files and of the store', async () => {
+    const store = {
+      get: jest.fn(() => Promise.resolve({ storedHash: '{ secret }' })),
+    };
+
+    const registry = createPersistedQueriesRegistry({
+      queries: { [helloHash]: helloQuery },
+      store,
+    });
+
+    expect(await registry.find(helloHash)).toBe(helloQuery);
+    expect(await registry.get('apq:storedHash')).toBe('{ secret }');
+    expect(store.get).toHaveBeenCalledWith({ key: 'persistedQueries' });
+    expect(await registry.find('unknown')).toBeUndefined();
+  });
+
+  test('Only registers the queries of the clients when allowed', async () => {
+    const registry = createPersistedQueriesRegistry({});
+    await registry.set('apq:hash', '{ hello }');
+    expect(await registry.get('apq:hash')).toBeUndefined();
+
+    const devRegistry = createPersistedQueriesRegistry({ allowRegistration: true });
+    await devRegistry.set('apq:hash', '{ hello }');
+    expect(await devRegistry.get('apq:hash')).toBe('{ hello }');
+  });
+
+  describe('Only persisted mode', () => {
+    const createServer = () => {
+      const registry = createPersistedQueriesRegistry({ queries: { [helloHash]: helloQuery } });
+
+      return new ApolloServer({
+        typeDefs,
+        resolvers,
+        persistedQueries: { cache: registry },
+        plugins: [createOnlyPersistedPlugin(registry)],
+      });
+    };
+
+    test('Executes the persisted queries from their hash', async () => {
+      const res = await createServer().executeOperation({
+        extensions: { persistedQuery: { version: 1, sha256Hash: helloHash } },
+      });
+
+      expect(res.errors).toBeUndefined();
+      expect(res.data).toEqual({ hello: 'world' });
+    });
+
+    test('Executes the documents of the persisted queries', async () => {
+      const res = await createServer().executeOperation({ query: 'query { hello }' });
+
+      expect(res.data).toEqual({ hello: 'world' });
+    });
+
+    test('Rejects the other documents', async () => {
+      const server = createServer();
+
+      const res = await server.executeOperation({ query: '{ secret }' });
+
+      expect(res.data).toBeUndefined();
+      expect(res.errors[0].extensions.code).toBe('PERSISTED_QUERY_REQUIRED');
+
+      // the clients can't register a query with APQ
+      const query = '{ secret }';
+      const apqRes = await server.executeOperation({
+        query,
+        extensions: { persistedQuery: { version: 1, sha256Hash: computeQueryHash(query) } },
+      });
+
+      expect(apqRes.errors[0].extensions.code).toBe('PERSISTED_QUERY_REQUIRED');
+    });
+  });
+});
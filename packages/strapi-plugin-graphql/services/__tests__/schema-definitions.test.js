@@ -0,0 +1,21 @@
+'use strict';
+
+const { getTypeCacheControl } = require('../schema-definitions');
+
+describe('Schema definitions', () => {
+  describe('getTypeCacheControl', () => {
+    test('Returns the cache control directive of a type', () => {
+      expect(getTypeCacheControl({ _cacheControl: { maxAge: 60, scope: 'public' } })).toBe(
+        ' @cacheControl(maxAge: 60, scope: PUBLIC)'
+      );
+      expect(getTypeCacheControl({ _cacheControl: { maxAge: 0 } })).toBe(
+        ' @cacheControl(maxAge: 0)'
+      );
+    });
+
+    test('Returns an empty string without cache control', () => {
+      expect(getTypeCacheControl({})).toBe('');
+      expect(getTypeCacheControl(false)).toBe('');
+    });
+  });
+});
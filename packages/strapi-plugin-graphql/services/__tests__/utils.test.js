@@ -1,6 +1,6 @@
 'use strict';
 
-const { mergeSchemas } = require('../utils');
+const { mergeSchemas, convertToQuery } = require('../utils');
 
 const createRootSchema = () => ({
   definition: '',
@@ -63,4 +63,23 @@ describe('Utils', () => {
       expect(rootSchema.mutation).toEqual(mutation);
     });
   });
+
+  describe('convertToQuery', () => {
+    test('Flattens nested objects', () => {
+      expect(convertToQuery({ title: 'a', author: { username: 'john' } })).toEqual({
+        title: 'a',
+        'author.username': 'john',
+      });
+    });
+
+    test('Converts the where inputs of or / and groups', () => {
+      expect(
+        convertToQuery({
+          _or: [{ status: 'draft' }, { _and: [{ author: { username: 'john' } }, { rank_gt: 10 }] }],
+        })
+      ).toEqual({
+        _or: [{ status: 'draft' }, { _and: [{ 'author.username': 'john' }, { rank_gt: 10 }] }],
+      });
+    });
+  });
 });
@@ -0,0 +1,83 @@
+'use strict';
+
+// apollo server uses the Headers of node-fetch, which is mocked for the metrics tests
+jest.unmock('node-fetch');
+
+const { ApolloServer, gql } = require('apollo-server-koa');
+
+const { toGraphQLError, withValidationErrors } = require('../validation-errors');
+
+const createValidationError = details =>
+  Object.assign(new Error('ValidationError'), {
+    isBoom: true,
+    data: { errors: { title: ['title must be at most 2 characters'] } },
+    details,
+  });
+
+const details = [
+  { path: ['title'], rule: 'maxLength', message: 'title must be at most 2 characters' },
+];
+
+describe('Validation errors', () => {
+  test('Converts the validation errors to user input errors', () => {
+    const error = toGraphQLError(createValidationError(details), { path: ['input', 'data'] });
+
+    expect(error.message).toBe('ValidationError');
+    expect(error.extensions).toEqual({
+      code: 'BAD_USER_INPUT',
+      validationErrors: [
+        {
+          path: ['input', 'data', 'title'],
+          rule: 'maxLength',
+          message: 'title must be at most 2 characters',
+        },
+      ],
+    });
+  });
+
+  test('Returns the other errors as is', () => {
+    const error = new Error('Forbidden');
+
+    expect(toGraphQLError(error)).toBe(error);
+  });
+
+  test('Sends the failed rules in the extensions of the errors', async () => {
+    const server = new ApolloServer({
+      typeDefs: gql`
+        input ArticleInput {
+          title: String
+        }
+
+        input createArticleInput {
+          data: ArticleInput
+        }
+
+        type Query {
+          hello: String
+        }
+
+        type Mutation {
+          createArticle(input: createArticleInput): String
+        }
+      `,
+      resolvers: {
+        Mutation: {
+          createArticle: withValidationErrors(() => {
+            throw createValidationError(details);
+          }),
+        },
+      },
+    });
+
+    const res = await server.executeOperation({
+      query: 'mutation { createArticle(input: { data: { title: "tooLong" } }) }',
+    });
+
+    expect(res.errors).toHaveLength(1);
+    expect(res.errors[0].path).toEqual(['createArticle']);
+    expect(res.errors[0].extensions).toMatchObject({
+      code: 'BAD_USER_INPUT',
+      validationErrors: [{ path: ['input', 'data', 'title'], rule: 'maxLength' }],
+    });
+  });
+});
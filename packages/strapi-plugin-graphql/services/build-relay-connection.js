@@ -0,0 +1,216 @@
+/**
+ * Relay connections
+ *
+ * @description: Cursor paginated queries following the Relay connection specification.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const pluralize = require('pluralize');
+const { ForbiddenError } = require('apollo-server-koa');
+const { convertRestQueryParams, cursor } = require('strapi-utils');
+
+const { buildQuery: buildQueryResolver } = require('./resolvers-builder');
+const { convertToParams, amountLimiting } = require('./utils');
+const { toSDL } = require('./schema-definitions');
+const { isReadable } = require('./field-permissions');
+
+const pageInfoDefinition = `
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+`;
+
+/**
+ * Converts the Relay arguments to the params of a find query
+ *
+ * @example
+ *
+ * convertRelayArgs({ first: 10, after: 'WzFd' })
+ * // => { limit: 10, after: 'WzFd' }
+ */
+const convertRelayArgs = ({ first, last, after, before, sort, where }) => {
+  if (!_.isNil(first) && !_.isNil(last)) {
+    throw new Error('The first and last arguments cannot be used together');
+  }
+
+  return _.omitBy(
+    {
+      sort,
+      where,
+      limit: _.isNil(last) ? first : last,
+      after,
+      before,
+    },
+    _.isNil
+  );
+};
+
+/**
+ * Checks if the Relay arguments select the last entries of the list, `last` without a `before` cursor
+ */
+const isLastEntries = ({ last, before }) => !_.isNil(last) && _.isNil(before);
+
+/**
+ * Returns the opposite of the cursor sort of a query, used to find the last entries of a list
+ *
+ * @example
+ *
+ * reverseSort('title:asc')
+ * // => 'title:desc,id:desc'
+ */
+const reverseSort = sort => {
+  const filters = convertRestQueryParams(convertToParams(_.omitBy({ sort }, _.isNil)));
+
+  return cursor
+    .getCursorSort(filters.sort)
+    .map(({ field, order }) => `${field}:${order === 'asc' ? 'desc' : 'asc'}`)
+    .join(',');
+};
+
+/**
+ * Throws when the cursors would contain an attribute removed from the entries, a private attribute
+ * or an attribute the role can't read, as the cursors are created from the sanitized entries
+ * @param {Object} model - the model of the entries
+ * @param {Object} params - the params of the find query
+ * @param {Object} readableFields - the readable attributes of the role by model uid
+ */
+const checkCursorSort = (model, params, readableFields) => {
+  const { sort } = convertRestQueryParams(convertToParams(_.pick(params, 'sort')));
+
+  const hiddenField = cursor
+    .getCursorSort(sort)
+    .map(({ field }) => field)
+    .find(field => {
+      const attribute = _.get(model, ['attributes', field]);
+
+      return (
+        !_.isNil(attribute) &&
+        (attribute.private === true || !isReadable(readableFields, model, field))
+      );
+    });
+
+  if (hiddenField) {
+    throw new ForbiddenError(
+      `You are not allowed to sort the cursors by the attribute "${hiddenField}"`
+    );
+  }
+};
+
+/**
+ * Builds the edges and the page info of a list of entries
+ * @param {Array} entries - the entries returned by the find query
+ * @param {Object} params - the params of the find query
+ * @param {Object} options
+ * @param {boolean} options.last - the entries are the last ones of the list, found with the reversed sort
+ */
+const toConnection = (entries, params, { last = false } = {}) => {
+  const filters = convertRestQueryParams(convertToParams(_.omit(params, 'where')));
+  const cursorSort = cursor.getCursorSort(filters.sort);
+  const nodes = last ? _.reverse([...entries]) : entries;
+
+  const edges = nodes.map(node => ({
+    node,
+    cursor: cursor.encodeCursor(node, cursorSort),
+  }));
+
+  const { next, previous } = cursor.getPageCursors(nodes, filters);
+
+  return {
+    edges,
+    pageInfo: {
+      // the last entries have entries before them when the page is full
+      hasNextPage: !last && next !== null,
+      hasPreviousPage: last
+        ? filters.limit >= 0 && nodes.length >= filters.limit
+        : previous !== null,
+      startCursor: _.get(_.first(edges), 'cursor', null),
+      endCursor: _.get(_.last(edges), 'cursor', null),
+    },
+  };
+};
+
+/**
+ * Creates the Relay connection of a model next to its aggregation connection
+ * Example:
+ *  type User {
+ *     username: String,
+ *  }
+ *
+ * It'll create
+ *  type UserEdge {
+ *    node: User
+ *    cursor: String!
+ *  }
+ *
+ *  type UserRelayConnection {
+ *    edges: [UserEdge!]!
+ *    pageInfo: PageInfo!
+ *  }
+ *
+ * And the query
+ *  usersRelayConnection(sort: String, first: Int, after: String, last: Int, before: String, where: JSON): UserRelayConnection
+ */
+const formatModelRelayConnectionGQL = function({ model, name, resolver }) {
+  const { globalId } = model;
+
+  const edgeGlobalId = `${globalId}Edge`;
+  const connectionGlobalId = `${globalId}RelayConnection`;
+
+  const pluralName = pluralize.plural(_.camelCase(name));
+  const connectionQueryName = `${pluralName}RelayConnection`;
+
+  const definition = [
+    `type ${edgeGlobalId} {${toSDL({ node: globalId, cursor: 'String!' })}}`,
+    `type ${connectionGlobalId} {${toSDL({
+      edges: `[${edgeGlobalId}!]!`,
+      pageInfo: 'PageInfo!',
+    })}}`,
+  ].join('\n\n');
+
+  const queryName = `${connectionQueryName}(sort: String, first: Int, after: String, last: Int, before: String, where: JSON)`;
+
+  const findResolver = buildQueryResolver(`${connectionQueryName}.edges`, resolver);
+
+  return {
+    globalId: connectionGlobalId,
+    definition,
+    query: {
+      [queryName]: `${connectionGlobalId}!`,
+    },
+    resolvers: {
+      Query: {
+        [connectionQueryName]: buildQueryResolver(connectionQueryName, {
+          resolverOf: resolver.resolverOf || resolver.resolver,
+          async resolver(obj, options, gqlCtx) {
+            const params = amountLimiting(convertRelayArgs(options));
+            checkCursorSort(model, params, gqlCtx.readableFields);
+
+            // the last entries are the first ones of the reversed sort
+            const last = isLastEntries(options);
+            const entries = await findResolver(
+              obj,
+              last ? { ...params, sort: reverseSort(params.sort) } : params,
+              gqlCtx
+            );
+
+            return toConnection(entries, params, { last });
+          },
+        }),
+      },
+    },
+  };
+};
+
+module.exports = {
+  pageInfoDefinition,
+  convertRelayArgs,
+  reverseSort,
+  checkCursorSort,
+  toConnection,
+  formatModelRelayConnectionGQL,
+};
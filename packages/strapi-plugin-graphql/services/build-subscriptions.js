@@ -0,0 +1,157 @@
+/**
+ * Subscriptions
+ *
+ * @description: Subscriptions to the create, update and delete events of the entries of a model.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { parse, validate, specifiedRules, getOperationAST } = require('graphql');
+const { PubSub, withFilter, UserInputError } = require('apollo-server-koa');
+const {
+  convertRestQueryParams,
+  matchesWhere,
+  regexFilter,
+  sanitizeEntity,
+} = require('strapi-utils');
+
+const { buildSubscription } = require('./resolvers-builder');
+const { computeCost, checkMaxCost } = require('./cost-analysis');
+const { computeQueryHash, checkPersisted } = require('./persisted-queries');
+const { convertToQuery } = require('./utils');
+const { toSingular } = require('./naming');
+
+// the suffix of the subscription of each entry event
+const ENTRY_EVENTS = {
+  'entry.create': 'Created',
+  'entry.update': 'Updated',
+  'entry.delete': 'Deleted',
+};
+
+const pubsub = new PubSub();
+
+const getTopic = (uid, event) => `${event}.${uid}`;
+
+/**
+ * Removes the private attributes and the attributes the role of the subscription can't read from an entry,
+ * the events of the event hub contain the raw entries
+ */
+const sanitizeEntry = (entry, model, { readableFields }) =>
+  sanitizeEntity(entry, { model, readableFields });
+
+/**
+ * Publishes the entries of the entry events of the event hub to the subscriptions
+ * Bulk events are published once per entry
+ * @param {EventEmitter} eventHub - the strapi event hub
+ */
+const publishEntryEvents = eventHub => {
+  Object.keys(ENTRY_EVENTS).forEach(event => {
+    eventHub.on(event, info => {
+      const entries = _.has(info, 'entries') ? info.entries : [info.entry];
+
+      entries.forEach(entry => pubsub.publish(getTopic(info.uid, event), { entry }));
+    });
+  });
+};
+
+/**
+ * Creates the check of the operations sent on the WebSocket connections.
+ * The subscription server executes them without the validation rules and the plugins of the Apollo server,
+ * the check applies them: the validation rules, the max cost and the `onlyPersisted` mode.
+ * @param {Object} options - Options
+ * @param {Array<Function>} options.validationRules - the validation rules added to the specified rules
+ * @param {Object} options.cost - the options of the cost analysis (maxCost, costs and defaultListSize)
+ * @param {Object} options.persistedQueries - the persisted queries registry, the other queries are rejected when it's set
+ * @returns {Function} async (schema, payload) => void, throws when the operation isn't allowed
+ */
+const createOperationCheck = ({ validationRules = [], cost = {}, persistedQueries }) => async (
+  schema,
+  { query, variables, operationName } = {}
+) => {
+  if (!_.isString(query)) {
+    throw new UserInputError('Must provide a query string');
+  }
+
+  const document = parse(query);
+  const [error] = validate(schema, document, [...specifiedRules, ...validationRules]);
+
+  if (error) {
+    throw error;
+  }
+
+  const operation = getOperationAST(document, operationName);
+
+  if (!operation) {
+    throw new UserInputError('Unknown operation');
+  }
+
+  const { maxCost, ...costOptions } = cost;
+  checkMaxCost(computeCost({ ...costOptions, schema, document, operation, variables }), maxCost);
+
+  if (persistedQueries) {
+    await checkPersisted(persistedQueries, { queryHash: computeQueryHash(query), document });
+  }
+};
+
+/**
+ * Creates the subscriptions of a model
+ * Example:
+ *  type User {
+ *     username: String,
+ *  }
+ *
+ * It'll create
+ *  type Subscription {
+ *    userCreated(where: JSON): User
+ *    userUpdated(where: JSON): User
+ *    userDeleted(where: JSON): User
+ *  }
+ */
+const formatModelSubscriptionsGQL = function({ model, resolver, _schema }) {
+  const { uid, globalId, modelName } = model;
+
+  return Object.keys(ENTRY_EVENTS).reduce(
+    (acc, event) => {
+      const subscriptionName = `${toSingular(modelName)}${ENTRY_EVENTS[event]}`;
+      const config = _.get(_schema, ['resolver', 'Subscription', subscriptionName], {});
+
+      // Disabled this subscription.
+      if (config === false) return acc;
+
+      const filteredSubscribe = withFilter(
+        () => pubsub.asyncIterator(getTopic(uid, event)),
+        ({ entry }, { where }, graphqlContext) =>
+          matchesWhere(sanitizeEntry(entry, model, graphqlContext), convertToQuery(where))
+      );
+
+      // the where argument is checked when subscribing, as the queries do
+      const subscribe = (root, options, graphqlContext) => {
+        const { where: clauses } = convertRestQueryParams(convertToQuery(options.where));
+        regexFilter.validateRegexClauses(clauses);
+
+        return filteredSubscribe(root, options, graphqlContext);
+      };
+
+      acc.subscription[`${subscriptionName}(where: JSON)`] = globalId;
+      acc.resolvers.Subscription[subscriptionName] = buildSubscription(subscriptionName, {
+        resolverOf: resolver,
+        ...config,
+        subscribe,
+        resolve: ({ entry }, options, graphqlContext) =>
+          sanitizeEntry(entry, model, graphqlContext),
+      });
+
+      return acc;
+    },
+    { subscription: {}, resolvers: { Subscription: {} } }
+  );
+};
+
+module.exports = {
+  pubsub,
+  getTopic,
+  publishEntryEvents,
+  createOperationCheck,
+  formatModelSubscriptionsGQL,
+};
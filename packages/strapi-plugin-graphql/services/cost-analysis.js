@@ -0,0 +1,214 @@
+/**
+ * Cost analysis
+ *
+ * @description: Estimates the cost of a query before executing it, to reject the queries fetching too many entries.
+ * Each entry returned costs the cost of its type (1 by default, 0 for the scalars).
+ * The cost of the entries of a list is multiplied by the size of the list (the `limit`, `first` or `last` argument).
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const graphql = require('graphql');
+const { getArgumentValues } = require('graphql/execution/values');
+const { ApolloError } = require('apollo-server-koa');
+
+const DEFAULT_LIST_SIZE = 100;
+const SIZE_ARGUMENTS = ['limit', 'first', 'last'];
+
+/**
+ * Returns the size of the list a field returns based on its arguments
+ * The sizes are capped by the default list size, as the `amountLimit` caps the limits of the queries
+ */
+const getListSize = (args, { defaultListSize }) => {
+  const size = _.find(_.pick(args, SIZE_ARGUMENTS), _.isInteger);
+
+  if (_.isUndefined(size) || size < 0) {
+    return undefined;
+  }
+
+  return Math.min(size, defaultListSize);
+};
+
+const getTypeCost = (type, { costs }) => {
+  if (_.has(costs, type.name)) {
+    return costs[type.name];
+  }
+
+  return graphql.isCompositeType(type) ? 1 : 0;
+};
+
+/**
+ * Computes the cost of a selection set
+ * @param {Object} options.selectionSet - the selection set
+ * @param {Object} options.parentType - the type the selection set is applied to
+ * @param {number} options.multiplier - the number of times the selection set is resolved
+ * @param {number} options.size - the size of the list of the selection set set by its parent field (e.g for connections)
+ */
+const computeSelectionSetCost = ({ selectionSet, parentType, multiplier, size }, context) => {
+  if (!selectionSet) return 0;
+
+  return selectionSet.selections.reduce((cost, selection) => {
+    switch (selection.kind) {
+      case graphql.Kind.FIELD: {
+        const fieldDef =
+          graphql.isObjectType(parentType) || graphql.isInterfaceType(parentType)
+            ? parentType.getFields()[selection.name.value]
+            : undefined;
+
+        // meta fields (e.g __typename) are free
+        if (!fieldDef) return cost;
+
+        const args = getArgumentValues(fieldDef, selection, context.variables);
+        const fieldSize = getListSize(args, context);
+        const type = graphql.getNamedType(fieldDef.type);
+        const isList = graphql.isListType(graphql.getNullableType(fieldDef.type));
+
+        const count = isList ? _.find([fieldSize, size, context.defaultListSize], _.isNumber) : 1;
+
+        return (
+          cost +
+          multiplier * count * getTypeCost(type, context) +
+          computeSelectionSetCost(
+            {
+              selectionSet: selection.selectionSet,
+              parentType: type,
+              multiplier: multiplier * count,
+              // the size of a connection applies to its lists
+              size: isList ? undefined : fieldSize,
+            },
+            context
+          )
+        );
+      }
+      case graphql.Kind.INLINE_FRAGMENT:
+      case graphql.Kind.FRAGMENT_SPREAD: {
+        const fragment =
+          selection.kind === graphql.Kind.FRAGMENT_SPREAD
+            ? context.fragments[selection.name.value]
+            : selection;
+
+        if (!fragment) return cost;
+
+        const type = fragment.typeCondition
+          ? context.schema.getType(fragment.typeCondition.name.value)
+          : parentType;
+
+        return (
+          cost +
+          computeSelectionSetCost(
+            { selectionSet: fragment.selectionSet, parentType: type, multiplier, size },
+            context
+          )
+        );
+      }
+      default:
+        return cost;
+    }
+  }, 0);
+};
+
+/**
+ * Computes the cost of an operation
+ * @param {Object} options - Options
+ * @param {GraphQLSchema} options.schema - the GraphQL schema
+ * @param {Object} options.document - the parsed query
+ * @param {Object} options.operation - the executed operation of the document
+ * @param {Object} options.variables - the variables of the query
+ * @param {Object} options.costs - the cost of the types, ex: { Article: 2 }
+ * @param {number} options.defaultListSize - the size of the lists without a limit
+ */
+const computeCost = ({
+  schema,
+  document,
+  operation,
+  variables = {},
+  costs = {},
+  defaultListSize = DEFAULT_LIST_SIZE,
+}) => {
+  const rootTypes = {
+    query: schema.getQueryType(),
+    mutation: schema.getMutationType(),
+    subscription: schema.getSubscriptionType(),
+  };
+
+  const fragments = document.definitions
+    .filter(definition => definition.kind === graphql.Kind.FRAGMENT_DEFINITION)
+    .reduce((acc, fragment) => _.set(acc, fragment.name.value, fragment), {});
+
+  return computeSelectionSetCost(
+    {
+      selectionSet: operation.selectionSet,
+      parentType: rootTypes[operation.operation],
+      multiplier: 1,
+    },
+    { schema, fragments, variables, costs, defaultListSize }
+  );
+};
+
+/**
+ * Throws when the cost of an operation exceeds the max cost
+ * @param {number} cost - the cost of the operation, see computeCost
+ * @param {number} maxCost - the max cost of a query, no limit when it isn't set
+ */
+const checkMaxCost = (cost, maxCost) => {
+  if (_.isNumber(maxCost) && cost > maxCost) {
+    throw new ApolloError(
+      `The query cost ${cost} exceeds the maximum cost of ${maxCost}`,
+      'QUERY_COST_EXCEEDED',
+      { cost, maxCost }
+    );
+  }
+};
+
+/**
+ * Creates an Apollo server plugin computing the cost of the queries
+ * The queries costing more than the max cost are rejected and the cost is sent in the `extensions` of the response
+ * @param {Object} options - Options
+ * @param {number} options.maxCost - the max cost of a query, no limit when it isn't set
+ * @param {Object} options.costs - the cost of the types, ex: { Article: 2 }
+ * @param {number} options.defaultListSize - the size of the lists without a limit
+ */
+const createCostPlugin = ({ maxCost, costs, defaultListSize }) => {
+  let schema;
+
+  return {
+    serverWillStart(service) {
+      schema = service.schema;
+    },
+
+    requestDidStart() {
+      let cost;
+
+      return {
+        didResolveOperation({ document, operation, request }) {
+          cost = computeCost({
+            schema,
+            document,
+            operation,
+            variables: request.variables,
+            costs,
+            defaultListSize,
+          });
+
+          checkMaxCost(cost, maxCost);
+        },
+
+        willSendResponse({ response }) {
+          if (_.isUndefined(cost)) return;
+
+          response.extensions = {
+            ...response.extensions,
+            cost: _.omitBy({ requestedQueryCost: cost, maximumAvailable: maxCost }, _.isNil),
+          };
+        },
+      };
+    },
+  };
+};
+
+module.exports = {
+  computeCost,
+  checkMaxCost,
+  createCostPlugin,
+};
@@ -10,38 +10,36 @@ const _ = require('lodash');
 const DataLoader = require('dataloader');
 
 module.exports = {
-  loaders: {},
-
-  initializeLoader: function() {
-    this.resetLoaders();
+  /**
+   * Creates the loaders of a GraphQL request, one for each model.
+   * The loaders are stored in the context of the request so the batches and the caches aren't shared between requests.
+   *
+   * @return Object
+   */
+  createLoaders: function() {
+    const loaders = {};
 
     // Create loaders for each relational field (exclude core models).
     Object.keys(strapi.models)
       .filter(model => model.internal !== true)
       .forEach(modelKey => {
         const model = strapi.models[modelKey];
-        this.createLoader(model.uid);
+        loaders[model.uid] = this.createLoader(model.uid);
       });
 
     // Reproduce the same pattern for each plugin.
     Object.keys(strapi.plugins).forEach(plugin => {
       Object.keys(strapi.plugins[plugin].models).forEach(modelKey => {
         const model = strapi.plugins[plugin].models[modelKey];
-        this.createLoader(model.uid);
+        loaders[model.uid] = this.createLoader(model.uid);
       });
     });
-  },
 
-  resetLoaders: function() {
-    this.loaders = {};
+    return loaders;
   },
 
   createLoader: function(modelUID) {
-    if (this.loaders[modelUID]) {
-      return this.loaders[modelUID];
-    }
-
-    this.loaders[modelUID] = new DataLoader(
+    return new DataLoader(
       keys => {
         // Extract queries from keys and merge similar queries.
         const { queries, map } = this.extractQueries(
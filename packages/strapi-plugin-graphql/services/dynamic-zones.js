@@ -0,0 +1,137 @@
+/**
+ * Dynamic zones
+ *
+ * @description: Builds the input types of the dynamic zones. GraphQL has no input unions, so an entry of a dynamic zone
+ * is an input with a field per allowed component where exactly one field is set, e.g `{ componentSharedSeo: { ... } }`.
+ * The mutations convert the entries to the `{ __component, ...values }` format of the entity service.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { UserInputError } = require('apollo-server-koa');
+
+/**
+ * Checks if the dynamic zones use the JSON scalar inputs of the previous versions
+ */
+const isScalarInput = () =>
+  _.get(strapi.plugins, 'graphql.config.dynamicZoneScalar', false) === true;
+
+/**
+ * Returns the name of the field of a component in the inputs of the dynamic zones
+ */
+const toComponentFieldName = globalId => _.lowerFirst(globalId);
+
+const getDynamicZones = model =>
+  Object.keys(model.attributes).filter(
+    attribute => model.attributes[attribute].type === 'dynamiczone'
+  );
+
+/**
+ * Returns the input types of a dynamic zone, the entries of the updates can reference their component with its id
+ * @param {string} name - the name of the dynamic zone type
+ * @param {Array<string>} components - the uids of the allowed components
+ */
+const generateDynamicZoneInputs = (name, components) => {
+  const generateFields = prefix =>
+    _.isEmpty(components)
+      ? '_: Boolean'
+      : components
+          .map(uid => {
+            const { globalId } = strapi.components[uid];
+            return `${toComponentFieldName(globalId)}: ${prefix}${globalId}Input`;
+          })
+          .join('\n');
+
+  return `
+    input ${name}Input {
+      ${generateFields('')}
+    }
+
+    input edit${name}Input {
+      ${generateFields('edit')}
+    }
+  `;
+};
+
+/**
+ * Converts the entries of a dynamic zone input to the format of the entity service
+ * @param {Array} entries - the entries of the input
+ * @param {Object} options - Options
+ * @param {string} options.attribute - the name of the dynamic zone
+ * @param {Array<string>} options.components - the uids of the allowed components
+ * @returns {Array} the entries with their `__component`
+ */
+const convertDynamicZoneInput = (entries, { attribute, components }) => {
+  const componentsByField = _.keyBy(components, uid =>
+    toComponentFieldName(strapi.components[uid].globalId)
+  );
+
+  return entries.map((entry, index) => {
+    const fields = Object.keys(entry).filter(field => !_.isNil(entry[field]));
+
+    if (fields.length !== 1 || !_.has(componentsByField, fields[0])) {
+      throw new UserInputError(
+        `The entry ${index} of the dynamic zone "${attribute}" must set exactly one of: ${Object.keys(
+          componentsByField
+        ).join(', ')}`,
+        {
+          validationErrors: [
+            {
+              path: ['input', 'data', attribute, index],
+              rule: 'dynamiczone',
+              message: 'Set exactly one component',
+            },
+          ],
+        }
+      );
+    }
+
+    const [field] = fields;
+
+    return { __component: componentsByField[field], ...entry[field] };
+  });
+};
+
+/**
+ * Returns the function converting the dynamic zones of the arguments of the mutations of a model
+ * @param {Object} model - the model of the mutations
+ * @returns {Function} the function returning the converted arguments
+ */
+const buildDynamicZonesInputTransform = model => {
+  const dynamicZones = getDynamicZones(model);
+
+  if (_.isEmpty(dynamicZones) || isScalarInput()) {
+    return _.identity;
+  }
+
+  return options => {
+    const data = _.get(options, ['input', 'data']);
+
+    if (!_.isPlainObject(data)) {
+      return options;
+    }
+
+    const convertedData = dynamicZones
+      .filter(attribute => Array.isArray(data[attribute]))
+      .reduce(
+        (acc, attribute) => ({
+          ...acc,
+          [attribute]: convertDynamicZoneInput(data[attribute], {
+            attribute,
+            components: model.attributes[attribute].components,
+          }),
+        }),
+        data
+      );
+
+    return _.set({ ...options, input: { ...options.input } }, ['input', 'data'], convertedData);
+  };
+};
+
+module.exports = {
+  isScalarInput,
+  generateDynamicZoneInputs,
+  convertDynamicZoneInput,
+  buildDynamicZonesInputTransform,
+};
@@ -0,0 +1,157 @@
+/**
+ * Federation
+ *
+ * @description: Makes the schema an Apollo Federation subgraph so a gateway can compose it with other services.
+ * The content types are entities identified by their id, a gateway fetches them with the `_entities` query.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const graphql = require('graphql');
+
+const federationDefinition = `
+  scalar _Any
+  scalar _FieldSet
+
+  directive @external on FIELD_DEFINITION
+  directive @requires(fields: _FieldSet!) on FIELD_DEFINITION
+  directive @provides(fields: _FieldSet!) on FIELD_DEFINITION
+  directive @key(fields: _FieldSet!) on OBJECT | INTERFACE
+  directive @extends on OBJECT | INTERFACE
+
+  type _Service {
+    sdl: String
+  }
+`;
+
+const KEY_FIELD = 'id';
+
+const hasDirective = (node, name) =>
+  _.some(node.directives, directive => directive.name.value === name);
+
+const hasField = (node, name) => _.some(node.fields, field => field.name.value === name);
+
+const createKeyDirective = () => ({
+  kind: graphql.Kind.DIRECTIVE,
+  name: { kind: graphql.Kind.NAME, value: 'key' },
+  arguments: [
+    {
+      kind: graphql.Kind.ARGUMENT,
+      name: { kind: graphql.Kind.NAME, value: 'fields' },
+      value: { kind: graphql.Kind.STRING, value: KEY_FIELD },
+    },
+  ],
+});
+
+/**
+ * Adds the `@key(fields: "id")` directive to the types of the entities
+ * The types with their own `@key` directive are kept as is.
+ * @param {Object} document - the parsed type definitions
+ * @param {Array<string>} typeNames - the names of the entities
+ * @returns {Object} the new document and the names of the entities found in the document
+ */
+const addEntityKeys = (document, typeNames) => {
+  const entityNames = [];
+
+  const newDocument = graphql.visit(document, {
+    ObjectTypeDefinition(node) {
+      if (!typeNames.includes(node.name.value)) return;
+
+      if (hasDirective(node, 'key')) {
+        entityNames.push(node.name.value);
+        return;
+      }
+
+      if (!hasField(node, KEY_FIELD)) return;
+
+      entityNames.push(node.name.value);
+
+      return {
+        ...node,
+        directives: [...(node.directives || []), createKeyDirective()],
+      };
+    },
+  });
+
+  return { document: newDocument, entityNames };
+};
+
+/**
+ * Builds the federation type definitions and resolvers of a schema
+ * @param {Object} options - Options
+ * @param {string} options.typeDefs - the type definitions of the schema
+ * @param {Object} options.referenceResolvers - the functions fetching an entity from its representation by type name
+ * @returns {Object} the type definitions and the resolvers of the subgraph
+ */
+const buildFederatedSchema = ({ typeDefs, referenceResolvers }) => {
+  const { document, entityNames } = addEntityKeys(
+    graphql.parse(typeDefs),
+    Object.keys(referenceResolvers)
+  );
+
+  // the schema of the service, sent to the gateway
+  const sdl = graphql.print(document);
+
+  const entityDefinition = _.isEmpty(entityNames)
+    ? ''
+    : `union _Entity = ${entityNames.join(' | ')}`;
+
+  const entitiesField = _.isEmpty(entityNames)
+    ? ''
+    : '_entities(representations: [_Any!]!): [_Entity]!';
+
+  const resolvers = {
+    Query: {
+      _service: () => ({ sdl }),
+    },
+  };
+
+  if (!_.isEmpty(entityNames)) {
+    resolvers._Entity = {
+      __resolveType: entity => entity.__typename,
+    };
+
+    resolvers.Query._entities = (root, { representations }, graphqlContext, info) => {
+      return Promise.all(
+        representations.map(async representation => {
+          const { __typename: typename } = representation;
+
+          if (!entityNames.includes(typename)) {
+            throw new Error(`The type "${typename}" isn't an entity of this service`);
+          }
+
+          const entity = await referenceResolvers[typename](
+            representation,
+            {},
+            graphqlContext,
+            info
+          );
+
+          return _.isNil(entity) ? null : { ...entity, __typename: typename };
+        })
+      );
+    };
+  }
+
+  return {
+    typeDefs: `
+      ${sdl}
+
+      ${federationDefinition}
+
+      ${entityDefinition}
+
+      extend type Query {
+        ${entitiesField}
+        _service: _Service!
+      }
+    `,
+    resolvers,
+  };
+};
+
+module.exports = {
+  addEntityKeys,
+  buildFederatedSchema,
+};
@@ -0,0 +1,58 @@
+/**
+ * Field permissions
+ *
+ * @description: Checks the attributes of the content types against the attributes the role of the request can read.
+ * The users-permissions policy sets the readable attributes of the role, the resolvers copy them in the GraphQL context.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { defaultFieldResolver } = require('graphql');
+const { ForbiddenError } = require('apollo-server-koa');
+
+/**
+ * Checks if an attribute can be read
+ * @param {Object} readableFields - the readable attributes by model uid, the models without restrictions are omitted
+ * @param {Object} model - the model of the attribute
+ * @param {string} attribute - the name of the attribute
+ */
+const isReadable = (readableFields, model, attribute) => {
+  const fields = _.get(readableFields, model.uid);
+
+  return !Array.isArray(fields) || fields.includes(attribute);
+};
+
+/**
+ * Wraps the field resolvers of a content type to throw a forbidden error on the attributes the role can't read
+ * @param {Object} model - the model of the type
+ * @param {Object} resolvers - the field resolvers of the type
+ * @returns {Object} the field resolvers of all the attributes of the type
+ */
+const withFieldPermissions = (model, resolvers = {}) => {
+  const attributes = Object.keys(model.attributes).filter(
+    attribute => model.attributes[attribute].private !== true
+  );
+
+  return attributes.reduce(
+    (acc, attribute) => {
+      const resolver = resolvers[attribute] || defaultFieldResolver;
+
+      acc[attribute] = (root, options, graphqlContext, info) => {
+        if (!isReadable(graphqlContext.readableFields, model, attribute)) {
+          throw new ForbiddenError(`You are not allowed to read the attribute "${attribute}"`);
+        }
+
+        return resolver(root, options, graphqlContext, info);
+      };
+
+      return acc;
+    },
+    { ...resolvers }
+  );
+};
+
+module.exports = {
+  isReadable,
+  withFieldPermissions,
+};
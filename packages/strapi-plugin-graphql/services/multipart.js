@@ -0,0 +1,77 @@
+/**
+ * Multipart
+ *
+ * @description: Formats the mutations of the GraphQL multipart requests like the multipart requests of the REST API,
+ * so the controllers create the entries and upload their files with the entity service.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const util = require('util');
+const _ = require('lodash');
+
+const pipeline = util.promisify(stream.pipeline);
+const stat = util.promisify(fs.stat);
+
+/**
+ * Writes an upload to a temporary file, as the body parser does for the REST requests
+ * @param {Promise} upload - the Upload scalar value
+ * @returns {Object} the file ({ path, name, type, size })
+ */
+const writeTmpFile = async upload => {
+  const { filename, mimetype, createReadStream } = await upload;
+
+  const tmpPath = path.join(os.tmpdir(), `upload_${crypto.randomBytes(16).toString('hex')}`);
+
+  await pipeline(createReadStream(), fs.createWriteStream(tmpPath));
+
+  const { size } = await stat(tmpPath);
+
+  return { path: tmpPath, name: filename, type: mimetype, size };
+};
+
+/**
+ * Removes the temporary files which haven't been uploaded, e.g when the validation failed
+ */
+const removeTmpFiles = files => {
+  _.flatten(Object.values(files)).forEach(file => fs.unlink(file.path, _.noop));
+};
+
+/**
+ * Sets the data and the files of a mutation as the multipart body of its context
+ * The files are keyed by `files.<attribute>`, as in the REST API.
+ * @param {Object} ctx - the context of the mutation
+ * @param {Object} files - the uploads of the mutation by attribute
+ * @returns {Object} the files of the body
+ */
+const setMultipartBody = async (ctx, files = {}) => {
+  const uploads = _.omitBy(files, upload => _.isEmpty(_.compact(_.castArray(upload))));
+
+  const tmpFiles = {};
+
+  try {
+    for (const attribute of Object.keys(uploads)) {
+      tmpFiles[attribute] = Array.isArray(uploads[attribute])
+        ? await Promise.all(_.compact(uploads[attribute]).map(writeTmpFile))
+        : await writeTmpFile(uploads[attribute]);
+    }
+  } catch (error) {
+    removeTmpFiles(tmpFiles);
+    throw error;
+  }
+
+  ctx.request.body = { data: JSON.stringify(ctx.request.body) };
+  ctx.request.files = _.mapKeys(tmpFiles, (file, attribute) => `files.${attribute}`);
+
+  return tmpFiles;
+};
+
+module.exports = {
+  setMultipartBody,
+  removeTmpFiles,
+};
@@ -7,9 +7,14 @@ const toPlural = str => pluralize(_.camelCase(str));
 const toSingular = str => _.camelCase(pluralize.singular(str));
 
 const toInputName = str => `${_.upperFirst(toSingular(str))}Input`;
+const toFilesInputName = str => `${_.upperFirst(toSingular(str))}FilesInput`;
+const toDynamicZoneName = (globalId, attribute) =>
+  `${globalId}${_.upperFirst(_.camelCase(attribute))}DynamicZone`;
 
 module.exports = {
   toSingular,
   toPlural,
   toInputName,
+  toFilesInputName,
+  toDynamicZoneName,
 };
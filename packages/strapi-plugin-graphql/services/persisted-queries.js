@@ -0,0 +1,147 @@
+/**
+ * Persisted queries
+ *
+ * @description: A registry of the queries the clients can execute with their hash, loaded from
+ * the `config/graphql/queries/*.graphql` files of the application and from the core store.
+ * The hash of a query is the sha256 hash of its printed document, as computed by the Apollo clients.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const _ = require('lodash');
+const glob = require('glob');
+const { parse, print } = require('graphql');
+const { ApolloError } = require('apollo-server-koa');
+
+// key of the hash to query map in the core store
+const STORE_KEY = 'persistedQueries';
+
+// Apollo prefixes the keys of the persisted queries cache
+const APQ_CACHE_PREFIX = 'apq:';
+
+const computeQueryHash = query =>
+  crypto
+    .createHash('sha256')
+    .update(query)
+    .digest('hex');
+
+/**
+ * Loads the queries of the `.graphql` files of a directory, one query per file
+ * @param {string} dir - the directory of the queries
+ * @return {Object} the queries by hash
+ */
+const loadPersistedQueries = dir => {
+  return glob.sync('*.graphql', { cwd: dir, absolute: true }).reduce((acc, file) => {
+    const query = print(parse(fs.readFileSync(file, 'utf8')));
+
+    acc[computeQueryHash(query)] = query;
+    return acc;
+  }, {});
+};
+
+/**
+ * Creates the registry of the persisted queries.
+ * It is used as the cache of the automatic persisted queries (APQ) by the Apollo server.
+ * @param {Object} options - Options
+ * @param {Object} options.queries - the queries by hash
+ * @param {Object} options.store - the core store of the plugin, it can store a `persistedQueries` map of queries by hash
+ * @param {boolean} options.allowRegistration - whether the clients can register new queries with APQ
+ */
+const createPersistedQueriesRegistry = ({ queries = {}, store, allowRegistration = false }) => {
+  const registeredQueries = new Map();
+
+  const toHash = key => _.replace(key, APQ_CACHE_PREFIX, '');
+
+  const find = async hash => {
+    if (_.has(queries, hash)) {
+      return queries[hash];
+    }
+
+    if (registeredQueries.has(hash)) {
+      return registeredQueries.get(hash);
+    }
+
+    if (store) {
+      const storedQueries = (await store.get({ key: STORE_KEY })) || {};
+      return storedQueries[hash];
+    }
+  };
+
+  return {
+    find,
+
+    async get(key) {
+      return find(toHash(key));
+    },
+
+    async set(key, query) {
+      if (allowRegistration) {
+        registeredQueries.set(toHash(key), query);
+      }
+    },
+
+    async delete(key) {
+      registeredQueries.delete(toHash(key));
+    },
+  };
+};
+
+/**
+ * Throws when a query isn't in the registry
+ * @param {Object} registry - the persisted queries registry
+ * @param {Object} options - Options
+ * @param {string} options.queryHash - the hash of the query sent by the client
+ * @param {Object} options.document - the parsed query
+ */
+const checkPersisted = async (registry, { queryHash, document }) => {
+  const query =
+    (await registry.find(queryHash)) || (await registry.find(computeQueryHash(print(document))));
+
+  if (!query) {
+    throw new ApolloError('Only persisted queries are allowed', 'PERSISTED_QUERY_REQUIRED');
+  }
+};
+
+/**
+ * Creates an Apollo server plugin rejecting the queries that aren't in the registry
+ * @param {Object} registry - the persisted queries registry
+ */
+const createOnlyPersistedPlugin = registry => ({
+  requestDidStart() {
+    return {
+      didResolveOperation({ queryHash, document }) {
+        return checkPersisted(registry, { queryHash, document });
+      },
+    };
+  },
+});
+
+/**
+ * Creates the persisted queries registry of the application
+ * @param {Object} options - Options
+ * @param {string} options.appPath - the path of the application
+ * @param {boolean} options.allowRegistration - whether the clients can register new queries with APQ
+ */
+const createAppPersistedQueriesRegistry = ({ appPath, allowRegistration }) => {
+  return createPersistedQueriesRegistry({
+    queries: loadPersistedQueries(path.join(appPath, 'config', 'graphql', 'queries')),
+    store: strapi.store({
+      environment: '',
+      type: 'plugin',
+      name: 'graphql',
+    }),
+    allowRegistration,
+  });
+};
+
+module.exports = {
+  computeQueryHash,
+  loadPersistedQueries,
+  createPersistedQueriesRegistry,
+  createAppPersistedQueriesRegistry,
+  checkPersisted,
+  createOnlyPersistedPlugin,
+};
@@ -8,10 +8,18 @@ const _ = require('lodash');
 const compose = require('koa-compose');
 
 const { convertToParams, convertToQuery, amountLimiting } = require('./utils');
+const { withValidationErrors } = require('./validation-errors');
+const { setMultipartBody, removeTmpFiles } = require('./multipart');
 const { policy: policyUtils } = require('strapi-utils');
 
 const buildMutation = (mutationName, config) => {
-  const { resolver, resolverOf, transformOutput = _.identity } = config;
+  const {
+    resolver,
+    resolverOf,
+    transformInput = _.identity,
+    transformOutput = _.identity,
+    uploadFiles = false,
+  } = config;
 
   if (_.isFunction(resolver) && !isResolvablePath(resolverOf)) {
     throw new Error(
@@ -19,36 +27,61 @@ const buildMutation = (mutationName, config) => {
     );
   }
 
-  const policiesMiddleware = compose(getPolicies(config));
+  const policiesMiddleware = compose(getPolicies(config, 'mutation'));
 
   // custom resolvers
   if (_.isFunction(resolver)) {
-    return async (root, options = {}, graphqlContext) => {
+    return withValidationErrors(async (root, args = {}, graphqlContext) => {
+      const options = transformInput(args);
       const ctx = buildMutationContext({ options, graphqlContext });
 
       await policiesMiddleware(ctx);
-      graphqlContext.context = ctx;
+      setReadableFields(ctx, graphqlContext);
 
-      return resolver(root, options, graphqlContext);
-    };
+      // keep the loaders of the request, the context isn't shared with the other resolvers
+      return resolver(root, options, { ...graphqlContext, context: ctx });
+    });
   }
 
   const action = getAction(resolver);
 
-  return async (root, options = {}, graphqlContext) => {
+  return withValidationErrors(async (root, args = {}, graphqlContext) => {
+    const options = transformInput(args);
     const ctx = buildMutationContext({ options, graphqlContext });
 
-    await policiesMiddleware(ctx);
+    // the controllers of the generated create and update mutations parse the multipart requests to
+    // upload the files of the entries, the body is set before the policies so they check the
+    // attributes of the files too
+    const files =
+      uploadFiles && ctx.is('multipart')
+        ? await setMultipartBody(ctx, _.get(options, ['input', 'files']))
+        : {};
 
-    const values = await action(ctx);
-    const result = ctx.body || values;
+    try {
+      await policiesMiddleware(ctx);
+      setReadableFields(ctx, graphqlContext);
 
-    if (_.isError(result)) {
-      throw result;
+      const values = await action(ctx);
+      const result = ctx.body || values;
+
+      if (_.isError(result)) {
+        throw result;
+      }
+
+      return transformOutput(result);
+    } finally {
+      removeTmpFiles(files);
     }
+  });
+};
 
-    return transformOutput(result);
-  };
+/**
+ * Copies the attributes the role can read, set by the policies, in the GraphQL context for the field resolvers
+ */
+const setReadableFields = (ctx, graphqlContext) => {
+  if (_.has(ctx, ['state', 'readableFields'])) {
+    graphqlContext.readableFields = ctx.state.readableFields;
+  }
 };
 
 const buildMutationContext = ({ options, graphqlContext }) => {
@@ -80,7 +113,7 @@ const buildQuery = (queryName, config) => {
     throw new Error(`Cannot create query "${queryName}": ${error.message}`);
   }
 
-  const policiesMiddleware = compose(getPolicies(config));
+  const policiesMiddleware = compose(getPolicies(config, 'query'));
 
   // custom resolvers
   if (_.isFunction(resolver)) {
@@ -88,9 +121,10 @@ const buildQuery = (queryName, config) => {
       const { ctx, opts } = buildQueryContext({ options, graphqlContext });
 
       await policiesMiddleware(ctx);
-      graphqlContext.context = ctx;
+      setReadableFields(ctx, graphqlContext);
 
-      return resolver(root, opts, graphqlContext);
+      // keep the loaders of the request, the context isn't shared with the other resolvers
+      return resolver(root, opts, { ...graphqlContext, context: ctx });
     };
   }
 
@@ -101,6 +135,7 @@ const buildQuery = (queryName, config) => {
 
     // duplicate context
     await policiesMiddleware(ctx);
+    setReadableFields(ctx, graphqlContext);
 
     const values = await action(ctx);
     const result = ctx.body || values;
@@ -113,6 +148,38 @@ const buildQuery = (queryName, config) => {
   };
 };
 
+/**
+ * Builds a subscription resolver, the policies are checked when the client subscribes
+ * @param {string} subscriptionName - the name of the subscription
+ * @param {Object} config - the resolver config
+ * @param {string} config.resolverOf - the action the policies are checked against
+ * @param {Function} config.subscribe - returns the async iterator of the subscription
+ */
+const buildSubscription = (subscriptionName, config) => {
+  const { resolverOf, subscribe, resolve = _.identity } = config;
+
+  if (!isResolvablePath(resolverOf)) {
+    throw new Error(
+      `Cannot create subscription "${subscriptionName}". Missing "resolverOf" option.`
+    );
+  }
+
+  const policiesMiddleware = compose(getPolicies(config, 'subscription'));
+
+  return {
+    async subscribe(root, options = {}, graphqlContext) {
+      const { context } = graphqlContext;
+      const ctx = context.app.createContext(_.clone(context.req), _.clone(context.res));
+
+      await policiesMiddleware(ctx);
+      setReadableFields(ctx, graphqlContext);
+
+      return subscribe(root, options, graphqlContext);
+    },
+    resolve,
+  };
+};
+
 const validateResolverOption = config => {
   const { resolver, resolverOf, policies } = config;
 
@@ -212,7 +279,7 @@ const getActionDetails = resolver => {
  */
 const isResolvablePath = path => _.isString(path) && !_.isEmpty(path);
 
-const getPolicies = config => {
+const getPolicies = (config, operation) => {
   const { resolver, policies = [], resolverOf } = config;
 
   const { api, plugin } = config['_metadatas'] || {};
@@ -231,6 +298,12 @@ const getPolicies = config => {
 
   policyFns.push(globalPolicy);
 
+  // The GraphQL requests are all sent with POST, the policies read the operation instead.
+  policyFns.push(async (ctx, next) => {
+    ctx.request.route.operation = operation;
+    await next();
+  });
+
   if (strapi.plugins['users-permissions']) {
     policies.unshift('plugins::users-permissions.permissions');
   }
@@ -246,4 +319,5 @@ const getPolicies = config => {
 module.exports = {
   buildQuery,
   buildMutation,
+  buildSubscription,
 };
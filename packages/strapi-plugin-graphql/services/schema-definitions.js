@@ -20,15 +20,48 @@ const getTypeDescription = (type, model = {}) => {
   return '';
 };
 
+// the cache control directive of Apollo, declared for the generated schema to be valid
+const cacheControlDefinition = `
+  enum CacheControlScope {
+    PUBLIC
+    PRIVATE
+  }
+
+  directive @cacheControl(
+    maxAge: Int
+    scope: CacheControlScope
+  ) on FIELD_DEFINITION | OBJECT | INTERFACE
+`;
+
+/**
+ * Retrieves the cache control directive of a type from its configuration
+ * @return String
+ */
+const getTypeCacheControl = type => {
+  const { maxAge, scope } = _.get(type, '_cacheControl') || {};
+
+  const args = _.omitBy({ maxAge, scope: scope && _.toUpper(scope) }, _.isNil);
+
+  if (_.isEmpty(args)) {
+    return '';
+  }
+
+  const argsDef = Object.keys(args)
+    .map(key => `${key}: ${args[key]}`)
+    .join(', ');
+
+  return ` @cacheControl(${argsDef})`;
+};
+
 /**
  * Receive an Object and return a string which is following the GraphQL specs.
  * @param {Object} fields
  * @param {Object} description
  * @param {Object} model the underlying strapi model of those fields
- * @param {string} type the type of object we are converting to SQL (query, mutation, or fields)
+ * @param {string} type the type of object we are converting to SQL (query, mutation, subscription or fields)
  */
 const toSDL = (fields, configurations = {}, model = {}, type = 'field') => {
-  if (['query', 'mutation'].includes(type)) {
+  if (['query', 'mutation', 'subscription'].includes(type)) {
     return operationToSDL({ fields, configurations });
   }
 
@@ -63,7 +96,7 @@ const fieldsToSDL = ({ fields, configurations, model }) => {
 };
 
 /**
- * Generated a SDL for a query or a mutation object
+ * Generated a SDL for a query, a mutation or a subscription object
  * @param {Object} options
  * @param {Object} options.fields fields to convert to SDL
  * @param {Object} options.configurations fields configurations (descriptions and deprecations)
@@ -102,6 +135,8 @@ const applyMetadatas = (definition, metadatas = {}) => {
 };
 
 module.exports = {
+  cacheControlDefinition,
+  getTypeCacheControl,
   toSDL,
   getTypeDescription,
 };
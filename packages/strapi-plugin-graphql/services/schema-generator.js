@@ -12,16 +12,24 @@ const graphql = require('graphql');
 const Types = require('./type-builder');
 const { buildModels } = require('./type-definitions');
 const { mergeSchemas, createDefaultSchema, diffResolvers } = require('./utils');
-const { toSDL } = require('./schema-definitions');
-const { buildQuery, buildMutation } = require('./resolvers-builder');
+const { toSDL, cacheControlDefinition } = require('./schema-definitions');
+const {
+  buildQuery,
+  buildMutation,
+  buildSubscription,
+} = require('./resolvers-builder');
+const { pageInfoDefinition } = require('./build-relay-connection');
+const { buildFederatedSchema } = require('./federation');
 
 /**
  * Generate GraphQL schema.
  *
+ * @param {Object} options - Options
+ * @param {boolean} options.federation - generate an Apollo Federation subgraph
  * @return Schema
  */
 
-const generateSchema = () => {
+const generateSchema = ({ federation = false } = {}) => {
   const shadowCRUDEnabled = strapi.plugins.graphql.config.shadowCRUD !== false;
 
   // Generate type definition and query/mutation for models.
@@ -32,7 +40,7 @@ const generateSchema = () => {
   const _schema = strapi.plugins.graphql.config._schema.graphql;
 
   // Extract custom definition, query or resolver.
-  const { definition, query, mutation, resolver = {} } = _schema;
+  const { definition, query, mutation, subscription, resolver = {} } = _schema;
 
   // Polymorphic.
   const polymorphicSchema = Types.addPolymorphicUnionType(
@@ -61,6 +69,22 @@ const generateSchema = () => {
     shadowCRUD.mutation &&
     toSDL(shadowCRUD.mutation, resolver.Mutation, null, 'mutation');
 
+  const subscriptionFields = _.trim(
+    `${toSDL(
+      shadowCRUD.subscription || {},
+      resolver.Subscription,
+      null,
+      'subscription'
+    )} ${subscription || ''}`
+  );
+
+  // a type without fields isn't valid
+  const subscriptionDef = subscriptionFields
+    ? `type Subscription {
+        ${subscriptionFields}
+      }`
+    : '';
+
   const scalars = Types.getScalars();
 
   Object.assign(resolvers, scalars);
@@ -76,6 +100,10 @@ const generateSchema = () => {
 
       ${Types.addInput()}
 
+      ${pageInfoDefinition}
+
+      ${cacheControlDefinition}
+
       type Query {
         ${queryFields}
         ${query}
@@ -86,9 +114,21 @@ const generateSchema = () => {
         ${mutation}
       }
 
+      ${subscriptionDef}
+
       ${scalarDef}
     `;
 
+  if (federation) {
+    const federatedSchema = buildFederatedSchema({
+      typeDefs,
+      referenceResolvers: buildReferenceResolvers(),
+    });
+
+    typeDefs = federatedSchema.typeDefs;
+    _.merge(resolvers, federatedSchema.resolvers);
+  }
+
   // // Build schema.
   if (!strapi.config.currentEnvironment.server.production) {
     // Write schema.
@@ -119,7 +159,7 @@ const writeGenerateSchema = schema => {
   return strapi.fs.writeAppFile('exports/graphql/schema.graphql', schema);
 };
 
-const buildModelsShadowCRUD = () => {
+const getContentTypes = () => {
   const models = Object.values(strapi.models).filter(
     model => model.internal !== true
   );
@@ -128,14 +168,44 @@ const buildModelsShadowCRUD = () => {
     .map(plugin => Object.values(plugin.models) || [])
     .reduce((acc, arr) => acc.concat(arr), []);
 
+  return [...models, ...pluginModels];
+};
+
+const buildModelsShadowCRUD = () => {
   const components = Object.values(strapi.components);
 
   return mergeSchemas(
     createDefaultSchema(),
-    ...buildModels([...models, ...pluginModels, ...components])
+    ...buildModels([...getContentTypes(), ...components])
   );
 };
 
+/**
+ * Build the resolvers fetching the entities referenced by a federation gateway.
+ * The entries are fetched with the data loaders of the request and the policies of the find actions.
+ *
+ * @return Object
+ */
+
+const buildReferenceResolvers = () => {
+  return getContentTypes().reduce((acc, model) => {
+    const { uid, globalId, primaryKey, kind } = model;
+
+    acc[globalId] = buildQuery(`${globalId} reference`, {
+      resolverOf: kind === 'singleType' ? `${uid}.find` : `${uid}.findOne`,
+      resolver: (reference, options, { loaders }) => {
+        return loaders[uid].load({
+          params: { [primaryKey]: reference.id },
+          options: {},
+          single: true,
+        });
+      },
+    });
+
+    return acc;
+  }, {});
+};
+
 const buildResolvers = resolvers => {
   // Transform object to only contain function.
   return Object.keys(resolvers).reduce((acc, type) => {
@@ -154,6 +224,15 @@ const buildResolvers = resolvers => {
       }
 
       switch (type) {
+        case 'Subscription': {
+          _.set(
+            acc,
+            [type, resolverName],
+            buildSubscription(resolverName, resolverObj)
+          );
+
+          break;
+        }
         case 'Mutation': {
           _.set(
             acc,
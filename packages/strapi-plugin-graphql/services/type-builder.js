@@ -14,10 +14,24 @@ const { GraphQLDate, GraphQLDateTime } = require('graphql-iso-date');
 const GraphQLLong = require('graphql-type-long');
 
 const Time = require('../types/time');
-const { toSingular, toInputName } = require('./naming');
+const { toSingular, toInputName, toFilesInputName, toDynamicZoneName } = require('./naming');
+const { isScalarInput } = require('./dynamic-zones');
 
 const isScalarAttribute = ({ type }) => type && !['component', 'dynamiczone'].includes(type);
 
+const isMediaAttribute = attribute =>
+  (attribute.model || attribute.collection) === 'file' && attribute.plugin === 'upload';
+
+/**
+ * Checks if an attribute must be set in the input of a mutation, as the entity validator requires it.
+ * The attributes with a default value and the media (which can be uploaded later) can be omitted.
+ */
+const isRequiredInput = (attribute, action) =>
+  attribute.required === true &&
+  action !== 'update' &&
+  !_.has(attribute, 'default') &&
+  !isMediaAttribute(attribute);
+
 module.exports = {
   /**
    * Convert Strapi type to GraphQL type.
@@ -71,7 +85,7 @@ module.exports = {
           break;
       }
 
-      if (attribute.required && action !== 'update') {
+      if (rootType === 'mutation' ? isRequiredInput(attribute, action) : attribute.required) {
         type += '!';
       }
 
@@ -93,7 +107,9 @@ module.exports = {
       }
 
       if (repeatable === true) {
-        return `[${typeName}]`;
+        return rootType === 'mutation' && isRequiredInput(attribute, action)
+          ? `[${typeName}]!`
+          : `[${typeName}]`;
       }
       return `${typeName}`;
     }
@@ -101,12 +117,14 @@ module.exports = {
     if (attribute.type === 'dynamiczone') {
       const { required } = attribute;
 
-      const unionName = `${modelName}${_.upperFirst(_.camelCase(attributeName))}DynamicZone`;
+      const unionName = toDynamicZoneName(modelName, attributeName);
 
       let typeName = unionName;
 
       if (rootType === 'mutation') {
-        typeName = `${unionName}Input!`;
+        // the entries of the updates reference their components with an id
+        const prefix = action === 'update' && !isScalarInput() ? 'edit' : '';
+        typeName = `${prefix}${unionName}Input!`;
       }
 
       return `[${typeName}]${required ? '!' : ''}`;
@@ -123,16 +141,14 @@ module.exports = {
 
       const plural = !_.isEmpty(attribute.collection);
 
-      if (plural) {
-        if (rootType === 'mutation') {
-          return '[ID]';
-        }
+      if (rootType === 'mutation') {
+        const type = plural ? '[ID]' : 'ID';
 
-        return `[${globalId}]`;
+        return isRequiredInput(attribute, action) ? `${type}!` : type;
       }
 
-      if (rootType === 'mutation') {
-        return 'ID';
+      if (plural) {
+        return `[${globalId}]`;
       }
 
       return globalId;
@@ -275,28 +291,81 @@ module.exports = {
     return inputs;
   },
 
+  /**
+   * Checks if the input of a mutation is required, i.e if its data has required attributes.
+   * @param {Object} model The model of the mutation.
+   * @param {String} action The action of the mutation.
+   * @return Boolean
+   */
+
+  isMutationInputRequired(model, action) {
+    return _.some(model.attributes, attribute => isRequiredInput(attribute, action));
+  },
+
+  /**
+   * Checks if the input of a mutation has files, the create and update mutations upload the files of the media attributes.
+   * @param {Object} model The model of the mutation.
+   * @param {String} action The action of the mutation.
+   * @return Boolean
+   */
+
+  hasFilesInput(model, action) {
+    return ['create', 'update'].includes(action) && _.some(model.attributes, isMediaAttribute);
+  },
+
+  /**
+   * Generate the input of the files uploaded with a mutation, one Upload field per media attribute.
+   * @param {Object} model The model of the mutation.
+   * @param {String} name Name of the model.
+   * @return String
+   */
+
+  generateFilesInputModel(model, name) {
+    const mediaAttributes = _.pickBy(model.attributes, isMediaAttribute);
+
+    if (_.isEmpty(mediaAttributes)) {
+      return '';
+    }
+
+    const fields = _.map(mediaAttributes, (attribute, attributeName) => {
+      return `${attributeName}: ${attribute.collection ? '[Upload]' : 'Upload'}`;
+    });
+
+    return `
+      input ${toFilesInputName(name)} {
+        ${fields.join('\n')}
+      }
+    `;
+  },
+
   generateInputPayloadArguments({ model, name, mutationName, action }) {
     const singularName = toSingular(name);
     const inputName = toInputName(name);
 
+    // the files of the media attributes, uploaded with the entry
+    const filesField = this.hasFilesInput(model, action) ? `files: ${toFilesInputName(name)}` : '';
+
     const { kind } = model;
 
     switch (action) {
-      case 'create':
+      case 'create': {
+        const dataType = this.isMutationInputRequired(model, action) ? `${inputName}!` : inputName;
+
         return `
-          input ${mutationName}Input { data: ${inputName} }
+          input ${mutationName}Input { data: ${dataType}, ${filesField} }
           type ${mutationName}Payload { ${singularName}: ${model.globalId} }
         `;
+      }
       case 'update':
         if (kind === 'singleType') {
           return `
-          input ${mutationName}Input  { data: edit${inputName} }
+          input ${mutationName}Input  { data: edit${inputName}, ${filesField} }
           type ${mutationName}Payload { ${singularName}: ${model.globalId} }
         `;
         }
 
         return `
-          input ${mutationName}Input  { where: InputID, data: edit${inputName} }
+          input ${mutationName}Input  { where: InputID, data: edit${inputName}, ${filesField} }
           type ${mutationName}Payload { ${singularName}: ${model.globalId} }
         `;
       case 'delete':
@@ -11,11 +11,19 @@ const _ = require('lodash');
 const DynamicZoneScalar = require('../types/dynamiczoneScalar');
 
 const { formatModelConnectionsGQL } = require('./build-aggregation');
+const { formatModelRelayConnectionGQL } = require('./build-relay-connection');
+const { formatModelSubscriptionsGQL } = require('./build-subscriptions');
 const types = require('./type-builder');
 const { mergeSchemas, convertToParams, convertToQuery, amountLimiting } = require('./utils');
-const { toSDL, getTypeDescription } = require('./schema-definitions');
-const { toSingular, toPlural } = require('./naming');
+const { toSDL, getTypeDescription, getTypeCacheControl } = require('./schema-definitions');
+const { toSingular, toPlural, toDynamicZoneName } = require('./naming');
 const { buildQuery, buildMutation } = require('./resolvers-builder');
+const { withFieldPermissions } = require('./field-permissions');
+const {
+  isScalarInput,
+  generateDynamicZoneInputs,
+  buildDynamicZonesInputTransform,
+} = require('./dynamic-zones');
 
 const isQueryEnabled = (schema, name) => {
   return _.get(schema, ['resolver', 'Query', name]) !== false;
@@ -25,6 +33,10 @@ const isMutationEnabled = (schema, name) => {
   return _.get(schema, ['resolver', 'Mutation', name]) !== false;
 };
 
+const areSubscriptionsEnabled = () => {
+  return _.get(strapi.plugins, 'graphql.config.subscriptions', false) === true;
+};
+
 const buildTypeDefObj = model => {
   const { associations = [], attributes, primaryKey, globalId } = model;
 
@@ -85,7 +97,7 @@ const generateDynamicZoneDefinitions = (attributes, globalId, schema) => {
     .forEach(attribute => {
       const { components } = attributes[attribute];
 
-      const typeName = `${globalId}${_.upperFirst(_.camelCase(attribute))}DynamicZone`;
+      const typeName = toDynamicZoneName(globalId, attribute);
 
       if (components.length === 0) {
         // Create dummy type because graphql doesn't support empty ones
@@ -109,15 +121,21 @@ const generateDynamicZoneDefinitions = (attributes, globalId, schema) => {
         schema.definition += `\n${unionType}\n`;
       }
 
-      const inputTypeName = `${typeName}Input`;
-      schema.definition += `\nscalar ${inputTypeName}\n`;
-
       schema.resolvers[typeName] = {
         __resolveType(obj) {
           return strapi.components[obj.__component].globalId;
         },
       };
 
+      if (!isScalarInput()) {
+        schema.definition += generateDynamicZoneInputs(typeName, components);
+        return;
+      }
+
+      // compatibility with the JSON scalar inputs of the previous versions
+      const inputTypeName = `${typeName}Input`;
+      schema.definition += `\nscalar ${inputTypeName}\n`;
+
       schema.resolvers[inputTypeName] = new DynamicZoneScalar({
         name: inputTypeName,
         attribute,
@@ -161,7 +179,7 @@ const buildAssocResolvers = model => {
           break;
         }
         default: {
-          resolver[association.alias] = async (obj, options) => {
+          resolver[association.alias] = async (obj, options, { loaders }) => {
             // Construct parameters object to retrieve the correct related entries.
             const params = {
               model: targetModel.uid,
@@ -201,12 +219,12 @@ const buildAssocResolvers = model => {
             }
 
             return association.model
-              ? strapi.plugins.graphql.services['data-loaders'].loaders[targetModel.uid].load({
+              ? loaders[targetModel.uid].load({
                   params,
                   options: queryOpts,
                   single: true,
                 })
-              : strapi.plugins.graphql.services['data-loaders'].loaders[targetModel.uid].load({
+              : loaders[targetModel.uid].load({
                   options: queryOpts,
                   association,
                 });
@@ -219,6 +237,18 @@ const buildAssocResolvers = model => {
     }, {});
 };
 
+/**
+ * Builds the field resolvers of a model, the attributes of the content types are checked against the field permissions
+ */
+const buildFieldResolvers = model => {
+  const resolvers = {
+    id: parent => parent[model.primaryKey] || parent.id,
+    ...buildAssocResolvers(model),
+  };
+
+  return model.modelType === 'component' ? resolvers : withFieldPermissions(model, resolvers);
+};
+
 /**
  * Construct the GraphQL query & definition and apply the right resolvers.
  *
@@ -242,7 +272,7 @@ const buildModels = models => {
 };
 
 const buildModelDefinition = (model, globalType = {}) => {
-  const { globalId, primaryKey } = model;
+  const { globalId } = model;
 
   const schema = {
     definition: '',
@@ -251,10 +281,7 @@ const buildModelDefinition = (model, globalType = {}) => {
     resolvers: {
       Query: {},
       Mutation: {},
-      [globalId]: {
-        id: parent => parent[primaryKey] || parent.id,
-        ...buildAssocResolvers(model),
-      },
+      [globalId]: buildFieldResolvers(model),
     },
   };
 
@@ -265,7 +292,7 @@ const buildModelDefinition = (model, globalType = {}) => {
 
   const description = getTypeDescription(globalType, model);
   const fields = toSDL(typeDefObj, globalType, model);
-  const typeDef = `${description}type ${globalId} {${fields}}\n`;
+  const typeDef = `${description}type ${globalId}${getTypeCacheControl(globalType)} {${fields}}\n`;
 
   schema.definition += typeDef;
   return schema;
@@ -317,6 +344,7 @@ const buildSingleType = model => {
 
   // Add model Input definition.
   localSchema.definition += types.generateInputModel(model, modelName);
+  localSchema.definition += types.generateFilesInputModel(model, modelName);
 
   // build every mutation
   ['update', 'delete'].forEach(action => {
@@ -325,6 +353,16 @@ const buildSingleType = model => {
     mergeSchemas(localSchema, mutationScheam);
   });
 
+  if (areSubscriptionsEnabled()) {
+    const subscriptionsSchema = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${uid}.find`,
+      _schema,
+    });
+
+    mergeSchemas(localSchema, subscriptionsSchema);
+  }
+
   return localSchema;
 };
 
@@ -346,10 +384,7 @@ const buildCollectionType = model => {
       Query: {},
       Mutation: {},
       // define default resolver for this model
-      [globalId]: {
-        id: parent => parent[model.primaryKey] || parent.id,
-        ...buildAssocResolvers(model),
-      },
+      [globalId]: buildFieldResolvers(model),
     },
   };
 
@@ -360,7 +395,7 @@ const buildCollectionType = model => {
 
   const description = getTypeDescription(globalType, model);
   const fields = toSDL(typeDefObj, globalType, model);
-  const typeDef = `${description}type ${globalId} {${fields}}\n`;
+  const typeDef = `${description}type ${globalId}${getTypeCacheControl(globalType)} {${fields}}\n`;
 
   localSchema.definition += typeDef;
 
@@ -414,10 +449,20 @@ const buildCollectionType = model => {
     });
 
     mergeSchemas(localSchema, aggregationSchema);
+
+    // Generate the cursor paginated connection for the given model
+    const relayConnectionSchema = formatModelRelayConnectionGQL({
+      model,
+      name: modelName,
+      resolver: resolverOpts,
+    });
+
+    mergeSchemas(localSchema, relayConnectionSchema);
   }
 
   // Add model Input definition.
   localSchema.definition += types.generateInputModel(model, modelName);
+  localSchema.definition += types.generateFilesInputModel(model, modelName);
 
   // build every mutation
   ['create', 'update', 'delete'].forEach(action => {
@@ -426,6 +471,16 @@ const buildCollectionType = model => {
     mergeSchemas(localSchema, mutationScheam);
   });
 
+  if (areSubscriptionsEnabled()) {
+    const subscriptionsSchema = formatModelSubscriptionsGQL({
+      model,
+      resolver: `${uid}.find`,
+      _schema,
+    });
+
+    mergeSchemas(localSchema, subscriptionsSchema);
+  }
+
   return localSchema;
 };
 
@@ -467,6 +522,8 @@ const buildMutationTypeDef = ({ model, action }, { _schema }) => {
       Mutation: {
         [mutationName]: buildMutation(mutationName, {
           resolver: `${uid}.${action}`,
+          uploadFiles: types.hasFilesInput(model, action),
+          transformInput: buildDynamicZonesInputTransform(model),
           transformOutput: result => ({
             [toSingular(model.modelName)]: result,
           }),
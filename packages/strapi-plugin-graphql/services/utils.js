@@ -8,12 +8,13 @@ const _ = require('lodash');
 const mergeSchemas = (root, ...subs) => {
   subs.forEach(sub => {
     if (_.isEmpty(sub)) return;
-    const { definition = '', query = {}, mutation = {}, resolvers = {} } = sub;
+    const { definition = '', query = {}, mutation = {}, subscription = {}, resolvers = {} } = sub;
 
     root.definition += '\n' + definition;
     _.merge(root, {
       query,
       mutation,
+      subscription,
       resolvers,
     });
   });
@@ -25,6 +26,7 @@ const createDefaultSchema = () => ({
   definition: '',
   query: {},
   mutation: {},
+  subscription: {},
   resolvers: {},
 });
 
@@ -33,7 +35,7 @@ const diffResolvers = (object, base) => {
 
   Object.keys(object).forEach(type => {
     Object.keys(object[type]).forEach(resolver => {
-      if (type === 'Query' || type === 'Mutation') {
+      if (['Query', 'Mutation', 'Subscription'].includes(type)) {
         if (!_.has(base, [type, resolver])) {
           _.set(newObj, [type, resolver], _.get(object, [type, resolver]));
         }
@@ -58,7 +60,10 @@ const convertToQuery = params => {
   const result = {};
 
   _.forEach(params, (value, key) => {
-    if (_.isPlainObject(value)) {
+    // or / and groups contain a list of where inputs
+    if (['_or', '_and'].includes(key) && Array.isArray(value)) {
+      result[key] = value.map(convertToQuery);
+    } else if (_.isPlainObject(value)) {
       const flatObject = convertToQuery(value);
       _.forEach(flatObject, (_value, _key) => {
         result[`${key}.${_key}`] = _value;
@@ -0,0 +1,56 @@
+/**
+ * Validation errors
+ *
+ * @description: Converts the errors of the entity validator to GraphQL errors the clients can map to the fields of their inputs.
+ */
+
+'use strict';
+
+const _ = require('lodash');
+const { UserInputError } = require('apollo-server-koa');
+
+const isValidationError = error =>
+  _.get(error, 'isBoom') === true && Array.isArray(_.get(error, 'details'));
+
+/**
+ * Returns the path of the data of a mutation in its arguments
+ * @param {Object} options - the arguments of the mutation
+ */
+const getDataPath = options => (_.has(options, ['input', 'data']) ? ['input', 'data'] : []);
+
+/**
+ * Converts a validation error to a GraphQL error, the other errors are returned as is
+ * @param {Error} error - the error
+ * @param {Object} options - Options
+ * @param {Array} options.path - the path of the validated data in the arguments
+ * @returns {Error} a `BAD_USER_INPUT` error with the failed rules in its `validationErrors` extension
+ */
+const toGraphQLError = (error, { path = [] } = {}) => {
+  if (!isValidationError(error)) {
+    return error;
+  }
+
+  const validationErrors = error.details.map(detail => ({
+    ...detail,
+    path: path.concat(detail.path),
+  }));
+
+  return new UserInputError(error.message, { validationErrors });
+};
+
+/**
+ * Wraps a mutation resolver to convert its validation errors
+ * @param {Function} resolver - the mutation resolver
+ */
+const withValidationErrors = resolver => async (root, options = {}, graphqlContext) => {
+  try {
+    return await resolver(root, options, graphqlContext);
+  } catch (error) {
+    throw toGraphQLError(error, { path: getDataPath(options) });
+  }
+};
+
+module.exports = {
+  toGraphQLError,
+  withValidationErrors,
+};
@@ -53,7 +53,7 @@ module.exports = {
     return Promise.all(files.map(stream => createBuffer(stream)));
   },
 
-  async upload(files, config) {
+  async upload(files, config, { transacting } = {}) {
     // Get upload provider settings to configure the provider to use.
     const provider = _.find(strapi.plugins.upload.config.providers, {
       provider: config.provider,
@@ -71,11 +71,14 @@ module.exports = {
     const uploadFile = async file => {
       await actions.upload(file);
 
+      // The file is only stored by the provider, remove it if the entry isn't saved.
+      strapi.db.onRollback(transacting, () => actions.delete(file));
+
       // Remove buffer to don't save it.
       delete file.buffer;
       file.provider = provider.provider;
 
-      const res = await this.add(file);
+      const res = await this.add(file, { transacting });
 
       // Remove temp file
       if (file.tmpPath) {
@@ -90,8 +93,8 @@ module.exports = {
     return Promise.all(files.map(file => uploadFile(file)));
   },
 
-  add(values) {
-    return strapi.query('file', 'upload').create(values);
+  add(values, { transacting } = {}) {
+    return strapi.query('file', 'upload').create(values, { transacting });
   },
 
   fetch(params) {
@@ -132,15 +135,16 @@ module.exports = {
     return strapi.query('file', 'upload').delete({ id: file.id });
   },
 
-  async uploadToEntity(params, files, source) {
+  async uploadToEntity(params, files, source, { transacting } = {}) {
     // Retrieve provider settings from database.
+    // The read must join the transaction of the entry as it may hold the only connection (e.g. SQLite).
     const config = await strapi
       .store({
         environment: strapi.config.environment,
         type: 'plugin',
         name: 'upload',
       })
-      .get({ key: 'provider' });
+      .get({ key: 'provider' }, { transacting });
 
     const model = strapi.getModel(params.model, source);
 
@@ -167,7 +171,7 @@ module.exports = {
         });
 
         // Make upload async.
-        return this.upload(enhancedFiles, config);
+        return this.upload(enhancedFiles, config, { transacting });
       })
     );
   },
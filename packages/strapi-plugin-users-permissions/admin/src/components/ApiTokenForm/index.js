@@ -0,0 +1,238 @@
+/**
+ *
+ * ApiTokenForm
+ *
+ */
+
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FormattedMessage } from 'react-intl';
+import { get, isEmpty, trim } from 'lodash';
+import {
+  ButtonModal,
+  HeaderModal,
+  HeaderModalTitle,
+  Modal,
+  ModalBody,
+  ModalFooter,
+  ModalForm,
+  InputsIndex as Input,
+  request,
+  useGlobalContext,
+} from 'strapi-helper-plugin';
+import pluginId from '../../pluginId';
+import getTrad from '../../utils/getTrad';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const EXPIRATIONS = ['never', '7', '30', '90', '365'];
+
+const initialValues = {
+  name: '',
+  description: '',
+  type: 'read-only',
+  role: '',
+  expiresIn: 'never',
+};
+
+function ApiTokenForm({ isOpen, onClosed, onCreated }) {
+  const { formatMessage } = useGlobalContext();
+  const [values, setValues] = useState(initialValues);
+  const [roles, setRoles] = useState([]);
+  const [accessKey, setAccessKey] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      return;
+    }
+
+    setValues(initialValues);
+    setAccessKey(null);
+
+    request(`/${pluginId}/roles`, { method: 'GET' })
+      .then(response => setRoles(response.roles))
+      .catch(() => {
+        strapi.notification.error(getTrad('notification.error.fetch'));
+      });
+  }, [isOpen]);
+
+  const handleChange = ({ target: { name, value } }) => {
+    setValues(prevValues => ({ ...prevValues, [name]: value }));
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    if (accessKey) {
+      onClosed();
+
+      return;
+    }
+
+    if (isEmpty(trim(values.name))) {
+      strapi.notification.error(getTrad('ApiToken.error.name.provide'));
+
+      return;
+    }
+
+    if (isEmpty(values.role)) {
+      strapi.notification.error(getTrad('ApiToken.error.role.provide'));
+
+      return;
+    }
+
+    const body = {
+      name: values.name,
+      description: values.description,
+      type: values.type,
+      role: values.role,
+      expiresAt:
+        values.expiresIn === 'never'
+          ? null
+          : new Date(Date.now() + Number(values.expiresIn) * DAY),
+    };
+
+    try {
+      const { apiToken } = await request(`/${pluginId}/api-tokens`, {
+        method: 'POST',
+        body,
+      });
+
+      setAccessKey(apiToken.accessKey);
+      onCreated();
+    } catch (err) {
+      const errorId = get(
+        err,
+        ['response', 'payload', 'message', 0, 'messages', 0, 'id'],
+        'notification.error'
+      );
+
+      strapi.notification.error(
+        errorId.startsWith('ApiToken.') ? getTrad(errorId) : errorId
+      );
+    }
+  };
+
+  const typeOptions = ['read-only', 'full-access'].map(type => ({
+    label: formatMessage({ id: getTrad(`ApiToken.type.${type}`) }),
+    value: type,
+  }));
+  const roleOptions = [
+    {
+      label: formatMessage({ id: getTrad('ApiToken.form.role.placeholder') }),
+      value: '',
+    },
+    ...roles.map(role => ({ label: role.name, value: String(role.id) })),
+  ];
+  const expirationOptions = EXPIRATIONS.map(expiresIn => ({
+    label: formatMessage({
+      id: getTrad(`ApiToken.form.expiresIn.${expiresIn}`),
+    }),
+    value: expiresIn,
+  }));
+
+  return (
+    <Modal isOpen={isOpen} onToggle={onClosed}>
+      <HeaderModal>
+        <section>
+          <HeaderModalTitle>
+            <FormattedMessage id={getTrad('ApiToken.form.header')} />
+          </HeaderModalTitle>
+        </section>
+      </HeaderModal>
+      <form onSubmit={handleSubmit}>
+        <ModalForm>
+          <ModalBody>
+            {accessKey ? (
+              <Input
+                customBootstrapClass="col-md-12"
+                inputDescription={{
+                  id: getTrad('ApiToken.form.accessKey.description'),
+                }}
+                label={{ id: getTrad('ApiToken.form.accessKey.label') }}
+                name="accessKey"
+                onChange={() => {}}
+                type="text"
+                validations={{}}
+                value={accessKey}
+              />
+            ) : (
+              <>
+                <Input
+                  autoFocus
+                  label={{ id: getTrad('ApiToken.form.name.label') }}
+                  name="name"
+                  onChange={handleChange}
+                  type="text"
+                  validations={{ required: true }}
+                  value={values.name}
+                />
+                <Input
+                  label={{ id: getTrad('ApiToken.form.type.label') }}
+                  name="type"
+                  onChange={handleChange}
+                  selectOptions={typeOptions}
+                  type="select"
+                  validations={{}}
+                  value={values.type}
+                />
+                <Input
+                  customBootstrapClass="col-md-12"
+                  label={{ id: getTrad('ApiToken.form.description.label') }}
+                  name="description"
+                  onChange={handleChange}
+                  type="textarea"
+                  validations={{}}
+                  value={values.description}
+                />
+                <Input
+                  inputDescription={{
+                    id: getTrad('ApiToken.form.role.description'),
+                  }}
+                  label={{ id: getTrad('ApiToken.form.role.label') }}
+                  name="role"
+                  onChange={handleChange}
+                  selectOptions={roleOptions}
+                  type="select"
+                  validations={{ required: true }}
+                  value={values.role}
+                />
+                <Input
+                  label={{ id: getTrad('ApiToken.form.expiresIn.label') }}
+                  name="expiresIn"
+                  onChange={handleChange}
+                  selectOptions={expirationOptions}
+                  type="select"
+                  validations={{}}
+                  value={values.expiresIn}
+                />
+              </>
+            )}
+          </ModalBody>
+        </ModalForm>
+        <ModalFooter>
+          <section>
+            <ButtonModal
+              message="components.popUpWarning.button.cancel"
+              onClick={onClosed}
+              isSecondary
+            />
+            <ButtonModal
+              message="form.button.done"
+              onClick={handleSubmit}
+              type="submit"
+            />
+          </section>
+        </ModalFooter>
+      </form>
+    </Modal>
+  );
+}
+
+ApiTokenForm.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClosed: PropTypes.func.isRequired,
+  onCreated: PropTypes.func.isRequired,
+};
+
+export default ApiTokenForm;
@@ -117,6 +117,32 @@ function EditForm({ onChange, showLoaders, values }) {
               type="text"
               value={get(settings, 'email_confirmation_redirection')}
             />
+            {Object.keys(get(values, 'roles', []))
+              .filter(current => get(roles, [current, 'type']) !== 'public')
+              .map(current => {
+                const { name, type } = roles[current];
+
+                return (
+                  <React.Fragment key={type}>
+                    <div className="col-6"></div>
+                    <Input
+                      label={{
+                        id:
+                          'users-permissions.EditForm.inputToggle.label.two-factor',
+                        params: { role: name },
+                      }}
+                      inputDescription={{
+                        id:
+                          'users-permissions.EditForm.inputToggle.description.two-factor',
+                      }}
+                      name={`advanced.settings.two_factor_roles.${type}`}
+                      onChange={onChange}
+                      type="toggle"
+                      value={get(settings, ['two_factor_roles', type], false)}
+                    />
+                  </React.Fragment>
+                );
+              })}
           </div>
         </div>
       )}
@@ -80,6 +80,19 @@ const generateListTitle = (data, settingType) => {
         />
       );
     }
+    case 'api-tokens': {
+      return size(data) > 1 ? (
+        <FormattedMessage
+          id="users-permissions.List.title.apiTokens.plural"
+          values={{ number: size(data) }}
+        />
+      ) : (
+        <FormattedMessage
+          id="users-permissions.List.title.apiTokens.singular"
+          values={{ number: size(data) }}
+        />
+      );
+    }
     default:
       return '';
   }
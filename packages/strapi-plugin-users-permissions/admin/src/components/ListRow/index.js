@@ -126,6 +126,40 @@ class ListRow extends React.Component {
           </Wrapper>
         );
 
+      case 'api-tokens':
+        icons.shift(); // Remove the icon-pencil, the tokens can only be revoked
+
+        return (
+          <Wrapper className="row" style={{ paddingLeft: '20px' }}>
+            <div className="col-md-2">
+              <b>{this.props.item.name}</b>
+            </div>
+            <div className="col-md-4">{this.props.item.description}</div>
+            <div className="col-md-2">
+              <FormattedMessage
+                id={`users-permissions.ApiToken.type.${this.props.item.type}`}
+              />
+            </div>
+            <div className="col-md-2">
+              {this.props.item.lastUsedAt ? (
+                <FormattedMessage
+                  id="users-permissions.ApiToken.lastUsedAt"
+                  values={{
+                    date: new Date(
+                      this.props.item.lastUsedAt
+                    ).toLocaleDateString(),
+                  }}
+                />
+              ) : (
+                <FormattedMessage id="users-permissions.ApiToken.neverUsed" />
+              )}
+            </div>
+            <div className="col-md-2">
+              <IcoContainer icons={icons} />
+            </div>
+          </Wrapper>
+        );
+
       default:
         return '';
     }
@@ -7,13 +7,25 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { FormattedMessage } from 'react-intl';
-import { get, isEmpty, map, takeRight, toLower, without } from 'lodash';
+import {
+  get,
+  includes,
+  isEmpty,
+  map,
+  takeRight,
+  toLower,
+  without,
+} from 'lodash';
 import { InputsIndex as Input } from 'strapi-helper-plugin';
 import BoundRoute from '../BoundRoute';
 import { useEditPageContext } from '../../contexts/EditPage';
 import { Header, Wrapper } from './Components';
 
+// the actions which set the attributes a role can read or write
+const FIELDS_ACTIONS = ['find', 'create', 'update'];
+
 const Policies = ({
+  attributes,
   inputSelectName,
   routes,
   selectOptions,
@@ -44,6 +56,29 @@ const Policies = ({
     : controllerRoutes.filter(
         o => toLower(o.handler) === toLower(takeRight(path, 2).join('.'))
       );
+  const [type, controller, action] = path;
+  const controllerAttributes = includes(FIELDS_ACTIONS, action)
+    ? get(attributes, [type, controller], [])
+    : [];
+  const fieldsName = inputSelectName.replace(/policy$/, 'fields');
+  // all the attributes are allowed without fields
+  const fields = get(values, fieldsName) || controllerAttributes;
+
+  const handleChangeField = attribute => {
+    const nextFields = includes(fields, attribute)
+      ? without(fields, attribute)
+      : controllerAttributes.filter(
+          name => name === attribute || includes(fields, name)
+        );
+
+    onChange({
+      target: {
+        name: fieldsName,
+        value:
+          nextFields.length === controllerAttributes.length ? null : nextFields,
+      },
+    });
+  };
 
   return (
     <Wrapper className="col-md-5">
@@ -67,6 +102,29 @@ const Policies = ({
             ''
           )}
         </div>
+        {!shouldDisplayPoliciesHint && !isEmpty(controllerAttributes) && (
+          <div className="row">
+            <div className="col-md-12">
+              <FormattedMessage
+                id={`users-permissions.Policies.fields.${action}`}
+              />
+            </div>
+            {controllerAttributes.map(attribute => (
+              <div className="col-md-6" key={attribute}>
+                <label className="form-check-label" htmlFor={attribute}>
+                  <input
+                    checked={includes(fields, attribute)}
+                    id={attribute}
+                    name={attribute}
+                    onChange={() => handleChangeField(attribute)}
+                    type="checkbox"
+                  />{' '}
+                  {attribute}
+                </label>
+              </div>
+            ))}
+          </div>
+        )}
         <div className="row">
           {!shouldDisplayPoliciesHint
             ? map(displayedRoutes, (route, key) => (
@@ -80,10 +138,12 @@ const Policies = ({
 };
 
 Policies.defaultProps = {
+  attributes: {},
   routes: {},
 };
 
 Policies.propTypes = {
+  attributes: PropTypes.object,
   inputSelectName: PropTypes.string.isRequired,
   routes: PropTypes.object,
   selectOptions: PropTypes.array.isRequired,
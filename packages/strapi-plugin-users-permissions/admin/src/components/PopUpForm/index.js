@@ -74,6 +74,8 @@ class PopUpForm extends React.Component {
         return `${strapi.backendURL}/connect/instagram/callback`;
       case 'vk':
         return `${strapi.backendURL}/connect/vk/callback`;
+      case 'oidc':
+        return `${strapi.backendURL}/connect/oidc/callback`;
       default: {
         const value = get(this.props.values, 'callback', '');
 
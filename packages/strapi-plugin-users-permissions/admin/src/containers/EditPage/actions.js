@@ -7,6 +7,7 @@ import { fromJS, List, Map } from 'immutable';
 import { get, replace, toString } from 'lodash';
 import {
   ADD_USER,
+  GET_ATTRIBUTES_SUCCEEDED,
   GET_PERMISSIONS,
   GET_PERMISSIONS_SUCCEEDED,
   GET_POLICIES,
@@ -57,6 +58,13 @@ export function getPermissionsSucceeded(data) {
 }
 
 
+export function getAttributesSucceeded(attributes) {
+  return {
+    type: GET_ATTRIBUTES_SUCCEEDED,
+    attributes,
+  };
+}
+
 export function getPolicies() {
   return {
     type: GET_POLICIES,
@@ -5,6 +5,7 @@
  */
 
 export const ADD_USER = 'UsersPermissions/EditPage/ADD_USER';
+export const GET_ATTRIBUTES_SUCCEEDED = 'UsersPermissions/EditPage/GET_ATTRIBUTES_SUCCEEDED';
 export const GET_PERMISSIONS = 'UsersPermissions/EditPage/GET_PERMISSIONS';
 export const GET_PERMISSIONS_SUCCEEDED = 'UsersPermissions/EditPage/GET_PERMISSIONS_SUCCEEDED';
 export const GET_POLICIES = 'UsersPermissions/EditPage/GET_POLICIES';
@@ -309,6 +309,7 @@ export class EditPage extends React.Component {
                         />
                       )}
                       <Policies
+                        attributes={this.props.editPage.attributes}
                         shouldDisplayPoliciesHint={
                           this.props.editPage.shouldDisplayPoliciesHint
                         }
@@ -8,6 +8,7 @@ import { fromJS, List, Map } from 'immutable';
 import { map } from 'lodash';
 import {
   ADD_USER,
+  GET_ATTRIBUTES_SUCCEEDED,
   GET_PERMISSIONS_SUCCEEDED,
   GET_POLICIES_SUCCEEDED,
   GET_ROLE_SUCCEEDED,
@@ -32,6 +33,7 @@ import {
 
 const initialState = fromJS({
   actionType: '',
+  attributes: Map({}),
   didCheckErrors: false,
   didDeleteUser: false,
   didGetUsers: false,
@@ -53,6 +55,8 @@ function editPageReducer(state = initialState, action) {
     case ADD_USER:
       return state
         .updateIn(['modifiedData', 'users'], list => list.push(action.newUser));
+    case GET_ATTRIBUTES_SUCCEEDED:
+      return state.set('attributes', Map(action.attributes.attributes));
     case GET_PERMISSIONS_SUCCEEDED:
       return state
         .updateIn(['initialData', 'permissions'], () => action.permissions)
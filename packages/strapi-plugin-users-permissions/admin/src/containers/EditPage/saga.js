@@ -3,6 +3,7 @@ import { request } from 'strapi-helper-plugin';
 import pluginId from '../../pluginId';
 import getTrad from '../../utils/getTrad';
 import {
+  getAttributesSucceeded,
   getPermissionsSucceeded,
   getPoliciesSucceeded,
   getRoleSucceeded,
@@ -54,13 +55,15 @@ export function* permissionsGet() {
 
 export function* policiesGet() {
   try {
-    const [policies, routes] = yield all([
+    const [policies, routes, attributes] = yield all([
       call(request, `/${pluginId}/policies`, { method: 'GET' }),
       call(request, `/${pluginId}/routes`, { method: 'GET' }),
+      call(request, `/${pluginId}/attributes`, { method: 'GET' }),
     ]);
 
     yield put(getPoliciesSucceeded(policies));
     yield put(getRoutesSucceeded(routes));
+    yield put(getAttributesSucceeded(attributes));
   } catch (err) {
     strapi.notification.error(getTrad('EditPage.notification.policies.error'));
   }
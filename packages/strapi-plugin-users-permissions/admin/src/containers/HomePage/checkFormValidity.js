@@ -10,7 +10,10 @@ export default function checkFormValidity(
   switch (settingType) {
     case 'providers': {
       const isProviderEnabled = get(data, 'enabled');
-      const keys = providerToEdit === 'email' ? [] : ['key', 'secret'];
+      const keys = {
+        email: [],
+        oidc: ['key', 'secret', 'issuer'],
+      }[providerToEdit] || ['key', 'secret'];
 
       keys.forEach(key => {
         if (isProviderEnabled && isEmpty(get(data, key))) {
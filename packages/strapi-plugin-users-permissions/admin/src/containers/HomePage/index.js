@@ -15,6 +15,7 @@ import { GlobalContext, HeaderNav } from 'strapi-helper-plugin';
 import pluginId from '../../pluginId';
 import getTrad from '../../utils/getTrad';
 import { HomePageContextProvider } from '../../contexts/HomePage';
+import ApiTokenForm from '../../components/ApiTokenForm';
 import EditForm from '../../components/EditForm';
 import List from '../../components/List';
 import PopUpForm from '../../components/PopUpForm';
@@ -42,7 +43,7 @@ import checkFormValidity from './checkFormValidity';
 const keyBoardShortCuts = [18, 78];
 
 export class HomePage extends React.Component {
-  state = { mapKey: {}, showModalEdit: false };
+  state = { mapKey: {}, showModalApiToken: false, showModalEdit: false };
 
   headerNavLinks = [
     {
@@ -57,6 +58,10 @@ export class HomePage extends React.Component {
       name: getTrad('HeaderNav.link.emailTemplates'),
       to: `/plugins/${pluginId}/email-templates`,
     },
+    {
+      name: getTrad('HeaderNav.link.apiTokens'),
+      to: `/plugins/${pluginId}/api-tokens`,
+    },
     {
       name: getTrad('HeaderNav.link.advancedSettings'),
       to: `/plugins/${pluginId}/advanced`,
@@ -97,7 +102,13 @@ export class HomePage extends React.Component {
   }
 
   UNSAFE_componentWillUpdate(nextProps) {
-    const allowedPaths = ['roles', 'providers', 'email-templates', 'advanced'];
+    const allowedPaths = [
+      'roles',
+      'providers',
+      'email-templates',
+      'api-tokens',
+      'advanced',
+    ];
     const shouldRedirect =
       allowedPaths.filter(el => el === nextProps.match.params.settingType)
         .length === 0;
@@ -150,9 +161,13 @@ export class HomePage extends React.Component {
       this.props.history.push(
         `${this.props.location.pathname}#add::${this.props.match.params.settingType}`
       );
+    } else if (this.props.match.params.settingType === 'api-tokens') {
+      this.setState({ showModalApiToken: true });
     }
   };
 
+  handleApiTokenCreated = () => this.props.fetchData('api-tokens');
+
   handleSubmit = e => {
     e.preventDefault();
     const modifiedObject = get(this.props.modifiedData, [
@@ -276,6 +291,11 @@ export class HomePage extends React.Component {
             settingType={match.params.settingType}
             values={get(modifiedData, [this.getEndPoint(), dataToEdit], {})}
           />
+          <ApiTokenForm
+            isOpen={this.state.showModalApiToken}
+            onClosed={() => this.setState({ showModalApiToken: false })}
+            onCreated={this.handleApiTokenCreated}
+          />
         </form>
       </HomePageContextProvider>
     );
@@ -84,6 +84,17 @@ module.exports = async () => {
       callback: '/auth/vk/callback',
       scope: ['email'],
     },
+    oidc: {
+      enabled: false,
+      icon: 'openid',
+      key: '',
+      secret: '',
+      callback: '/auth/oidc/callback',
+      scope: ['openid', 'email', 'profile'],
+      issuer: '',
+      usernameClaim: 'preferred_username',
+      emailClaim: 'email',
+    },
   };
   const prevGrantConfig = (await pluginStore.get({ key: 'grant' })) || {};
   // store grant auth config to db
@@ -155,6 +166,7 @@ module.exports = async () => {
       email_confirmation_redirection: `http://${strapi.config.currentEnvironment.server.host}:${strapi.config.currentEnvironment.server.port}/admin`,
       email_reset_password: `http://${strapi.config.currentEnvironment.server.host}:${strapi.config.currentEnvironment.server.port}/admin`,
       default_role: 'authenticated',
+      two_factor_roles: {},
     };
 
     await pluginStore.set({ key: 'advanced', value });
@@ -3,20 +3,50 @@ const _ = require('lodash');
 module.exports = async (ctx, next) => {
   let role;
 
-  if (ctx.request && ctx.request.header && ctx.request.header.authorization) {
+  const apiTokenService = strapi.plugins['users-permissions'].services.apitoken;
+  const apiToken = apiTokenService.getRequestToken(ctx);
+
+  if (apiToken) {
+    ctx.state.apiToken = await apiTokenService.authenticate(apiToken);
+
+    if (!ctx.state.apiToken) {
+      return handleErrors(ctx, 'Invalid API token.', 'unauthorized');
+    }
+
+    if (!apiTokenService.isRouteAllowed(ctx.state.apiToken, ctx.request.route)) {
+      return handleErrors(ctx, undefined, 'forbidden');
+    }
+
+    role = ctx.state.apiToken.role;
+  } else if (ctx.request && ctx.request.header && ctx.request.header.authorization) {
     try {
-      const { id, isAdmin = false } = await strapi.plugins[
-        'users-permissions'
-      ].services.jwt.getToken(ctx);
+      const tokenPayload = await strapi.plugins['users-permissions'].services.jwt.getToken(ctx);
+      const { id, isAdmin = false } = tokenPayload;
 
       if (id === undefined) {
         throw new Error('Invalid token: Token did not contain required fields');
       }
 
+      // The challenge tokens of the two-factor authentication aren't access tokens.
+      if (strapi.plugins['users-permissions'].services.twofactor.isChallengeToken(tokenPayload)) {
+        throw new Error('Invalid token: The two-factor authentication is not completed');
+      }
+
+      // Neither are the tokens of the email confirmation links.
+      if (!strapi.plugins['users-permissions'].services.token.isAccessToken(tokenPayload)) {
+        throw new Error('Invalid token: The token is not an access token');
+      }
+
       if (isAdmin) {
         ctx.state.admin = await strapi.query('administrator', 'admin').findOne({ id }, []);
       } else {
         ctx.state.user = await strapi.query('user', 'users-permissions').findOne({ id }, ['role']);
+
+        if (
+          strapi.plugins['users-permissions'].services.token.isRevoked(tokenPayload, ctx.state.user)
+        ) {
+          throw new Error('Invalid token: The session has been revoked');
+        }
       }
     } catch (err) {
       return handleErrors(ctx, err, 'unauthorized');
@@ -31,6 +61,10 @@ module.exports = async (ctx, next) => {
         );
       }
 
+      if (!(await strapi.admin.services.permission.isAllowed(ctx.state.admin, ctx))) {
+        return handleErrors(ctx, undefined, 'forbidden');
+      }
+
       ctx.state.user = ctx.state.admin;
       return await next();
     }
@@ -51,11 +85,24 @@ module.exports = async (ctx, next) => {
       name: 'users-permissions',
     });
 
+    const advancedSettings = await store.get({ key: 'advanced' });
+
+    if (_.get(advancedSettings, 'email_confirmation') && !ctx.state.user.confirmed) {
+      return handleErrors(ctx, 'Your account email is not confirmed.', 'unauthorized');
+    }
+
     if (
-      _.get(await store.get({ key: 'advanced' }), 'email_confirmation') &&
-      !ctx.state.user.confirmed
+      ctx.state.user.twoFactorEnabled !== true &&
+      strapi.plugins['users-permissions'].services.twofactor.isRequiredForRole(
+        role.type,
+        advancedSettings
+      )
     ) {
-      return handleErrors(ctx, 'Your account email is not confirmed.', 'unauthorized');
+      return handleErrors(
+        ctx,
+        'The two-factor authentication is mandatory for your role, please log in again to enroll.',
+        'unauthorized'
+      );
     }
 
     if (ctx.state.user.blocked) {
@@ -72,22 +119,44 @@ module.exports = async (ctx, next) => {
     role = await strapi.query('role', 'users-permissions').findOne({ type: 'public' }, []);
   }
 
-  const route = ctx.request.route;
-  const permission = await strapi.query('permission', 'users-permissions').findOne(
-    {
-      role: role.id,
-      type: route.plugin || 'application',
-      controller: route.controller,
-      action: route.action,
-      enabled: true,
-    },
-    []
+  const usersPermissionsService = strapi.plugins['users-permissions'].services.userspermissions;
+
+  const { permission, readableFields } = await usersPermissionsService.getRoutePermission(
+    role.id,
+    ctx.request.route
   );
 
   if (!permission) {
     return handleErrors(ctx, undefined, 'forbidden');
   }
 
+  const forbiddenFields = usersPermissionsService.getForbiddenFields(permission, ctx);
+
+  if (!_.isEmpty(forbiddenFields)) {
+    return handleErrors(
+      ctx,
+      `You are not allowed to write the attributes: ${forbiddenFields.join(', ')}`,
+      'forbidden'
+    );
+  }
+
+  const forbiddenQueryFields = usersPermissionsService.getForbiddenQueryFields(
+    permission,
+    ctx,
+    readableFields
+  );
+
+  if (!_.isEmpty(forbiddenQueryFields)) {
+    return handleErrors(
+      ctx,
+      `You are not allowed to filter or sort by the attributes: ${forbiddenQueryFields.join(', ')}`,
+      'forbidden'
+    );
+  }
+
+  // The attributes the role can read, removed from the responses by the controllers.
+  ctx.state.readableFields = readableFields;
+
   // Execute the policies.
   if (permission.policy) {
     return await strapi.plugins['users-permissions'].config.policies[permission.policy](ctx, next);
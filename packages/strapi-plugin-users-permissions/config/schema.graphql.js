@@ -15,9 +15,25 @@ function checkBadRequest(contextBody) {
   }
 }
 
+/**
+ * Returns the payload of the mutations logging in a user, the tokens are replaced by a challenge token
+ * when a two-factor authentication code is required
+ * @param output - body of the response of the auth controller
+ */
+const toLoginPayload = output => ({
+  user: output.user || (output.challengeToken ? null : output),
+  jwt: output.jwt,
+  refreshToken: output.refreshToken,
+  twoFactorRequired: output.twoFactorRequired === true,
+  twoFactorEnrollmentRequired: output.twoFactorEnrollmentRequired === true,
+  challengeToken: output.challengeToken,
+});
+
 module.exports = {
   type: {
     UsersPermissionsPermission: false, // Make this type NOT queriable.
+    UsersPermissionsToken: false,
+    UsersPermissionsApitoken: false,
   },
   definition: /* GraphQL */ `
     type UsersPermissionsMe {
@@ -42,9 +58,18 @@ module.exports = {
       provider: String = "local"
     }
 
+    input UsersPermissionsTwoFactorInput {
+      challengeToken: String!
+      code: String!
+    }
+
     type UsersPermissionsLoginPayload {
-      jwt: String!
-      user: UsersPermissionsMe!
+      jwt: String
+      refreshToken: String
+      user: UsersPermissionsMe
+      twoFactorRequired: Boolean
+      twoFactorEnrollmentRequired: Boolean
+      challengeToken: String
     }
 
     type ForgotPassword {
@@ -56,6 +81,7 @@ module.exports = {
   `,
   mutation: `
     login(input: UsersPermissionsLoginInput!): UsersPermissionsLoginPayload!
+    verifyTwoFactor(input: UsersPermissionsTwoFactorInput!): UsersPermissionsLoginPayload!
     register(input: UserInput!): UsersPermissionsLoginPayload!
     forgotPassword(email: String!): ForgotPassword
     changePassword(password: String!, passwordConfirmation: String!, code: String!): UsersPermissionsLoginPayload
@@ -183,10 +209,7 @@ module.exports = {
           let output = context.body.toJSON ? context.body.toJSON() : context.body;
 
           checkBadRequest(output);
-          return {
-            user: output.user || output,
-            jwt: output.jwt,
-          };
+          return toLoginPayload(output);
         },
       },
       login: {
@@ -202,10 +225,20 @@ module.exports = {
           let output = context.body.toJSON ? context.body.toJSON() : context.body;
 
           checkBadRequest(output);
-          return {
-            user: output.user || output,
-            jwt: output.jwt,
-          };
+          return toLoginPayload(output);
+        },
+      },
+      verifyTwoFactor: {
+        description: 'Complete a login with a two-factor authentication code',
+        resolverOf: 'plugins::users-permissions.auth.twoFactorVerify',
+        resolver: async (obj, options, { context }) => {
+          context.request.body = _.toPlainObject(options.input);
+
+          await strapi.plugins['users-permissions'].controllers.auth.twoFactorVerify(context);
+          let output = context.body.toJSON ? context.body.toJSON() : context.body;
+
+          checkBadRequest(output);
+          return toLoginPayload(output);
         },
       },
       forgotPassword: {
@@ -235,10 +268,7 @@ module.exports = {
 
           checkBadRequest(output);
 
-          return {
-            user: output.user || output,
-            jwt: output.jwt,
-          };
+          return toLoginPayload(output);
         },
       },
       emailConfirmation: {
@@ -255,10 +285,7 @@ module.exports = {
 
           checkBadRequest(output);
 
-          return {
-            user: output.user || output,
-            jwt: output.jwt,
-          };
+          return toLoginPayload(output);
         },
       },
     },
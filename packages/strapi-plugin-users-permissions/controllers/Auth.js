@@ -17,6 +17,68 @@ const formatError = error => [
   { messages: [{ id: error.id, message: error.message, field: error.field }] },
 ];
 
+const sanitizeUser = user =>
+  sanitizeEntity(user.toJSON ? user.toJSON() : user, {
+    model: strapi.query('user', 'users-permissions').model,
+  });
+
+/**
+ * Returns the user enrolling in the two-factor authentication, either logged in
+ * or identified by the challenge token received during the login.
+ */
+const getEnrollingUser = async ctx => {
+  const { twofactor } = strapi.plugins['users-permissions'].services;
+  const { challengeToken } = ctx.request.body;
+
+  // The administrators have their own two-factor authentication routes.
+  let id = ctx.state.admin ? null : _.get(ctx.state, ['user', 'id']);
+
+  if (!id && challengeToken) {
+    try {
+      ({ id } = await twofactor.verifyChallengeToken(challengeToken, {
+        type: twofactor.CHALLENGE_TYPES.enrollment,
+      }));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  if (!id) {
+    return null;
+  }
+
+  const user = await strapi.query('user', 'users-permissions').findOne({ id });
+
+  return user && user.blocked !== true ? user : null;
+};
+
+/**
+ * Sends the tokens of an authenticated user, or the challenge token of the second step
+ * when the user has enabled the two-factor authentication or has to enroll.
+ */
+const sendAuthResponse = async (ctx, user) => {
+  const { token, twofactor } = strapi.plugins['users-permissions'].services;
+
+  if (user.twoFactorEnabled === true) {
+    return ctx.send({
+      twoFactorRequired: true,
+      challengeToken: twofactor.createChallengeToken(user, twofactor.CHALLENGE_TYPES.verification),
+    });
+  }
+
+  if (await twofactor.isEnrollmentRequired(user)) {
+    return ctx.send({
+      twoFactorEnrollmentRequired: true,
+      challengeToken: twofactor.createChallengeToken(user, twofactor.CHALLENGE_TYPES.enrollment),
+    });
+  }
+
+  ctx.send({
+    ...(await token.issue(user)),
+    user: sanitizeUser(user),
+  });
+};
+
 module.exports = {
   async callback(ctx) {
     const provider = ctx.params.provider || 'local';
@@ -131,14 +193,7 @@ module.exports = {
           })
         );
       } else {
-        ctx.send({
-          jwt: strapi.plugins['users-permissions'].services.jwt.issue({
-            id: user.id,
-          }),
-          user: sanitizeEntity(user.toJSON ? user.toJSON() : user, {
-            model: strapi.query('user', 'users-permissions').model,
-          }),
-        });
+        await sendAuthResponse(ctx, user);
       }
     } else {
       if (!_.get(await store.get({ key: 'grant' }), [provider, 'enabled'])) {
@@ -156,7 +211,9 @@ module.exports = {
       try {
         [user, error] = await strapi.plugins['users-permissions'].services.providers.connect(
           provider,
-          ctx.query
+          ctx.query,
+          // The nonce Grant saved in the session of the browser which started the connection.
+          { sessionNonce: _.get(ctx.session, ['grant', 'nonce']) }
         );
       } catch ([user, error]) {
         return ctx.badRequest(null, error === 'array' ? error[0] : error);
@@ -166,14 +223,7 @@ module.exports = {
         return ctx.badRequest(null, error === 'array' ? error[0] : error);
       }
 
-      ctx.send({
-        jwt: strapi.plugins['users-permissions'].services.jwt.issue({
-          id: user.id,
-        }),
-        user: sanitizeEntity(user.toJSON ? user.toJSON() : user, {
-          model: strapi.query('user', 'users-permissions').model,
-        }),
-      });
+      await sendAuthResponse(ctx, user);
     }
   },
 
@@ -210,14 +260,7 @@ module.exports = {
       // Update the user.
       await strapi.query('user', 'users-permissions').update({ id: user.id }, user);
 
-      ctx.send({
-        jwt: strapi.plugins['users-permissions'].services.jwt.issue({
-          id: user.id,
-        }),
-        user: sanitizeEntity(user.toJSON ? user.toJSON() : user, {
-          model: strapi.query('user', 'users-permissions').model,
-        }),
-      });
+      await sendAuthResponse(ctx, user);
     } else if (
       params.password &&
       params.passwordConfirmation &&
@@ -262,6 +305,19 @@ module.exports = {
     if (!_.get(config, 'enabled')) {
       return ctx.badRequest(null, 'This provider is disabled.');
     }
+
+    // The endpoints of the OpenID Connect provider come from the discovery document of its issuer.
+    if (provider === 'oidc') {
+      try {
+        grantConfig.oidc = await strapi.plugins['users-permissions'].services.oidc.getGrantConfig(
+          config
+        );
+      } catch (err) {
+        strapi.log.error(err);
+        return ctx.badRequest(null, 'The OpenID Connect provider is not available.');
+      }
+    }
+
     // Ability to pass OAuth callback dynamically
     grantConfig[provider].callback =
       ctx.query && ctx.query.callback ? ctx.query.callback : grantConfig[provider].callback;
@@ -495,8 +551,8 @@ module.exports = {
 
       const user = await strapi.query('user', 'users-permissions').create(params);
 
-      const jwt = strapi.plugins['users-permissions'].services.jwt.issue(
-        _.pick(user.toJSON ? user.toJSON() : user, ['id'])
+      const jwt = strapi.plugins['users-permissions'].services.token.issueEmailConfirmationToken(
+        user.toJSON ? user.toJSON() : user
       );
 
       if (settings.email_confirmation) {
@@ -550,12 +606,7 @@ module.exports = {
         }
       }
 
-      ctx.send({
-        jwt,
-        user: sanitizeEntity(user.toJSON ? user.toJSON() : user, {
-          model: strapi.query('user', 'users-permissions').model,
-        }),
-      });
+      await sendAuthResponse(ctx, user);
     } catch (err) {
       const adminError = _.includes(err.message, 'username')
         ? {
@@ -571,9 +622,21 @@ module.exports = {
   async emailConfirmation(ctx, returnUser) {
     const params = ctx.query;
 
-    const decodedToken = await strapi.plugins['users-permissions'].services.jwt.verify(
-      params.confirmation
-    );
+    let decodedToken;
+
+    try {
+      decodedToken = await strapi.plugins[
+        'users-permissions'
+      ].services.token.verifyEmailConfirmationToken(params.confirmation);
+    } catch (err) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.confirmation.invalid',
+          message: 'Invalid confirmation token.',
+        })
+      );
+    }
 
     let user = await strapi.plugins['users-permissions'].services.user.edit(
       { id: decodedToken.id },
@@ -581,14 +644,7 @@ module.exports = {
     );
 
     if(returnUser) {
-      ctx.send({
-        jwt: strapi.plugins['users-permissions'].services.jwt.issue({
-          id: user.id
-        }),
-        user: sanitizeEntity(user.toJSON ? user.toJSON() : user, {
-          model: strapi.query('user', 'users-permissions').model
-        })
-      });
+      await sendAuthResponse(ctx, user);
     } else {
       const settings = await strapi
         .store({
@@ -636,8 +692,8 @@ module.exports = {
       return ctx.badRequest('blocked.user');
     }
 
-    const jwt = strapi.plugins['users-permissions'].services.jwt.issue(
-      _.pick(user.toJSON ? user.toJSON() : user, ['id'])
+    const jwt = strapi.plugins['users-permissions'].services.token.issueEmailConfirmationToken(
+      user.toJSON ? user.toJSON() : user
     );
 
     const settings = await pluginStore.get({ key: 'email' }).then(storeEmail => {
@@ -694,4 +750,260 @@ module.exports = {
       return ctx.badRequest(null, err);
     }
   },
+
+  async refresh(ctx) {
+    const { refreshToken } = ctx.request.body;
+
+    if (!refreshToken) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.refreshToken.provide',
+          message: 'Please provide your refresh token.',
+        })
+      );
+    }
+
+    let tokens;
+    try {
+      tokens = await strapi.plugins['users-permissions'].services.token.refresh(refreshToken);
+    } catch (err) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.refreshToken.invalid',
+          message: err.message,
+        })
+      );
+    }
+
+    ctx.send({
+      jwt: tokens.jwt,
+      refreshToken: tokens.refreshToken,
+      user: sanitizeUser(tokens.user),
+    });
+  },
+
+  async logout(ctx) {
+    const { refreshToken, revokeSessions = false } = ctx.request.body;
+
+    if (!refreshToken) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.refreshToken.provide',
+          message: 'Please provide your refresh token.',
+        })
+      );
+    }
+
+    const { token } = strapi.plugins['users-permissions'].services;
+
+    // The access tokens stay valid until they expire, unless all the sessions are revoked.
+    if (revokeSessions === true) {
+      await token.revokeAllFromRefreshToken(refreshToken);
+    }
+
+    await token.revoke(refreshToken);
+
+    ctx.send({ ok: true });
+  },
+
+  async twoFactorVerify(ctx) {
+    const { challengeToken, code } = ctx.request.body;
+    const { twofactor } = strapi.plugins['users-permissions'].services;
+
+    if (!challengeToken || !code) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.provide',
+          message: 'Please provide your challenge token and your code.',
+        })
+      );
+    }
+
+    let user;
+    try {
+      const { id } = await twofactor.verifyChallengeToken(challengeToken, {
+        type: twofactor.CHALLENGE_TYPES.verification,
+      });
+
+      user = await strapi.query('user', 'users-permissions').findOne({ id });
+    } catch (err) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.challenge',
+          message: 'Invalid challenge token.',
+        })
+      );
+    }
+
+    if (!user || user.blocked === true) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.challenge',
+          message: 'Invalid challenge token.',
+        })
+      );
+    }
+
+    const validCode = await twofactor.verifyCode(
+      user,
+      code,
+      strapi.query('user', 'users-permissions')
+    );
+
+    if (!validCode) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    ctx.send({
+      ...(await strapi.plugins['users-permissions'].services.token.issue(user)),
+      user: sanitizeUser(user),
+    });
+  },
+
+  async twoFactorSetup(ctx) {
+    const user = await getEnrollingUser(ctx);
+
+    if (!user) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.challenge',
+          message: 'Please log in or provide your challenge token.',
+        })
+      );
+    }
+
+    if (user.twoFactorEnabled === true) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.enabled',
+          message: 'The two-factor authentication is already enabled.',
+        })
+      );
+    }
+
+    ctx.send(
+      await strapi.plugins['users-permissions'].services.twofactor.setup(
+        user,
+        strapi.query('user', 'users-permissions')
+      )
+    );
+  },
+
+  async twoFactorEnable(ctx) {
+    const { code } = ctx.request.body;
+    const user = await getEnrollingUser(ctx);
+
+    if (!user) {
+      return ctx.unauthorized(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.challenge',
+          message: 'Please log in or provide your challenge token.',
+        })
+      );
+    }
+
+    if (user.twoFactorEnabled === true || !user.twoFactorSecret) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.setup',
+          message: 'Please set up the two-factor authentication first.',
+        })
+      );
+    }
+
+    const recoveryCodes = await strapi.plugins['users-permissions'].services.twofactor.enable(
+      user,
+      code,
+      strapi.query('user', 'users-permissions')
+    );
+
+    if (!recoveryCodes) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    // The users enrolling during the login are logged in once enrolled.
+    if (!ctx.state.user || ctx.state.admin) {
+      return ctx.send({
+        recoveryCodes,
+        ...(await strapi.plugins['users-permissions'].services.token.issue(user)),
+        user: sanitizeUser(user),
+      });
+    }
+
+    ctx.send({ recoveryCodes });
+  },
+
+  async twoFactorDisable(ctx) {
+    const { code } = ctx.request.body;
+    const { twofactor } = strapi.plugins['users-permissions'].services;
+
+    if (!ctx.state.user || ctx.state.admin) {
+      return ctx.unauthorized(null, [{ messages: [{ id: 'No authorization header was found' }] }]);
+    }
+
+    const user = await strapi
+      .query('user', 'users-permissions')
+      .findOne({ id: ctx.state.user.id }, ['role']);
+
+    const advancedSettings = await strapi
+      .store({
+        environment: '',
+        type: 'plugin',
+        name: 'users-permissions',
+        key: 'advanced',
+      })
+      .get();
+
+    if (twofactor.isRequiredForRole(_.get(user, ['role', 'type']), advancedSettings)) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.required',
+          message: 'The two-factor authentication is mandatory for your role.',
+        })
+      );
+    }
+
+    const validCode = await twofactor.verifyCode(
+      user,
+      code,
+      strapi.query('user', 'users-permissions')
+    );
+
+    if (!validCode) {
+      return ctx.badRequest(
+        null,
+        formatError({
+          id: 'Auth.form.error.two-factor.invalid',
+          message: 'Invalid code.',
+        })
+      );
+    }
+
+    await twofactor.disable(user, strapi.query('user', 'users-permissions'));
+
+    ctx.send({ ok: true });
+  },
 };
@@ -9,9 +9,10 @@
 const _ = require('lodash');
 const { sanitizeEntity } = require('strapi-utils');
 
-const sanitizeUser = user =>
+const sanitizeUser = (user, ctx) =>
   sanitizeEntity(user, {
     model: strapi.query('user', 'users-permissions').model,
+    readableFields: _.get(ctx, ['state', 'readableFields']),
   });
 
 const formatError = error => [
@@ -33,7 +34,7 @@ module.exports = {
       users = await strapi.plugins['users-permissions'].services.user.fetchAll(ctx.query, populate);
     }
 
-    const data = users.map(sanitizeUser);
+    const data = users.map(user => sanitizeUser(user, ctx));
     ctx.send(data);
   },
 
@@ -48,7 +49,7 @@ module.exports = {
       return ctx.badRequest(null, [{ messages: [{ id: 'No authorization header was found' }] }]);
     }
 
-    const data = sanitizeUser(user);
+    const data = sanitizeUser(user, ctx);
     ctx.send(data);
   },
 
@@ -63,7 +64,7 @@ module.exports = {
     });
 
     if (data) {
-      data = sanitizeUser(data);
+      data = sanitizeUser(data, ctx);
     }
 
     // Send 200 `ok`
@@ -231,6 +232,24 @@ module.exports = {
     ctx.send(data);
   },
 
+  /**
+   * Revoke all the sessions of a user.
+   * @return {Object}
+   */
+  async revokeSessions(ctx) {
+    const { id } = ctx.params;
+
+    const user = await strapi.plugins['users-permissions'].services.user.fetch({ id }, []);
+
+    if (!user) {
+      return ctx.notFound('user.notFound');
+    }
+
+    await strapi.plugins['users-permissions'].services.token.revokeAll(user.id);
+
+    ctx.send({ ok: true });
+  },
+
   async destroyAll(ctx) {
     const data = await strapi.plugins['users-permissions'].services.user.removeAll(
       {},
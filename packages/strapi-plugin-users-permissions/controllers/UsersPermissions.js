@@ -127,6 +127,14 @@ module.exports = {
     }
   },
 
+  async getAttributes(ctx) {
+    const attributes = strapi.plugins[
+      'users-permissions'
+    ].services.userspermissions.getAttributes();
+
+    ctx.send({ attributes });
+  },
+
   async getRoutes(ctx) {
     try {
       const routes = await strapi.plugins[
@@ -275,6 +283,86 @@ module.exports = {
 
     ctx.send({ ok: true });
   },
+
+  async getApiTokens(ctx) {
+    const apiTokens = await strapi.plugins[
+      'users-permissions'
+    ].services.apitoken.find();
+
+    ctx.send({ 'api-tokens': apiTokens });
+  },
+
+  async createApiToken(ctx) {
+    const apiTokenService =
+      strapi.plugins['users-permissions'].services.apitoken;
+    const { name, description, type, expiresAt, role } = ctx.request.body;
+
+    if (!_.isString(name) || _.isEmpty(_.trim(name))) {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.name.provide' }] },
+      ]);
+    }
+
+    if (!_.isNil(type) && !_.values(apiTokenService.TYPES).includes(type)) {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.type.invalid' }] },
+      ]);
+    }
+
+    if (!_.isNil(expiresAt) && !(new Date(expiresAt).getTime() > Date.now())) {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.expiresAt.invalid' }] },
+      ]);
+    }
+
+    if (_.isNil(role) || role === '') {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.role.provide' }] },
+      ]);
+    }
+
+    const existingRole = await strapi
+      .query('role', 'users-permissions')
+      .findOne({ id: role }, []);
+
+    if (!existingRole) {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.role.notFound' }] },
+      ]);
+    }
+
+    const existingToken = await strapi
+      .query('apitoken', 'users-permissions')
+      .findOne({ name: _.trim(name) }, []);
+
+    if (existingToken) {
+      return ctx.badRequest(null, [
+        { messages: [{ id: 'ApiToken.error.name.taken' }] },
+      ]);
+    }
+
+    const apiToken = await apiTokenService.create({
+      name: _.trim(name),
+      description,
+      type,
+      expiresAt,
+      role,
+    });
+
+    ctx.created({ apiToken });
+  },
+
+  async deleteApiToken(ctx) {
+    const apiToken = await strapi.plugins[
+      'users-permissions'
+    ].services.apitoken.revoke(ctx.params.id);
+
+    if (!apiToken) {
+      return ctx.notFound('ApiToken.error.notFound');
+    }
+
+    ctx.send({ ok: true });
+  },
 };
 
 const searchQueries = {
@@ -0,0 +1,252 @@
+const _ = require('lodash');
+const { totp } = require('strapi-utils');
+const authController = require('../Auth');
+const twoFactorService = require('../../services/TwoFactor');
+const jwtService = require('../../services/Jwt');
+const userSettings = require('../../models/User.settings.json');
+
+const NOW = 1580000000000;
+const PERIOD = 30 * 1000;
+
+const createContext = ({ body = {}, state = {} } = {}) => {
+  const ctx = { params: {}, query: {}, request: { body }, state };
+
+  const respond = status => (_err, body) => {
+    ctx.status = status;
+    ctx.body = body;
+  };
+
+  ctx.send = body => respond(200)(null, body);
+  ctx.badRequest = respond(400);
+  ctx.unauthorized = respond(401);
+
+  return ctx;
+};
+
+// A mongoose model applying the conditional updates of the two-factor authentication to the users kept in memory.
+const createTwoFactorModel = getEntities => ({
+  orm: 'mongoose',
+  primaryKey: 'id',
+  async updateOne({ id, $or, twoFactorRecoveryCodes: recoveryCode }, update) {
+    const entity = _.find(getEntities(), { id });
+    const maxLastCounter = _.get($or, [1, 'twoFactorLastCounter', '$lt']);
+
+    const matches =
+      !!entity &&
+      (_.isUndefined(maxLastCounter) ||
+        _.isNil(entity.twoFactorLastCounter) ||
+        entity.twoFactorLastCounter < maxLastCounter) &&
+      (_.isUndefined(recoveryCode) || (entity.twoFactorRecoveryCodes || []).includes(recoveryCode));
+
+    if (!matches) {
+      return { nModified: 0 };
+    }
+
+    if (_.has(update, '$pull')) {
+      _.pull(entity.twoFactorRecoveryCodes, update.$pull.twoFactorRecoveryCodes);
+    } else {
+      Object.assign(entity, update);
+    }
+
+    return { nModified: 1 };
+  },
+});
+
+describe('Auth controller - two-factor authentication', () => {
+  let users;
+  let advancedSettings;
+
+  const login = async () => {
+    const ctx = createContext({ body: { identifier: 'kai', password: 'password' } });
+    await authController.callback(ctx);
+    return ctx;
+  };
+
+  const verify = async (challengeToken, code) => {
+    const ctx = createContext({ body: { challengeToken, code } });
+    await authController.twoFactorVerify(ctx);
+    return ctx;
+  };
+
+  const enroll = async user => {
+    const query = strapi.query('user', 'users-permissions');
+    const { secret } = await twoFactorService.setup(user, query);
+    const code = totp.generateCode(secret, { time: NOW - PERIOD });
+
+    return twoFactorService.enable({ ...user, twoFactorSecret: secret }, code, query);
+  };
+
+  beforeEach(() => {
+    advancedSettings = {};
+    users = [
+      {
+        id: 1,
+        username: 'kai',
+        email: 'kai@doe.com',
+        provider: 'local',
+        password: 'password',
+        role: { id: 1, type: 'authenticated' },
+      },
+    ];
+
+    const userQuery = {
+      model: { attributes: userSettings.attributes },
+      findOne: async params => _.cloneDeep(_.find(users, _.pick(params, ['id', 'username']))),
+      update: async ({ id }, values) => Object.assign(_.find(users, { id }), values),
+      custom: mapping => mapping.bind(null, { model: createTwoFactorModel(() => users) }),
+    };
+
+    global.strapi = {
+      config: { info: { name: 'My app' } },
+      plugins: {
+        'users-permissions': {
+          config: { jwtSecret: 'secret' },
+          services: {
+            jwt: jwtService,
+            twofactor: twoFactorService,
+            token: { issue: async user => ({ jwt: `jwt-${user.id}` }) },
+            user: { validatePassword: (password, hash) => password === hash },
+          },
+        },
+      },
+      query: () => userQuery,
+      getModel: () => ({ attributes: {} }),
+      store: () => ({
+        get: async ({ key } = {}) =>
+          key === 'grant' ? { email: { enabled: true } } : advancedSettings,
+      }),
+    };
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Logs in a user without two-factor authentication', async () => {
+    const ctx = await login();
+
+    expect(ctx.body).toMatchObject({ jwt: 'jwt-1', user: { id: 1, username: 'kai' } });
+  });
+
+  test('Logs in an enrolled user with a code', async () => {
+    await enroll(users[0]);
+
+    const loginCtx = await login();
+
+    expect(loginCtx.body).toEqual({ twoFactorRequired: true, challengeToken: expect.any(String) });
+
+    const ctx = await verify(
+      loginCtx.body.challengeToken,
+      totp.generateCode(users[0].twoFactorSecret)
+    );
+
+    expect(ctx.status).toBe(200);
+    expect(ctx.body).toMatchObject({ jwt: 'jwt-1', user: { id: 1 } });
+    expect(ctx.body.user.twoFactorSecret).toBeUndefined();
+    expect(ctx.body.user.twoFactorLastCounter).toBeUndefined();
+  });
+
+  test('Rejects a code already used to log in', async () => {
+    await enroll(users[0]);
+    const code = totp.generateCode(users[0].twoFactorSecret);
+
+    expect((await verify((await login()).body.challengeToken, code)).status).toBe(200);
+
+    const ctx = await verify((await login()).body.challengeToken, code);
+
+    expect(ctx.status).toBe(400);
+    expect(ctx.body[0].messages[0].id).toBe('Auth.form.error.two-factor.invalid');
+  });
+
+  test('Logs in an enrolled user with a recovery code', async () => {
+    const recoveryCodes = await enroll(users[0]);
+
+    const ctx = await verify((await login()).body.challengeToken, recoveryCodes[0]);
+
+    expect(ctx.body).toMatchObject({ jwt: 'jwt-1' });
+    expect(users[0].twoFactorRecoveryCodes).toHaveLength(9);
+  });
+
+  test('Rejects an invalid challenge token', async () => {
+    await enroll(users[0]);
+
+    const ctx = await verify('invalid', totp.generateCode(users[0].twoFactorSecret));
+
+    expect(ctx.status).toBe(401);
+  });
+
+  test('Rejects an enrollment challenge token to log in', async () => {
+    await enroll(users[0]);
+    const challengeToken = twoFactorService.createChallengeToken(
+      users[0],
+      twoFactorService.CHALLENGE_TYPES.enrollment
+    );
+
+    const ctx = await verify(challengeToken, totp.generateCode(users[0].twoFactorSecret));
+
+    expect(ctx.status).toBe(401);
+  });
+
+  test('Enrolls a user of a role requiring the two-factor authentication during the login', async () => {
+    advancedSettings = { two_factor_roles: { authenticated: true } };
+
+    const loginCtx = await login();
+    const { challengeToken } = loginCtx.body;
+
+    expect(loginCtx.body).toEqual({
+      twoFactorEnrollmentRequired: true,
+      challengeToken: expect.any(String),
+    });
+
+    const setupCtx = createContext({ body: { challengeToken } });
+    await authController.twoFactorSetup(setupCtx);
+
+    expect(setupCtx.body).toEqual({ secret: expect.any(String), otpauthUri: expect.any(String) });
+
+    const enableCtx = createContext({
+      body: { challengeToken, code: totp.generateCode(setupCtx.body.secret) },
+    });
+    await authController.twoFactorEnable(enableCtx);
+
+    expect(enableCtx.body).toMatchObject({ jwt: 'jwt-1', recoveryCodes: expect.any(Array) });
+    expect(users[0].twoFactorEnabled).toBe(true);
+  });
+
+  test('Rejects a verification challenge token to enroll', async () => {
+    const challengeToken = twoFactorService.createChallengeToken(users[0]);
+
+    const ctx = createContext({ body: { challengeToken } });
+    await authController.twoFactorSetup(ctx);
+
+    expect(ctx.status).toBe(401);
+  });
+
+  test('Disables the two-factor authentication with a code', async () => {
+    await enroll(users[0]);
+
+    const ctx = createContext({
+      body: { code: totp.generateCode(users[0].twoFactorSecret) },
+      state: { user: { id: 1 } },
+    });
+    await authController.twoFactorDisable(ctx);
+
+    expect(ctx.body).toEqual({ ok: true });
+    expect(users[0]).toMatchObject({ twoFactorEnabled: false, twoFactorSecret: null });
+  });
+
+  test('Does not disable the two-factor authentication required for the role', async () => {
+    advancedSettings = { two_factor_roles: { authenticated: true } };
+    await enroll(users[0]);
+
+    const ctx = createContext({
+      body: { code: totp.generateCode(users[0].twoFactorSecret) },
+      state: { user: { id: 1 } },
+    });
+    await authController.twoFactorDisable(ctx);
+
+    expect(ctx.status).toBe(400);
+    expect(users[0].twoFactorEnabled).toBe(true);
+  });
+});
@@ -6,5 +6,17 @@ module.exports = {
     provider: {
       hidden: true,
     },
+    tokensRevokedAt: {
+      hidden: true,
+    },
+    twoFactorSecret: {
+      hidden: true,
+    },
+    twoFactorRecoveryCodes: {
+      hidden: true,
+    },
+    twoFactorLastCounter: {
+      hidden: true,
+    },
   },
 };
@@ -0,0 +1,159 @@
+'use strict';
+
+/**
+ * ApiToken.js service
+ *
+ * @description: Creates and checks the long-lived API tokens of the integrations.
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+
+const TYPES = {
+  readOnly: 'read-only',
+  fullAccess: 'full-access',
+};
+
+const READ_ONLY_METHODS = ['get', 'head'];
+
+// The GraphQL requests are all sent with POST, their operation is set on the route by the
+// resolvers.
+const READ_ONLY_OPERATIONS = ['query', 'subscription'];
+
+const isReadRoute = route =>
+  READ_ONLY_METHODS.includes(route.verb) || READ_ONLY_OPERATIONS.includes(route.operation);
+
+module.exports = {
+  TYPES,
+
+  /**
+   * Returns the hash of an API token, only the hashes are saved.
+   * @return {String}
+   */
+  hash(accessKey) {
+    return crypto
+      .createHash('sha256')
+      .update(accessKey)
+      .digest('hex');
+  },
+
+  /**
+   * Returns the API token of the `Authorization` header of a request, null if there isn't one.
+   * The JSON web tokens always contain dots, the API tokens never do.
+   * @return {String|null}
+   */
+  getRequestToken(ctx) {
+    const authorization = _.get(ctx, ['request', 'header', 'authorization']);
+
+    if (!_.isString(authorization)) {
+      return null;
+    }
+
+    const [scheme, credentials] = authorization.split(' ');
+
+    if (!/^Bearer$/i.test(scheme) || _.isEmpty(credentials) || credentials.includes('.')) {
+      return null;
+    }
+
+    return credentials;
+  },
+
+  /**
+   * Removes the hash of the access key from an API token.
+   * @return {Object}
+   */
+  sanitize(apiToken) {
+    const sanitizedToken = _.omit(apiToken, ['accessKey']);
+
+    if (_.isObject(sanitizedToken.role)) {
+      sanitizedToken.role = _.pick(sanitizedToken.role, ['id', 'name', 'type']);
+    }
+
+    return sanitizedToken;
+  },
+
+  /**
+   * Promise to fetch all the API tokens.
+   * @return {Promise<Array>}
+   */
+  async find() {
+    const apiTokens = await strapi
+      .query('apitoken', 'users-permissions')
+      .find({ _limit: -1, _sort: 'name:asc' }, ['role']);
+
+    return apiTokens.map(apiToken => this.sanitize(apiToken));
+  },
+
+  /**
+   * Promise to create an API token.
+   * The access key is only returned here, it can't be read afterwards.
+   * @return {Promise<Object>}
+   */
+  async create({ name, description, type = TYPES.readOnly, expiresAt, role }) {
+    const accessKey = crypto.randomBytes(48).toString('hex');
+
+    const apiToken = await strapi.query('apitoken', 'users-permissions').create({
+      name,
+      description,
+      type,
+      expiresAt: expiresAt || null,
+      role,
+      accessKey: this.hash(accessKey),
+    });
+
+    return {
+      ...this.sanitize(apiToken),
+      accessKey,
+    };
+  },
+
+  /**
+   * Promise to revoke an API token.
+   * @return {Promise<Object|null>} the revoked token, null if it doesn't exist
+   */
+  async revoke(id) {
+    const apiToken = await strapi.query('apitoken', 'users-permissions').findOne({ id }, []);
+
+    if (!apiToken) {
+      return null;
+    }
+
+    await strapi.query('apitoken', 'users-permissions').delete({ id });
+
+    return this.sanitize(apiToken);
+  },
+
+  /**
+   * Promise to find the valid API token of an access key and to record its use.
+   * @return {Promise<Object|null>} the token with its role, null if it's unknown or expired
+   */
+  async authenticate(accessKey) {
+    const apiToken = await strapi
+      .query('apitoken', 'users-permissions')
+      .findOne({ accessKey: this.hash(`${accessKey}`) }, ['role']);
+
+    if (!apiToken || (apiToken.expiresAt && new Date(apiToken.expiresAt) < new Date())) {
+      return null;
+    }
+
+    const lastUsedAt = new Date();
+
+    await strapi.query('apitoken', 'users-permissions').update({ id: apiToken.id }, { lastUsedAt });
+
+    return { ...apiToken, lastUsedAt };
+  },
+
+  /**
+   * Checks if an API token can call a route, see the global policy for the route.
+   * The read-only tokens can only read and the tokens without a role can't call any route,
+   * the permissions of the role are checked afterwards.
+   * @return {Boolean}
+   */
+  isRouteAllowed(apiToken, route) {
+    if (!apiToken.role) {
+      return false;
+    }
+
+    return apiToken.type === TYPES.fullAccess || isReadRoute(route);
+  },
+};
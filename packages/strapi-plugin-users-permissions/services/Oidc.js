@@ -0,0 +1,329 @@
+'use strict';
+
+/**
+ * Oidc.js service
+ *
+ * @description: The generic OpenID Connect provider, configured with the discovery document of its issuer.
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const jwt = require('jsonwebtoken');
+const request = require('request');
+
+// The discovery documents and the key sets are cached for one hour.
+const CACHE_TTL = 60 * 60 * 1000;
+
+// An unknown key refreshes the key set at most once per minute.
+const KEYS_REFRESH_INTERVAL = 60 * 1000;
+
+// The id_token must be sent to the callback in the ten minutes following the connection.
+const NONCE_TTL = 10 * 60 * 1000;
+
+const RSA_ALGORITHMS = ['RS256', 'RS384', 'RS512'];
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+
+// DER encoding of the rsaEncryption algorithm identifier.
+const RSA_ALGORITHM_IDENTIFIER = Buffer.from('300d06092a864886f70d0101010500', 'hex');
+
+const cache = new Map();
+
+const fetchJSON = (url, options = {}) =>
+  new Promise((resolve, reject) => {
+    request({ url, json: true, ...options }, (err, res, body) => {
+      if (err) {
+        return reject(err);
+      }
+
+      if (res.statusCode >= 400 || !_.isPlainObject(body)) {
+        return reject(new Error(`${url} responded with the status ${res.statusCode}.`));
+      }
+
+      resolve(body);
+    });
+  });
+
+const fetchCachedJSON = async (url, { maxAge = CACHE_TTL } = {}) => {
+  const entry = cache.get(url);
+
+  if (entry && entry.fetchedAt + maxAge > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await fetchJSON(url);
+  cache.set(url, { value, fetchedAt: Date.now() });
+
+  return value;
+};
+
+const signNonce = value =>
+  crypto
+    .createHmac(
+      'sha256',
+      process.env.JWT_SECRET ||
+        _.get(strapi.plugins['users-permissions'], 'config.jwtSecret') ||
+        'oursecret'
+    )
+    .update(value)
+    .digest('hex');
+
+const decodeBase64Url = value => Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+const encodeDer = (tag, content) => {
+  const length = [];
+
+  for (let remaining = content.length; remaining > 0; remaining >>= 8) {
+    length.unshift(remaining & 0xff);
+  }
+
+  const lengthBytes = content.length < 0x80 ? [content.length] : [0x80 | length.length, ...length];
+
+  return Buffer.concat([Buffer.from([tag, ...lengthBytes]), content]);
+};
+
+const encodeDerInteger = value => {
+  let bytes = value;
+
+  while (bytes.length > 1 && bytes[0] === 0) {
+    bytes = bytes.slice(1);
+  }
+
+  // The integers are signed, a leading zero keeps them positive.
+  return encodeDer(0x02, bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes);
+};
+
+/**
+ * Converts a RSA JSON web key to a PEM public key.
+ * @return {String}
+ */
+const rsaJwkToPem = ({ n, e }) => {
+  const rsaPublicKey = encodeDer(
+    0x30,
+    Buffer.concat([encodeDerInteger(decodeBase64Url(n)), encodeDerInteger(decodeBase64Url(e))])
+  );
+
+  const subjectPublicKeyInfo = encodeDer(
+    0x30,
+    Buffer.concat([
+      RSA_ALGORITHM_IDENTIFIER,
+      encodeDer(0x03, Buffer.concat([Buffer.from([0]), rsaPublicKey])),
+    ])
+  );
+
+  const lines = subjectPublicKeyInfo.toString('base64').match(/.{1,64}/g);
+
+  return `-----BEGIN PUBLIC KEY-----\n${lines.join('\n')}\n-----END PUBLIC KEY-----\n`;
+};
+
+module.exports = {
+  /**
+   * Promise to fetch the discovery document of an issuer.
+   * @return {Promise<Object>}
+   */
+  async getConfiguration(issuer) {
+    if (!_.isString(issuer) || _.isEmpty(issuer)) {
+      throw new Error('The issuer of the OpenID Connect provider is not configured.');
+    }
+
+    const configuration = await fetchCachedJSON(
+      `${_.trimEnd(issuer, '/')}/.well-known/openid-configuration`
+    );
+
+    if (_.trimEnd(configuration.issuer, '/') !== _.trimEnd(issuer, '/')) {
+      throw new Error('The issuer of the discovery document does not match the configured one.');
+    }
+
+    return configuration;
+  },
+
+  /**
+   * Promise to complete the grant configuration of the provider with the endpoints of its issuer.
+   * @return {Promise<Object>}
+   */
+  async getGrantConfig(providerConfig) {
+    const configuration = await this.getConfiguration(providerConfig.issuer);
+
+    return {
+      ...providerConfig,
+      oauth: 2,
+      authorize_url: configuration.authorization_endpoint,
+      access_url: configuration.token_endpoint,
+      state: true,
+      nonce: this.createNonce(),
+      // Returns the raw id_token, its signature is checked in `getProfile`.
+      response: ['tokens'],
+    };
+  },
+
+  /**
+   * Returns a signed nonce, the id_token sent to the callback has to contain it.
+   * Grant keeps it in the session of the browser which started the connection.
+   * @return {String}
+   */
+  createNonce() {
+    const value = `${crypto.randomBytes(16).toString('hex')}.${Date.now() + NONCE_TTL}`;
+
+    return `${value}.${signNonce(value)}`;
+  },
+
+  /**
+   * Promise to check that a nonce was created by the application for the session of the request,
+   * isn't expired and wasn't already used. The used nonces are saved in the database until they
+   * expire so they are rejected by all the instances of the application.
+   * @param {String} nonce - the nonce of the id_token
+   * @param {String} sessionNonce - the nonce saved in the session of the request
+   * @return {Promise<Boolean>}
+   */
+  async consumeNonce(nonce, sessionNonce) {
+    const [random, expiresAt, signature] = _.isString(nonce) ? nonce.split('.') : [];
+    const expectedSignature = signNonce(`${random}.${expiresAt}`);
+
+    if (
+      !signature ||
+      signature.length !== expectedSignature.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature)) ||
+      Number(expiresAt) <= Date.now() ||
+      nonce !== sessionNonce
+    ) {
+      return false;
+    }
+
+    const query = strapi.query('oidcnonce', 'users-permissions');
+
+    // Remove the expired nonces.
+    await query.delete({ expiresAt_lt: new Date(), _limit: -1 });
+
+    if (await query.findOne({ nonce: random })) {
+      return false;
+    }
+
+    try {
+      await query.create({ nonce: random, expiresAt: new Date(Number(expiresAt)) });
+    } catch (err) {
+      // The unique nonce has been saved by a concurrent request.
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * Promise to find the public key of the issuer which signed a token.
+   * The key set is fetched again when the key is unknown as the issuer may have rotated its keys.
+   * @return {Promise<String>}
+   */
+  async getSigningKey(jwksUri, kid) {
+    const findKey = ({ keys = [] }) =>
+      keys.find(key => key.kty === 'RSA' && (!kid || key.kid === kid) && key.use !== 'enc');
+
+    let key = findKey(await fetchCachedJSON(jwksUri));
+
+    if (!key) {
+      key = findKey(await fetchCachedJSON(jwksUri, { maxAge: KEYS_REFRESH_INTERVAL }));
+    }
+
+    if (!key) {
+      throw new Error('The signing key of the id_token was not found.');
+    }
+
+    return rsaJwkToPem(key);
+  },
+
+  /**
+   * Promise to check the signature, the issuer, the audience, the authorized party, the expiration
+   * and the nonce of an id_token. The nonce is consumed, the same id_token can't be used twice.
+   * @param {String} idToken - the id_token
+   * @param {Object} providerConfig - the grant configuration of the provider
+   * @param {Object} options
+   * @param {String} options.sessionNonce - the nonce saved in the session of the request
+   * @return {Promise<Object>} the claims of the token
+   */
+  async verifyIdToken(idToken, providerConfig, { sessionNonce } = {}) {
+    const configuration = await this.getConfiguration(providerConfig.issuer);
+    const decoded = jwt.decode(`${idToken}`, { complete: true });
+
+    if (!decoded) {
+      throw new Error('Invalid id_token.');
+    }
+
+    const { alg, kid } = decoded.header;
+    let secretOrPublicKey;
+
+    if (RSA_ALGORITHMS.includes(alg)) {
+      secretOrPublicKey = await this.getSigningKey(configuration.jwks_uri, kid);
+    } else if (HMAC_ALGORITHMS.includes(alg) && !_.isEmpty(providerConfig.secret)) {
+      // The tokens signed with a shared key use the client secret.
+      secretOrPublicKey = providerConfig.secret;
+    } else {
+      throw new Error(`The id_token algorithm ${alg} is not supported.`);
+    }
+
+    const claims = jwt.verify(idToken, secretOrPublicKey, {
+      algorithms: [alg],
+      issuer: configuration.issuer,
+      audience: providerConfig.key,
+    });
+
+    // A token issued to several audiences must be issued for the client.
+    if ((_.isArray(claims.aud) && claims.aud.length > 1) || _.has(claims, 'azp')) {
+      if (claims.azp !== providerConfig.key) {
+        throw new Error('The authorized party of the id_token is not the client.');
+      }
+    }
+
+    if (!(await this.consumeNonce(claims.nonce, sessionNonce))) {
+      throw new Error(
+        'The nonce of the id_token is invalid, expired, already used or not the one of the session.'
+      );
+    }
+
+    return claims;
+  },
+
+  /**
+   * Promise to get the profile of a user from the id_token and the userinfo endpoint of the issuer.
+   * The claims are mapped to the username and the email with the `usernameClaim` and `emailClaim` options.
+   * @return {Promise<{ username: String, email: String }>}
+   */
+  async getProfile(providerConfig, query, { sessionNonce } = {}) {
+    const idToken = query.id_token || _.get(query, ['raw', 'id_token']);
+
+    if (!idToken) {
+      throw new Error('No id_token.');
+    }
+
+    const { usernameClaim = 'preferred_username', emailClaim = 'email' } = providerConfig;
+    let claims = await this.verifyIdToken(idToken, providerConfig, { sessionNonce });
+
+    const { userinfo_endpoint: userinfoEndpoint } = await this.getConfiguration(
+      providerConfig.issuer
+    );
+
+    if (
+      (!_.has(claims, usernameClaim) || !_.has(claims, emailClaim)) &&
+      userinfoEndpoint &&
+      query.access_token
+    ) {
+      const userinfo = await fetchJSON(userinfoEndpoint, { auth: { bearer: query.access_token } });
+
+      // The userinfo response must be about the user of the id_token.
+      if (userinfo.sub !== claims.sub) {
+        throw new Error('The userinfo response does not match the id_token.');
+      }
+
+      claims = { ...userinfo, ...claims };
+    }
+
+    // An unverified email can't be trusted to link an account.
+    if (emailClaim === 'email' && claims.email_verified === false) {
+      throw new Error('The email of the user is not verified.');
+    }
+
+    const email = _.get(claims, emailClaim);
+
+    return {
+      username: _.get(claims, usernameClaim) || (_.isString(email) ? email.split('@')[0] : null),
+      email,
+    };
+  },
+};
@@ -18,11 +18,12 @@ const purestConfig = require('@purest/providers');
  *
  * @param {String}    provider
  * @param {String}    access_token
+ * @param {Object}    options - the sessionNonce of the OpenID Connect provider
  *
  * @return  {*}
  */
 
-exports.connect = (provider, query) => {
+exports.connect = (provider, query, options = {}) => {
   const access_token = query.access_token || query.code || query.oauth_token;
 
   return new Promise((resolve, reject) => {
@@ -31,7 +32,7 @@ exports.connect = (provider, query) => {
     }
 
     // Get the profile.
-    getProfile(provider, query, async (err, profile) => {
+    getProfile(provider, query, options, async (err, profile) => {
       if (err) {
         return reject([null, err]);
       }
@@ -111,10 +112,11 @@ exports.connect = (provider, query) => {
  * Helper to get profiles
  *
  * @param {String}   provider
+ * @param {Object}   options
  * @param {Function} callback
  */
 
-const getProfile = async (provider, query, callback) => {
+const getProfile = async (provider, query, options, callback) => {
   const access_token = query.access_token || query.code || query.oauth_token;
 
   const grant = await strapi
@@ -359,6 +361,13 @@ const getProfile = async (provider, query, callback) => {
         });
       break;
     }
+    case 'oidc': {
+      strapi.plugins['users-permissions'].services.oidc
+        .getProfile(grant.oidc, query, options)
+        .then(profile => callback(null, profile))
+        .catch(err => callback(err));
+      break;
+    }
     default:
       callback({
         message: 'Unknown provider.',
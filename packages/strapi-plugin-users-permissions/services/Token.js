@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * Token.js service
+ *
+ * @description: Issues the access tokens and the rotating refresh tokens of the users.
+ */
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const ms = require('ms');
+
+const getConfig = () =>
+  _.defaults({}, _.get(strapi.plugins['users-permissions'], 'config.tokens'), {
+    accessTokenExpiresIn: '30m',
+    refreshTokenExpiresIn: '30d',
+    emailConfirmationTokenExpiresIn: '1d',
+  });
+
+// The `purpose` claim of the tokens which aren't access tokens.
+const PURPOSES = {
+  emailConfirmation: 'email-confirmation',
+};
+
+const getExpirationDate = expiresIn =>
+  new Date(Date.now() + (_.isNumber(expiresIn) ? expiresIn * 1000 : ms(expiresIn)));
+
+const toSeconds = date => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Returns the `iat` claim of a new access token. The tokens issued in the second of the revocation
+ * of the sessions of the user are rejected, so the new ones are dated from the next second.
+ */
+const getIssuedAt = user => {
+  const now = toSeconds(Date.now());
+
+  return user.tokensRevokedAt ? Math.max(now, toSeconds(user.tokensRevokedAt) + 1) : now;
+};
+
+module.exports = {
+  PURPOSES,
+
+  /**
+   * Returns the hash of a refresh token, only the hashes are saved.
+   * @return {String}
+   */
+  hash(token) {
+    return crypto
+      .createHash('sha256')
+      .update(token)
+      .digest('hex');
+  },
+
+  /**
+   * Promise to issue a short-lived access token and a refresh token for a user.
+   * @return {Promise<{ jwt: String, refreshToken: String }>}
+   */
+  async issue(user) {
+    const { accessTokenExpiresIn } = getConfig();
+
+    const jwt = strapi.plugins['users-permissions'].services.jwt.issue(
+      { id: user.id, iat: getIssuedAt(user) },
+      { expiresIn: accessTokenExpiresIn }
+    );
+
+    const refreshToken = await this.issueRefreshToken(user);
+
+    return { jwt, refreshToken };
+  },
+
+  /**
+   * Returns the token of the email confirmation link of a user, it isn't an access token.
+   * @return {String}
+   */
+  issueEmailConfirmationToken(user) {
+    const { emailConfirmationTokenExpiresIn } = getConfig();
+
+    return strapi.plugins['users-permissions'].services.jwt.issue(
+      { id: user.id, purpose: PURPOSES.emailConfirmation },
+      { expiresIn: emailConfirmationTokenExpiresIn }
+    );
+  },
+
+  /**
+   * Promise to decode the token of an email confirmation link.
+   * @return {Promise<Object>}
+   */
+  async verifyEmailConfirmationToken(confirmationToken) {
+    const payload = await strapi.plugins['users-permissions'].services.jwt.verify(
+      `${confirmationToken}`
+    );
+
+    if (payload.purpose !== PURPOSES.emailConfirmation) {
+      throw new Error('Invalid confirmation token.');
+    }
+
+    return payload;
+  },
+
+  /**
+   * Checks if a decoded token is an access token, the tokens issued for another purpose aren't.
+   * @return {Boolean}
+   */
+  isAccessToken(tokenPayload) {
+    return !_.has(tokenPayload, 'purpose');
+  },
+
+  /**
+   * Promise to issue a refresh token for a user.
+   * @return {Promise<String>}
+   */
+  async issueRefreshToken(user) {
+    const { refreshTokenExpiresIn } = getConfig();
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    // Remove the expired tokens of the user.
+    await strapi
+      .query('token', 'users-permissions')
+      .delete({ user: user.id, expiresAt_lt: new Date(), _limit: -1 });
+
+    await strapi.query('token', 'users-permissions').create({
+      token: this.hash(refreshToken),
+      expiresAt: getExpirationDate(refreshTokenExpiresIn),
+      revoked: false,
+      user: user.id,
+    });
+
+    return refreshToken;
+  },
+
+  /**
+   * Promise to exchange a refresh token for new tokens, the refresh token can only be used once.
+   * Reusing a refresh token revokes all the sessions of its user as the token has probably been stolen.
+   * @return {Promise<{ jwt: String, refreshToken: String, user: Object }>}
+   */
+  async refresh(refreshToken) {
+    const entry = await strapi
+      .query('token', 'users-permissions')
+      .findOne({ token: this.hash(`${refreshToken}`) }, []);
+
+    if (!entry || !entry.user || new Date(entry.expiresAt) < new Date()) {
+      throw new Error('Invalid refresh token.');
+    }
+
+    const userId = _.get(entry.user, 'id', entry.user);
+
+    if (entry.revoked === true) {
+      await this.revokeAll(userId);
+      throw new Error('Invalid refresh token.');
+    }
+
+    const user = await strapi.query('user', 'users-permissions').findOne({ id: userId }, ['role']);
+
+    if (!user || user.blocked === true) {
+      throw new Error('Invalid refresh token.');
+    }
+
+    await strapi.query('token', 'users-permissions').update({ id: entry.id }, { revoked: true });
+
+    return {
+      ...(await this.issue(user)),
+      user,
+    };
+  },
+
+  /**
+   * Promise to revoke a refresh token.
+   * @return {Promise}
+   */
+  revoke(refreshToken) {
+    return strapi
+      .query('token', 'users-permissions')
+      .delete({ token: this.hash(`${refreshToken}`), _limit: -1 });
+  },
+
+  /**
+   * Promise to revoke all the sessions of the user of a refresh token, its access tokens included.
+   * @return {Promise}
+   */
+  async revokeAllFromRefreshToken(refreshToken) {
+    const entry = await strapi
+      .query('token', 'users-permissions')
+      .findOne({ token: this.hash(`${refreshToken}`) }, []);
+
+    if (!entry || !entry.user) {
+      return;
+    }
+
+    return this.revokeAll(_.get(entry.user, 'id', entry.user));
+  },
+
+  /**
+   * Promise to revoke all the sessions of a user.
+   * The refresh tokens are removed and the access tokens issued before now are rejected.
+   * @return {Promise}
+   */
+  async revokeAll(userId) {
+    await strapi
+      .query('user', 'users-permissions')
+      .update({ id: userId }, { tokensRevokedAt: new Date() });
+
+    return strapi.query('token', 'users-permissions').delete({ user: userId, _limit: -1 });
+  },
+
+  /**
+   * Checks if an access token has been issued before the revocation of the sessions of its user.
+   * The `iat` claim is in seconds so the tokens issued in the second of the revocation are rejected too.
+   * @return {Boolean}
+   */
+  isRevoked(tokenPayload, user) {
+    if (!user || !user.tokensRevokedAt) {
+      return false;
+    }
+
+    return !_.isNumber(tokenPayload.iat) || tokenPayload.iat <= toSeconds(user.tokensRevokedAt);
+  },
+};
@@ -0,0 +1,255 @@
+'use strict';
+
+/**
+ * TwoFactor.js service
+ *
+ * @description: TOTP two-factor authentication of the users and of the administrators.
+ */
+
+const _ = require('lodash');
+const { totp } = require('strapi-utils');
+
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const CHALLENGE_TYPES = {
+  verification: 'verification',
+  enrollment: 'enrollment',
+};
+
+/**
+ * Updates the last counter of an entity only if it is lower than the counter, in a single query,
+ * so that two concurrent requests can't both use the same code.
+ * @return {Promise<Number>} the number of updated entities
+ */
+function updateLastCounterQuery({ model }, id, counter) {
+  if (model.orm === 'mongoose') {
+    return model
+      .updateOne(
+        {
+          [model.primaryKey]: id,
+          $or: [{ twoFactorLastCounter: null }, { twoFactorLastCounter: { $lt: counter } }],
+        },
+        { twoFactorLastCounter: counter }
+      )
+      .then(({ nModified }) => nModified);
+  }
+
+  return model
+    .query()
+    .where(model.primaryKey, id)
+    .andWhere(qb => {
+      qb.whereNull('twoFactorLastCounter').orWhere('twoFactorLastCounter', '<', counter);
+    })
+    .update({ twoFactorLastCounter: counter });
+}
+
+/**
+ * Removes a recovery code of an entity only if its recovery codes haven't changed since they were read.
+ * @return {Promise<Number>} the number of updated entities
+ */
+function removeRecoveryCodeQuery({ model }, id, recoveryCodes, hash) {
+  if (model.orm === 'mongoose') {
+    return model
+      .updateOne(
+        { [model.primaryKey]: id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      )
+      .then(({ nModified }) => nModified);
+  }
+
+  const column = 'twoFactorRecoveryCodes';
+
+  return model
+    .query()
+    .where(model.primaryKey, id)
+    .andWhereRaw(model.client === 'pg' ? '?? = ?::jsonb' : '?? = ?', [
+      column,
+      JSON.stringify(recoveryCodes),
+    ])
+    .update({
+      [column]: JSON.stringify(recoveryCodes.filter(recoveryCode => recoveryCode !== hash)),
+    });
+}
+
+module.exports = {
+  CHALLENGE_TYPES,
+
+  /**
+   * Returns a short-lived token proving the password of a user has been checked.
+   * It can only be used to complete the login with a code or to enroll.
+   * @return {String}
+   */
+  createChallengeToken(payload, type = CHALLENGE_TYPES.verification) {
+    return strapi.plugins['users-permissions'].services.jwt.issue(
+      { ..._.pick(payload, ['id', 'isAdmin']), twoFactorChallenge: type },
+      { expiresIn: CHALLENGE_EXPIRES_IN }
+    );
+  },
+
+  /**
+   * Promise to decode a challenge token of a given type.
+   * @return {Promise<Object>}
+   */
+  async verifyChallengeToken(challengeToken, { type, isAdmin = false }) {
+    const payload = await strapi.plugins['users-permissions'].services.jwt.verify(
+      `${challengeToken}`
+    );
+
+    if (payload.twoFactorChallenge !== type || (payload.isAdmin === true) !== isAdmin) {
+      throw new Error('Invalid challenge token.');
+    }
+
+    return payload;
+  },
+
+  /**
+   * Checks if a decoded token is a challenge token, which isn't an access token.
+   * @return {Boolean}
+   */
+  isChallengeToken(tokenPayload) {
+    return _.has(tokenPayload, 'twoFactorChallenge');
+  },
+
+  /**
+   * Checks if the two-factor authentication is mandatory for a role.
+   * @param {String} roleType - the type of the role
+   * @param {Object} advancedSettings - the advanced settings of the plugin
+   * @return {Boolean}
+   */
+  isRequiredForRole(roleType, advancedSettings) {
+    return _.get(advancedSettings, ['two_factor_roles', roleType]) === true;
+  },
+
+  /**
+   * Promise to check if a user has to enroll before logging in.
+   * @return {Promise<Boolean>}
+   */
+  async isEnrollmentRequired(user) {
+    if (user.twoFactorEnabled === true) {
+      return false;
+    }
+
+    const roleId = _.get(user, ['role', 'id'], user.role);
+    const role = _.has(user.role, 'type')
+      ? user.role
+      : await strapi.query('role', 'users-permissions').findOne({ id: roleId }, []);
+
+    const advancedSettings = await strapi
+      .store({
+        environment: '',
+        type: 'plugin',
+        name: 'users-permissions',
+        key: 'advanced',
+      })
+      .get();
+
+    return !!role && this.isRequiredForRole(role.type, advancedSettings);
+  },
+
+  /**
+   * Promise to generate the secret of an entity (user or administrator), the two-factor authentication
+   * is enabled once a code of the secret has been verified.
+   * @param {Object} entity - the user or the administrator
+   * @param {Object} query - the query of the model of the entity
+   * @return {Promise<{ secret: String, otpauthUri: String }>}
+   */
+  async setup(entity, query) {
+    const secret = totp.generateSecret();
+
+    await query.update(
+      { id: entity.id },
+      {
+        twoFactorSecret: secret,
+        twoFactorEnabled: false,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastCounter: null,
+      }
+    );
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpAuthUri({
+        secret,
+        label: entity.email || entity.username,
+        issuer: _.get(strapi.config, ['info', 'name']) || 'Strapi',
+      }),
+    };
+  },
+
+  /**
+   * Promise to enable the two-factor authentication of an entity with a code of its pending secret.
+   * @return {Promise<Array<String>|null>} the recovery codes, null if the code is invalid
+   */
+  async enable(entity, code, query) {
+    const counter = totp.findCounter(entity.twoFactorSecret, code);
+
+    if (counter === null) {
+      return null;
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+
+    await query.update(
+      { id: entity.id },
+      {
+        twoFactorEnabled: true,
+        twoFactorRecoveryCodes: recoveryCodes.map(totp.hashRecoveryCode),
+        // The code used to enable can't be used to log in.
+        twoFactorLastCounter: counter,
+      }
+    );
+
+    return recoveryCodes;
+  },
+
+  /**
+   * Promise to disable the two-factor authentication of an entity.
+   * @return {Promise}
+   */
+  disable(entity, query) {
+    return query.update(
+      { id: entity.id },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastCounter: null,
+      }
+    );
+  },
+
+  /**
+   * Promise to check a code of an enrolled entity. A code can only be used once: the codes of the period
+   * of the last accepted code and of the previous periods are rejected, and a recovery code is removed once used.
+   * The checks are made by conditional updates, a code used by a concurrent request is rejected.
+   * @return {Promise<Boolean>}
+   */
+  async verifyCode(entity, code, query) {
+    if (entity.twoFactorEnabled !== true || !code) {
+      return false;
+    }
+
+    const counter = totp.findCounter(entity.twoFactorSecret, code);
+
+    if (counter !== null) {
+      const updatedCount = await query.custom(updateLastCounterQuery)(entity.id, counter);
+
+      return updatedCount > 0;
+    }
+
+    const recoveryCodes = entity.twoFactorRecoveryCodes || [];
+    const hash = totp.hashRecoveryCode(code);
+
+    if (!recoveryCodes.includes(hash)) {
+      return false;
+    }
+
+    const updatedCount = await query.custom(removeRecoveryCodeQuery)(
+      entity.id,
+      recoveryCodes,
+      hash
+    );
+
+    return updatedCount > 0;
+  },
+};
@@ -2,6 +2,67 @@
 
 const _ = require('lodash');
 const request = require('request');
+const { convertRestQueryParams } = require('strapi-utils');
+
+// the permission of this action sets the attributes a role can read
+const READ_ACTION = 'find';
+
+// the permissions of these actions set the attributes a role can write
+const WRITE_ACTIONS = ['create', 'update', 'bulkcreate', 'bulkupdate'];
+
+/**
+ * Returns the attributes of the where clauses, the attributes of the _or and _and groups included
+ */
+const getWhereFields = (where = []) =>
+  where.reduce(
+    (acc, { field, value }) =>
+      field === null
+        ? acc.concat(_.flatMap(value, getWhereFields))
+        : acc.concat(field),
+    []
+  );
+
+/**
+ * Returns the model of a relation or of a component attribute
+ */
+const getAttributeModel = attribute => {
+  if (attribute.type === 'component') {
+    return _.get(strapi.components, attribute.component);
+  }
+
+  const name = attribute.model || attribute.collection;
+
+  return name ? strapi.getModel(name, attribute.plugin) : undefined;
+};
+
+/**
+ * Checks if the role can read an attribute path (e.g author.email), each attribute of the path must be readable
+ */
+const isReadablePath = (model, path, readableFields) => {
+  const [field, ...rest] = path.split('.');
+  const attribute = _.get(model, ['attributes', field]);
+
+  // the primary key, the timestamps and the unknown attributes
+  if (!attribute) {
+    return true;
+  }
+
+  const fields = _.get(readableFields, model.uid);
+
+  if (
+    attribute.private === true ||
+    (Array.isArray(fields) && !fields.includes(field))
+  ) {
+    return false;
+  }
+
+  const attributeModel = rest.length > 0 && getAttributeModel(attribute);
+
+  return (
+    !attributeModel ||
+    isReadablePath(attributeModel, rest.join('.'), readableFields)
+  );
+};
 
 /**
  * UsersPermissions.js service
@@ -200,6 +261,7 @@ module.exports = {
         {
           enabled: _.toNumber(permission.enabled) == true,
           policy: permission.policy,
+          fields: Array.isArray(permission.fields) ? permission.fields : null,
         }
       );
 
@@ -234,6 +296,181 @@ module.exports = {
     return roles;
   },
 
+  /**
+   * Returns the attributes of the models of the controllers, for the attributes permissions
+   * @return {Object} the attributes by type and controller, e.g { application: { restaurant: ['name'] } }
+   */
+  getAttributes() {
+    const getControllersAttributes = (controllers, plugin) =>
+      Object.keys(controllers).reduce((acc, controller) => {
+        const model = strapi.getModel(controller, plugin);
+
+        if (model && model.modelType !== 'component') {
+          acc[controller] = Object.keys(model.attributes);
+        }
+
+        return acc;
+      }, {});
+
+    const application = Object.keys(strapi.api || {}).reduce((acc, api) => {
+      return Object.assign(
+        acc,
+        getControllersAttributes(_.get(strapi.api[api], 'controllers', {}))
+      );
+    }, {});
+
+    return Object.keys(strapi.plugins).reduce(
+      (acc, plugin) => {
+        acc[plugin] = getControllersAttributes(
+          strapi.plugins[plugin].controllers,
+          plugin
+        );
+
+        return acc;
+      },
+      { application }
+    );
+  },
+
+  /**
+   * Returns the model of the controller of a permission
+   */
+  getPermissionModel({ type, controller }) {
+    return strapi.getModel(
+      controller,
+      type === 'application' ? undefined : type
+    );
+  },
+
+  /**
+   * Returns the enabled permission of a route for a role and the attributes the role can read,
+   * both are loaded with a single query
+   * @param {string} roleID - the id of the role
+   * @param {Object} route - the route of the request
+   * @return {Object} e.g { permission: { ... }, readableFields: { 'application::restaurant.restaurant': ['name'] } }
+   */
+  async getRoutePermission(roleID, route) {
+    const permissions = await strapi
+      .query('permission', 'users-permissions')
+      .find(
+        {
+          role: roleID,
+          action_in: _.uniq([route.action, READ_ACTION]),
+          _limit: -1,
+        },
+        []
+      );
+
+    const permission = permissions.find(
+      ({ type, controller, action, enabled }) =>
+        type === (route.plugin || 'application') &&
+        controller === route.controller &&
+        action === route.action &&
+        !!enabled
+    );
+
+    return {
+      permission: permission || null,
+      readableFields: this.getReadableFields(permissions),
+    };
+  },
+
+  /**
+   * Returns the attributes the read permissions allow to read by model uid, the models without restrictions are omitted
+   * @param {Array} permissions - the permissions of a role
+   * @return {Object} e.g { 'application::restaurant.restaurant': ['name'] }
+   */
+  getReadableFields(permissions) {
+    return permissions.reduce((acc, permission) => {
+      const model = this.getPermissionModel(permission);
+
+      if (
+        permission.action === READ_ACTION &&
+        model &&
+        Array.isArray(permission.fields)
+      ) {
+        acc[model.uid] = permission.fields;
+      }
+
+      return acc;
+    }, {});
+  },
+
+  /**
+   * Returns the attributes of the body of a request the permission doesn't allow to write
+   * @param {Object} permission - the permission of the action
+   * @param {Object} ctx - the context of the request
+   * @return {Array} the forbidden attributes
+   */
+  getForbiddenFields(permission, ctx) {
+    if (
+      !WRITE_ACTIONS.includes(permission.action) ||
+      !Array.isArray(permission.fields)
+    ) {
+      return [];
+    }
+
+    const model = this.getPermissionModel(permission);
+
+    if (!model) {
+      return [];
+    }
+
+    const { body = {}, files = {} } = ctx.request;
+
+    let data = body;
+    if (ctx.is('multipart') && _.isString(body.data)) {
+      try {
+        data = JSON.parse(body.data);
+      } catch (error) {
+        // the controller returns a bad request
+        data = {};
+      }
+    }
+
+    const fields = _.castArray(data)
+      .filter(_.isPlainObject)
+      .reduce((acc, entry) => acc.concat(Object.keys(entry)), [])
+      .concat(Object.keys(files).map(key => _.toPath(key)[1]));
+
+    return _.uniq(fields).filter(
+      field =>
+        _.has(model.attributes, field) && !permission.fields.includes(field)
+    );
+  },
+
+  /**
+   * Returns the attributes the query of a request filters or sorts by while the role can't read them,
+   * the results would reveal their values
+   * @param {Object} permission - the permission of the action
+   * @param {Object} ctx - the context of the request
+   * @param {Object} readableFields - the attributes the role can read by model uid
+   * @return {Array} the forbidden attributes, e.g ['password', 'author.email']
+   */
+  getForbiddenQueryFields(permission, ctx, readableFields) {
+    const model = this.getPermissionModel(permission);
+
+    if (!model || _.isEmpty(ctx.query)) {
+      return [];
+    }
+
+    let filters;
+    try {
+      filters = convertRestQueryParams(ctx.query);
+    } catch (error) {
+      // the controller returns a bad request
+      return [];
+    }
+
+    const fields = (filters.sort || [])
+      .map(({ field }) => field)
+      .concat(getWhereFields(filters.where));
+
+    return _.uniq(fields).filter(
+      field => !isReadablePath(model, field, readableFields)
+    );
+  },
+
   async getRoutes() {
     const routes = Object.keys(strapi.api || {}).reduce((acc, current) => {
       return acc.concat(_.get(strapi.api[current].config, 'routes', []));
@@ -366,6 +603,17 @@ module.exports = {
           obj.controller === 'auth' &&
           obj.type === 'users-permissions' &&
           role.type === 'public';
+        const isSession =
+          [
+            'refresh',
+            'logout',
+            'twofactorverify',
+            'twofactorsetup',
+            'twofactorenable',
+            'twofactordisable',
+          ].includes(obj.action) &&
+          obj.controller === 'auth' &&
+          obj.type === 'users-permissions';
         const isInit =
           obj.action === 'init' && obj.controller === 'userspermissions';
         const isMe =
@@ -382,6 +630,7 @@ module.exports = {
           isMe ||
           isReload ||
           isConnect ||
+          isSession ||
           isConfirmation ||
           isAdminCallback ||
           isAdminRegister;
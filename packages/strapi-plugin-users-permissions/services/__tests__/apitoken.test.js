@@ -0,0 +1,131 @@
+const _ = require('lodash');
+const apiTokenService = require('../ApiToken');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const createContext = authorization => ({
+  request: { header: authorization ? { authorization } : {} },
+});
+
+describe('ApiToken service', () => {
+  let apiTokens;
+  let query;
+
+  beforeEach(() => {
+    apiTokens = [];
+    query = {
+      findOne: jest.fn(async params => _.clone(_.find(apiTokens, params))),
+      create: jest.fn(async values => {
+        const apiToken = { id: apiTokens.length + 1, ...values };
+        apiTokens.push(apiToken);
+        return apiToken;
+      }),
+      update: jest.fn(async ({ id }, values) => Object.assign(_.find(apiTokens, { id }), values)),
+    };
+
+    global.strapi = {
+      query: () => query,
+    };
+  });
+
+  describe('getRequestToken', () => {
+    test('Returns the API token of the Authorization header', () => {
+      expect(apiTokenService.getRequestToken(createContext('Bearer 3f9a1c'))).toBe('3f9a1c');
+      expect(apiTokenService.getRequestToken(createContext('bearer 3f9a1c'))).toBe('3f9a1c');
+    });
+
+    test('Ignores the JSON web tokens and the other schemes', () => {
+      expect(apiTokenService.getRequestToken(createContext('Bearer a.b.c'))).toBeNull();
+      expect(apiTokenService.getRequestToken(createContext('Basic 3f9a1c'))).toBeNull();
+      expect(apiTokenService.getRequestToken(createContext('Bearer'))).toBeNull();
+      expect(apiTokenService.getRequestToken(createContext())).toBeNull();
+      expect(apiTokenService.getRequestToken({})).toBeNull();
+    });
+  });
+
+  test('Creates an API token and only saves the hash of its access key', async () => {
+    const apiToken = await apiTokenService.create({ name: 'Build server', role: 1 });
+
+    expect(apiToken).toMatchObject({ name: 'Build server', type: 'read-only', role: 1 });
+    expect(apiTokens[0].accessKey).toBe(apiTokenService.hash(apiToken.accessKey));
+  });
+
+  describe('authenticate', () => {
+    test('Returns the API token of an access key and records its use', async () => {
+      const { accessKey } = await apiTokenService.create({ name: 'Build server', role: 1 });
+
+      const apiToken = await apiTokenService.authenticate(accessKey);
+
+      expect(apiToken).toMatchObject({ id: 1, name: 'Build server', lastUsedAt: expect.any(Date) });
+      expect(apiTokens[0].lastUsedAt).toBe(apiToken.lastUsedAt);
+      expect(query.findOne).toHaveBeenCalledWith({ accessKey: apiTokenService.hash(accessKey) }, [
+        'role',
+      ]);
+    });
+
+    test('Rejects an unknown access key', async () => {
+      await expect(apiTokenService.authenticate('unknown')).resolves.toBeNull();
+    });
+
+    test('Rejects an expired API token', async () => {
+      const { accessKey } = await apiTokenService.create({
+        name: 'Build server',
+        role: 1,
+        expiresAt: new Date(Date.now() - DAY),
+      });
+
+      await expect(apiTokenService.authenticate(accessKey)).resolves.toBeNull();
+      expect(query.update).not.toHaveBeenCalled();
+    });
+
+    test('Accepts an API token which expires later', async () => {
+      const { accessKey } = await apiTokenService.create({
+        name: 'Build server',
+        role: 1,
+        expiresAt: new Date(Date.now() + DAY),
+      });
+
+      await expect(apiTokenService.authenticate(accessKey)).resolves.toMatchObject({ id: 1 });
+    });
+  });
+
+  describe('isRouteAllowed', () => {
+    const role = { id: 1, type: 'authenticated' };
+    const readOnly = { type: 'read-only', role };
+    const fullAccess = { type: 'full-access', role };
+
+    test('Allows the read-only tokens to read', () => {
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: 'get' })).toBe(true);
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: 'head' })).toBe(true);
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: 'post' })).toBe(false);
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: 'delete' })).toBe(false);
+    });
+
+    test('Allows the read-only tokens to run the GraphQL queries and subscriptions', () => {
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: '', operation: 'query' })).toBe(true);
+      expect(
+        apiTokenService.isRouteAllowed(readOnly, { verb: '', operation: 'subscription' })
+      ).toBe(true);
+      expect(apiTokenService.isRouteAllowed(readOnly, { verb: '', operation: 'mutation' })).toBe(
+        false
+      );
+    });
+
+    test('Allows the full-access tokens to call all the routes', () => {
+      expect(apiTokenService.isRouteAllowed(fullAccess, { verb: 'post' })).toBe(true);
+      expect(
+        apiTokenService.isRouteAllowed(fullAccess, { verb: 'put', plugin: 'users-permissions' })
+      ).toBe(true);
+      expect(apiTokenService.isRouteAllowed(fullAccess, { verb: '', operation: 'mutation' })).toBe(
+        true
+      );
+    });
+
+    test('Rejects the tokens without a role', () => {
+      expect(apiTokenService.isRouteAllowed({ type: 'full-access' }, { verb: 'get' })).toBe(false);
+      expect(
+        apiTokenService.isRouteAllowed({ type: 'full-access', role: null }, { verb: 'get' })
+      ).toBe(false);
+    });
+  });
+});
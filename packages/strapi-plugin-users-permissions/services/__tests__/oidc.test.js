@@ -0,0 +1,326 @@
+const http = require('http');
+const _ = require('lodash');
+const jwt = require('jsonwebtoken');
+const oidcService = require('../Oidc');
+const { privateKey, publicJwk, otherPrivateKey } = require('./oidc-keys');
+
+const CLIENT_ID = 'strapi';
+
+// A local issuer serving a discovery document, a key set and the userinfo endpoint.
+const createMockIssuer = () => {
+  let issuer;
+
+  const server = http.createServer((req, res) => {
+    const routes = {
+      '/.well-known/openid-configuration': () => ({
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+      }),
+      '/other/.well-known/openid-configuration': () => ({ issuer: 'https://other.issuer' }),
+      '/jwks': () => ({
+        keys: [{ ...publicJwk, kid: 'key-1', use: 'sig' }],
+      }),
+      '/userinfo': () =>
+        req.headers.authorization === 'Bearer access-token'
+          ? { sub: 'user-1', email: 'kai@strapi.io', email_verified: true }
+          : null,
+    };
+
+    const body = routes[req.url] && routes[req.url]();
+
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || {}));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      issuer = `http://127.0.0.1:${server.address().port}`;
+      resolve({ issuer, server });
+    });
+  });
+};
+
+describe('Oidc service', () => {
+  let issuer;
+  let server;
+  let providerConfig;
+  let sessionNonce;
+  let usedNonces;
+
+  const signIdToken = (claims = {}, options = {}, key = privateKey) =>
+    jwt.sign({ sub: 'user-1', nonce: sessionNonce, ...claims }, key, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer,
+      audience: CLIENT_ID,
+      expiresIn: '5m',
+      ...options,
+    });
+
+  beforeAll(async () => {
+    ({ issuer, server } = await createMockIssuer());
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    usedNonces = [];
+
+    // The used nonces, saved in the database.
+    const nonceQuery = {
+      delete: async ({ expiresAt_lt }) =>
+        _.remove(usedNonces, ({ expiresAt }) => expiresAt < expiresAt_lt),
+      findOne: async ({ nonce }) => _.find(usedNonces, { nonce }) || null,
+      create: jest.fn(async values => {
+        usedNonces.push(values);
+        return values;
+      }),
+    };
+
+    global.strapi = {
+      plugins: { 'users-permissions': { config: { jwtSecret: 'secret' } } },
+      query: () => nonceQuery,
+    };
+
+    // The nonce Grant saved in the session of the browser.
+    sessionNonce = oidcService.createNonce();
+
+    providerConfig = {
+      enabled: true,
+      key: CLIENT_ID,
+      secret: 'secret',
+      issuer,
+      usernameClaim: 'preferred_username',
+      emailClaim: 'email',
+    };
+  });
+
+  describe('getGrantConfig', () => {
+    test('Uses the endpoints of the discovery document', async () => {
+      const config = await oidcService.getGrantConfig(providerConfig);
+
+      expect(config).toMatchObject({
+        key: CLIENT_ID,
+        oauth: 2,
+        authorize_url: `${issuer}/authorize`,
+        access_url: `${issuer}/token`,
+        nonce: expect.any(String),
+      });
+      await expect(oidcService.consumeNonce(config.nonce, config.nonce)).resolves.toBe(true);
+    });
+
+    test('Rejects a discovery document of another issuer', async () => {
+      await expect(
+        oidcService.getGrantConfig({ ...providerConfig, issuer: `${issuer}/other` })
+      ).rejects.toThrow('does not match');
+    });
+
+    test('Rejects a provider without issuer', async () => {
+      await expect(oidcService.getGrantConfig({ ...providerConfig, issuer: '' })).rejects.toThrow(
+        'not configured'
+      );
+    });
+  });
+
+  describe('verifyIdToken', () => {
+    test('Accepts a token signed by a key of the issuer', async () => {
+      const claims = await oidcService.verifyIdToken(signIdToken(), providerConfig, {
+        sessionNonce,
+      });
+
+      expect(claims).toMatchObject({ sub: 'user-1', iss: issuer, aud: CLIENT_ID });
+    });
+
+    test('Rejects a token signed by another key', async () => {
+      await expect(
+        oidcService.verifyIdToken(signIdToken({}, {}, otherPrivateKey), providerConfig, {
+          sessionNonce,
+        })
+      ).rejects.toThrow('invalid signature');
+    });
+
+    test('Rejects a token of another client', async () => {
+      await expect(
+        oidcService.verifyIdToken(signIdToken({}, { audience: 'other' }), providerConfig, {
+          sessionNonce,
+        })
+      ).rejects.toThrow('jwt audience invalid');
+    });
+
+    test('Rejects an expired token', async () => {
+      await expect(
+        oidcService.verifyIdToken(signIdToken({ iat: 1000 }), providerConfig, { sessionNonce })
+      ).rejects.toThrow('jwt expired');
+    });
+
+    test('Rejects an unsigned token', async () => {
+      const idToken = jwt.sign({ sub: 'user-1', iss: issuer, aud: CLIENT_ID }, null, {
+        algorithm: 'none',
+      });
+
+      await expect(
+        oidcService.verifyIdToken(idToken, providerConfig, { sessionNonce })
+      ).rejects.toThrow('not supported');
+    });
+
+    test('Rejects a token issued to several audiences for another client', async () => {
+      const audience = [CLIENT_ID, 'other'];
+
+      await expect(
+        oidcService.verifyIdToken(signIdToken({}, { audience }), providerConfig, { sessionNonce })
+      ).rejects.toThrow('authorized party');
+      await expect(
+        oidcService.verifyIdToken(signIdToken({ azp: 'other' }, { audience }), providerConfig, {
+          sessionNonce,
+        })
+      ).rejects.toThrow('authorized party');
+      await expect(
+        oidcService.verifyIdToken(signIdToken({ azp: 'other' }), providerConfig, { sessionNonce })
+      ).rejects.toThrow('authorized party');
+      await expect(
+        oidcService.verifyIdToken(signIdToken({ azp: CLIENT_ID }, { audience }), providerConfig, {
+          sessionNonce,
+        })
+      ).resolves.toMatchObject({ azp: CLIENT_ID });
+    });
+
+    test('Rejects a token which was already used', async () => {
+      const idToken = signIdToken();
+
+      await oidcService.verifyIdToken(idToken, providerConfig, { sessionNonce });
+
+      await expect(
+        oidcService.verifyIdToken(idToken, providerConfig, { sessionNonce })
+      ).rejects.toThrow('already used');
+    });
+
+    test('Rejects a token without the nonce of the application', async () => {
+      const [random, expiresAt] = oidcService.createNonce().split('.');
+
+      await expect(
+        oidcService.verifyIdToken(signIdToken({ nonce: undefined }), providerConfig, {
+          sessionNonce,
+        })
+      ).rejects.toThrow('nonce');
+      await expect(
+        oidcService.verifyIdToken(
+          signIdToken({ nonce: `${random}.${expiresAt}.forged` }),
+          providerConfig,
+          { sessionNonce }
+        )
+      ).rejects.toThrow('nonce');
+    });
+
+    test('Rejects a token with the nonce of another session', async () => {
+      const idToken = signIdToken();
+
+      await expect(
+        oidcService.verifyIdToken(idToken, providerConfig, {
+          sessionNonce: oidcService.createNonce(),
+        })
+      ).rejects.toThrow('nonce');
+      await expect(oidcService.verifyIdToken(idToken, providerConfig)).rejects.toThrow('nonce');
+      expect(usedNonces).toHaveLength(0);
+    });
+
+    test('Rejects a token which was used on another instance of the application', async () => {
+      const idToken = signIdToken();
+      usedNonces.push({
+        nonce: sessionNonce.split('.')[0],
+        expiresAt: new Date(Date.now() + 1000),
+      });
+
+      await expect(
+        oidcService.verifyIdToken(idToken, providerConfig, { sessionNonce })
+      ).rejects.toThrow('already used');
+    });
+
+    test('Rejects a token used by a concurrent request', async () => {
+      strapi.query().create.mockRejectedValue(new Error('Duplicate nonce'));
+
+      await expect(oidcService.consumeNonce(sessionNonce, sessionNonce)).resolves.toBe(false);
+    });
+
+    test('Rejects a token with an expired nonce', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() - 11 * 60 * 1000);
+      sessionNonce = oidcService.createNonce();
+      Date.now.mockRestore();
+
+      await expect(
+        oidcService.verifyIdToken(signIdToken(), providerConfig, { sessionNonce })
+      ).rejects.toThrow('nonce');
+    });
+
+    test('Uses the client secret for the tokens signed with a shared key', async () => {
+      const idToken = signIdToken({}, { algorithm: 'HS256' }, providerConfig.secret);
+
+      await expect(
+        oidcService.verifyIdToken(idToken, providerConfig, { sessionNonce })
+      ).resolves.toMatchObject({
+        sub: 'user-1',
+      });
+    });
+  });
+
+  describe('getProfile', () => {
+    test('Maps the claims of the id_token', async () => {
+      const idToken = signIdToken({ preferred_username: 'kai', email: 'kai@strapi.io' });
+
+      await expect(
+        oidcService.getProfile(providerConfig, { id_token: idToken }, { sessionNonce })
+      ).resolves.toEqual({
+        username: 'kai',
+        email: 'kai@strapi.io',
+      });
+    });
+
+    test('Maps the configured claims', async () => {
+      const idToken = signIdToken({ nickname: 'kai', upn: 'kai@strapi.io' });
+
+      await expect(
+        oidcService.getProfile(
+          { ...providerConfig, usernameClaim: 'nickname', emailClaim: 'upn' },
+          { id_token: idToken },
+          { sessionNonce }
+        )
+      ).resolves.toEqual({ username: 'kai', email: 'kai@strapi.io' });
+    });
+
+    test('Completes the claims with the userinfo endpoint', async () => {
+      const profile = await oidcService.getProfile(
+        providerConfig,
+        { id_token: signIdToken(), access_token: 'access-token' },
+        { sessionNonce }
+      );
+
+      expect(profile).toEqual({ username: 'kai', email: 'kai@strapi.io' });
+    });
+
+    test('Rejects the userinfo of another user', async () => {
+      await expect(
+        oidcService.getProfile(
+          providerConfig,
+          { id_token: signIdToken({ sub: 'user-2' }), access_token: 'access-token' },
+          { sessionNonce }
+        )
+      ).rejects.toThrow('does not match');
+    });
+
+    test('Rejects an unverified email', async () => {
+      const idToken = signIdToken({ email: 'kai@strapi.io', email_verified: false });
+
+      await expect(
+        oidcService.getProfile(providerConfig, { id_token: idToken }, { sessionNonce })
+      ).rejects.toThrow('not verified');
+    });
+
+    test('Requires an id_token', async () => {
+      await expect(
+        oidcService.getProfile(providerConfig, { access_token: 'token' }, { sessionNonce })
+      ).rejects.toThrow('No id_token.');
+    });
+  });
+});
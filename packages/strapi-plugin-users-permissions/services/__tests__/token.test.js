@@ -0,0 +1,225 @@
+const _ = require('lodash');
+const tokenService = require('../Token');
+const jwtService = require('../Jwt');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// In memory queries of the users and of the refresh tokens.
+const createQueries = () => {
+  let id = 0;
+  const users = [{ id: 1, username: 'kai', role: { id: 1 } }];
+  const tokens = [];
+
+  const matches = params => token =>
+    _.every(params, (value, key) => {
+      if (key === '_limit') return true;
+      if (key === 'expiresAt_lt') return new Date(token.expiresAt) < value;
+      return token[key] === value;
+    });
+
+  return {
+    users,
+    tokens,
+    user: {
+      findOne: async ({ id }) => _.cloneDeep(_.find(users, { id })),
+      update: async ({ id }, values) => Object.assign(_.find(users, { id }), values),
+    },
+    token: {
+      findOne: async params => _.clone(_.find(tokens, matches(params))),
+      create: async values => {
+        const token = { id: ++id, ...values };
+        tokens.push(token);
+        return token;
+      },
+      update: async ({ id }, values) => Object.assign(_.find(tokens, { id }), values),
+      delete: async params => _.remove(tokens, matches(params)),
+    },
+  };
+};
+
+describe('Token service', () => {
+  let queries;
+  let NOW;
+
+  beforeEach(() => {
+    // The expiration of the refresh tokens is checked against the real date.
+    NOW = Math.floor(Date.now() / 1000) * 1000;
+    queries = createQueries();
+
+    global.strapi = {
+      plugins: {
+        'users-permissions': {
+          config: { jwtSecret: 'secret' },
+          services: { jwt: jwtService },
+        },
+      },
+      query: model => queries[model],
+    };
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Issues an access token and saves the hash of the refresh token', async () => {
+    const { jwt, refreshToken } = await tokenService.issue({ id: 1 });
+
+    await expect(jwtService.verify(jwt)).resolves.toMatchObject({
+      id: 1,
+      iat: NOW / 1000,
+      exp: NOW / 1000 + 30 * 60,
+    });
+    expect(queries.tokens).toEqual([
+      {
+        id: 1,
+        token: tokenService.hash(refreshToken),
+        expiresAt: new Date(NOW + 30 * DAY),
+        revoked: false,
+        user: 1,
+      },
+    ]);
+  });
+
+  test('Uses the configured lifetimes of the tokens', async () => {
+    strapi.plugins['users-permissions'].config.tokens = {
+      accessTokenExpiresIn: 60,
+      refreshTokenExpiresIn: '1h',
+    };
+
+    const { jwt } = await tokenService.issue({ id: 1 });
+
+    await expect(jwtService.verify(jwt)).resolves.toMatchObject({ exp: NOW / 1000 + 60 });
+    expect(queries.tokens[0].expiresAt).toEqual(new Date(NOW + 60 * 60 * 1000));
+  });
+
+  describe('refresh', () => {
+    test('Rotates the refresh token', async () => {
+      const { refreshToken } = await tokenService.issue({ id: 1 });
+
+      const result = await tokenService.refresh(refreshToken);
+
+      expect(result).toMatchObject({ jwt: expect.any(String), user: { id: 1 } });
+      expect(result.refreshToken).not.toBe(refreshToken);
+      expect(queries.tokens).toMatchObject([
+        { token: tokenService.hash(refreshToken), revoked: true },
+        { token: tokenService.hash(result.refreshToken), revoked: false },
+      ]);
+    });
+
+    test('Revokes all the sessions of the user when a refresh token is reused', async () => {
+      const { refreshToken } = await tokenService.issue({ id: 1 });
+      await tokenService.refresh(refreshToken);
+
+      await expect(tokenService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token.');
+
+      expect(queries.tokens).toEqual([]);
+      expect(queries.users[0].tokensRevokedAt).toEqual(expect.any(Date));
+    });
+
+    test('Rejects an expired refresh token', async () => {
+      Date.now.mockReturnValue(NOW - 31 * DAY);
+
+      const { refreshToken } = await tokenService.issue({ id: 1 });
+
+      await expect(tokenService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token.');
+    });
+
+    test('Rejects an unknown refresh token', async () => {
+      await expect(tokenService.refresh('unknown')).rejects.toThrow('Invalid refresh token.');
+    });
+
+    test('Rejects the refresh token of a blocked user', async () => {
+      const { refreshToken } = await tokenService.issue({ id: 1 });
+      queries.users[0].blocked = true;
+
+      await expect(tokenService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token.');
+    });
+
+    test('Removes the expired refresh tokens of the user', async () => {
+      Date.now.mockReturnValue(NOW - 31 * DAY);
+      await tokenService.issue({ id: 1 });
+
+      Date.now.mockReturnValue(NOW);
+      await tokenService.issue({ id: 1 });
+
+      expect(queries.tokens).toHaveLength(1);
+    });
+  });
+
+  test('Revokes a refresh token on logout', async () => {
+    const { refreshToken } = await tokenService.issue({ id: 1 });
+
+    await tokenService.revoke(refreshToken);
+
+    expect(queries.tokens).toEqual([]);
+    await expect(tokenService.refresh(refreshToken)).rejects.toThrow('Invalid refresh token.');
+  });
+
+  test('Revokes all the sessions of the user of a refresh token on logout', async () => {
+    const { refreshToken } = await tokenService.issue({ id: 1 });
+    await tokenService.issue({ id: 1 });
+
+    await tokenService.revokeAllFromRefreshToken(refreshToken);
+
+    expect(queries.tokens).toEqual([]);
+    expect(queries.users[0].tokensRevokedAt).toEqual(expect.any(Date));
+
+    await expect(tokenService.revokeAllFromRefreshToken('unknown')).resolves.toBeUndefined();
+  });
+
+  describe('Email confirmation tokens', () => {
+    test('Issues a token which is not an access token', async () => {
+      const token = tokenService.issueEmailConfirmationToken({ id: 1, username: 'kai' });
+      const payload = await jwtService.verify(token);
+
+      expect(payload).toMatchObject({
+        id: 1,
+        purpose: 'email-confirmation',
+        exp: NOW / 1000 + 86400,
+      });
+      expect(payload).not.toHaveProperty('username');
+      expect(tokenService.isAccessToken(payload)).toBe(false);
+      await expect(tokenService.verifyEmailConfirmationToken(token)).resolves.toMatchObject({
+        id: 1,
+      });
+    });
+
+    test('Rejects the access tokens as confirmation tokens', async () => {
+      const { jwt } = await tokenService.issue({ id: 1 });
+
+      expect(tokenService.isAccessToken(await jwtService.verify(jwt))).toBe(true);
+      await expect(tokenService.verifyEmailConfirmationToken(jwt)).rejects.toThrow(
+        'Invalid confirmation token.'
+      );
+    });
+  });
+
+  describe('isRevoked', () => {
+    test('Rejects the access tokens issued before or in the second of the revocation', () => {
+      const user = { id: 1, tokensRevokedAt: new Date(NOW + 500) };
+
+      expect(tokenService.isRevoked({ iat: NOW / 1000 - 1 }, user)).toBe(true);
+      expect(tokenService.isRevoked({ iat: NOW / 1000 }, user)).toBe(true);
+      expect(tokenService.isRevoked({ iat: NOW / 1000 + 1 }, user)).toBe(false);
+      expect(tokenService.isRevoked({}, user)).toBe(true);
+    });
+
+    test('Accepts the access tokens of the users without revocation', () => {
+      expect(tokenService.isRevoked({ iat: NOW / 1000 }, { id: 1 })).toBe(false);
+      expect(tokenService.isRevoked({ iat: NOW / 1000 }, null)).toBe(false);
+    });
+
+    test('Accepts the access tokens issued right after the revocation', async () => {
+      await tokenService.revokeAll(1);
+      const user = await queries.user.findOne({ id: 1 });
+
+      const { jwt } = await tokenService.issue(user);
+      const payload = await jwtService.verify(jwt);
+
+      expect(payload.iat).toBe(Math.floor(user.tokensRevokedAt.getTime() / 1000) + 1);
+      expect(tokenService.isRevoked(payload, user)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+const _ = require('lodash');
+const { totp } = require('strapi-utils');
+const twoFactorService = require('../TwoFactor');
+const jwtService = require('../Jwt');
+
+const NOW = 1580000000000;
+const PERIOD = 30 * 1000;
+
+// A mongoose model applying the conditional updates of the two-factor authentication to the entity kept in memory.
+const createTwoFactorModel = getEntities => ({
+  orm: 'mongoose',
+  primaryKey: 'id',
+  async updateOne({ id, $or, twoFactorRecoveryCodes: recoveryCode }, update) {
+    const entity = _.find(getEntities(), { id });
+    const maxLastCounter = _.get($or, [1, 'twoFactorLastCounter', '$lt']);
+
+    const matches =
+      !!entity &&
+      (_.isUndefined(maxLastCounter) ||
+        _.isNil(entity.twoFactorLastCounter) ||
+        entity.twoFactorLastCounter < maxLastCounter) &&
+      (_.isUndefined(recoveryCode) || (entity.twoFactorRecoveryCodes || []).includes(recoveryCode));
+
+    if (!matches) {
+      return { nModified: 0 };
+    }
+
+    if (_.has(update, '$pull')) {
+      _.pull(entity.twoFactorRecoveryCodes, update.$pull.twoFactorRecoveryCodes);
+    } else {
+      Object.assign(entity, update);
+    }
+
+    return { nModified: 1 };
+  },
+});
+
+// A query updating an entity kept in memory.
+const createQuery = entity => ({
+  update: jest.fn(async (params, values) => Object.assign(entity, values)),
+  custom: mapping => mapping.bind(null, { model: createTwoFactorModel(() => [entity]) }),
+});
+
+const enroll = async entity => {
+  const query = createQuery(entity);
+
+  await twoFactorService.setup(entity, query);
+  const recoveryCodes = await twoFactorService.enable(
+    entity,
+    totp.generateCode(entity.twoFactorSecret, { time: NOW - PERIOD }),
+    query
+  );
+
+  return { query, recoveryCodes };
+};
+
+describe('TwoFactor service', () => {
+  let advancedSettings;
+
+  beforeEach(() => {
+    advancedSettings = {};
+
+    global.strapi = {
+      config: { info: { name: 'My app' } },
+      plugins: {
+        'users-permissions': {
+          config: { jwtSecret: 'secret' },
+          services: { jwt: jwtService },
+        },
+      },
+      query: () => ({
+        findOne: async ({ id }) => ({ id, type: 'authenticated' }),
+      }),
+      store: () => ({
+        get: async () => advancedSettings,
+      }),
+    };
+
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Challenge tokens', () => {
+    test('Verifies a challenge token of the given type', async () => {
+      const challengeToken = twoFactorService.createChallengeToken({ id: 1, email: 'kai@doe.com' });
+
+      const payload = await twoFactorService.verifyChallengeToken(challengeToken, {
+        type: twoFactorService.CHALLENGE_TYPES.verification,
+      });
+
+      expect(payload).toMatchObject({ id: 1, twoFactorChallenge: 'verification' });
+      expect(payload.email).toBeUndefined();
+      expect(twoFactorService.isChallengeToken(payload)).toBe(true);
+      expect(twoFactorService.isChallengeToken({ id: 1 })).toBe(false);
+    });
+
+    test('Rejects a challenge token of another type', async () => {
+      const challengeToken = twoFactorService.createChallengeToken(
+        { id: 1 },
+        twoFactorService.CHALLENGE_TYPES.enrollment
+      );
+
+      await expect(
+        twoFactorService.verifyChallengeToken(challengeToken, {
+          type: twoFactorService.CHALLENGE_TYPES.verification,
+        })
+      ).rejects.toThrow('Invalid challenge token.');
+    });
+
+    test('Rejects the challenge token of an administrator for a user and the other way around', async () => {
+      const type = twoFactorService.CHALLENGE_TYPES.verification;
+      const adminToken = twoFactorService.createChallengeToken({ id: 1, isAdmin: true });
+      const userToken = twoFactorService.createChallengeToken({ id: 1 });
+
+      await expect(twoFactorService.verifyChallengeToken(adminToken, { type })).rejects.toThrow(
+        'Invalid challenge token.'
+      );
+      await expect(
+        twoFactorService.verifyChallengeToken(userToken, { type, isAdmin: true })
+      ).rejects.toThrow('Invalid challenge token.');
+    });
+  });
+
+  describe('isEnrollmentRequired', () => {
+    test('Requires the users of the configured roles to enroll', async () => {
+      advancedSettings = { two_factor_roles: { authenticated: true } };
+
+      await expect(twoFactorService.isEnrollmentRequired({ id: 1, role: 2 })).resolves.toBe(true);
+      await expect(
+        twoFactorService.isEnrollmentRequired({ id: 1, role: { id: 3, type: 'public' } })
+      ).resolves.toBe(false);
+      await expect(
+        twoFactorService.isEnrollmentRequired({ id: 1, role: 2, twoFactorEnabled: true })
+      ).resolves.toBe(false);
+    });
+  });
+
+  describe('Enrollment', () => {
+    test('Sets up a pending secret', async () => {
+      const entity = { id: 1, email: 'kai@doe.com', twoFactorEnabled: false };
+
+      const { secret, otpauthUri } = await twoFactorService.setup(entity, createQuery(entity));
+
+      expect(entity).toMatchObject({ twoFactorSecret: secret, twoFactorEnabled: false });
+      expect(otpauthUri).toBe(
+        `otpauth://totp/My%20app:kai%40doe.com?secret=${secret}&issuer=My%20app&algorithm=SHA1&digits=6&period=30`
+      );
+    });
+
+    test('Enables the two-factor authentication with a code of the pending secret', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+
+      const { recoveryCodes } = await enroll(entity);
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(entity.twoFactorEnabled).toBe(true);
+      expect(entity.twoFactorRecoveryCodes).toEqual(recoveryCodes.map(totp.hashRecoveryCode));
+    });
+
+    test('Does not enable the two-factor authentication with an invalid code', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const query = createQuery(entity);
+
+      await twoFactorService.setup(entity, query);
+
+      await expect(twoFactorService.enable(entity, '000000x', query)).resolves.toBeNull();
+      expect(entity.twoFactorEnabled).toBe(false);
+    });
+
+    test('Disables the two-factor authentication', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query } = await enroll(entity);
+
+      await twoFactorService.disable(entity, query);
+
+      expect(entity).toMatchObject({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: null,
+        twoFactorLastCounter: null,
+      });
+    });
+  });
+
+  describe('verifyCode', () => {
+    test('Accepts a code once', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query } = await enroll(entity);
+      const code = totp.generateCode(entity.twoFactorSecret);
+
+      await expect(twoFactorService.verifyCode(entity, code, query)).resolves.toBe(true);
+      await expect(twoFactorService.verifyCode(entity, code, query)).resolves.toBe(false);
+    });
+
+    test('Rejects the code used to enable the two-factor authentication', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query } = await enroll(entity);
+      const code = totp.generateCode(entity.twoFactorSecret, { time: NOW - PERIOD });
+
+      await expect(twoFactorService.verifyCode(entity, code, query)).resolves.toBe(false);
+    });
+
+    test('Rejects the codes of the periods before the last accepted code', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query } = await enroll(entity);
+      const { twoFactorSecret: secret } = entity;
+
+      await expect(
+        twoFactorService.verifyCode(
+          entity,
+          totp.generateCode(secret, { time: NOW + PERIOD }),
+          query
+        )
+      ).resolves.toBe(true);
+      await expect(
+        twoFactorService.verifyCode(entity, totp.generateCode(secret), query)
+      ).resolves.toBe(false);
+    });
+
+    test('Rejects a code used by a concurrent request', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query, recoveryCodes } = await enroll(entity);
+      const code = totp.generateCode(entity.twoFactorSecret);
+      // Both requests have read the entity before any of them has used the code.
+      const [first, second] = [_.cloneDeep(entity), _.cloneDeep(entity)];
+
+      await expect(twoFactorService.verifyCode(first, code, query)).resolves.toBe(true);
+      await expect(twoFactorService.verifyCode(second, code, query)).resolves.toBe(false);
+
+      await expect(twoFactorService.verifyCode(first, recoveryCodes[0], query)).resolves.toBe(true);
+      await expect(twoFactorService.verifyCode(second, recoveryCodes[0], query)).resolves.toBe(
+        false
+      );
+    });
+
+    test('Accepts a recovery code once', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const { query, recoveryCodes } = await enroll(entity);
+
+      await expect(twoFactorService.verifyCode(entity, recoveryCodes[0], query)).resolves.toBe(
+        true
+      );
+      await expect(twoFactorService.verifyCode(entity, recoveryCodes[0], query)).resolves.toBe(
+        false
+      );
+      expect(entity.twoFactorRecoveryCodes).toHaveLength(9);
+    });
+
+    test('Rejects the codes of an entity which has not enabled the two-factor authentication', async () => {
+      const entity = { id: 1, email: 'kai@doe.com' };
+      const query = createQuery(entity);
+
+      await twoFactorService.setup(entity, query);
+
+      await expect(
+        twoFactorService.verifyCode(entity, totp.generateCode(entity.twoFactorSecret), query)
+      ).resolves.toBe(false);
+    });
+  });
+});
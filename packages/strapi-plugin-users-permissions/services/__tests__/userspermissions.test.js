@@ -0,0 +1,151 @@
+const usersPermissionsService = require('../UsersPermissions');
+
+const route = { controller: 'restaurant', action: 'update', plugin: undefined };
+
+describe('UsersPermissions service', () => {
+  let permissions;
+  let query;
+
+  beforeEach(() => {
+    permissions = [
+      { type: 'application', controller: 'restaurant', action: 'update', enabled: true },
+      {
+        type: 'application',
+        controller: 'restaurant',
+        action: 'find',
+        enabled: true,
+        fields: ['name'],
+      },
+      { type: 'application', controller: 'menu', action: 'find', enabled: false, fields: null },
+      {
+        type: 'users-permissions',
+        controller: 'user',
+        action: 'find',
+        enabled: false,
+        fields: ['username'],
+      },
+    ];
+    query = { find: jest.fn(async () => permissions) };
+
+    global.strapi = {
+      query: () => query,
+      getModel: (controller, plugin) => ({
+        uid: plugin
+          ? `plugins::${plugin}.${controller}`
+          : `application::${controller}.${controller}`,
+      }),
+    };
+  });
+
+  describe('getRoutePermission', () => {
+    test('Loads the permission of the route and the readable attributes with one query', async () => {
+      const result = await usersPermissionsService.getRoutePermission(1, route);
+
+      expect(query.find).toHaveBeenCalledTimes(1);
+      expect(query.find).toHaveBeenCalledWith(
+        { role: 1, action_in: ['update', 'find'], _limit: -1 },
+        []
+      );
+      expect(result).toEqual({
+        permission: permissions[0],
+        readableFields: {
+          'application::restaurant.restaurant': ['name'],
+          'plugins::users-permissions.user': ['username'],
+        },
+      });
+    });
+
+    test('Ignores the disabled permissions and the permissions of the other controllers', async () => {
+      permissions[0].enabled = false;
+
+      await expect(usersPermissionsService.getRoutePermission(1, route)).resolves.toMatchObject({
+        permission: null,
+      });
+      await expect(
+        usersPermissionsService.getRoutePermission(1, { ...route, controller: 'menu' })
+      ).resolves.toMatchObject({ permission: null });
+      await expect(
+        usersPermissionsService.getRoutePermission(1, { ...route, plugin: 'users-permissions' })
+      ).resolves.toMatchObject({ permission: null });
+    });
+
+    test('Returns the read permission of a read route', async () => {
+      const result = await usersPermissionsService.getRoutePermission(1, {
+        ...route,
+        action: 'find',
+      });
+
+      expect(query.find.mock.calls[0][0].action_in).toEqual(['find']);
+      expect(result.permission).toBe(permissions[1]);
+    });
+  });
+
+  describe('getForbiddenQueryFields', () => {
+    const models = {
+      restaurant: {
+        uid: 'application::restaurant.restaurant',
+        attributes: {
+          name: { type: 'string' },
+          secret: { type: 'string' },
+          token: { type: 'string', private: true },
+          owner: { model: 'user', plugin: 'users-permissions' },
+        },
+      },
+      user: {
+        uid: 'plugins::users-permissions.user',
+        attributes: {
+          username: { type: 'string' },
+          email: { type: 'email' },
+        },
+      },
+    };
+
+    const readableFields = {
+      'application::restaurant.restaurant': ['name', 'owner', 'token'],
+      'plugins::users-permissions.user': ['username'],
+    };
+
+    const getForbiddenQueryFields = query =>
+      usersPermissionsService.getForbiddenQueryFields(permissions[1], { query }, readableFields);
+
+    beforeEach(() => {
+      global.strapi.getModel = controller => models[controller];
+    });
+
+    test('Accepts the filters and the sorts on the readable attributes', () => {
+      expect(
+        getForbiddenQueryFields({
+          name_contains: 'burger',
+          'owner.username': 'kai',
+          id_gt: 3,
+          _sort: 'name:asc,created_at:desc',
+        })
+      ).toEqual([]);
+    });
+
+    test('Rejects the filters and the sorts on the attributes the role cannot read', () => {
+      expect(
+        getForbiddenQueryFields({
+          secret_startsWith: 'a',
+          token_regex: '^a',
+          'owner.email_endsWith': '@doe.com',
+          _sort: 'secret:desc',
+        })
+      ).toEqual(['secret', 'token', 'owner.email']);
+    });
+
+    test('Rejects the attributes the role cannot read in the _or and _and groups', () => {
+      expect(
+        getForbiddenQueryFields({
+          _or: [{ name: 'Burger' }, { _and: [{ secret: 'a' }, { 'owner.username': 'kai' }] }],
+        })
+      ).toEqual(['secret']);
+    });
+
+    test('Rejects the cursors sorted by the attributes the role cannot read', () => {
+      const cursor = Buffer.from(JSON.stringify(['a', 1])).toString('base64');
+
+      expect(getForbiddenQueryFields({ _sort: 'secret:asc', _after: cursor })).toEqual(['secret']);
+    });
+  });
+});
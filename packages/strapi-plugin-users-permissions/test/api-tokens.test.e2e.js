@@ -0,0 +1,116 @@
+// Test the creation, the use and the revocation of the API tokens
+
+const { registerAndLogin } = require('../../../test/helpers/auth');
+const { createAuthRequest } = require('../../../test/helpers/request');
+
+let rq;
+let data = {};
+
+/*****************************
+ * TESTS
+ *****************************/
+describe('API tokens', () => {
+  beforeAll(async () => {
+    const token = await registerAndLogin();
+    rq = createAuthRequest(token);
+  }, 60000);
+
+  test('Cannot create an API token without a role', async () => {
+    const res = await rq({
+      method: 'POST',
+      url: '/users-permissions/api-tokens',
+      body: { name: 'Build server' },
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('Create an API token', async () => {
+    const rolesRes = await rq({
+      method: 'GET',
+      url: '/users-permissions/roles',
+    });
+    const role = rolesRes.body.roles.find(({ type }) => type === 'authenticated');
+
+    const res = await rq({
+      method: 'POST',
+      url: '/users-permissions/api-tokens',
+      body: {
+        name: 'Build server',
+        description: 'Deploys the website',
+        type: 'full-access',
+        role: role.id,
+      },
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.apiToken).toMatchObject({
+      name: 'Build server',
+      description: 'Deploys the website',
+      type: 'full-access',
+      role: { id: role.id },
+      accessKey: expect.any(String),
+    });
+
+    data.apiToken = res.body.apiToken;
+  });
+
+  test('Cannot create an API token with a name already taken', async () => {
+    const res = await rq({
+      method: 'POST',
+      url: '/users-permissions/api-tokens',
+      body: { name: 'Build server', role: data.apiToken.role.id },
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('A token cannot call the routes its role does not allow', async () => {
+    const res = await createAuthRequest(data.apiToken.accessKey)({
+      method: 'GET',
+      url: '/users-permissions/roles',
+    });
+
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('An unknown token is rejected', async () => {
+    const res = await createAuthRequest('unknown')({
+      method: 'GET',
+      url: '/users-permissions/roles',
+    });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('List the API tokens without their access keys', async () => {
+    const res = await rq({
+      method: 'GET',
+      url: '/users-permissions/api-tokens',
+    });
+
+    expect(res.statusCode).toBe(200);
+
+    const apiToken = res.body['api-tokens'].find(({ id }) => id === data.apiToken.id);
+
+    expect(apiToken).toBeDefined();
+    expect(apiToken.accessKey).toBeUndefined();
+    expect(apiToken.lastUsedAt).toBeTruthy();
+  });
+
+  test('Revoke an API token', async () => {
+    const res = await rq({
+      method: 'DELETE',
+      url: `/users-permissions/api-tokens/${data.apiToken.id}`,
+    });
+
+    expect(res.statusCode).toBe(200);
+
+    const tokenRes = await createAuthRequest(data.apiToken.accessKey)({
+      method: 'GET',
+      url: '/users-permissions/roles',
+    });
+
+    expect(tokenRes.statusCode).toBe(401);
+  });
+});
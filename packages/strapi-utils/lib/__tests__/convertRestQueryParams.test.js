@@ -150,6 +150,93 @@ describe('convertRestQueryParams', () => {
     });
   });
 
+  describe('Fields param', () => {
+    test('Throws on invalid params', () => {
+      expect(() => convertRestQueryParams({ _fields: '' })).toThrow();
+      expect(() => convertRestQueryParams({ _fields: ' , ' })).toThrow();
+      expect(() => convertRestQueryParams({ _fields: { title: true } })).toThrow();
+    });
+
+    test('Splits a list of fields', () => {
+      expect(convertRestQueryParams({ _fields: 'title, slug,author.name' })).toMatchObject({
+        fields: ['title', 'slug', 'author.name'],
+      });
+    });
+
+    test('Accepts an array of fields', () => {
+      expect(convertRestQueryParams({ _fields: ['title', 'author.name,title'] })).toMatchObject({
+        fields: ['title', 'author.name'],
+      });
+    });
+
+    test('Is not a filter', () => {
+      expect(convertRestQueryParams({ _fields: 'title' })).not.toHaveProperty('where');
+    });
+  });
+
+  describe('Populate param', () => {
+    test('Throws on invalid params', () => {
+      expect(() => convertRestQueryParams({ _populate: { author: true } })).toThrow();
+    });
+
+    test('Splits a list of relations', () => {
+      expect(convertRestQueryParams({ _populate: 'author, comments.author' })).toMatchObject({
+        populate: ['author', 'comments.author'],
+      });
+    });
+
+    test('Accepts an array of relations', () => {
+      expect(convertRestQueryParams({ _populate: ['author', 'comments,author'] })).toMatchObject({
+        populate: ['author', 'comments'],
+      });
+    });
+
+    test('Accepts an empty list', () => {
+      expect(convertRestQueryParams({ _populate: '' })).toMatchObject({
+        populate: [],
+      });
+    });
+
+    test('Is not a filter', () => {
+      expect(convertRestQueryParams({ _populate: 'author' })).not.toHaveProperty('where');
+    });
+  });
+
+  describe('Cursor params', () => {
+    const encode = values => Buffer.from(JSON.stringify(values)).toString('base64');
+
+    test('Throws on invalid params', () => {
+      expect(() => convertRestQueryParams({ _after: 'invalid' })).toThrow();
+      expect(() => convertRestQueryParams({ _after: encode([1]), _before: encode([1]) })).toThrow();
+      expect(() => convertRestQueryParams({ _after: encode([1]), _start: 10 })).toThrow();
+      // the cursor must have a value for each sort field and the id
+      expect(() => convertRestQueryParams({ _after: encode([1]), _sort: 'title' })).toThrow();
+    });
+
+    test('Adds the id to the sort', () => {
+      expect(convertRestQueryParams({ _after: encode(['a', 1]), _sort: 'title:desc' })).toEqual({
+        start: 0,
+        limit: 100,
+        sort: [
+          { field: 'title', order: 'desc' },
+          { field: 'id', order: 'asc' },
+        ],
+        cursor: { direction: 'after', values: ['a', 1] },
+      });
+
+      expect(convertRestQueryParams({ _before: encode([1]), _sort: 'id:desc' })).toMatchObject({
+        sort: [{ field: 'id', order: 'desc' }],
+        cursor: { direction: 'before', values: [1] },
+      });
+    });
+
+    test('Keeps the filters', () => {
+      expect(convertRestQueryParams({ _after: encode([1]), price_gt: 10 })).toMatchObject({
+        where: [{ field: 'price', operator: 'gt', value: 10 }],
+      });
+    });
+  });
+
   describe('Filters', () => {
     test('Can combine filters', () => {
       expect(convertRestQueryParams({ id: '1', test_ne: 'text', test_: 'content' })).toMatchObject({
@@ -382,5 +469,150 @@ describe('convertRestQueryParams', () => {
         ],
       });
     });
+
+    test('Not null suffix', () => {
+      expect(convertRestQueryParams({ 'content.text_notNull': true })).toMatchObject({
+        where: [
+          {
+            field: 'content.text',
+            operator: 'notNull',
+            value: true,
+          },
+        ],
+      });
+    });
+
+    test('Between', () => {
+      expect(convertRestQueryParams({ price_between: [10, 20] })).toMatchObject({
+        where: [
+          {
+            field: 'price',
+            operator: 'between',
+            value: [10, 20],
+          },
+        ],
+      });
+    });
+
+    test('Between throws on invalid ranges', () => {
+      expect(() => convertRestQueryParams({ price_between: 10 })).toThrow();
+      expect(() => convertRestQueryParams({ price_between: [10, 20, 30] })).toThrow();
+    });
+
+    test('Starts with', () => {
+      expect(convertRestQueryParams({ slug_startsWith: 'news-' })).toMatchObject({
+        where: [
+          {
+            field: 'slug',
+            operator: 'startsWith',
+            value: 'news-',
+          },
+        ],
+      });
+    });
+
+    test('Ends with', () => {
+      expect(convertRestQueryParams({ email_endsWith: '@strapi.io' })).toMatchObject({
+        where: [
+          {
+            field: 'email',
+            operator: 'endsWith',
+            value: '@strapi.io',
+          },
+        ],
+      });
+    });
+
+    test('Regex', () => {
+      expect(convertRestQueryParams({ name_regex: '^[a-z]+$' })).toMatchObject({
+        where: [
+          {
+            field: 'name',
+            operator: 'regex',
+            value: '^[a-z]+$',
+          },
+        ],
+      });
+    });
+  });
+
+  describe('Groups', () => {
+    test('Throws on invalid params', () => {
+      expect(() => convertRestQueryParams({ _or: 'status' })).toThrow();
+      expect(() => convertRestQueryParams({ _or: [] })).toThrow();
+      expect(() => convertRestQueryParams({ _or: [{}] })).toThrow();
+      expect(() => convertRestQueryParams({ _and: { status: 'draft' } })).toThrow();
+    });
+
+    test('Or', () => {
+      expect(
+        convertRestQueryParams({
+          _or: [{ status: 'draft' }, { author: 3, rank_gt: 10 }],
+        })
+      ).toMatchObject({
+        where: [
+          {
+            field: null,
+            operator: 'or',
+            value: [
+              [{ field: 'status', operator: 'eq', value: 'draft' }],
+              [
+                { field: 'author', operator: 'eq', value: 3 },
+                { field: 'rank', operator: 'gt', value: 10 },
+              ],
+            ],
+          },
+        ],
+      });
+    });
+
+    test('Accepts indexed objects', () => {
+      expect(
+        convertRestQueryParams({
+          _or: { 0: { status: 'draft' }, 1: { author: 3 } },
+        })
+      ).toMatchObject({
+        where: [
+          {
+            field: null,
+            operator: 'or',
+            value: [
+              [{ field: 'status', operator: 'eq', value: 'draft' }],
+              [{ field: 'author', operator: 'eq', value: 3 }],
+            ],
+          },
+        ],
+      });
+    });
+
+    test('Nested groups', () => {
+      expect(
+        convertRestQueryParams({
+          name_contains: 'a',
+          _or: [{ _and: [{ rank_gt: 10 }, { rank_lt: 20 }] }, { rank_null: true }],
+        })
+      ).toMatchObject({
+        where: [
+          { field: 'name', operator: 'contains', value: 'a' },
+          {
+            field: null,
+            operator: 'or',
+            value: [
+              [
+                {
+                  field: null,
+                  operator: 'and',
+                  value: [
+                    [{ field: 'rank', operator: 'gt', value: 10 }],
+                    [{ field: 'rank', operator: 'lt', value: 20 }],
+                  ],
+                },
+              ],
+              [{ field: 'rank', operator: 'null', value: true }],
+            ],
+          },
+        ],
+      });
+    });
   });
 });
@@ -0,0 +1,62 @@
+const { getCursorSort, encodeCursor, decodeCursor, getPageCursors } = require('../cursor');
+
+describe('Cursor', () => {
+  const sort = [
+    { field: 'title', order: 'asc' },
+    { field: 'id', order: 'asc' },
+  ];
+
+  test('Adds the id as a tie breaker', () => {
+    expect(getCursorSort()).toEqual([{ field: 'id', order: 'asc' }]);
+    expect(getCursorSort([{ field: 'title', order: 'asc' }])).toEqual(sort);
+    expect(getCursorSort(sort)).toEqual(sort);
+  });
+
+  test('Encodes the sort values of an entry', () => {
+    const cursor = encodeCursor({ id: 1, title: 'Hello/world?', price: 10 }, sort);
+
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor)).toEqual(['Hello/world?', 1]);
+    expect(decodeCursor(encodeCursor({ id: 1 }, sort))).toEqual([null, 1]);
+  });
+
+  test('Throws a bad request on invalid cursors', () => {
+    expect(() => decodeCursor('invalid')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => decodeCursor(Buffer.from('{}').toString('base64'))).toThrow();
+  });
+
+  describe('getPageCursors', () => {
+    const entries = [
+      { id: 1, title: 'a' },
+      { id: 2, title: 'b' },
+    ];
+
+    test('Returns a next cursor for full pages', () => {
+      expect(getPageCursors(entries, { sort, limit: 2, start: 0 })).toEqual({
+        next: encodeCursor(entries[1], sort),
+        previous: null,
+      });
+
+      expect(getPageCursors(entries, { sort, limit: 10, start: 0 })).toEqual({
+        next: null,
+        previous: null,
+      });
+    });
+
+    test('Returns a previous cursor after the first page', () => {
+      expect(
+        getPageCursors(entries, { sort, limit: 10, cursor: { direction: 'after', values: [] } })
+      ).toEqual({
+        next: null,
+        previous: encodeCursor(entries[0], sort),
+      });
+
+      expect(
+        getPageCursors(entries, { sort, limit: 10, cursor: { direction: 'before', values: [] } })
+      ).toEqual({
+        next: encodeCursor(entries[1], sort),
+        previous: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { getSelectedFields, getRootFields, getPopulate, pickFields } = require('../fields');
+
+describe('Fields', () => {
+  const model = {
+    associations: [{ alias: 'author' }, { alias: 'tags' }, { alias: 'category' }],
+  };
+
+  test('Selects the sort fields', () => {
+    const filters = { fields: ['title', 'author.name'], sort: [{ field: 'rank', order: 'asc' }] };
+
+    expect(getSelectedFields(filters)).toEqual(['title', 'author.name', 'rank']);
+    expect(getRootFields(filters)).toEqual(['title', 'author', 'rank']);
+  });
+
+  test('Only populates the selected relations', () => {
+    const filters = { fields: ['title', 'author.name', 'tags'] };
+
+    expect(getPopulate({ model, filters })).toEqual(['author', 'tags']);
+    expect(
+      getPopulate({ model, filters, populate: ['author.avatar', 'category', ['tags']] })
+    ).toEqual(['author.avatar', ['tags']]);
+    expect(getPopulate({ model, filters: { fields: ['title'] } })).toEqual([]);
+  });
+
+  test('Picks the selected fields', () => {
+    const entry = {
+      id: 1,
+      title: 'Hello',
+      content: 'World',
+      author: { id: 2, name: 'john', email: 'john@strapi.io' },
+      tags: [
+        { id: 1, name: 'news', color: 'red' },
+        { id: 2, name: 'tech', color: 'blue' },
+      ],
+      seo: { id: 1, title: 'Hello', description: 'World' },
+    };
+
+    expect(pickFields(entry, { fields: ['title', 'author.name', 'tags.name', 'seo'] })).toEqual({
+      id: 1,
+      title: 'Hello',
+      author: { id: 2, name: 'john' },
+      tags: [
+        { id: 1, name: 'news' },
+        { id: 2, name: 'tech' },
+      ],
+      seo: { id: 1, title: 'Hello', description: 'World' },
+    });
+  });
+
+  test('Keeps the primary key and the component names', () => {
+    const entry = {
+      _id: 'a',
+      id: 'a',
+      title: 'Hello',
+      content: [{ _id: 'b', __component: 'blocks.text', text: 'Hello', style: 'bold' }],
+      author: null,
+    };
+
+    expect(
+      pickFields(entry, { fields: ['content.text', 'author.name'] }, { primaryKey: '_id' })
+    ).toEqual({
+      _id: 'a',
+      id: 'a',
+      content: [{ _id: 'b', __component: 'blocks.text', text: 'Hello' }],
+      author: null,
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { validateRegexClauses } = require('../regex-filter');
+const convertRestQueryParams = require('../convertRestQueryParams');
+
+const getClauses = params => convertRestQueryParams(params).where;
+
+describe('Regex filter', () => {
+  afterEach(() => {
+    delete global.strapi;
+  });
+
+  test('Rejects the regex clauses by default', () => {
+    global.strapi = { config: { currentEnvironment: { request: {} } } };
+
+    expect(() => validateRegexClauses(getClauses({ name_regex: '^a' }))).toThrow(
+      'The regex filter is disabled'
+    );
+    expect(() =>
+      validateRegexClauses(getClauses({ _or: [{ name: 'a' }, { name_regex: '^a' }] }))
+    ).toThrow('The regex filter is disabled');
+  });
+
+  test('Sets a bad request status on the error', () => {
+    global.strapi = { config: {} };
+
+    try {
+      validateRegexClauses(getClauses({ name_regex: '^a' }));
+    } catch (error) {
+      expect(error.status).toBe(400);
+    }
+
+    expect.assertions(1);
+  });
+
+  test('Accepts the other clauses', () => {
+    global.strapi = { config: {} };
+
+    expect(() => validateRegexClauses(getClauses({ name_startsWith: 'a' }))).not.toThrow();
+    expect(() => validateRegexClauses()).not.toThrow();
+  });
+
+  test('Accepts the regex clauses when the filter is enabled', () => {
+    global.strapi = {
+      config: { currentEnvironment: { request: { filters: { regex: true } } } },
+    };
+
+    expect(() => validateRegexClauses(getClauses({ name_regex: '^a' }))).not.toThrow();
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const sanitizeEntity = require('../sanitize-entity');
+
+describe('Sanitize entity', () => {
+  const userModel = {
+    uid: 'plugins::users-permissions.user',
+    attributes: {
+      username: { type: 'string' },
+      email: { type: 'email' },
+      password: { type: 'password', private: true },
+      articles: { collection: 'article', via: 'author' },
+    },
+  };
+
+  const articleModel = {
+    uid: 'application::article.article',
+    attributes: {
+      title: { type: 'string' },
+      notes: { type: 'text' },
+    },
+  };
+
+  const user = {
+    id: 1,
+    username: 'kai',
+    email: 'kai@strapi.io',
+    password: 'hash',
+    articles: [{ id: 1, title: 'Hello', notes: 'Draft' }],
+  };
+
+  beforeEach(() => {
+    global.strapi = {
+      getModel: jest.fn(name => (name === 'article' ? articleModel : undefined)),
+    };
+  });
+
+  test('Removes the private attributes', () => {
+    expect(sanitizeEntity(user, { model: userModel })).toEqual({
+      id: 1,
+      username: 'kai',
+      email: 'kai@strapi.io',
+      articles: [{ id: 1, title: 'Hello', notes: 'Draft' }],
+    });
+
+    expect(sanitizeEntity(user, { model: userModel, withPrivate: true })).toEqual(user);
+  });
+
+  test('Removes the attributes which are not readable', () => {
+    const readableFields = {
+      [userModel.uid]: ['username', 'articles'],
+      [articleModel.uid]: ['title'],
+    };
+
+    expect(sanitizeEntity(user, { model: userModel, readableFields })).toEqual({
+      id: 1,
+      username: 'kai',
+      articles: [{ id: 1, title: 'Hello' }],
+    });
+  });
+
+  test('Keeps all the attributes of the models without readable fields', () => {
+    const readableFields = { [articleModel.uid]: [] };
+
+    expect(sanitizeEntity(user, { model: userModel, readableFields })).toEqual({
+      id: 1,
+      username: 'kai',
+      email: 'kai@strapi.io',
+      articles: [{ id: 1 }],
+    });
+  });
+});
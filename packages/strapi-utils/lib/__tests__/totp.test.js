@@ -0,0 +1,82 @@
+'use strict';
+
+const totp = require('../totp');
+
+// The secret of the test vectors of the RFC 6238
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP util', () => {
+  test('Encodes and decodes base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe(
+      '12345678901234567890'
+    );
+    expect(() => totp.base32Decode('GEZ1')).toThrow('Invalid base32 character: 1');
+  });
+
+  test('Generates the codes of the RFC 6238', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+    ];
+
+    vectors.forEach(([seconds, code]) => {
+      expect(totp.generateCode(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(code);
+    });
+  });
+
+  test('Verifies the codes of the adjacent periods', () => {
+    const secret = totp.generateSecret();
+    const time = 1580000000000;
+    const code = totp.generateCode(secret, { time });
+
+    expect(code).toMatch(/^\d{6}$/);
+    expect(totp.verifyCode(secret, code, { time })).toBe(true);
+    expect(totp.verifyCode(secret, code, { time: time + 30000 })).toBe(true);
+    expect(totp.verifyCode(secret, code, { time: time + 90000 })).toBe(false);
+    expect(totp.verifyCode(secret, '12345', { time })).toBe(false);
+    expect(totp.verifyCode(null, code, { time })).toBe(false);
+  });
+
+  test('Rejects the codes which are not made of digits', () => {
+    const secret = totp.generateSecret();
+    const time = 1580000000000;
+
+    expect(totp.verifyCode(secret, 'abcdef', { time })).toBe(false);
+    expect(totp.verifyCode(secret, '12345é', { time })).toBe(false);
+    expect(totp.verifyCode(secret, '１２３４５６', { time })).toBe(false);
+    expect(totp.verifyCode(secret, { length: 6 }, { time })).toBe(false);
+  });
+
+  test('Finds the counter of the period of a code', () => {
+    const secret = totp.generateSecret();
+    const time = 1580000000000;
+    const counter = Math.floor(time / 1000 / 30);
+
+    expect(totp.findCounter(secret, totp.generateCode(secret, { time }), { time })).toBe(counter);
+    expect(
+      totp.findCounter(secret, totp.generateCode(secret, { time: time - 30000 }), { time })
+    ).toBe(counter - 1);
+    expect(totp.findCounter(secret, '12345', { time })).toBeNull();
+  });
+
+  test('Builds the otpauth URI', () => {
+    expect(
+      totp.buildOtpAuthUri({ secret: RFC_SECRET, label: 'john@doe.com', issuer: 'My app' })
+    ).toBe(
+      'otpauth://totp/My%20app:john%40doe.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=My%20app&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+
+  test('Generates the recovery codes', () => {
+    const codes = totp.generateRecoveryCodes();
+
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(totp.hashRecoveryCode(` ${codes[0].toUpperCase()} `)).toBe(
+      totp.hashRecoveryCode(codes[0])
+    );
+  });
+});
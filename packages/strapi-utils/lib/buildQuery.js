@@ -2,6 +2,7 @@
 
 const _ = require('lodash');
 const parseType = require('./parse-type');
+const { validateRegexClauses } = require('./regex-filter');
 
 const findModelByAssoc = assoc => {
   const { models } = assoc.plugin ? strapi.plugins[assoc.plugin] : strapi;
@@ -58,6 +59,50 @@ const getAssociationFromFieldKey = ({ model, field }) => {
   };
 };
 
+const DEFAULT_POPULATE_MAX_DEPTH = 3;
+
+/**
+ * Checks that a populate path is a path of relations not deeper than the configured max depth
+ * @param {Object} options - Options
+ * @param {Object} options.model - Strapi model
+ * @param {string} options.path - path of relations
+ */
+const validatePopulatePath = ({ model, path }) => {
+  const maxDepth = _.get(
+    strapi.config,
+    'currentEnvironment.request.populate.maxDepth',
+    DEFAULT_POPULATE_MAX_DEPTH
+  );
+
+  const throwError = message => {
+    const err = new Error(message);
+    err.status = 400;
+    throw err;
+  };
+
+  const parts = path.split('.');
+
+  if (parts.length > maxDepth) {
+    throwError(
+      `The populate path '${path}' is deeper than the maximum depth of ${maxDepth}`
+    );
+  }
+
+  parts.reduce((tmpModel, part) => {
+    // polymorphic relations can't be populated deeper
+    const assoc =
+      tmpModel && tmpModel.associations.find(ast => ast.alias === part);
+
+    if (!assoc) {
+      throwError(
+        `Your populate param contains a path '${path}' that isn't a relation of your model`
+      );
+    }
+
+    return findModelByAssoc(assoc);
+  }, model);
+};
+
 /**
  * Cast an input value
  * @param {Object} options - Options
@@ -79,7 +124,10 @@ const castInput = ({ type, value, operator }) => {
  * @param {string} options.operator - name of operator
  */
 const castValue = ({ type, value, operator }) => {
-  if (operator === 'null') return parseType({ type: 'boolean', value });
+  if (['null', 'notNull'].includes(operator)) {
+    return parseType({ type: 'boolean', value });
+  }
+
   return parseType({ type, value });
 };
 
@@ -98,6 +146,55 @@ const normalizeFieldName = ({ model, field }) => {
     : fieldPath.join('.');
 };
 
+const isGroupClause = ({ operator }) => ['or', 'and'].includes(operator);
+
+/**
+ * Returns the where clauses with a field, looking into the or / and groups
+ * @param {Array} clauses - where clauses
+ */
+const getLeafClauses = clauses =>
+  _.flatMap(clauses, clause =>
+    isGroupClause(clause) ? _.flatMap(clause.value, getLeafClauses) : [clause]
+  );
+
+/**
+ * Cast the where clauses values and normalize their field names
+ * @param {Object} options - Options
+ * @param {Object} options.model - The model
+ * @param {Array} options.clauses - where clauses
+ */
+const castWhereClauses = ({ model, clauses }) => {
+  return clauses
+    .filter(({ value }) => !_.isNil(value))
+    .map(({ field, operator, value }) => {
+      if (isGroupClause({ operator })) {
+        return {
+          field,
+          operator,
+          value: value.map(group =>
+            castWhereClauses({ model, clauses: group })
+          ),
+        };
+      }
+
+      const { model: assocModel, attribute } = getAssociationFromFieldKey({
+        model,
+        field,
+      });
+
+      const { type } = _.get(assocModel, ['allAttributes', attribute], {});
+
+      // cast value or array of values
+      const castedValue = castInput({ type, operator, value });
+
+      return {
+        field: normalizeFieldName({ model, field }),
+        operator,
+        value: castedValue,
+      };
+    });
+};
+
 /**
  *
  * @param {Object} options - Options
@@ -108,7 +205,7 @@ const normalizeFieldName = ({ model, field }) => {
 const buildQuery = ({ model, filters = {}, ...rest }) => {
   // Validate query clauses
   if (filters.where && Array.isArray(filters.where)) {
-    const deepFilters = filters.where.filter(
+    const deepFilters = getLeafClauses(filters.where).filter(
       ({ field }) => field.split('.').length > 1
     );
     if (deepFilters.length > 0) {
@@ -117,10 +214,24 @@ const buildQuery = ({ model, filters = {}, ...rest }) => {
       );
     }
 
+    validateRegexClauses(filters.where);
+
     // cast where clauses to match the inner types
-    filters.where = filters.where
-      .filter(({ value }) => !_.isNil(value))
-      .map(({ field, operator, value }) => {
+    filters.where = castWhereClauses({ model, clauses: filters.where });
+  }
+
+  if (Array.isArray(filters.populate)) {
+    filters.populate.forEach(path => validatePopulatePath({ model, path }));
+  }
+
+  // cast the cursor values to match the types of the sort fields
+  if (filters.cursor && Array.isArray(filters.sort)) {
+    filters.cursor = {
+      ...filters.cursor,
+      values: filters.sort.map(({ field }, index) => {
+        const value = filters.cursor.values[index];
+        if (_.isNil(value)) return value;
+
         const { model: assocModel, attribute } = getAssociationFromFieldKey({
           model,
           field,
@@ -128,15 +239,14 @@ const buildQuery = ({ model, filters = {}, ...rest }) => {
 
         const { type } = _.get(assocModel, ['allAttributes', attribute], {});
 
-        // cast value or array of values
-        const castedValue = castInput({ type, operator, value });
+        return castValue({ type, value });
+      }),
+    };
 
-        return {
-          field: normalizeFieldName({ model, field }),
-          operator,
-          value: castedValue,
-        };
-      });
+    filters.sort = filters.sort.map(({ field, order }) => ({
+      field: normalizeFieldName({ model, field }),
+      order,
+    }));
   }
 
   // call the orm's buildQuery implementation
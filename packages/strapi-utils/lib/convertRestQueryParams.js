@@ -4,6 +4,7 @@
  */
 
 const _ = require('lodash');
+const { getCursorSort, decodeCursor } = require('./cursor');
 
 /**
  * Global convertor
@@ -36,7 +37,27 @@ const convertRestQueryParams = (params = {}, defaults = {}) => {
     Object.assign(finalParams, convertLimitQueryParams(params._limit));
   }
 
-  const whereParams = _.omit(params, ['_sort', '_start', '_limit']);
+  if (_.has(params, '_fields')) {
+    Object.assign(finalParams, convertFieldsQueryParams(params._fields));
+  }
+
+  if (_.has(params, '_populate')) {
+    Object.assign(finalParams, convertPopulateQueryParams(params._populate));
+  }
+
+  if (_.has(params, '_after') || _.has(params, '_before')) {
+    Object.assign(finalParams, convertCursorQueryParams(params, finalParams));
+  }
+
+  const whereParams = _.omit(params, [
+    '_sort',
+    '_start',
+    '_limit',
+    '_after',
+    '_before',
+    '_fields',
+    '_populate',
+  ]);
 
   if (_.keys(whereParams).length > 0)
     Object.assign(finalParams, {
@@ -118,6 +139,84 @@ const convertLimitQueryParams = limitQuery => {
   };
 };
 
+/**
+ * Parses a list of paths
+ * @param {string|Array<string>} query - a comma separated list or an array of lists
+ * @param {string} name - the name of the parser for the error messages
+ */
+const parsePathList = (query, name) => {
+  const lists = _.castArray(query);
+
+  if (!lists.every(_.isString)) {
+    throw new Error(`${name} expected a list of field names`);
+  }
+
+  return _.uniq(
+    _.flatMap(lists, list => list.split(','))
+      .map(_.trim)
+      .filter(path => path.length > 0)
+  );
+};
+
+/**
+ * Fields query parser
+ * @param {string|Array<string>} fieldsQuery - ex: title,author.name
+ */
+const convertFieldsQueryParams = fieldsQuery => {
+  const fields = parsePathList(fieldsQuery, 'convertFieldsQueryParams');
+
+  if (fields.length === 0) {
+    throw new Error('Fields cannot be empty');
+  }
+
+  return {
+    fields,
+  };
+};
+
+/**
+ * Populate query parser, an empty list doesn't populate any relation
+ * @param {string|Array<string>} populateQuery - ex: author,comments.author
+ */
+const convertPopulateQueryParams = populateQuery => {
+  return {
+    populate: parsePathList(populateQuery, 'convertPopulateQueryParams'),
+  };
+};
+
+/**
+ * Cursor query parser
+ * @param {Object} params - the query params with either _after or _before
+ * @param {Object} finalParams - the params converted so far
+ */
+const convertCursorQueryParams = (params, { sort, start }) => {
+  if (_.has(params, '_after') && _.has(params, '_before')) {
+    throw new Error('_after and _before cannot be used together');
+  }
+
+  if (start > 0) {
+    throw new Error('_start cannot be used with _after or _before');
+  }
+
+  const direction = _.has(params, '_after') ? 'after' : 'before';
+  const cursorSort = getCursorSort(sort);
+  const values = decodeCursor(params[`_${direction}`]);
+
+  if (values.length !== cursorSort.length) {
+    throw new Error(
+      `The _${direction} cursor doesn't match the _sort param, it must be reused with the same _sort`
+    );
+  }
+
+  return {
+    sort: cursorSort,
+    cursor: {
+      direction,
+      values,
+    },
+  };
+};
+
 // List of all the possible filters
 const VALID_OPERATORS = [
   'eq',
@@ -133,8 +232,19 @@ const VALID_OPERATORS = [
   'gt',
   'gte',
   'null',
+  'notNull',
+  'between',
+  'startsWith',
+  'endsWith',
+  'regex',
 ];
 
+// Params grouping where clauses and their operator
+const GROUP_PARAMS = {
+  _or: 'or',
+  _and: 'and',
+};
+
 /**
  * Parse where params
  */
@@ -142,11 +252,26 @@ const convertWhereParams = whereParams => {
   let finalWhere = [];
 
   Object.keys(whereParams).forEach(whereClause => {
+    if (_.has(GROUP_PARAMS, whereClause)) {
+      finalWhere.push(
+        convertGroupClause(GROUP_PARAMS[whereClause], whereParams[whereClause])
+      );
+      return;
+    }
+
     const { field, operator = 'eq', value } = convertWhereClause(
       whereClause,
       whereParams[whereClause]
     );
 
+    if (operator === 'between' && !isRange(value)) {
+      const err = new Error(
+        `The ${whereClause} param expected an array of two values`
+      );
+      err.status = 400;
+      throw err;
+    }
+
     finalWhere.push({
       field,
       operator,
@@ -157,6 +282,39 @@ const convertWhereParams = whereParams => {
   return finalWhere;
 };
 
+const isRange = value => Array.isArray(value) && value.length === 2;
+
+/**
+ * Parse a group of where params
+ * Each item of the group is a list of where clauses AND-ed together
+ * @param {string} operator - or | and
+ * @param {Array|Object} groups - ex: [{ status: 'draft' }, { author: 3 }]
+ */
+const convertGroupClause = (operator, groups) => {
+  // query strings parse indexed params as objects (e.g: _or[0][status]=draft)
+  const items = _.isPlainObject(groups) ? _.values(groups) : groups;
+
+  const isValidGroup = item => _.isPlainObject(item) && !_.isEmpty(item);
+
+  if (
+    !Array.isArray(items) ||
+    items.length === 0 ||
+    !items.every(isValidGroup)
+  ) {
+    const err = new Error(
+      `The _${operator} param expected a non empty array of non empty objects`
+    );
+    err.status = 400;
+    throw err;
+  }
+
+  return {
+    field: null,
+    operator,
+    value: items.map(convertWhereParams),
+  };
+};
+
 /**
  * Parse single where param
  * @param {string} whereClause - Any possible where clause e.g: id_ne text_ncontains
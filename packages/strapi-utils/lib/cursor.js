@@ -0,0 +1,94 @@
+/**
+ * Cursor pagination utils
+ * A cursor is the url safe base64 encoding of the values of the sort fields of an entry
+ */
+
+const _ = require('lodash');
+
+/**
+ * Returns the sort used to paginate with cursors, the id is added as a tie breaker
+ * @param {Array<Object>} sort - ex: [{ field: 'title', order: 'asc' }]
+ */
+const getCursorSort = (sort = []) => {
+  if (sort.some(({ field }) => field === 'id')) {
+    return sort;
+  }
+
+  return sort.concat({ field: 'id', order: 'asc' });
+};
+
+/**
+ * Creates the cursor of an entry
+ * @param {Object} entry - the entry
+ * @param {Array<Object>} sort - the cursor sort
+ */
+const encodeCursor = (entry, sort) => {
+  const values = sort.map(({ field }) => {
+    const value = _.get(entry, field);
+    return _.isNil(value) ? null : value;
+  });
+
+  return Buffer.from(JSON.stringify(values))
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+};
+
+/**
+ * Returns the values of the sort fields stored in a cursor
+ * @param {string} cursor - a cursor created by encodeCursor
+ */
+const decodeCursor = cursor => {
+  try {
+    const json = Buffer.from(
+      String(cursor)
+        .replace(/-/g, '+')
+        .replace(/_/g, '/'),
+      'base64'
+    ).toString();
+
+    const values = JSON.parse(json);
+
+    if (!Array.isArray(values)) {
+      throw new Error();
+    }
+
+    return values;
+  } catch (error) {
+    const err = new Error(`Invalid cursor '${cursor}'`);
+    err.status = 400;
+    throw err;
+  }
+};
+
+/**
+ * Returns the cursors of the pages next to a list of entries
+ * A page is considered to have a next page when it is full
+ * @param {Array<Object>} entries - the entries of the current page
+ * @param {Object} filters - the converted query params (see convertRestQueryParams)
+ */
+const getPageCursors = (entries, { sort, limit, start = 0, cursor } = {}) => {
+  const cursorSort = getCursorSort(sort);
+  const direction = _.get(cursor, 'direction');
+
+  const isFullPage = limit >= 0 && entries.length >= limit;
+
+  const hasNext = direction === 'before' || isFullPage;
+  const hasPrevious = direction === 'after' || start > 0 || (direction === 'before' && isFullPage);
+
+  const first = _.first(entries);
+  const last = _.last(entries);
+
+  return {
+    next: hasNext && last ? encodeCursor(last, cursorSort) : null,
+    previous: hasPrevious && first ? encodeCursor(first, cursorSort) : null,
+  };
+};
+
+module.exports = {
+  getCursorSort,
+  encodeCursor,
+  decodeCursor,
+  getPageCursors,
+};
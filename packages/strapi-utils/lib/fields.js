@@ -0,0 +1,93 @@
+/**
+ * Field selection utils
+ * The `_fields` param lists the attributes to return, the attributes of a relation are selected with a path (e.g author.name)
+ */
+
+const _ = require('lodash');
+
+// keys returned even when they are not selected
+const DEFAULT_KEYS = ['id', '__component'];
+
+/**
+ * Returns the paths of the attributes to return
+ * The sort fields are added to be able to build the cursors of the page
+ * @param {Object} filters - the converted query params (see convertRestQueryParams)
+ */
+const getSelectedFields = ({ fields = [], sort = [] } = {}) => {
+  return _.uniq(fields.concat(sort.map(({ field }) => field)));
+};
+
+/**
+ * Returns the attributes of the model to fetch
+ * @param {Object} filters - the converted query params (see convertRestQueryParams)
+ */
+const getRootFields = filters => {
+  return _.uniq(
+    getSelectedFields(filters).map(path => _.first(path.split('.')))
+  );
+};
+
+/**
+ * Returns the relations to populate, only the selected relations are populated
+ * @param {Object} options - Options
+ * @param {Object} options.model - the queried model
+ * @param {Object} options.filters - the converted query params (see convertRestQueryParams)
+ * @param {Array} options.populate - the relations the query would populate by default
+ */
+const getPopulate = ({ model, filters, populate }) => {
+  const rootFields = getRootFields(filters);
+
+  const relations = model.associations
+    .map(({ alias }) => alias)
+    .filter(alias => rootFields.includes(alias));
+
+  if (_.isNil(populate)) {
+    return relations;
+  }
+
+  return populate.filter(path => relations.includes(_.first(_.toPath(path))));
+};
+
+const pathsToTree = paths => {
+  return paths.reduce((acc, path) => _.merge(acc, _.set({}, path, {})), {});
+};
+
+const pickTree = (data, tree, keys) => {
+  if (Array.isArray(data)) {
+    return data.map(item => pickTree(item, tree, keys));
+  }
+
+  // a relation or component selected without a path is returned entirely
+  if (!_.isPlainObject(data) || _.isEmpty(tree)) {
+    return data;
+  }
+
+  return Object.keys(data).reduce((acc, key) => {
+    if (_.has(tree, key)) {
+      acc[key] = pickTree(data[key], tree[key], keys);
+    } else if (keys.includes(key)) {
+      acc[key] = data[key];
+    }
+
+    return acc;
+  }, {});
+};
+
+/**
+ * Keeps the selected attributes of an entry
+ * @param {Object} entry - the entry to pick the fields from
+ * @param {Object} filters - the converted query params (see convertRestQueryParams)
+ * @param {Object} options - Options
+ * @param {string} options.primaryKey - the primary key of the models
+ */
+const pickFields = (entry, filters, { primaryKey = 'id' } = {}) => {
+  const tree = pathsToTree(getSelectedFields(filters));
+  return pickTree(entry, tree, DEFAULT_KEYS.concat(primaryKey));
+};
+
+module.exports = {
+  getSelectedFields,
+  getRootFields,
+  getPopulate,
+  pickFields,
+};
@@ -5,6 +5,10 @@
  */
 
 const convertRestQueryParams = require('./convertRestQueryParams');
+const cursor = require('./cursor');
+const fields = require('./fields');
+const matchesWhere = require('./matchesWhere');
+const regexFilter = require('./regex-filter');
 const buildQuery = require('./buildQuery');
 const parseMultipartData = require('./parse-multipart');
 const sanitizeEntity = require('./sanitize-entity');
@@ -14,6 +18,7 @@ const logger = require('./logger');
 const models = require('./models');
 const policy = require('./policy');
 const templateConfiguration = require('./templateConfiguration');
+const totp = require('./totp');
 const { yup, formatYupErrors } = require('./validators');
 const { nameToSlug, nameToCollectionName } = require('./stringFormatting');
 
@@ -25,7 +30,12 @@ module.exports = {
   models,
   policy,
   templateConfiguration,
+  totp,
   convertRestQueryParams,
+  cursor,
+  fields,
+  matchesWhere,
+  regexFilter,
   buildQuery,
   parseMultipartData,
   sanitizeEntity,
@@ -0,0 +1,155 @@
+/**
+ * In memory where matcher
+ * Checks an entry against REST query params without querying the database
+ */
+
+const _ = require('lodash');
+const convertRestQueryParams = require('./convertRestQueryParams');
+
+// operators that must hold for every value of a field to match
+const NEGATIVE_OPERATORS = ['ne', 'nin', 'ncontains', 'ncontainss'];
+
+/**
+ * Returns every value found at a path, walking through arrays of relations
+ * e.g `tags.name` on { tags: [{ name: 'a' }, { name: 'b' }] } returns ['a', 'b']
+ */
+const getValues = (data, path) => {
+  if (Array.isArray(data)) {
+    return _.flatMap(data, item => getValues(item, path));
+  }
+
+  if (path.length === 0) {
+    return [data];
+  }
+
+  if (!_.isObject(data)) {
+    return [undefined];
+  }
+
+  const [key, ...rest] = path;
+  return getValues(data[key], rest);
+};
+
+const toComparable = value => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+
+  const asNumber = Number(value);
+  if (value !== '' && !_.isNil(value) && !Number.isNaN(asNumber))
+    return asNumber;
+
+  const asDate = Date.parse(value);
+  if (!Number.isNaN(asDate)) return asDate;
+
+  return String(value);
+};
+
+const isEqual = (a, b) => {
+  if (_.isNil(a) || _.isNil(b)) return _.isNil(a) && _.isNil(b);
+  if (_.isObject(a) && _.has(a, 'id')) return isEqual(a.id, b);
+  return String(a) === String(b);
+};
+
+const compare = (a, b) => {
+  const [left, right] = [toComparable(a), toComparable(b)];
+
+  if (typeof left !== typeof right) {
+    return String(a).localeCompare(String(b));
+  }
+
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const contains = (value, search, caseSensitive) => {
+  if (_.isNil(value)) return false;
+
+  return caseSensitive
+    ? String(value).includes(String(search))
+    : String(value)
+        .toLowerCase()
+        .includes(String(search).toLowerCase());
+};
+
+const matchValue = (value, operator, expected) => {
+  switch (operator) {
+    case 'eq':
+      return isEqual(value, expected);
+    case 'ne':
+      return !isEqual(value, expected);
+    case 'in':
+      return _.castArray(expected).some(item => isEqual(value, item));
+    case 'nin':
+      return !_.castArray(expected).some(item => isEqual(value, item));
+    case 'contains':
+      return contains(value, expected, false);
+    case 'ncontains':
+      return !contains(value, expected, false);
+    case 'containss':
+      return contains(value, expected, true);
+    case 'ncontainss':
+      return !contains(value, expected, true);
+    case 'lt':
+      return !_.isNil(value) && compare(value, expected) < 0;
+    case 'lte':
+      return !_.isNil(value) && compare(value, expected) <= 0;
+    case 'gt':
+      return !_.isNil(value) && compare(value, expected) > 0;
+    case 'gte':
+      return !_.isNil(value) && compare(value, expected) >= 0;
+    case 'null': {
+      const shouldBeNull = expected === true || expected === 'true';
+      return shouldBeNull ? _.isNil(value) : !_.isNil(value);
+    }
+    case 'notNull': {
+      const shouldNotBeNull = expected === true || expected === 'true';
+      return shouldNotBeNull ? !_.isNil(value) : _.isNil(value);
+    }
+    case 'between': {
+      const [min, max] = expected;
+      return (
+        !_.isNil(value) && compare(value, min) >= 0 && compare(value, max) <= 0
+      );
+    }
+    case 'startsWith':
+      return (
+        !_.isNil(value) && _.startsWith(_.toLower(value), _.toLower(expected))
+      );
+    case 'endsWith':
+      return (
+        !_.isNil(value) && _.endsWith(_.toLower(value), _.toLower(expected))
+      );
+    case 'regex':
+      return !_.isNil(value) && new RegExp(expected).test(String(value));
+    default:
+      throw new Error(`Unsupported filter operator '${operator}'`);
+  }
+};
+
+const matchWhereClause = (entry, { field, operator, value }) => {
+  if (operator === 'or' || operator === 'and') {
+    const matchGroup = clauses =>
+      clauses.every(clause => matchWhereClause(entry, clause));
+    return operator === 'or' ? value.some(matchGroup) : value.every(matchGroup);
+  }
+
+  const values = getValues(entry, field.split('.'));
+  const test = fieldValue => matchValue(fieldValue, operator, value);
+
+  return NEGATIVE_OPERATORS.includes(operator)
+    ? values.every(test)
+    : values.some(test);
+};
+
+/**
+ * Checks an entry against REST query params, all the clauses must match
+ * @param {Object} entry
+ * @param {Object} where - ex: { status: 'published', views_gte: 10 }
+ */
+const matchesWhere = (entry, where = {}) => {
+  if (_.isEmpty(where)) return true;
+
+  const { where: clauses = [] } = convertRestQueryParams(where);
+  return clauses.every(clause => matchWhereClause(entry, clause));
+};
+
+module.exports = matchesWhere;
@@ -0,0 +1,34 @@
+/**
+ * Regex filter
+ * The regular expressions of the `regex` filter are sent by the clients and can take a long time to evaluate (ReDoS),
+ * the filter is only available when it's enabled in the request configuration.
+ */
+
+const _ = require('lodash');
+
+const isRegexFilterEnabled = () =>
+  _.get(strapi, ['config', 'currentEnvironment', 'request', 'filters', 'regex'], false) === true;
+
+const hasRegexClause = clauses =>
+  clauses.some(({ operator, value }) =>
+    ['or', 'and'].includes(operator) ? value.some(hasRegexClause) : operator === 'regex'
+  );
+
+/**
+ * Throws a bad request error when the where clauses use the regex filter and it isn't enabled
+ * @param {Array} clauses - the where clauses (see convertRestQueryParams)
+ */
+const validateRegexClauses = (clauses = []) => {
+  if (hasRegexClause(clauses) && !isRegexFilterEnabled()) {
+    const err = new Error(
+      'The regex filter is disabled, enable it with the `filters.regex` option of the request configuration'
+    );
+    err.status = 400;
+    throw err;
+  }
+};
+
+module.exports = {
+  isRegexFilterEnabled,
+  validateRegexClauses,
+};
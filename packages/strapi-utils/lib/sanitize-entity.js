@@ -1,6 +1,17 @@
 'use strict';
 
-module.exports = function sanitizeEntity(data, { model, withPrivate = false }) {
+/**
+ * Removes the private attributes of an entity and of its relations
+ * @param {Object} data - the entity
+ * @param {Object} options - Options
+ * @param {Object} options.model - the model of the entity
+ * @param {boolean} options.withPrivate - keep the private attributes
+ * @param {Object} options.readableFields - the attributes the user can read by model uid, the other attributes are removed
+ */
+module.exports = function sanitizeEntity(
+  data,
+  { model, withPrivate = false, readableFields }
+) {
   if (typeof data !== 'object' || data == null) return data;
 
   let plainData = typeof data.toJSON === 'function' ? data.toJSON() : data;
@@ -8,12 +19,22 @@ module.exports = function sanitizeEntity(data, { model, withPrivate = false }) {
   if (typeof plainData !== 'object') return plainData;
 
   const attributes = model.attributes;
+  const modelReadableFields = readableFields && readableFields[model.uid];
+
   return Object.keys(plainData).reduce((acc, key) => {
     const attribute = attributes[key];
     if (attribute && attribute.private === true && withPrivate !== true) {
       return acc;
     }
 
+    if (
+      attribute &&
+      Array.isArray(modelReadableFields) &&
+      !modelReadableFields.includes(key)
+    ) {
+      return acc;
+    }
+
     if (
       attribute &&
       (attribute.model ||
@@ -28,9 +49,17 @@ module.exports = function sanitizeEntity(data, { model, withPrivate = false }) {
       if (targetModel && plainData[key] !== null) {
         acc[key] = Array.isArray(plainData[key])
           ? plainData[key].map(entity =>
-              sanitizeEntity(entity, { model: targetModel, withPrivate })
+              sanitizeEntity(entity, {
+                model: targetModel,
+                withPrivate,
+                readableFields,
+              })
             )
-          : sanitizeEntity(plainData[key], { model: targetModel, withPrivate });
+          : sanitizeEntity(plainData[key], {
+              model: targetModel,
+              withPrivate,
+              readableFields,
+            });
 
         return acc;
       }
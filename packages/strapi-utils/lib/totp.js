@@ -0,0 +1,193 @@
+/**
+ * TOTP util
+ * Time-based one-time passwords (RFC 6238) used by the two-factor authentication
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = {
+  digits: 6,
+  period: 30,
+  window: 1,
+};
+
+/**
+ * Encodes a buffer in base32 without padding, the format of the secrets of the authenticator apps
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = buffer => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+/**
+ * Decodes a base32 string, the spaces, the padding and the case are ignored
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = input => {
+  const chars = input.replace(/[\s=]/g, '').toUpperCase();
+
+  let bits = '';
+  for (const char of chars) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random base32 secret
+ * @param {number} size - the number of bytes of the secret
+ */
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Returns the HOTP code of a counter (RFC 4226)
+ */
+const hotp = (secret, counter, digits) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+  buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(buffer)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+};
+
+/**
+ * Returns the code of a secret at a given time
+ * @param {string} secret - the base32 secret
+ * @param {Object} options - Options
+ * @param {number} options.time - the time in milliseconds, defaults to now
+ */
+const generateCode = (secret, { time = Date.now(), ...options } = {}) => {
+  const { digits, period } = { ...DEFAULT_OPTIONS, ...options };
+
+  return hotp(secret, Math.floor(time / 1000 / period), digits);
+};
+
+/**
+ * Finds the period of a code, the codes of the `window` previous and next periods are accepted to handle the clock drifts
+ * @param {string} secret - the base32 secret
+ * @param {string} code - the code to check
+ * @param {Object} options - Options
+ * @param {number} options.time - the time in milliseconds, defaults to now
+ * @returns {number|null} the counter of the period of the code, null if the code is invalid
+ */
+const findCounter = (secret, code, { time = Date.now(), ...options } = {}) => {
+  const { digits, period, window } = { ...DEFAULT_OPTIONS, ...options };
+  const token = String(code || '').replace(/\s/g, '');
+
+  if (!secret || !new RegExp(`^\\d{${digits}}$`).test(token)) {
+    return null;
+  }
+
+  const counter = Math.floor(time / 1000 / period);
+
+  for (let i = -window; i <= window; i++) {
+    const expected = hotp(secret, counter + i, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(token))) {
+      return counter + i;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Checks a code, see `findCounter`
+ * @returns {boolean}
+ */
+const verifyCode = (secret, code, options) => findCounter(secret, code, options) !== null;
+
+/**
+ * Returns the otpauth URI of a secret, shown as a QR code to the users enrolling their authenticator app
+ * @param {Object} params
+ * @param {string} params.secret - the base32 secret
+ * @param {string} params.label - the account name, e.g the email of the user
+ * @param {string} params.issuer - the name of the service
+ */
+const buildOtpAuthUri = ({ secret, label, issuer }) => {
+  const { digits, period } = DEFAULT_OPTIONS;
+
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    'algorithm=SHA1',
+    `digits=${digits}`,
+    `period=${period}`,
+  ];
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(
+    label
+  )}?${params.join('&')}`;
+};
+
+/**
+ * Generates the single-use recovery codes, e.g `4f2a9-c81d0`
+ * @param {number} count - the number of codes
+ * @returns {Array<string>}
+ */
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+/**
+ * Returns the hash of a recovery code, only the hashes are saved
+ * @param {string} code
+ */
+const hashRecoveryCode = code =>
+  crypto
+    .createHash('sha256')
+    .update(
+      String(code)
+        .trim()
+        .toLowerCase()
+    )
+    .digest('hex');
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  findCounter,
+  verifyCode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -161,4 +161,64 @@ describe('Deep Filtering API', () => {
       expect(res.body[0]).toMatchObject(data.collectors[1]);
     });
   });
+
+  describe('Populate param', () => {
+    test('Populates only the listed relations', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/collectors',
+        qs: {
+          name: 'Isabelle',
+          _populate: 'panini_cards',
+        },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.length).toBe(1);
+      expect(res.body[0].panini_cards[0]).toMatchObject({ name: 'Hugo LLORIS' });
+      (res.body[0].collector_friends || []).forEach(friend => {
+        expect(friend).not.toHaveProperty('name');
+      });
+    });
+
+    test('Populates nested relations', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/collectors',
+        qs: {
+          name: 'Isabelle',
+          _populate: 'collector_friends.panini_cards',
+        },
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body[0].collector_friends[0]).toMatchObject({ name: 'Bernard' });
+      expect(res.body[0].collector_friends[0].panini_cards.length).toBe(2);
+      expect(res.body[0].collector_friends[0].panini_cards[0]).toHaveProperty('name');
+    });
+
+    test('Rejects paths deeper than the max depth', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/collectors',
+        qs: {
+          _populate: 'collector_friends.collector_friends.collector_friends.panini_cards',
+        },
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+
+    test('Rejects paths that are not relations', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/collectors',
+        qs: {
+          _populate: 'name',
+        },
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
 });
@@ -224,6 +224,166 @@ describe('Filtering API', () => {
       });
     });
 
+    describe('Filter not null', () => {
+      test('Should return only matching items', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            price_notNull: true,
+          },
+        });
+
+        const matching = data.products.filter(x => x.price !== null);
+        expect(res.body.length).toBe(matching.length);
+        expect(res.body).toEqual(expect.arrayContaining(matching));
+      });
+
+      test('Should return the null values when false', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            price_notNull: false,
+          },
+        });
+
+        const matching = data.products.filter(x => x.price === null);
+        expect(res.body.length).toBe(matching.length);
+        expect(res.body).toEqual(expect.arrayContaining(matching));
+      });
+    });
+
+    describe('Filter between', () => {
+      test('Should return the values in the range, bounds included', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            rank_between: [82, 95],
+          },
+        });
+
+        expect(res.body.length).toBe(2);
+        expect(res.body).toEqual(expect.arrayContaining([data.products[1], data.products[2]]));
+      });
+
+      test('Should work with decimal', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            decimal_field_between: [40, 100],
+          },
+        });
+
+        expect(res.body.length).toBe(2);
+        expect(res.body).toEqual(expect.arrayContaining([data.products[0], data.products[1]]));
+      });
+
+      test('Should return an error without two values', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            rank_between: 82,
+          },
+        });
+
+        expect(res.statusCode).toBe(400);
+      });
+    });
+
+    describe('Filter starts with', () => {
+      test('Should match the prefix with insensitive case', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_startsWith: 'product',
+          },
+        });
+
+        expect(res.body.length).toBe(4);
+        expect(res.body).toEqual(expect.arrayContaining(data.products.slice(0, 4)));
+      });
+
+      test('Should return an empty array when no match', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_startsWith: 'duct',
+          },
+        });
+
+        expect(res.body).toEqual([]);
+      });
+
+      test('Should not use the wildcards of the value', async () => {
+        const res1 = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_startsWith: 'product_',
+          },
+        });
+
+        expect(res1.body).toEqual([]);
+
+        const res2 = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_endsWith: '%1',
+          },
+        });
+
+        expect(res2.body).toEqual([]);
+      });
+    });
+
+    describe('Filter ends with', () => {
+      test('Should match the suffix with insensitive case', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            description_endsWith: 'DESCRIPTION 2',
+          },
+        });
+
+        expect(res.body).toEqual([data.products[1]]);
+      });
+
+      test('Should return an empty array when no match', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_endsWith: 'Product',
+          },
+        });
+
+        expect(res.body).toEqual([]);
+      });
+    });
+
+    describe('Filter regex', () => {
+      test('Should be disabled by default', async () => {
+        const res = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            name_regex: '^Product [12]$',
+          },
+        });
+
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch('The regex filter is disabled');
+      });
+    });
+
     describe('Filter contains insensitive', () => {
       test('Should match with insensitive case', async () => {
         const res1 = await rq({
@@ -965,6 +1125,59 @@ describe('Filtering API', () => {
     });
   });
 
+  describe('Grouped filtering', () => {
+    test('Or groups', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _or: [{ name: 'Product 1' }, { rank_gt: 95, price_null: true }],
+          _sort: 'rank:asc',
+        },
+      });
+
+      expect(res.body).toEqual([data.products[0], data.products[3], data.products[4]]);
+    });
+
+    test('Or groups combined with other filters', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          rank_lt: 95,
+          _or: [{ name: 'Product 1' }, { name: 'Product 4' }],
+        },
+      });
+
+      expect(res.body).toEqual([data.products[0]]);
+    });
+
+    test('Nested groups', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _or: [{ _and: [{ rank_gt: 80 }, { rank_lt: 95 }] }, { rank: 142 }],
+          _sort: 'rank:asc',
+        },
+      });
+
+      expect(res.body).toEqual([data.products[1], data.products[2], data.products[4]]);
+    });
+
+    test('Returns an error on invalid groups', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _or: 'Product 1',
+        },
+      });
+
+      expect(res.statusCode).toBe(400);
+    });
+  });
+
   describe('Sorting', () => {
     test('Default sorting is asc', async () => {
       const res = await rq({
@@ -1088,6 +1301,174 @@ describe('Filtering API', () => {
     });
   });
 
+  describe('Fields selection', () => {
+    test('Returns the selected fields only', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _fields: 'name,rank',
+          rank_lt: 90,
+        },
+      });
+
+      expect(res.body.length).toBe(2);
+      res.body.forEach(entry => {
+        expect(entry).toEqual(
+          expect.objectContaining({ id: expect.anything(), name: expect.any(String) })
+        );
+        expect(entry).not.toHaveProperty('description');
+        expect(entry).not.toHaveProperty('price');
+      });
+    });
+
+    test('Returns the sort fields', async () => {
+      const res = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _fields: 'name',
+          _sort: 'rank:desc',
+          _limit: 1,
+        },
+      });
+
+      expect(res.body.length).toBe(1);
+      expect(res.body[0]).toMatchObject({ name: data.products[4].name, rank: 142 });
+      expect(res.body[0]).not.toHaveProperty('description');
+    });
+
+    test('Selects the fields of a single entry', async () => {
+      const product = data.products[0];
+
+      const res = await rq({
+        method: 'GET',
+        url: `/products/${product.id}`,
+        qs: {
+          _fields: 'price',
+        },
+      });
+
+      expect(res.body).toMatchObject({ id: product.id, price: product.price });
+      expect(res.body).not.toHaveProperty('name');
+    });
+  });
+
+  describe('Cursor pagination', () => {
+    test('Returns the next page after a cursor', async () => {
+      const firstPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _sort: 'rank:asc',
+        },
+      });
+
+      expect(firstPage.body).toEqual(data.products.slice(0, 2));
+      expect(firstPage.headers['x-previous-cursor']).toBeUndefined();
+
+      const secondPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _sort: 'rank:asc',
+          _after: firstPage.headers['x-next-cursor'],
+        },
+      });
+
+      expect(secondPage.body).toEqual(data.products.slice(2, 4));
+      expect(secondPage.headers['x-previous-cursor']).toBeDefined();
+    });
+
+    test('Returns the previous page before a cursor', async () => {
+      const lastPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _start: 3,
+          _sort: 'rank:asc',
+        },
+      });
+
+      expect(lastPage.body).toEqual(data.products.slice(3, 5));
+
+      const previousPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _sort: 'rank:asc',
+          _before: lastPage.headers['x-previous-cursor'],
+        },
+      });
+
+      expect(previousPage.body).toEqual(data.products.slice(1, 3));
+    });
+
+    test('Combines cursors and filters', async () => {
+      const firstPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _sort: 'rank:desc',
+          rank_gt: 50,
+        },
+      });
+
+      expect(firstPage.body).toEqual([data.products[4], data.products[3]]);
+
+      const secondPage = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _limit: 2,
+          _sort: 'rank:desc',
+          rank_gt: 50,
+          _after: firstPage.headers['x-next-cursor'],
+        },
+      });
+
+      expect(secondPage.body).toEqual([data.products[2], data.products[1]]);
+    });
+
+    test('Returns the entries with null values', async () => {
+      const allEntries = await rq({
+        method: 'GET',
+        url: '/products',
+        qs: {
+          _sort: 'price:desc,id:asc',
+        },
+      });
+
+      const entries = [];
+      let after;
+
+      for (let i = 0; i < data.products.length + 1; i++) {
+        const page = await rq({
+          method: 'GET',
+          url: '/products',
+          qs: {
+            _limit: 2,
+            _sort: 'price:desc,id:asc',
+            ...(after ? { _after: after } : {}),
+          },
+        });
+
+        entries.push(...page.body);
+        after = page.headers['x-next-cursor'];
+
+        if (!after) break;
+      }
+
+      expect(entries).toEqual(allEntries.body);
+      expect(entries).toHaveLength(data.products.length);
+    });
+  });
+
   describe('Text query', () => {
     test('Cyrillic query', async () => {
       const res = await rq({
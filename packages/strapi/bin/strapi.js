@@ -179,6 +179,13 @@ program
   .description('generate a basic plugin')
   .action(getLocalScript('generate'));
 
+// `$ strapi generate:types`
+program
+  .command('generate:types')
+  .option('-o, --out <dir>', 'Directory to write the types in')
+  .description('generate the TypeScript types and client of the content types')
+  .action(getLocalScript('generateTypes'));
+
 program
   .command('build')
   .option('--no-optimization', 'Build the Administration without assets optimization', false)
@@ -21,7 +21,11 @@ const createStrapiFs = require('./core/fs');
 const getPrefixedDeps = require('./utils/get-prefixed-dependencies');
 const createEventHub = require('./services/event-hub');
 const createWebhookRunner = require('./services/webhook-runner');
-const { webhookModel, createWebhookStore } = require('./services/webhook-store');
+const {
+  webhookModel,
+  webhookDeliveryModel,
+  createWebhookStore,
+} = require('./services/webhook-store');
 const { createCoreStore, coreStoreModel } = require('./services/core-store');
 const createEntityService = require('./services/entity-service');
 const createEntityValidator = require('./services/entity-validator');
@@ -278,6 +282,11 @@ class Strapi {
     // Destroy server and available connections.
     this.server.destroy();
 
+    // Clear scheduled webhook retries.
+    if (this.webhookRunner) {
+      this.webhookRunner.destroy();
+    }
+
     if (this.config.autoReload) {
       process.send('stop');
     }
@@ -311,16 +320,10 @@ class Strapi {
 
     await bootstrap(this);
 
-    // init webhook runner
-    this.webhookRunner = createWebhookRunner({
-      eventHub: this.eventHub,
-      logger: this.log,
-      configuration: this.config.get('currentEnvironment.server.webhooks', {}),
-    });
-
     // Init core store
     this.models['core_store'] = coreStoreModel(this.config);
     this.models['strapi_webhooks'] = webhookModel(this.config);
+    this.models['strapi_webhook_deliveries'] = webhookDeliveryModel(this.config);
 
     this.db = createDatabaseManager(this);
     await this.db.initialize();
@@ -332,6 +335,15 @@ class Strapi {
 
     this.webhookStore = createWebhookStore({ db: this.db });
 
+    // init webhook runner
+    this.webhookRunner = createWebhookRunner({
+      eventHub: this.eventHub,
+      logger: this.log,
+      store: this.webhookStore,
+      getModel: uid => this.contentTypes[uid],
+      configuration: this.config.get('currentEnvironment.server.webhooks', {}),
+    });
+
     await this.startWebhooks();
 
     this.entityValidator = createEntityValidator({
@@ -354,6 +366,8 @@ class Strapi {
   async startWebhooks() {
     const webhooks = await this.webhookStore.findWebhooks();
     webhooks.forEach(webhook => this.webhookRunner.add(webhook));
+
+    await this.webhookRunner.resume();
   }
 
   reload() {
@@ -417,6 +431,13 @@ class Strapi {
       }
     }
 
+    // The admin bootstrap runs first as the plugins can rely on the admin roles.
+    await execBootstrap(_.get(this.admin, 'config.functions.bootstrap')).catch(err => {
+      strapi.log.error('Bootstrap function in admin failed');
+      strapi.log.error(err);
+      strapi.stop();
+    });
+
     const pluginBoostraps = Object.keys(this.plugins).map(plugin => {
       return execBootstrap(_.get(this.plugins[plugin], 'config.functions.bootstrap')).catch(err => {
         strapi.log.error(`Bootstrap function in plugin "${plugin}" failed`);
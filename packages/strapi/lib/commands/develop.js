@@ -9,6 +9,7 @@ const execa = require('execa');
 
 const { logger } = require('strapi-utils');
 const loadConfigFile = require('../load/load-config-files');
+const { getTypesDir, writeTypes } = require('../services/types-generator');
 
 const strapi = require('../index');
 
@@ -25,6 +26,7 @@ module.exports = async function({ build, watchAdmin }) {
     'admin.watchIgnoreFiles',
     []
   );
+  const typesDir = path.join(dir, getTypesDir(serverConfig));
 
   // Don't run the build process if the admin is in watch mode
   if (build && !watchAdmin && !fs.existsSync(path.join(dir, 'build'))) {
@@ -81,7 +83,11 @@ module.exports = async function({ build, watchAdmin }) {
       watchFileChanges({
         dir,
         strapiInstance,
-        watchIgnoreFiles: adminWatchIgnoreFiles,
+        watchIgnoreFiles: [
+          ...adminWatchIgnoreFiles,
+          typesDir,
+          path.join(typesDir, '**'),
+        ],
       });
 
       process.on('message', message => {
@@ -96,7 +102,9 @@ module.exports = async function({ build, watchAdmin }) {
         }
       });
 
-      return strapiInstance.start();
+      return strapiInstance.start(() =>
+        updateTypes({ strapiInstance, typesDir })
+      );
     }
   } catch (e) {
     logger.error(e);
@@ -104,6 +112,29 @@ module.exports = async function({ build, watchAdmin }) {
   }
 };
 
+/**
+ * Regenerates the types once they have been generated with `strapi generate:types`.
+ * The server restarts when the content-type-builder writes a model, so the types follow the schema changes.
+ * @param {Object} options - Options object
+ * @param {Strapi} options.strapiInstance - Strapi instance
+ * @param {string} options.typesDir - the directory of the types
+ */
+async function updateTypes({ strapiInstance, typesDir }) {
+  if (!(await fs.pathExists(typesDir))) {
+    return;
+  }
+
+  try {
+    const writtenFiles = await writeTypes(strapiInstance, { outDir: typesDir });
+
+    if (writtenFiles.length > 0) {
+      strapiInstance.log.info(`Types updated in ${typesDir}`);
+    }
+  } catch (error) {
+    strapiInstance.log.error(`Types generation failed: ${error.message}`);
+  }
+}
+
 /**
  * Init file watching to auto restart strapi app
  * @param {Object} options - Options object
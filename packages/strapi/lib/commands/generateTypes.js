@@ -0,0 +1,38 @@
+'use strict';
+
+const path = require('path');
+const { green } = require('chalk');
+
+const { logger } = require('strapi-utils');
+const strapi = require('../index');
+const { getTypesDir, writeTypes } = require('../services/types-generator');
+
+/**
+ * `$ strapi generate:types`
+ */
+module.exports = async function({ out }) {
+  const dir = process.cwd();
+
+  try {
+    const app = strapi({ dir });
+
+    await app.load();
+
+    const outDir = path.resolve(
+      dir,
+      out || getTypesDir(app.config.currentEnvironment.server)
+    );
+    const writtenFiles = await writeTypes(app, { outDir });
+
+    console.log(
+      writtenFiles.length > 0
+        ? `Types generated in ${green(path.relative(dir, outDir))}`
+        : 'Types are up to date'
+    );
+
+    process.exit(0);
+  } catch (error) {
+    logger.error(error);
+    process.exit(1);
+  }
+};
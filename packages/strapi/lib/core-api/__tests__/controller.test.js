@@ -1,4 +1,6 @@
 'use strict';
+const _ = require('lodash');
+const { cursor } = require('strapi-utils');
 const createController = require('../controller');
 
 describe('Default Controller', () => {
@@ -18,6 +20,115 @@ describe('Default Controller', () => {
       create: expect.any(Function),
       update: expect.any(Function),
       delete: expect.any(Function),
+      bulkCreate: expect.any(Function),
+      bulkUpdate: expect.any(Function),
+      bulkDelete: expect.any(Function),
+    });
+  });
+
+  test('Bulk delete requires a list of ids', async () => {
+    const service = {
+      bulkDelete: jest.fn(ids => Promise.resolve(ids.map(id => ({ id })))),
+    };
+    const model = {
+      modelName: 'testModel',
+      kind: 'collectionType',
+      attributes: {},
+    };
+
+    const controller = createController({ service, model });
+    const ctx = { query: {}, badRequest: jest.fn() };
+
+    await controller.bulkDelete(ctx);
+    expect(ctx.badRequest).toHaveBeenCalledWith('ValidationError', expect.any(Object));
+    expect(service.bulkDelete).not.toHaveBeenCalled();
+
+    const result = await controller.bulkDelete({ query: { ids: '1' } });
+    expect(service.bulkDelete).toHaveBeenCalledWith(['1']);
+    expect(result).toEqual([{ id: '1' }]);
+  });
+
+  test('Find one selects the fields and relations and hides the private attributes', async () => {
+    const service = {
+      findOne: jest.fn(() => Promise.resolve({ id: 1, title: 'a', secret: 'b' })),
+    };
+    const model = {
+      modelName: 'testModel',
+      kind: 'collectionType',
+      attributes: {
+        title: { type: 'string' },
+        secret: { type: 'string', private: true },
+      },
+    };
+
+    const controller = createController({ service, model });
+    const ctx = {
+      params: { id: 1 },
+      query: { _fields: 'title,secret', _populate: 'author', _limit: 10 },
+    };
+
+    const result = await controller.findOne(ctx);
+
+    expect(service.findOne).toHaveBeenCalledWith({
+      id: 1,
+      _fields: 'title,secret',
+      _populate: 'author',
+    });
+    expect(result).toEqual({ id: 1, title: 'a' });
+  });
+
+  describe('Cursor headers', () => {
+    const model = {
+      uid: 'application::article.article',
+      modelName: 'article',
+      kind: 'collectionType',
+      attributes: {
+        title: { type: 'string' },
+        rank: { type: 'integer' },
+        secret: { type: 'string', private: true },
+      },
+    };
+
+    const createEntities = count =>
+      Array.from({ length: count }, (value, index) => ({
+        id: index + 1,
+        title: `Article ${index + 1}`,
+        rank: index,
+        secret: 's',
+      }));
+
+    const findWithHeaders = async (query, state = {}) => {
+      const entities = createEntities(100);
+      const service = { find: jest.fn(() => Promise.resolve(entities)) };
+      const controller = createController({ service, model });
+      const ctx = { query, state, set: jest.fn() };
+
+      const result = await controller.find(ctx);
+
+      return { result, headers: _.fromPairs(ctx.set.mock.calls) };
+    };
+
+    test('Sets the next cursor of a full page without _limit', async () => {
+      const { headers } = await findWithHeaders({ _sort: 'rank:asc' });
+
+      expect(headers).toEqual({
+        'X-Next-Cursor': cursor.encodeCursor({ rank: 99, id: 100 }, [
+          { field: 'rank' },
+          { field: 'id' },
+        ]),
+      });
+    });
+
+    test('Does not set the cursors when sorting on a hidden attribute', async () => {
+      expect((await findWithHeaders({ _sort: 'secret:asc' })).headers).toEqual({});
+      expect(
+        (
+          await findWithHeaders(
+            { _sort: 'title:asc' },
+            { readableFields: { [model.uid]: ['rank'] } }
+          )
+        ).headers
+      ).toEqual({});
     });
   });
 
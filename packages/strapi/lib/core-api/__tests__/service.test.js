@@ -21,6 +21,9 @@ describe('Default Service', () => {
         create: expect.any(Function),
         update: expect.any(Function),
         delete: expect.any(Function),
+        bulkCreate: expect.any(Function),
+        bulkUpdate: expect.any(Function),
+        bulkDelete: expect.any(Function),
       });
     });
   });
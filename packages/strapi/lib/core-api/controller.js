@@ -1,6 +1,12 @@
 'use strict';
 
-const { parseMultipartData, sanitizeEntity } = require('strapi-utils');
+const _ = require('lodash');
+const {
+  parseMultipartData,
+  sanitizeEntity,
+  convertRestQueryParams,
+  cursor,
+} = require('strapi-utils');
 
 /**
  * default bookshelf controller
@@ -24,9 +30,9 @@ const createSingleTypeController = ({ model, service }) => {
      *
      * @return {Object|Array}
      */
-    async find() {
+    async find(ctx) {
       const entity = await service.find();
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
     },
 
     /**
@@ -43,16 +49,62 @@ const createSingleTypeController = ({ model, service }) => {
         entity = await service.createOrUpdate(ctx.request.body);
       }
 
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
     },
 
-    async delete() {
+    async delete(ctx) {
       const entity = await service.delete();
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
     },
   };
 };
 
+/**
+ * Sanitizes an entity, the attributes the user isn't allowed to read are removed
+ */
+const sanitize = (ctx, entity, model) =>
+  sanitizeEntity(entity, {
+    model,
+    readableFields: _.get(ctx, ['state', 'readableFields']),
+  });
+
+/**
+ * Checks if an attribute is removed from the responses, see sanitize
+ */
+const isHiddenField = (ctx, model, field) => {
+  const attribute = _.get(model, ['attributes', field]);
+  const readableFields = _.get(ctx, ['state', 'readableFields', model.uid]);
+
+  if (!attribute) return false;
+
+  return (
+    attribute.private === true ||
+    (Array.isArray(readableFields) && !readableFields.includes(field))
+  );
+};
+
+/**
+ * Sets the cursors of the pages next to the returned entries
+ * The cursors are created from the unsanitized entities, they aren't set when they would contain
+ * attributes removed from the responses. The default limit applies when `_limit` isn't set.
+ */
+const setCursorHeaders = (ctx, entities, model) => {
+  const filters = convertRestQueryParams(ctx.query);
+
+  if (
+    cursor
+      .getCursorSort(filters.sort)
+      .some(({ field }) => isHiddenField(ctx, model, field))
+  ) {
+    return;
+  }
+
+  const { next, previous } = cursor.getPageCursors(entities, filters);
+
+  if (next) ctx.set('X-Next-Cursor', next);
+  if (previous) ctx.set('X-Previous-Cursor', previous);
+};
+
 /**
  *
  * Returns a collection type controller to handle default core-api actions
@@ -65,14 +117,19 @@ const createCollectionTypeController = ({ model, service }) => {
      * @return {Object|Array}
      */
     async find(ctx) {
-      let entities;
       if (ctx.query._q) {
-        entities = await service.search(ctx.query);
-      } else {
-        entities = await service.find(ctx.query);
+        const entities = await service.search(ctx.query);
+        return entities.map(entity => sanitize(ctx, entity, model));
       }
 
-      return entities.map(entity => sanitizeEntity(entity, { model }));
+      const entities = await service.find(ctx.query);
+      const sanitizedEntities = entities.map(entity =>
+        sanitize(ctx, entity, model)
+      );
+
+      setCursorHeaders(ctx, entities, model);
+
+      return sanitizedEntities;
     },
 
     /**
@@ -81,8 +138,11 @@ const createCollectionTypeController = ({ model, service }) => {
      * @return {Object}
      */
     async findOne(ctx) {
-      const entity = await service.findOne({ id: ctx.params.id });
-      return sanitizeEntity(entity, { model });
+      const entity = await service.findOne({
+        ..._.pick(ctx.query, ['_fields', '_populate']),
+        id: ctx.params.id,
+      });
+      return sanitize(ctx, entity, model);
     },
 
     /**
@@ -110,7 +170,7 @@ const createCollectionTypeController = ({ model, service }) => {
       } else {
         entity = await service.create(ctx.request.body);
       }
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
     },
 
     /**
@@ -127,7 +187,7 @@ const createCollectionTypeController = ({ model, service }) => {
         entity = await service.update({ id: ctx.params.id }, ctx.request.body);
       }
 
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
     },
 
     /**
@@ -137,7 +197,45 @@ const createCollectionTypeController = ({ model, service }) => {
      */
     async delete(ctx) {
       const entity = await service.delete({ id: ctx.params.id });
-      return sanitizeEntity(entity, { model });
+      return sanitize(ctx, entity, model);
+    },
+
+    /**
+     * Create several records.
+     *
+     * @return {Array}
+     */
+    async bulkCreate(ctx) {
+      const entities = await service.bulkCreate(ctx.request.body);
+      return entities.map(entity => sanitize(ctx, entity, model));
+    },
+
+    /**
+     * Update several records.
+     *
+     * @return {Array}
+     */
+    async bulkUpdate(ctx) {
+      const entities = await service.bulkUpdate(ctx.request.body);
+      return entities.map(entity => sanitize(ctx, entity, model));
+    },
+
+    /**
+     * Destroy several records.
+     *
+     * @return {Array}
+     */
+    async bulkDelete(ctx) {
+      const ids = _.castArray(ctx.query.ids || []);
+
+      if (ids.length === 0) {
+        return ctx.badRequest('ValidationError', {
+          errors: { ids: ['ids is a required field'] },
+        });
+      }
+
+      const entities = await service.bulkDelete(ids);
+      return entities.map(entity => sanitize(ctx, entity, model));
     },
   };
 };
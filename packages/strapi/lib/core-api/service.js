@@ -150,6 +150,39 @@ const createCollectionTypeService = ({ model, strapi }) => {
       return strapi.entityService.delete({ params }, { model: modelName });
     },
 
+    /**
+     * Promise to add several records
+     *
+     * @return {Promise}
+     */
+
+    bulkCreate(data) {
+      return strapi.entityService.bulkCreate({ data }, { model: modelName });
+    },
+
+    /**
+     * Promise to edit several records
+     *
+     * @return {Promise}
+     */
+
+    bulkUpdate(data) {
+      return strapi.entityService.bulkUpdate({ data }, { model: modelName });
+    },
+
+    /**
+     * Promise to delete several records
+     *
+     * @return {Promise}
+     */
+
+    bulkDelete(ids) {
+      return strapi.entityService.bulkDelete(
+        { params: { ids } },
+        { model: modelName }
+      );
+    },
+
     /**
      * Promise to search records
      *
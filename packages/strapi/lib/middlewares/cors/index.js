@@ -11,6 +11,12 @@ const defaults = {
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'],
   headers: ['Content-Type', 'Authorization', 'Origin', 'Accept'],
+  expose: [
+    'WWW-Authenticate',
+    'Server-Authorization',
+    'X-Next-Cursor',
+    'X-Previous-Cursor',
+  ],
   keepHeadersOnError: false,
 };
 
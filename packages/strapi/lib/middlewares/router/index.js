@@ -37,7 +37,7 @@ module.exports = strapi => {
         });
 
         _.forEach(strapi.admin.config.routes, value => {
-          composeEndpoint(value, { router });
+          composeEndpoint(value, { plugin: 'admin', router });
         });
 
         // Mount admin router on Strapi router
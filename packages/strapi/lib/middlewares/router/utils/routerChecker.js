@@ -24,7 +24,9 @@ module.exports = strapi =>
 
     let controller;
 
-    if (plugin) {
+    if (plugin === 'admin') {
+      controller = strapi.admin.controllers[controllerKey];
+    } else if (plugin) {
       controller = strapi.plugins[plugin].controllers[controllerKey];
     } else {
       controller =
@@ -50,6 +50,7 @@ describe('Entity service', () => {
           return { kind: 'singleType' };
         }),
         query: jest.fn(() => fakeQuery),
+        transaction: jest.fn(fn => fn()),
       };
 
       const instance = createEntityService({
@@ -112,6 +113,8 @@ describe('Entity service', () => {
         const fakeDB = {
           getModel: jest.fn(() => fakeModel),
           query: jest.fn(() => fakeQuery),
+          transaction: jest.fn(fn => fn()),
+          onCommit: jest.fn((transacting, handler) => handler()),
         };
 
         instance = createEntityService({
@@ -173,5 +176,307 @@ describe('Entity service', () => {
         );
       });
     });
+
+    describe('transactions', () => {
+      const fakeModel = {
+        kind: 'collectionType',
+        modelName: 'test-model',
+        uid: 'application::test-model.test-model',
+        connection: 'default',
+        attributes: {
+          title: { type: 'string' },
+        },
+      };
+
+      const createInstance = ({ fakeQuery, eventHub = new EventEmitter() }) => {
+        const trx = {};
+
+        const fakeDB = {
+          getModel: jest.fn(() => fakeModel),
+          query: jest.fn(() => fakeQuery),
+          transaction: jest.fn(fn => fn(trx)),
+          onCommit: jest.fn((transacting, handler) => handler()),
+        };
+
+        const instance = createEntityService({
+          db: fakeDB,
+          eventHub,
+          entityValidator: createEntityValidator({ strapi: {} }),
+        });
+
+        return { instance, fakeDB, trx };
+      };
+
+      test('Runs the create and the file uploads in a transaction', async () => {
+        const fakeQuery = {
+          create: jest.fn(data => Promise.resolve({ id: 1, ...data })),
+          findOne: jest.fn(() => Promise.resolve({ id: 1, title: 'Test', cover: { id: 2 } })),
+        };
+
+        const { instance, fakeDB, trx } = createInstance({ fakeQuery });
+        instance.uploadFiles = jest.fn(() => Promise.resolve());
+
+        const files = { cover: {} };
+        const entry = await instance.create(
+          { data: { title: 'Test' }, files },
+          { model: 'test-model' }
+        );
+
+        expect(fakeDB.transaction).toHaveBeenCalledWith(expect.any(Function), {
+          connection: 'default',
+          transacting: undefined,
+        });
+        expect(fakeQuery.create).toHaveBeenCalledWith({ title: 'Test' }, { transacting: trx });
+        expect(instance.uploadFiles).toHaveBeenCalledWith(expect.anything(), files, {
+          model: 'test-model',
+          transacting: trx,
+        });
+        expect(fakeQuery.findOne).toHaveBeenCalledWith({ id: 1 }, undefined, { transacting: trx });
+        expect(entry).toEqual({ id: 1, title: 'Test', cover: { id: 2 } });
+      });
+
+      test('Does not emit an event when the transaction fails', async () => {
+        const fakeQuery = {
+          create: jest.fn(data => Promise.resolve({ id: 1, ...data })),
+        };
+
+        const eventHub = new EventEmitter();
+        const listener = jest.fn();
+        eventHub.on('entry.create', listener);
+
+        const { instance } = createInstance({ fakeQuery, eventHub });
+        instance.uploadFiles = jest.fn(() => Promise.reject(new Error('Upload failed')));
+
+        await expect(
+          instance.create(
+            { data: { title: 'Test' }, files: { cover: {} } },
+            { model: 'test-model' }
+          )
+        ).rejects.toThrow('Upload failed');
+
+        expect(listener).not.toHaveBeenCalled();
+      });
+
+      test('Reuses an existing transaction', async () => {
+        const fakeQuery = {
+          delete: jest.fn(() => Promise.resolve({ id: 1 })),
+        };
+
+        const { instance, fakeDB } = createInstance({ fakeQuery });
+        const outerTrx = {};
+
+        await instance.delete(
+          { params: { id: 1 } },
+          { model: 'test-model', transacting: outerTrx }
+        );
+
+        expect(fakeDB.transaction).toHaveBeenCalledWith(expect.any(Function), {
+          connection: 'default',
+          transacting: outerTrx,
+        });
+      });
+
+      test('Emits the event once the outer transaction is committed', async () => {
+        const fakeQuery = {
+          delete: jest.fn(() => Promise.resolve({ id: 1 })),
+        };
+
+        const eventHub = new EventEmitter();
+        const listener = jest.fn();
+        eventHub.on('entry.delete', listener);
+
+        const { instance, fakeDB } = createInstance({ fakeQuery, eventHub });
+        const commitHandlers = [];
+        fakeDB.onCommit.mockImplementation((transacting, handler) => commitHandlers.push(handler));
+        const outerTrx = {};
+
+        await instance.delete(
+          { params: { id: 1 } },
+          { model: 'test-model', transacting: outerTrx }
+        );
+
+        expect(fakeDB.onCommit).toHaveBeenCalledWith(outerTrx, expect.any(Function));
+        expect(listener).not.toHaveBeenCalled();
+
+        commitHandlers.forEach(handler => handler());
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({ entry: { id: 1 } }));
+      });
+    });
+  });
+
+  describe('Bulk actions', () => {
+    const fakeModel = {
+      kind: 'collectionType',
+      modelName: 'test-model',
+      uid: 'application::test-model.test-model',
+      connection: 'default',
+      attributes: {
+        title: { type: 'string', required: true },
+      },
+    };
+
+    const strapi = {
+      errors: {
+        badRequest: jest.fn((message, data) => Object.assign(new Error(message), { data })),
+      },
+    };
+
+    const createInstance = ({ fakeQuery, eventHub = new EventEmitter() }) => {
+      const fakeDB = {
+        getModel: jest.fn(() => fakeModel),
+        query: jest.fn(() => fakeQuery),
+        transaction: jest.fn(fn => fn({})),
+        onCommit: jest.fn((transacting, handler) => handler()),
+      };
+
+      return createEntityService({
+        db: fakeDB,
+        eventHub,
+        entityValidator: createEntityValidator({ strapi }),
+      });
+    };
+
+    test('Creates every entry and emits a single event', async () => {
+      let id = 0;
+      const fakeQuery = {
+        create: jest.fn(data => Promise.resolve({ id: ++id, ...data })),
+      };
+
+      const eventHub = new EventEmitter();
+      const listener = jest.fn();
+      eventHub.on('entry.create', listener);
+
+      const instance = createInstance({ fakeQuery, eventHub });
+
+      const entries = await instance.bulkCreate(
+        { data: [{ title: 'a' }, { title: 'b' }] },
+        { model: 'test-model' }
+      );
+
+      expect(entries).toEqual([
+        { id: 1, title: 'a' },
+        { id: 2, title: 'b' },
+      ]);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith({
+        model: 'test-model',
+        uid: 'application::test-model.test-model',
+        entries,
+      });
+    });
+
+    test('Reports the validation errors by item and creates nothing', async () => {
+      const fakeQuery = {
+        create: jest.fn(data => Promise.resolve(data)),
+      };
+
+      const instance = createInstance({ fakeQuery });
+
+      const error = await instance
+        .bulkCreate({ data: [{ title: 'a' }, {}, { title: null }] }, { model: 'test-model' })
+        .catch(error => error);
+
+      expect(error.message).toBe('ValidationError');
+      expect(error.data.errors).toEqual([
+        { index: 1, errors: { title: [expect.any(String)] } },
+        { index: 2, errors: { title: [expect.any(String)] } },
+      ]);
+      expect(fakeQuery.create).not.toHaveBeenCalled();
+    });
+
+    test('Requires an id to update entries', async () => {
+      const fakeQuery = {
+        find: jest.fn(() => Promise.resolve([{ id: 1 }])),
+        update: jest.fn(({ id }, data) => Promise.resolve({ id, ...data })),
+      };
+
+      const instance = createInstance({ fakeQuery });
+
+      const error = await instance
+        .bulkUpdate({ data: [{ id: 1, title: 'a' }, { title: 'b' }] }, { model: 'test-model' })
+        .catch(error => error);
+
+      expect(error.data.errors).toEqual([{ index: 1, errors: { id: [expect.any(String)] } }]);
+      expect(fakeQuery.update).not.toHaveBeenCalled();
+
+      const entries = await instance.bulkUpdate(
+        { data: [{ id: 1, title: 'a' }] },
+        { model: 'test-model' }
+      );
+
+      expect(fakeQuery.update).toHaveBeenCalledWith({ id: 1 }, { title: 'a' }, { transacting: {} });
+      expect(entries).toEqual([{ id: 1, title: 'a' }]);
+    });
+
+    test('Does not delete anything when an entry is missing', async () => {
+      const fakeQuery = {
+        find: jest.fn(() => Promise.resolve([{ id: 1 }])),
+        delete: jest.fn(({ id }) => Promise.resolve({ id })),
+      };
+
+      const eventHub = new EventEmitter();
+      const listener = jest.fn();
+      eventHub.on('entry.delete', listener);
+
+      const instance = createInstance({ fakeQuery, eventHub });
+
+      const error = await instance
+        .bulkDelete({ params: { ids: ['1', '2'] } }, { model: 'test-model' })
+        .catch(error => error);
+
+      expect(error).toMatchObject({ message: 'entry.notFound', status: 404, data: { ids: ['2'] } });
+      expect(fakeQuery.delete).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+
+      await instance.bulkDelete({ params: { ids: ['1', '1'] } }, { model: 'test-model' });
+
+      expect(fakeQuery.delete).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    test('Emits a single event for all the entries of a bulk update or delete', async () => {
+      const fakeQuery = {
+        find: jest.fn(() => Promise.resolve([{ id: 1 }, { id: 2 }])),
+        update: jest.fn(({ id }, data) => Promise.resolve({ id, ...data })),
+        delete: jest.fn(({ id }) => Promise.resolve({ id })),
+      };
+
+      const eventHub = new EventEmitter();
+      jest.spyOn(eventHub, 'emit');
+
+      const instance = createInstance({ fakeQuery, eventHub });
+
+      await instance.bulkUpdate(
+        {
+          data: [
+            { id: 1, title: 'a' },
+            { id: 2, title: 'b' },
+          ],
+        },
+        { model: 'test-model' }
+      );
+
+      expect(eventHub.emit).toHaveBeenCalledTimes(1);
+      expect(eventHub.emit).toHaveBeenCalledWith('entry.update', {
+        model: 'test-model',
+        uid: 'application::test-model.test-model',
+        entries: [
+          { id: 1, title: 'a' },
+          { id: 2, title: 'b' },
+        ],
+      });
+
+      eventHub.emit.mockClear();
+
+      await instance.bulkDelete({ params: { ids: [1, 2] } }, { model: 'test-model' });
+
+      expect(eventHub.emit).toHaveBeenCalledTimes(1);
+      expect(eventHub.emit).toHaveBeenCalledWith('entry.delete', {
+        model: 'test-model',
+        uid: 'application::test-model.test-model',
+        entries: [{ id: 1 }, { id: 2 }],
+      });
+    });
   });
 });
@@ -126,6 +126,40 @@ describe('Entity validator', () => {
         });
       });
     });
+
+    test('Adds the failed rules of each field to the error', async () => {
+      const errors = {
+        badRequest: jest.fn(() => new Error('ValidationError')),
+      };
+
+      const entityValidator = createEntityValidator({
+        strapi: {
+          errors,
+        },
+      });
+
+      const model = {
+        attributes: {
+          title: { type: 'string', required: true, maxLength: 2 },
+          slug: { type: 'string', regex: '^[a-z]+$' },
+          type: { type: 'enumeration', enum: ['news', 'event'] },
+          rating: { type: 'integer', min: 1 },
+          summary: { type: 'text', required: true },
+        },
+      };
+
+      const input = { title: 'tooLong', slug: 'Invalid', type: 'post', rating: 0 };
+
+      const error = await entityValidator.validateEntity(model, input).catch(error => error);
+
+      expect(error.details).toEqual([
+        { path: ['title'], rule: 'maxLength', message: expect.stringMatching('at most 2') },
+        { path: ['slug'], rule: 'regex', message: expect.any(String) },
+        { path: ['type'], rule: 'enum', message: expect.any(String) },
+        { path: ['rating'], rule: 'min', message: expect.any(String) },
+        { path: ['summary'], rule: 'required', message: expect.stringMatching('must be defined') },
+      ]);
+    });
   });
 
   describe('String validator', () => {
@@ -0,0 +1,192 @@
+'use strict';
+
+const { convertAttribute, generateDefinitions } = require('../types-generator/definitions');
+const { generateClient } = require('../types-generator/client');
+
+const components = {
+  'shared.seo': {
+    uid: 'shared.seo',
+    modelType: 'component',
+    globalId: 'ComponentSharedSeo',
+    attributes: {
+      metaTitle: { type: 'string', required: true },
+    },
+  },
+  'blocks.quote': {
+    uid: 'blocks.quote',
+    modelType: 'component',
+    globalId: 'ComponentBlocksQuote',
+    attributes: {
+      text: { type: 'text' },
+    },
+  },
+};
+
+const fileModel = {
+  uid: 'plugins::upload.file',
+  modelName: 'file',
+  globalId: 'UploadFile',
+  primaryKey: 'id',
+  attributes: {
+    url: { type: 'string', required: true },
+  },
+};
+
+const restaurantModel = {
+  uid: 'application::restaurant.restaurant',
+  modelName: 'restaurant',
+  kind: 'collectionType',
+  globalId: 'Restaurant',
+  primaryKey: 'id',
+  info: { description: 'A place to eat' },
+  options: { timestamps: ['created_at', 'updated_at'] },
+  attributes: {
+    name: { type: 'string', required: true },
+    price: { type: 'enumeration', enum: ['cheap', 'expensive'] },
+    secret: { type: 'string', private: true },
+    cover: { model: 'file', via: 'related', plugin: 'upload' },
+    seo: { type: 'component', component: 'shared.seo' },
+    blocks: { type: 'dynamiczone', components: ['shared.seo', 'blocks.quote'] },
+    'opening-hours': { type: 'json' },
+  },
+};
+
+const homepageModel = {
+  uid: 'application::homepage.homepage',
+  modelName: 'homepage',
+  kind: 'singleType',
+  globalId: 'Homepage',
+  primaryKey: 'id',
+  attributes: {
+    title: { type: 'string' },
+  },
+};
+
+const getModel = name => ({ file: fileModel, restaurant: restaurantModel }[name]);
+
+describe('Types generator', () => {
+  describe('convertAttribute', () => {
+    const options = { getModel, components };
+
+    test('Converts the scalar attributes', () => {
+      expect(convertAttribute({ type: 'string', required: true }, options)).toBe('string');
+      expect(convertAttribute({ type: 'integer' }, options)).toBe('number | null');
+      expect(convertAttribute({ type: 'boolean', required: true }, options)).toBe('boolean');
+      expect(convertAttribute({ type: 'json' }, options)).toBe('unknown | null');
+    });
+
+    test('Converts the relations', () => {
+      expect(convertAttribute({ model: 'restaurant' }, options)).toBe(
+        'Relation<Restaurant> | null'
+      );
+      expect(convertAttribute({ collection: 'restaurant' }, options)).toBe(
+        'Array<Relation<Restaurant>>'
+      );
+      expect(convertAttribute({ collection: 'restaurant' }, { ...options, input: true })).toBe(
+        'ID[]'
+      );
+      expect(convertAttribute({ model: '*' }, options)).toBe('unknown | null');
+    });
+
+    test('Converts the components and the dynamic zones', () => {
+      expect(
+        convertAttribute({ type: 'component', component: 'shared.seo', repeatable: true }, options)
+      ).toBe('ComponentSharedSeo[]');
+      expect(
+        convertAttribute(
+          { type: 'dynamiczone', components: ['shared.seo'] },
+          { ...options, input: true }
+        )
+      ).toBe("Array<({ __component: 'shared.seo' } & ComponentSharedSeoInput)>");
+    });
+  });
+
+  describe('generateDefinitions', () => {
+    const definitions = generateDefinitions({
+      models: [restaurantModel, fileModel],
+      components,
+      getModel,
+    });
+
+    test('Generates the interfaces of the entries', () => {
+      expect(definitions).toMatch(`/** A place to eat */
+export interface Restaurant {
+  id: ID;
+  created_at: string;
+  updated_at: string;
+  name: string;
+  price: 'cheap' | 'expensive' | null;
+  cover: Relation<UploadFile> | null;
+  seo: ComponentSharedSeo | null;
+  blocks: Array<({ __component: 'shared.seo' } & ComponentSharedSeo) | ({ __component: 'blocks.quote' } & ComponentBlocksQuote)>;
+  'opening-hours': unknown | null;
+}`);
+    });
+
+    test('Generates the interfaces of the inputs', () => {
+      expect(definitions).toMatch(`export interface RestaurantInput {
+  name: string;
+  price?: 'cheap' | 'expensive' | null;
+  secret?: string | null;
+  cover?: ID | null;`);
+
+      expect(definitions).toMatch(`export interface ComponentSharedSeoInput {
+  id?: ID;
+  metaTitle: string;
+}`);
+    });
+  });
+
+  describe('generateClient', () => {
+    const client = generateClient(
+      [
+        {
+          model: restaurantModel,
+          routes: [
+            { method: 'GET', path: '/restaurants', action: 'find' },
+            { method: 'GET', path: '/restaurants/:id', action: 'findOne' },
+            { method: 'PUT', path: '/restaurants/bulk', action: 'bulkUpdate' },
+            { method: 'DELETE', path: '/restaurants/bulk', action: 'bulkDelete' },
+            { method: 'POST', path: '/restaurants/:id/like', action: 'like' },
+          ],
+        },
+        {
+          model: homepageModel,
+          routes: [{ method: 'PUT', path: '/homepage', action: 'update' }],
+        },
+        {
+          model: fileModel,
+          routes: [],
+        },
+      ],
+      { definitionsModule: './models' }
+    );
+
+    test('Imports the types of the content types with routes', () => {
+      expect(client).toMatch(
+        "import { ID, Restaurant, RestaurantInput, Homepage, HomepageInput } from './models';"
+      );
+    });
+
+    test('Generates the methods of the core-api routes', () => {
+      expect(client).toMatch(`  restaurant: {
+    find: (query?: Query) =>
+      request<Restaurant[]>('GET', \`/restaurants\`, { query }),
+    findOne: (id: ID, query?: Query) =>
+      request<Restaurant>('GET', \`/restaurants/\${encodeURIComponent(String(id))}\`, { query }),
+    bulkUpdate: (data: Array<{ id: ID } & Partial<RestaurantInput>>) =>
+      request<Restaurant[]>('PUT', \`/restaurants/bulk\`, { body: data }),
+    bulkDelete: (ids: ID[]) =>
+      request<Restaurant[]>('DELETE', \`/restaurants/bulk\`, { query: { ids } }),
+  },`);
+
+      expect(client).toMatch(`  homepage: {
+    update: (data: Partial<HomepageInput>) =>
+      request<Homepage>('PUT', \`/homepage\`, { body: data }),
+  },`);
+
+      expect(client).not.toMatch('like');
+      expect(client).not.toMatch('file: {');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { matchesWhere, sanitizeInfo, matchesFilters, projectInfo } = require('../webhook-filters');
+
+const entry = {
+  id: 1,
+  title: 'Hello world',
+  status: 'published',
+  views: 12,
+  secret_notes: 'internal',
+  published_at: '2020-01-10T08:47:36.649Z',
+  author: { id: 3, username: 'john' },
+  tags: [
+    { id: 1, name: 'news' },
+    { id: 2, name: 'tech' },
+  ],
+};
+
+const info = { model: 'article', uid: 'application::article.article', entry };
+
+describe('Webhook filters', () => {
+  describe('matchesWhere', () => {
+    test.each([
+      [{}, true],
+      [{ status: 'published' }, true],
+      [{ status: 'draft' }, false],
+      [{ status_ne: 'draft' }, true],
+      [{ status_in: ['draft', 'published'] }, true],
+      [{ status_nin: ['draft', 'published'] }, false],
+      [{ title_contains: 'WORLD' }, true],
+      [{ title_containss: 'WORLD' }, false],
+      [{ title_ncontains: 'foo' }, true],
+      [{ views_gt: 10 }, true],
+      [{ views_gte: '12' }, true],
+      [{ views_lt: 12 }, false],
+      [{ published_at_gt: '2020-01-01' }, true],
+      [{ published_at_lte: '2020-01-01' }, false],
+      [{ secret_notes_null: false }, true],
+      [{ missing_null: true }, true],
+      [{ secret_notes_notNull: true }, true],
+      [{ missing_notNull: true }, false],
+      [{ views_between: [10, 12] }, true],
+      [{ published_at_between: ['2020-02-01', '2020-03-01'] }, false],
+      [{ title_startsWith: 'hello' }, true],
+      [{ title_endsWith: 'hello' }, false],
+      [{ title_regex: '^Hello\\s\\w+$' }, true],
+      [{ 'tags.name_startsWith': 'te' }, true],
+      [{ author: 3 }, true],
+      [{ 'author.username': 'john' }, true],
+      [{ 'tags.name': 'tech' }, true],
+      [{ 'tags.name_ne': 'tech' }, false],
+      [{ status: 'published', views_gt: 100 }, false],
+      [{ _or: [{ status: 'draft' }, { author: 3 }] }, true],
+      [{ _or: [{ status: 'draft' }, { author: 4 }] }, false],
+      [{ _or: [{ status: 'draft' }, { 'tags.name': 'tech', views_gt: 10 }] }, true],
+      [{ _and: [{ status: 'published' }, { _or: [{ views_gt: 100 }, { author: 4 }] }] }, false],
+    ])('%j matches: %s', (where, expected) => {
+      expect(matchesWhere(entry, where)).toBe(expected);
+    });
+  });
+
+  describe('sanitizeInfo', () => {
+    const model = {
+      attributes: { title: { type: 'string' }, secret_notes: { type: 'text', private: true } },
+    };
+
+    test('Removes the private attributes of the entries', () => {
+      const rawInfo = { ...info, entry: { id: 1, title: 'Hello world', secret_notes: 'internal' } };
+
+      expect(sanitizeInfo(rawInfo, model).entry).toEqual({ id: 1, title: 'Hello world' });
+      expect(
+        sanitizeInfo({ ...rawInfo, entry: undefined, entries: [rawInfo.entry] }, model).entries
+      ).toEqual([{ id: 1, title: 'Hello world' }]);
+    });
+
+    test('Keeps the events without entry', () => {
+      const mediaInfo = { media: { id: 1 } };
+
+      expect(sanitizeInfo(mediaInfo, model)).toBe(mediaInfo);
+    });
+  });
+
+  describe('matchesFilters', () => {
+    test('Matches everything without filters', () => {
+      expect(matchesFilters(null, info)).toBe(true);
+      expect(matchesFilters({}, info)).toBe(true);
+    });
+
+    test('Filters on the model uid', () => {
+      expect(matchesFilters({ models: ['application::article.article'] }, info)).toBe(true);
+      expect(matchesFilters({ models: ['application::page.page'] }, info)).toBe(false);
+    });
+
+    test('Filters on the entry', () => {
+      expect(matchesFilters({ where: { status: 'published' } }, info)).toBe(true);
+      expect(matchesFilters({ where: { status: 'archived' } }, info)).toBe(false);
+    });
+
+    test('Does not filter events without entry', () => {
+      expect(matchesFilters({ models: ['application::page.page'] }, { media: { id: 1 } })).toBe(
+        true
+      );
+    });
+  });
+
+  describe('projectInfo', () => {
+    test('Picks fields', () => {
+      expect(projectInfo({ fields: ['id', 'title', 'author.username'] }, info)).toEqual({
+        ...info,
+        entry: { id: 1, title: 'Hello world', author: { username: 'john' } },
+      });
+    });
+
+    test('Omits fields', () => {
+      const { entry: projected } = projectInfo({ omit: ['secret_notes', 'tags'] }, info);
+
+      expect(projected).not.toHaveProperty('secret_notes');
+      expect(projected).not.toHaveProperty('tags');
+      expect(projected).toHaveProperty('title');
+    });
+
+    test('Keeps the matching entries of bulk events', () => {
+      const bulkInfo = {
+        model: 'article',
+        uid: 'application::article.article',
+        entries: [entry, { ...entry, id: 2, status: 'draft' }],
+      };
+      const filters = { where: { status: 'published' }, fields: ['id'] };
+
+      expect(matchesFilters(filters, bulkInfo)).toBe(true);
+      expect(matchesFilters({ where: { status: 'archived' } }, bulkInfo)).toBe(false);
+      expect(projectInfo(filters, bulkInfo).entries).toEqual([{ id: 1 }]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+jest.mock('node-fetch', () => jest.fn());
+
+const fetch = require('node-fetch');
+const createWebhookRunner = require('../webhook-runner');
+const createEventHub = require('../event-hub');
+
+const createStore = () => {
+  let id = 0;
+  const deliveries = new Map();
+
+  return {
+    deliveries,
+    createDelivery: jest.fn(data => {
+      const delivery = { id: ++id, status: 'pending', attempts: 0, ...data };
+      deliveries.set(delivery.id, delivery);
+      return Promise.resolve(delivery);
+    }),
+    updateDelivery: jest.fn((id, data) => {
+      const delivery = { ...deliveries.get(id), ...data };
+      deliveries.set(id, delivery);
+      return Promise.resolve(delivery);
+    }),
+    findPendingDeliveries: jest.fn(() => Promise.resolve([])),
+  };
+};
+
+const mockResponse = ({ status = 200, body = '' } = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(body),
+});
+
+const webhook = {
+  id: 1,
+  url: 'http://localhost/hook',
+  headers: {},
+  events: ['entry.create'],
+  isEnabled: true,
+};
+
+describe('WebhookRunner', () => {
+  let runner;
+
+  afterEach(() => {
+    fetch.mockReset();
+    if (runner) runner.destroy();
+  });
+
+  test('Records a successful delivery', async () => {
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store,
+    });
+
+    fetch.mockResolvedValueOnce(mockResponse({ status: 200, body: 'ok' }));
+
+    runner.add(webhook);
+    await runner.executeListener({ event: 'entry.create', info: { model: 'article' } });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(store.createDelivery).toHaveBeenCalledWith(
+      expect.objectContaining({
+        webhookId: 1,
+        event: 'entry.create',
+        payload: expect.objectContaining({ event: 'entry.create', model: 'article' }),
+      })
+    );
+
+    const [delivery] = store.deliveries.values();
+    expect(delivery).toMatchObject({
+      status: 'success',
+      attempts: 1,
+      statusCode: 200,
+      responseBody: 'ok',
+      nextAttemptAt: null,
+    });
+    expect(typeof delivery.latency).toBe('number');
+  });
+
+  test('Schedules a retry with exponential backoff on failure', async () => {
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store,
+      configuration: { retries: { maxAttempts: 3, delay: 100 } },
+    });
+
+    fetch.mockResolvedValue(mockResponse({ status: 500, body: 'error' }));
+
+    const delivery = await store.createDelivery({
+      webhookId: 1,
+      event: 'entry.create',
+      payload: {},
+    });
+
+    const first = await runner.deliver(webhook, delivery);
+    expect(first).toMatchObject({ status: 'pending', attempts: 1, statusCode: 500 });
+    expect(runner.timers.size).toBe(1);
+    expect(runner.getRetryDelay(1)).toBe(100);
+    expect(runner.getRetryDelay(2)).toBe(200);
+
+    const second = await runner.deliver(webhook, first);
+    expect(second).toMatchObject({ status: 'pending', attempts: 2 });
+
+    const third = await runner.deliver(webhook, second);
+    expect(third).toMatchObject({ status: 'failed', attempts: 3, nextAttemptAt: null });
+  });
+
+  test('Redelivers a past delivery as a new delivery', async () => {
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store,
+    });
+
+    fetch.mockResolvedValue(mockResponse({ status: 204 }));
+
+    const payload = { event: 'entry.create', model: 'article' };
+    const delivery = await store.createDelivery({
+      webhookId: 1,
+      event: 'entry.create',
+      payload,
+      status: 'failed',
+      attempts: 5,
+    });
+
+    const result = await runner.redeliver(webhook, delivery);
+
+    expect(result.id).not.toBe(delivery.id);
+    expect(result).toMatchObject({ status: 'success', attempts: 1, payload });
+    expect(store.deliveries.get(delivery.id).status).toBe('failed');
+  });
+
+  test('Marks pending deliveries of removed webhooks as failed', async () => {
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store,
+    });
+
+    const delivery = await store.createDelivery({
+      webhookId: 1,
+      event: 'entry.create',
+      payload: {},
+    });
+
+    await runner.executeRetry(delivery);
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(store.deliveries.get(delivery.id).status).toBe('failed');
+  });
+
+  test('Signs requests of webhooks with a secret', async () => {
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store: createStore(),
+    });
+
+    fetch.mockResolvedValue(mockResponse());
+
+    await runner.run({ ...webhook, secret: 'secret' }, 'trigger-test');
+    await runner.run(webhook, 'trigger-test');
+
+    const [[, signedRequest], [, request]] = fetch.mock.calls;
+    expect(signedRequest.headers['X-Strapi-Signature']).toMatch(/^t=\d+,v1=[a-f0-9]{64}$/);
+    expect(request.headers).not.toHaveProperty('X-Strapi-Signature');
+  });
+
+  test('Does not deliver the private attributes of the entries', async () => {
+    const eventHub = createEventHub();
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub,
+      logger: { error: jest.fn() },
+      store,
+      getModel: () => ({ attributes: { password: { type: 'password', private: true } } }),
+    });
+
+    runner.queue.enqueue = jest.fn();
+    runner.add(webhook);
+
+    eventHub.emit('entry.create', {
+      model: 'article',
+      uid: 'application::article.article',
+      entry: { id: 1, password: 'secret' },
+    });
+
+    expect(runner.queue.enqueue).toHaveBeenCalledWith({
+      event: 'entry.create',
+      info: { model: 'article', uid: 'application::article.article', entry: { id: 1 } },
+    });
+  });
+
+  test('Only delivers the events matching the webhook filters', async () => {
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub: createEventHub(),
+      logger: { error: jest.fn() },
+      store,
+    });
+
+    fetch.mockResolvedValue(mockResponse());
+
+    runner.add({
+      ...webhook,
+      filters: { models: ['application::article.article'], omit: ['notes'] },
+    });
+
+    await runner.executeListener({
+      event: 'entry.create',
+      info: { model: 'page', uid: 'application::page.page', entry: { id: 1 } },
+    });
+    expect(store.createDelivery).not.toHaveBeenCalled();
+
+    await runner.executeListener({
+      event: 'entry.create',
+      info: { model: 'article', uid: 'application::article.article', entry: { id: 1, notes: 'a' } },
+    });
+    expect(store.createDelivery).toHaveBeenCalledTimes(1);
+    expect(store.createDelivery.mock.calls[0][0].payload.entry).toEqual({ id: 1 });
+  });
+
+  test('Sends a single delivery with the matching entries of a bulk event', async () => {
+    const eventHub = createEventHub();
+    const store = createStore();
+    runner = createWebhookRunner({
+      eventHub,
+      logger: { error: jest.fn() },
+      store,
+      getModel: () => ({ attributes: { password: { type: 'password', private: true } } }),
+    });
+
+    fetch.mockResolvedValue(mockResponse());
+
+    runner.queue.enqueue = jest.fn();
+    runner.add({ ...webhook, filters: { where: { status: 'published' } } });
+
+    eventHub.emit('entry.create', {
+      model: 'article',
+      uid: 'application::article.article',
+      entries: [
+        { id: 1, status: 'published', password: 'secret' },
+        { id: 2, status: 'draft', password: 'secret' },
+      ],
+    });
+
+    expect(runner.queue.enqueue).toHaveBeenCalledTimes(1);
+    await runner.executeListener(runner.queue.enqueue.mock.calls[0][0]);
+
+    expect(store.createDelivery).toHaveBeenCalledTimes(1);
+    expect(store.createDelivery.mock.calls[0][0].payload.entries).toEqual([
+      { id: 1, status: 'published' },
+    ]);
+  });
+});
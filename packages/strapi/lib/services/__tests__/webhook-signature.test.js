@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { generateSecret, getActiveSecrets, createSignatureHeader } = require('../webhook-signature');
+
+describe('Webhook signature', () => {
+  test('Generates random secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[a-f0-9]{64}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('Signs the timestamp and the body with each secret', () => {
+    const body = JSON.stringify({ event: 'entry.create' });
+    const expected = crypto
+      .createHmac('sha256', 'secret')
+      .update(`1580000000.${body}`)
+      .digest('hex');
+
+    expect(createSignatureHeader(['secret'], body, 1580000000)).toBe(`t=1580000000,v1=${expected}`);
+    expect(createSignatureHeader(['secret', 'old'], body, 1580000000).split(',')).toHaveLength(3);
+  });
+
+  describe('getActiveSecrets', () => {
+    test('Returns no secret when none is set', () => {
+      expect(getActiveSecrets({})).toEqual([]);
+    });
+
+    test('Keeps the previous secret during its grace period', () => {
+      const now = Date.now();
+
+      expect(
+        getActiveSecrets(
+          {
+            secret: 'new',
+            previousSecret: 'old',
+            previousSecretExpiresAt: new Date(now + 1000),
+          },
+          now
+        )
+      ).toEqual(['new', 'old']);
+
+      expect(
+        getActiveSecrets(
+          {
+            secret: 'new',
+            previousSecret: 'old',
+            previousSecretExpiresAt: new Date(now - 1000),
+          },
+          now
+        )
+      ).toEqual(['new']);
+    });
+  });
+});
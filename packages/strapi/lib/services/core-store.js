@@ -31,7 +31,7 @@ const coreStoreModel = config => ({
 
 const createCoreStore = ({ environment: defaultEnv, db }) => {
   return (source = {}) => {
-    async function get(params = {}) {
+    async function get(params = {}, { transacting } = {}) {
       const { key, environment = defaultEnv, type = 'core', name = '', tag = '' } = Object.assign(
         {},
         source,
@@ -46,7 +46,7 @@ const createCoreStore = ({ environment: defaultEnv, db }) => {
         tag,
       };
 
-      const data = await db.query('core_store').findOne(where);
+      const data = await db.query('core_store').findOne(where, undefined, { transacting });
 
       if (!data) {
         return null;
@@ -3,6 +3,42 @@
 const _ = require('lodash');
 const uploadFiles = require('./utils/upload-files');
 
+/**
+ * Builds the info of an entry event with the raw entry, the listeners remove what they must not expose
+ */
+const formatEvent = (modelDef, entry) => ({
+  model: modelDef.modelName,
+  uid: modelDef.uid,
+  entry,
+});
+
+/**
+ * Builds the info of a bulk event, sent once for all the entries of a bulk action
+ */
+const formatBulkEvent = (modelDef, entries) => ({
+  model: modelDef.modelName,
+  uid: modelDef.uid,
+  entries,
+});
+
+/**
+ * Runs an async function on each item one after the other.
+ * Used in transactions where the queries share a single connection
+ */
+const mapSeries = async (items, fn) => {
+  const results = [];
+  for (const item of items) {
+    results.push(await fn(item));
+  }
+  return results;
+};
+
+const assertCollectionType = modelDef => {
+  if (modelDef.kind === 'singleType') {
+    throw new Error('Bulk actions are not available for single types');
+  }
+};
+
 module.exports = ({ db, eventHub, entityValidator }) => ({
   /**
    * expose some utils so the end users can use them
@@ -31,8 +67,8 @@ module.exports = ({ db, eventHub, entityValidator }) => ({
    * @return {Promise}
    */
 
-  findOne({ params, populate }, { model }) {
-    return db.query(model).findOne(params, populate);
+  findOne({ params, populate }, { model, transacting }) {
+    return db.query(model).findOne(params, populate, { transacting });
   },
 
   /**
@@ -51,30 +87,34 @@ module.exports = ({ db, eventHub, entityValidator }) => ({
    * @return {Promise}
    */
 
-  async create({ data, files }, { model }) {
-    const { kind } = db.getModel(model);
+  async create({ data, files }, { model, transacting }) {
+    const modelDef = db.getModel(model);
 
-    if (kind === 'singleType') {
-      // check if there is already one entry and throw
-      const count = await db.query(model).count();
-      if (count >= 1) {
-        throw new Error('Single type entry can only be created once');
-      }
-    }
+    const entry = await db.transaction(
+      async trx => {
+        if (modelDef.kind === 'singleType') {
+          // check if there is already one entry and throw
+          const count = await db.query(model).count({}, { transacting: trx });
+          if (count >= 1) {
+            throw new Error('Single type entry can only be created once');
+          }
+        }
 
-    const validData = await entityValidator.validateEntity(db.getModel(model), data);
+        const validData = await entityValidator.validateEntity(modelDef, data);
 
-    let entry = await db.query(model).create(validData);
+        const entry = await db.query(model).create(validData, { transacting: trx });
 
-    if (files) {
-      await this.uploadFiles(entry, files, { model });
-      entry = await this.findOne({ params: { id: entry.id } }, { model });
-    }
+        if (files) {
+          await this.uploadFiles(entry, files, { model, transacting: trx });
+          return this.findOne({ params: { id: entry.id } }, { model, transacting: trx });
+        }
 
-    eventHub.emit('entry.create', {
-      model: db.getModel(model).modelName,
-      entry,
-    });
+        return entry;
+      },
+      { connection: modelDef.connection, transacting }
+    );
+
+    this.emitEvent('entry.create', formatEvent(modelDef, entry), { transacting });
 
     return entry;
   },
@@ -85,20 +125,25 @@ module.exports = ({ db, eventHub, entityValidator }) => ({
    * @return {Promise}
    */
 
-  async update({ params, data, files }, { model }) {
-    const validData = await entityValidator.validateEntityUpdate(db.getModel(model), data);
+  async update({ params, data, files }, { model, transacting }) {
+    const modelDef = db.getModel(model);
+    const validData = await entityValidator.validateEntityUpdate(modelDef, data);
 
-    let entry = await db.query(model).update(params, validData);
+    const entry = await db.transaction(
+      async trx => {
+        const entry = await db.query(model).update(params, validData, { transacting: trx });
 
-    if (files) {
-      await this.uploadFiles(entry, files, { model });
-      entry = await this.findOne({ params: { id: entry.id } }, { model });
-    }
+        if (files) {
+          await this.uploadFiles(entry, files, { model, transacting: trx });
+          return this.findOne({ params: { id: entry.id } }, { model, transacting: trx });
+        }
 
-    eventHub.emit('entry.update', {
-      model: db.getModel(model).modelName,
-      entry,
-    });
+        return entry;
+      },
+      { connection: modelDef.connection, transacting }
+    );
+
+    this.emitEvent('entry.update', formatEvent(modelDef, entry), { transacting });
 
     return entry;
   },
@@ -109,17 +154,129 @@ module.exports = ({ db, eventHub, entityValidator }) => ({
    * @return {Promise}
    */
 
-  async delete({ params }, { model }) {
-    const entry = await db.query(model).delete(params);
+  async delete({ params }, { model, transacting }) {
+    const modelDef = db.getModel(model);
+
+    const entry = await db.transaction(
+      trx => db.query(model).delete(params, { transacting: trx }),
+      {
+        connection: modelDef.connection,
+        transacting,
+      }
+    );
 
-    eventHub.emit('entry.delete', {
-      model: db.getModel(model).modelName,
-      entry,
-    });
+    this.emitEvent('entry.delete', formatEvent(modelDef, entry), { transacting });
 
     return entry;
   },
 
+  /**
+   * Promise to add several records at once.
+   * Every record is validated before any is created and a single event is emitted
+   *
+   * @return {Promise}
+   */
+
+  async bulkCreate({ data }, { model, transacting }) {
+    const modelDef = db.getModel(model);
+    assertCollectionType(modelDef);
+
+    const validData = await entityValidator.validateEntities(modelDef, data);
+
+    const entries = await db.transaction(
+      trx => mapSeries(validData, values => db.query(model).create(values, { transacting: trx })),
+      { connection: modelDef.connection, transacting }
+    );
+
+    this.emitEvent('entry.create', formatBulkEvent(modelDef, entries), { transacting });
+
+    return entries;
+  },
+
+  /**
+   * Promise to edit several records at once, each item of data must contain the id of the record
+   *
+   * @return {Promise}
+   */
+
+  async bulkUpdate({ data }, { model, transacting }) {
+    const modelDef = db.getModel(model);
+    assertCollectionType(modelDef);
+
+    const validData = await entityValidator.validateEntitiesUpdate(modelDef, data);
+
+    const entries = await db.transaction(
+      async trx => {
+        await this.assertEntriesExist(
+          validData.map(({ id }) => id),
+          { model, transacting: trx }
+        );
+
+        return mapSeries(validData, ({ id, ...values }) =>
+          db.query(model).update({ id }, values, { transacting: trx })
+        );
+      },
+      { connection: modelDef.connection, transacting }
+    );
+
+    this.emitEvent('entry.update', formatBulkEvent(modelDef, entries), { transacting });
+
+    return entries;
+  },
+
+  /**
+   * Promise to delete several records at once
+   *
+   * @return {Promise}
+   */
+
+  async bulkDelete({ params: { ids } }, { model, transacting }) {
+    const modelDef = db.getModel(model);
+    assertCollectionType(modelDef);
+
+    const uniqueIds = _.uniqBy(ids, String);
+
+    const entries = await db.transaction(
+      async trx => {
+        await this.assertEntriesExist(uniqueIds, { model, transacting: trx });
+
+        return mapSeries(uniqueIds, id => db.query(model).delete({ id }, { transacting: trx }));
+      },
+      { connection: modelDef.connection, transacting }
+    );
+
+    this.emitEvent('entry.delete', formatBulkEvent(modelDef, entries), { transacting });
+
+    return entries;
+  },
+
+  /**
+   * Emits an event once the outermost transaction is committed, right away without a transaction
+   */
+  emitEvent(event, info, { transacting } = {}) {
+    db.onCommit(transacting, () => eventHub.emit(event, info));
+  },
+
+  /**
+   * Throws a not found error listing the ids that don't match any record
+   *
+   * @return {Promise}
+   */
+
+  async assertEntriesExist(ids, { model, transacting }) {
+    const entries = await db.query(model).find({ id_in: ids, _limit: -1 }, [], { transacting });
+
+    const existingIds = entries.map(entry => String(entry.id));
+    const missingIds = ids.filter(id => !existingIds.includes(String(id)));
+
+    if (missingIds.length > 0) {
+      const err = new Error('entry.notFound');
+      err.status = 404;
+      err.data = { ids: missingIds };
+      throw err;
+    }
+  },
+
   /**
    * Promise to search records
    *
@@ -23,7 +23,7 @@ module.exports = ({ strapi }) => ({
         abortEarly: false,
       })
       .catch(error => {
-        throw strapi.errors.badRequest('ValidationError', { errors: formatYupErrors(error) });
+        throw createValidationError(strapi, model, error);
       });
   },
 
@@ -40,11 +40,126 @@ module.exports = ({ strapi }) => ({
         abortEarly: false,
       })
       .catch(error => {
-        throw strapi.errors.badRequest('ValidationError', { errors: formatYupErrors(error) });
+        throw createValidationError(strapi, model, error);
       });
   },
+
+  /**
+   * Validate a list of inputs based on a model schema
+   * @param {Object} model model schema
+   * @param {Array} data list of input data
+   */
+  async validateEntities(model, data) {
+    return validateEach(strapi, data, item => this.validateEntity(model, item));
+  },
+
+  /**
+   * Validate a list of inputs for updating based on a model schema, each input must have an id
+   * @param {Object} model model schema
+   * @param {Array} data list of input data
+   */
+  async validateEntitiesUpdate(model, data) {
+    return validateEach(strapi, data, async ({ id, ...values }) => {
+      if (_.isNil(id)) {
+        throw strapi.errors.badRequest('ValidationError', {
+          errors: { id: ['id is a required field'] },
+        });
+      }
+
+      const validData = await this.validateEntityUpdate(model, values);
+      return { ...validData, id };
+    });
+  },
 });
 
+/**
+ * Validates every item of a list and reports the errors by item index
+ * @param {Object} strapi strapi instance
+ * @param {Array} data list of input data
+ * @param {Function} validate validates a single item, throwing a ValidationError
+ */
+const validateEach = async (strapi, data, validate) => {
+  await yup
+    .array()
+    .of(yup.object())
+    .required()
+    .min(1)
+    .validate(data, { abortEarly: false })
+    .catch(error => {
+      throw strapi.errors.badRequest('ValidationError', { errors: formatYupErrors(error) });
+    });
+
+  const results = await Promise.all(
+    data.map((item, index) =>
+      validate(item).then(
+        value => ({ value }),
+        error => {
+          if (!_.has(error, ['data', 'errors'])) throw error;
+          return { error: { index, errors: error.data.errors } };
+        }
+      )
+    )
+  );
+
+  const errors = results.filter(result => result.error).map(result => result.error);
+
+  if (errors.length > 0) {
+    throw strapi.errors.badRequest('ValidationError', { errors });
+  }
+
+  return results.map(result => result.value);
+};
+
+/**
+ * Creates the badRequest error of a failed validation.
+ * The failed rules are added in the `details` of the error, e.g for the GraphQL errors
+ * @param {Object} strapi strapi instance
+ * @param {Object} model model schema
+ * @param {Object} validationError a Yup ValidationError
+ */
+const createValidationError = (strapi, model, validationError) => {
+  const error = strapi.errors.badRequest('ValidationError', {
+    errors: formatYupErrors(validationError),
+  });
+
+  return _.set(error, 'details', formatValidationDetails(model, validationError));
+};
+
+// names of the yup tests in the options of the attributes
+const VALIDATION_RULES = {
+  matches: 'regex',
+  oneOf: 'enum',
+  defined: 'required',
+  typeError: 'type',
+};
+
+const NUMBER_TYPES = ['integer', 'biginteger', 'float', 'decimal'];
+
+const getValidationRule = (type, attribute) => {
+  if (['min', 'max'].includes(type) && !NUMBER_TYPES.includes(attribute.type)) {
+    return `${type}Length`;
+  }
+
+  return _.get(VALIDATION_RULES, type, type);
+};
+
+/**
+ * Returns the failed rules of a validation error
+ * @param {Object} model model schema
+ * @param {Object} validationError a Yup ValidationError
+ * @returns {Array} the failed rules, e.g [{ path: ['title'], rule: 'maxLength', message: '...' }]
+ */
+const formatValidationDetails = (model, validationError) => {
+  const errors = _.isEmpty(validationError.inner) ? [validationError] : validationError.inner;
+
+  return errors.map(({ path, type, message }) => {
+    const fieldPath = _.toPath(path);
+    const attribute = _.get(model.attributes, _.head(fieldPath), {});
+
+    return { path: fieldPath, rule: getValidationRule(type, attribute), message };
+  });
+};
+
 const isMedia = attr => {
   return (attr.collection || attr.model) === 'file' && attr.plugin === 'upload';
 };
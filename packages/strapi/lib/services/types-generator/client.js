@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Types client
+ * Generates a typed REST client for the core-api routes of the content types
+ */
+
+const _ = require('lodash');
+const { toInputName } = require('./definitions');
+
+/**
+ * Returns the parameters, the response type and the request options of the core-api actions
+ * The types of the entries and of their inputs are named `M` and `I` in the signatures,
+ * the updates only send the changed attributes.
+ */
+const COLLECTION_TYPE_ACTIONS = {
+  find: { params: 'query?: Query', response: 'M[]', options: '{ query }' },
+  count: { params: 'query?: Query', response: 'number', options: '{ query }' },
+  findOne: { params: 'id: ID, query?: Query', response: 'M', options: '{ query }' },
+  create: { params: 'data: I', response: 'M', options: '{ body: data }' },
+  update: { params: 'id: ID, data: Partial<I>', response: 'M', options: '{ body: data }' },
+  delete: { params: 'id: ID', response: 'M', options: '{}' },
+  bulkCreate: { params: 'data: I[]', response: 'M[]', options: '{ body: data }' },
+  bulkUpdate: {
+    params: 'data: Array<{ id: ID } & Partial<I>>',
+    response: 'M[]',
+    options: '{ body: data }',
+  },
+  bulkDelete: { params: 'ids: ID[]', response: 'M[]', options: '{ query: { ids } }' },
+};
+
+const SINGLE_TYPE_ACTIONS = {
+  find: { params: 'query?: Query', response: 'M', options: '{ query }' },
+  update: { params: 'data: Partial<I>', response: 'M', options: '{ body: data }' },
+  delete: { params: '', response: 'M', options: '{}' },
+};
+
+/**
+ * Returns the core-api actions of a model
+ */
+const getActions = model =>
+  model.kind === 'singleType' ? SINGLE_TYPE_ACTIONS : COLLECTION_TYPE_ACTIONS;
+
+/**
+ * Returns the path of a route as a template literal, the routes with other params than `:id` aren't supported
+ */
+const formatPath = routePath => {
+  const params = routePath.match(/:\w+/g) || [];
+
+  if (params.some(param => param !== ':id')) {
+    return null;
+  }
+
+  return `\`${routePath.replace(':id', '${encodeURIComponent(String(id))}')}\``;
+};
+
+/**
+ * Returns the methods of the client of a model
+ * @param {Object} model - the model
+ * @param {Array} routes - the routes of the model ({ method, path, action })
+ */
+const generateModelMethods = (model, routes) => {
+  const actions = getActions(model);
+
+  return _.uniqBy(routes, 'action')
+    .filter(route => _.has(actions, route.action))
+    .map(route => ({ route, path: formatPath(route.path) }))
+    .filter(({ path }) => path !== null)
+    .map(({ route, path }) => {
+      const { params, response, options } = actions[route.action];
+
+      const responseType = response.replace('M', model.globalId);
+      const paramsType = params.replace(/\bI\b/, toInputName(model.globalId));
+
+      return `    ${route.action}: (${paramsType}) =>\n      request<${responseType}>('${route.method}', ${path}, ${options}),`;
+    });
+};
+
+/**
+ * Returns the content of the client file
+ * @param {Array} contentTypes - the content types with their core-api routes ({ model, routes })
+ * @param {Object} options - Options
+ * @param {string} options.definitionsModule - the module of the types of the entries
+ */
+const generateClient = (contentTypes, { definitionsModule }) => {
+  const clients = contentTypes
+    .map(({ model, routes }) => ({
+      model,
+      methods: generateModelMethods(model, routes),
+    }))
+    .filter(({ methods }) => !_.isEmpty(methods));
+
+  const typeNames = _.flatMap(clients, ({ model }) => [
+    model.globalId,
+    toInputName(model.globalId),
+  ]);
+
+  const modelsClients = clients.map(({ model, methods }) =>
+    [`  ${_.camelCase(model.modelName)}: {`, ...methods, '  },'].join('\n')
+  );
+
+  return `// This file is generated by \`strapi generate:types\`, your changes will be overwritten.
+
+import { ${['ID', ...typeNames].join(', ')} } from '${definitionsModule}';
+
+export type Query = Record<string, string | number | boolean | Array<string | number>>;
+
+export interface ClientOptions {
+  /** The url of the server, e.g http://localhost:1337 */
+  url: string;
+  /** The JWT sent in the Authorization header */
+  token?: string;
+  fetch?: typeof fetch;
+}
+
+export class ApiError extends Error {
+  status: number;
+  body: unknown;
+
+  constructor(status: number, body: unknown) {
+    super(\`The request failed with the status \${status}\`);
+    Object.setPrototypeOf(this, ApiError.prototype);
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const toSearch = (query: Query = {}): string => {
+  const params = new URLSearchParams();
+
+  Object.keys(query).forEach(key => {
+    const value = query[key];
+    (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, String(item)));
+  });
+
+  const search = params.toString();
+  return search ? \`?\${search}\` : '';
+};
+
+export const createClient = (options: ClientOptions) => {
+  const fetchFn = options.fetch || fetch;
+  const url = options.url.replace(/\\/$/, '');
+
+  const request = async <T>(
+    method: string,
+    path: string,
+    { query, body }: { query?: Query; body?: unknown } = {}
+  ): Promise<T> => {
+    const headers: Record<string, string> = { Accept: 'application/json' };
+
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    if (options.token) headers.Authorization = \`Bearer \${options.token}\`;
+
+    const res = await fetchFn(\`\${url}\${path}\${toSearch(query)}\`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    const data = await res.json();
+
+    if (!res.ok) {
+      throw new ApiError(res.status, data);
+    }
+
+    return data as T;
+  };
+
+  return {
+${modelsClients.join('\n')}
+  };
+};
+
+export type Client = ReturnType<typeof createClient>;
+`;
+};
+
+module.exports = {
+  generateClient,
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+/**
+ * Types definitions
+ * Converts the models and the components to TypeScript interfaces
+ */
+
+const _ = require('lodash');
+
+const SCALAR_TYPES = {
+  string: 'string',
+  text: 'string',
+  richtext: 'string',
+  email: 'string',
+  password: 'string',
+  uid: 'string',
+  date: 'string',
+  time: 'string',
+  datetime: 'string',
+  timestamp: 'string',
+  integer: 'number',
+  float: 'number',
+  decimal: 'number',
+  // the big integers are returned as strings by some databases
+  biginteger: 'number | string',
+  boolean: 'boolean',
+  json: 'unknown',
+};
+
+const isIdentifier = name => /^[A-Za-z_$][\w$]*$/.test(name);
+
+const formatKey = name => (isIdentifier(name) ? name : `'${name}'`);
+
+const formatComment = (description, indent = '') =>
+  _.isEmpty(description) ? '' : `${indent}/** ${description} */\n`;
+
+const toInputName = globalId => `${globalId}Input`;
+
+const nullable = type => `${type} | null`;
+
+const nullableUnlessRequired = (type, attribute) =>
+  attribute.required === true ? type : nullable(type);
+
+const arrayOf = type => (isIdentifier(type) ? `${type}[]` : `Array<${type}>`);
+
+/**
+ * Returns the target model of a relation, null for the polymorphic relations
+ */
+const getTargetModel = (attribute, getModel) => {
+  const target = attribute.model || attribute.collection;
+
+  // polymorphic relations
+  if (target === '*') return null;
+
+  return getModel(target, attribute.plugin) || null;
+};
+
+/**
+ * Returns the TypeScript type of an attribute
+ * @param {Object} attribute - the attribute
+ * @param {Object} options - Options
+ * @param {Function} options.getModel - returns a model from its name and plugin
+ * @param {Object} options.components - the components by uid
+ * @param {boolean} options.input - returns the type of the attribute in the inputs
+ */
+const convertAttribute = (attribute, { getModel, components, input = false }) => {
+  if (attribute.type === 'component') {
+    const component = components[attribute.component];
+    const type = input ? toInputName(component.globalId) : component.globalId;
+
+    return attribute.repeatable === true ? arrayOf(type) : nullable(type);
+  }
+
+  if (attribute.type === 'dynamiczone') {
+    const types = attribute.components.map(uid => {
+      const { globalId } = components[uid];
+      const type = input ? toInputName(globalId) : globalId;
+
+      return `({ __component: '${uid}' } & ${type})`;
+    });
+
+    return arrayOf(_.isEmpty(types) ? 'never' : types.join(' | '));
+  }
+
+  if (attribute.type === 'enumeration') {
+    const type = attribute.enum.map(value => `'${value}'`).join(' | ');
+
+    return nullableUnlessRequired(type, attribute);
+  }
+
+  if (attribute.model || attribute.collection) {
+    const targetModel = getTargetModel(attribute, getModel);
+
+    let type = 'unknown';
+    if (input) {
+      type = 'ID';
+    } else if (targetModel) {
+      // the relations are populated on the first level only
+      type = `Relation<${targetModel.globalId}>`;
+    }
+
+    return attribute.collection ? arrayOf(type) : nullable(type);
+  }
+
+  const type = SCALAR_TYPES[attribute.type] || 'unknown';
+
+  return nullableUnlessRequired(type, attribute);
+};
+
+/**
+ * Returns the keys of the entries of a model which aren't attributes
+ */
+const getEntryKeys = model => {
+  const keys = { id: 'ID' };
+
+  if (model.primaryKey && model.primaryKey !== 'id') {
+    keys[model.primaryKey] = 'ID';
+  }
+
+  if (Array.isArray(_.get(model, ['options', 'timestamps']))) {
+    const [createdAtKey, updatedAtKey] = model.options.timestamps;
+    keys[createdAtKey] = 'string';
+    keys[updatedAtKey] = 'string';
+  }
+
+  return keys;
+};
+
+/**
+ * Checks if the inputs of a model require an attribute
+ */
+const isRequiredInput = attribute =>
+  attribute.required === true && _.isUndefined(attribute.default);
+
+/**
+ * Returns the interface of the entries of a model and the interface of its inputs
+ * @param {Object} model - the model or the component
+ * @param {Object} options - the options of convertAttribute
+ * @returns {string} the interfaces
+ */
+const generateModelDefinition = (model, options) => {
+  const { globalId, attributes } = model;
+  const isComponent = model.modelType === 'component';
+
+  const entryFields = Object.entries(getEntryKeys(model)).map(
+    ([key, type]) => `  ${formatKey(key)}: ${type};`
+  );
+
+  const attributesFields = Object.keys(attributes)
+    .filter(name => attributes[name].private !== true)
+    .map(name => {
+      const attribute = attributes[name];
+      const type = convertAttribute(attribute, options);
+
+      return `${formatComment(attribute.description, '  ')}  ${formatKey(name)}: ${type};`;
+    });
+
+  // the private attributes can be written
+  const inputFields = Object.keys(attributes).map(name => {
+    const attribute = attributes[name];
+    const optional = isRequiredInput(attribute) ? '' : '?';
+    const type = convertAttribute(attribute, { ...options, input: true });
+
+    return `  ${formatKey(name)}${optional}: ${type};`;
+  });
+
+  // the components are updated with their id
+  if (isComponent) {
+    inputFields.unshift('  id?: ID;');
+  }
+
+  const description = formatComment(_.get(model, ['info', 'description']));
+
+  return [
+    `${description}export interface ${globalId} {`,
+    ...entryFields,
+    ...attributesFields,
+    '}',
+    '',
+    `export interface ${toInputName(globalId)} {`,
+    ...inputFields,
+    '}',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Returns the TypeScript definitions of the models and the components
+ * @param {Object} options - Options
+ * @param {Array} options.models - the models of the content types
+ * @param {Object} options.components - the components by uid
+ * @param {Function} options.getModel - returns a model from its name and plugin
+ * @returns {string} the content of the definitions file
+ */
+const generateDefinitions = ({ models, components, getModel }) => {
+  const options = { components, getModel };
+
+  const definitions = [...models, ...Object.values(components)]
+    .map(model => generateModelDefinition(model, options))
+    .join('\n');
+
+  return [
+    '// This file is generated by `strapi generate:types`, your changes will be overwritten.',
+    '',
+    'export type ID = number | string;',
+    '',
+    '/** A related entry, or its id when the relation is not populated */',
+    'export type Relation<T> = T | ID;',
+    '',
+    definitions,
+  ].join('\n');
+};
+
+module.exports = {
+  convertAttribute,
+  generateDefinitions,
+  toInputName,
+};
@@ -0,0 +1,107 @@
+/**
+ * Types generator
+ * Module that will write the TypeScript types of the content types and a typed client of their REST API
+ */
+'use strict';
+
+const path = require('path');
+const fse = require('fs-extra');
+const _ = require('lodash');
+
+const { generateDefinitions } = require('./definitions');
+const { generateClient } = require('./client');
+
+const DEFINITIONS_FILE = 'models.d.ts';
+const CLIENT_FILE = 'client.ts';
+
+/**
+ * Returns the directory of the types, relative to the app
+ * @param {Object} serverConfig - the server config of the environment
+ */
+const getTypesDir = serverConfig => _.get(serverConfig, ['types', 'outDir'], 'types');
+
+/**
+ * Returns the content types exposed by the API, the admin models are excluded
+ */
+const getModels = strapi =>
+  Object.values(strapi.contentTypes).filter(
+    model => model.plugin !== 'admin' && model.internal !== true
+  );
+
+/**
+ * Returns the routes of the core-api actions of the content types of the APIs
+ * @returns {Array} the content types with their routes ({ model, routes: [{ method, path, action }] })
+ */
+const getContentTypesRoutes = strapi =>
+  _.flatMap(Object.keys(strapi.api || {}), apiName => {
+    const api = strapi.api[apiName];
+    const routes = _.get(api, ['config', 'routes'], []);
+
+    return Object.keys(api.models || {}).map(modelName => ({
+      model: api.models[modelName],
+      routes: routes
+        .filter(route => _.isString(route.handler))
+        .map(route => {
+          const [controller, action] = route.handler.split('.');
+          return { method: route.method, path: route.path, controller, action };
+        })
+        .filter(route => _.toLower(route.controller) === modelName),
+    }));
+  });
+
+/**
+ * Returns the generated files of the loaded models by file name
+ * @param {Strapi} strapi - the loaded Strapi instance
+ */
+const generateTypes = strapi => {
+  const definitions = generateDefinitions({
+    models: getModels(strapi),
+    components: strapi.components,
+    getModel: (name, plugin) => strapi.getModel(name, plugin),
+  });
+
+  const client = generateClient(getContentTypesRoutes(strapi), {
+    definitionsModule: `./${path.basename(DEFINITIONS_FILE, '.d.ts')}`,
+  });
+
+  return {
+    [DEFINITIONS_FILE]: definitions,
+    [CLIENT_FILE]: client,
+  };
+};
+
+/**
+ * Writes the types of the loaded models, the unchanged files aren't written
+ * @param {Strapi} strapi - the loaded Strapi instance
+ * @param {Object} options - Options
+ * @param {string} options.outDir - the directory of the files
+ * @returns {Array<string>} the paths of the written files
+ */
+const writeTypes = async (strapi, { outDir }) => {
+  const files = generateTypes(strapi);
+
+  await fse.ensureDir(outDir);
+
+  const writtenFiles = [];
+
+  for (const fileName of Object.keys(files)) {
+    const filePath = path.join(outDir, fileName);
+
+    const currentContent = (await fse.pathExists(filePath))
+      ? await fse.readFile(filePath, 'utf8')
+      : null;
+
+    if (currentContent !== files[fileName]) {
+      await fse.writeFile(filePath, files[fileName]);
+      writtenFiles.push(filePath);
+    }
+  }
+
+  return writtenFiles;
+};
+
+module.exports = {
+  getTypesDir,
+  generateTypes,
+  writeTypes,
+};
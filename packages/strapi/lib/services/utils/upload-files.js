@@ -2,7 +2,7 @@
 
 const _ = require('lodash');
 
-module.exports = async (entry, files, { model, source }) => {
+module.exports = async (entry, files, { model, source, transacting }) => {
   const entity = strapi.getModel(model, source);
 
   if (!_.has(strapi.plugins, 'upload')) return entry;
@@ -65,7 +65,8 @@ module.exports = async (entry, files, { model, source }) => {
       return uploadService.uploadToEntity(
         { id, model },
         { [field]: files },
-        source
+        source,
+        { transacting }
       );
     }
   };
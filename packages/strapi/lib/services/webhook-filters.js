@@ -0,0 +1,92 @@
+/**
+ * Webhook filters select the entry events a webhook receives and the fields of the entry it is sent.
+ * The `where` filter uses the REST query params syntax and is evaluated against the entry in memory.
+ * Bulk events carry a list of `entries`, only the matching entries are sent.
+ * The events carry the raw entries, their private attributes are removed before the filters are applied.
+ */
+'use strict';
+
+const _ = require('lodash');
+const { matchesWhere, sanitizeEntity } = require('strapi-utils');
+
+const isEntryEvent = info => _.has(info, 'entry');
+const isBulkEntryEvent = info => _.has(info, 'entries');
+
+/**
+ * Removes the private attributes of the entries of an event
+ * @param {Object} info - the event info
+ * @param {Object} model - the model of the entries
+ */
+const sanitizeInfo = (info, model) => {
+  if (!model || !(isEntryEvent(info) || isBulkEntryEvent(info))) return info;
+
+  const sanitize = entry => sanitizeEntity(entry, { model });
+
+  if (isBulkEntryEvent(info)) {
+    return { ...info, entries: info.entries.map(sanitize) };
+  }
+
+  return { ...info, entry: sanitize(info.entry) };
+};
+
+/**
+ * Returns whether an event should be sent to a webhook
+ * @param {Object} filters - the webhook filters
+ * @param {Object} info - the event info
+ */
+const matchesFilters = (filters, info) => {
+  if (_.isEmpty(filters) || !(isEntryEvent(info) || isBulkEntryEvent(info))) return true;
+
+  const { models = [], where } = filters;
+
+  if (models.length > 0 && !models.includes(info.uid)) {
+    return false;
+  }
+
+  if (isBulkEntryEvent(info)) {
+    return info.entries.some(entry => matchesWhere(entry, where));
+  }
+
+  return matchesWhere(info.entry, where);
+};
+
+/**
+ * Picks or omits fields of the entry sent to a webhook
+ * @param {Object} filters - the webhook filters
+ * @param {Object} info - the event info
+ */
+const projectInfo = (filters, info) => {
+  if (_.isEmpty(filters)) return info;
+
+  const { where, fields = [], omit = [] } = filters;
+
+  const project = entry => {
+    let result = entry;
+
+    if (fields.length > 0) {
+      result = _.pick(result, fields);
+    }
+
+    if (omit.length > 0) {
+      result = _.omit(result, omit);
+    }
+
+    return result;
+  };
+
+  if (isBulkEntryEvent(info)) {
+    const entries = info.entries.filter(entry => matchesWhere(entry, where)).map(project);
+    return { ...info, entries };
+  }
+
+  if (!isEntryEvent(info) || _.isNil(info.entry)) return info;
+
+  return { ...info, entry: project(info.entry) };
+};
+
+module.exports = {
+  matchesWhere,
+  sanitizeInfo,
+  matchesFilters,
+  projectInfo,
+};
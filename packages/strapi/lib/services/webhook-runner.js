@@ -8,18 +8,35 @@ const _ = require('lodash');
 const fetch = require('node-fetch');
 
 const WorkerQueue = require('./worker-queue');
+const { DELIVERY_STATUS } = require('./webhook-store');
+const { getActiveSecrets, createSignatureHeader } = require('./webhook-signature');
+const { sanitizeInfo, matchesFilters, projectInfo } = require('./webhook-filters');
+
+const MAX_RESPONSE_BODY_LENGTH = 10000;
 
 const defaultConfiguration = {
   defaultHeaders: {},
+  retries: {
+    maxAttempts: 5,
+    delay: 1000,
+    maxDelay: 3600000,
+  },
+  signature: {
+    header: 'X-Strapi-Signature',
+    gracePeriod: 86400000,
+  },
 };
 
 class WebhookRunner {
-  constructor({ eventHub, logger, configuration = {} }) {
+  constructor({ eventHub, logger, store, getModel = () => null, configuration = {} }) {
     debug('Initialized webhook runer');
     this.eventHub = eventHub;
     this.logger = logger;
+    this.store = store;
+    this.getModel = getModel;
     this.webhooksMap = new Map();
     this.listeners = new Map();
+    this.timers = new Set();
 
     if (typeof configuration !== 'object') {
       throw new Error(
@@ -27,10 +44,12 @@ class WebhookRunner {
       );
     }
 
-    this.config = _.merge(defaultConfiguration, configuration);
+    this.config = _.merge({}, defaultConfiguration, configuration);
 
     this.queue = new WorkerQueue({ logger, concurency: 5 });
-    this.queue.subscribe(this.executeListener.bind(this));
+    this.queue.subscribe(job => {
+      return job.delivery ? this.executeRetry(job.delivery) : this.executeListener(job);
+    });
   }
 
   deleteListener(event) {
@@ -51,8 +70,9 @@ class WebhookRunner {
       );
     }
 
+    // The entry events carry the raw entries, the private attributes are never sent to the webhooks.
     const listen = info => {
-      this.queue.enqueue({ event, info });
+      this.queue.enqueue({ event, info: sanitizeInfo(info, this.getModel(_.get(info, 'uid'))) });
     };
 
     this.listeners.set(event, listen);
@@ -67,51 +87,194 @@ class WebhookRunner {
     );
 
     for (const webhook of activeWebhooks) {
-      await this.run(webhook, event, info).catch(error => {
-        this.logger.error('Error running webhook');
-        this.logger.error(error);
+      if (!matchesFilters(webhook.filters, info)) {
+        debug(`Skipping webhook '${webhook.id}' filtered out event '${event}'`);
+        continue;
+      }
+
+      await this.store
+        .createDelivery({
+          webhookId: webhook.id,
+          event,
+          payload: this.buildPayload(event, projectInfo(webhook.filters, info)),
+        })
+        .then(delivery => this.deliver(webhook, delivery))
+        .catch(error => {
+          this.logger.error('Error running webhook');
+          this.logger.error(error);
+        });
+    }
+  }
+
+  async executeRetry(delivery) {
+    debug(`Retrying webhook delivery '${delivery.id}'`);
+    const webhook = this.findWebhook(delivery.webhookId, delivery.event);
+
+    if (!webhook || webhook.isEnabled !== true) {
+      await this.store.updateDelivery(delivery.id, {
+        status: DELIVERY_STATUS.failed,
+        nextAttemptAt: null,
+        responseBody: 'The webhook was deleted, disabled or unsubscribed from this event.',
       });
+      return;
     }
+
+    await this.deliver(webhook, delivery).catch(error => {
+      this.logger.error('Error running webhook');
+      this.logger.error(error);
+    });
   }
 
-  run(webhook, event, info = {}) {
-    const { url, headers } = webhook;
+  /**
+   * Sends a persisted delivery and records the outcome of the attempt.
+   * Failed attempts are rescheduled with an exponential backoff until `retries.maxAttempts` is reached.
+   */
+  async deliver(webhook, delivery) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const { ok, statusCode, latency, body } = await this.send(webhook, delivery.payload);
+
+    const result = {
+      attempts,
+      statusCode,
+      latency,
+      responseBody: _.truncate(body, { length: MAX_RESPONSE_BODY_LENGTH }),
+      nextAttemptAt: null,
+    };
+
+    if (ok) {
+      result.status = DELIVERY_STATUS.success;
+    } else if (attempts >= this.config.retries.maxAttempts) {
+      result.status = DELIVERY_STATUS.failed;
+    } else {
+      result.status = DELIVERY_STATUS.pending;
+      result.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempts));
+    }
+
+    const updatedDelivery = await this.store.updateDelivery(delivery.id, result);
+
+    if (updatedDelivery && updatedDelivery.status === DELIVERY_STATUS.pending) {
+      this.scheduleRetry(updatedDelivery);
+    }
+
+    return updatedDelivery;
+  }
+
+  /**
+   * Sends a past delivery again as a new delivery so the history of the original one is kept
+   */
+  async redeliver(webhook, delivery) {
+    debug(`Redelivering webhook delivery '${delivery.id}'`);
+    const newDelivery = await this.store.createDelivery({
+      webhookId: webhook.id,
+      event: delivery.event,
+      payload: delivery.payload,
+    });
+
+    return this.deliver(webhook, newDelivery);
+  }
+
+  getRetryDelay(attempts) {
+    const { delay, maxDelay } = this.config.retries;
+    return Math.min(delay * Math.pow(2, attempts - 1), maxDelay);
+  }
+
+  scheduleRetry(delivery) {
+    const delay = Math.max(new Date(delivery.nextAttemptAt || Date.now()) - Date.now(), 0);
+    debug(`Scheduling webhook delivery '${delivery.id}' in ${delay}ms`);
 
-    return fetch(url, {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.queue.enqueue({ delivery });
+    }, delay);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Reschedules the deliveries that were still pending when the server stopped
+   */
+  async resume() {
+    const deliveries = await this.store.findPendingDeliveries();
+    deliveries.forEach(delivery => this.scheduleRetry(delivery));
+  }
+
+  destroy() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  findWebhook(id, event) {
+    const webhooks = this.webhooksMap.get(event) || [];
+    return webhooks.find(webhook => String(webhook.id) === String(id));
+  }
+
+  buildPayload(event, info = {}) {
+    return {
+      event,
+      created_at: new Date(),
+      ...info,
+    };
+  }
+
+  buildHeaders(webhook, payload, body) {
+    const secrets = getActiveSecrets(webhook);
+    const signatureHeaders =
+      secrets.length > 0
+        ? { [this.config.signature.header]: createSignatureHeader(secrets, body) }
+        : {};
+
+    return {
+      ...this.config.defaultHeaders,
+      ...webhook.headers,
+      ...signatureHeaders,
+      'X-Strapi-Event': payload.event,
+      'Content-Type': 'application/json',
+    };
+  }
+
+  send(webhook, payload) {
+    const body = JSON.stringify(payload);
+    const start = Date.now();
+
+    return fetch(webhook.url, {
       method: 'post',
-      body: JSON.stringify({
-        event,
-        created_at: new Date(),
-        ...info,
-      }),
-      headers: {
-        ...this.config.defaultHeaders,
-        ...headers,
-        'X-Strapi-Event': event,
-        'Content-Type': 'application/json',
-      },
+      body,
+      headers: this.buildHeaders(webhook, payload, body),
       timeout: 10000,
     })
       .then(async res => {
-        if (res.ok) {
-          return {
-            statusCode: res.status,
-          };
-        }
-
         return {
+          ok: res.ok,
           statusCode: res.status,
-          message: await res.text(),
+          latency: Date.now() - start,
+          body: await res.text(),
         };
       })
       .catch(err => {
         return {
+          ok: false,
           statusCode: 500,
-          message: err.message,
+          latency: Date.now() - start,
+          body: err.message,
         };
       });
   }
 
+  run(webhook, event, info = {}) {
+    return this.send(webhook, this.buildPayload(event, info)).then(({ ok, statusCode, body }) => {
+      if (ok) {
+        return {
+          statusCode,
+        };
+      }
+
+      return {
+        statusCode,
+        message: body,
+      };
+    });
+  }
+
   add(webhook) {
     debug(`Registering webhook '${webhook.id}'`);
     const { events } = webhook;
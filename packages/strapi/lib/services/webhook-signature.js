@@ -0,0 +1,55 @@
+/**
+ * Webhook payload signing helpers
+ */
+'use strict';
+
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const computeSignature = (secret, timestamp, body) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+};
+
+/**
+ * Returns the secrets a payload must be signed with.
+ * The previous secret is kept until the end of its grace period so receivers can be updated.
+ */
+const getActiveSecrets = (webhook, now = Date.now()) => {
+  const { secret, previousSecret, previousSecretExpiresAt } = webhook;
+  const secrets = [];
+
+  if (secret) {
+    secrets.push(secret);
+  }
+
+  if (previousSecret && previousSecretExpiresAt && new Date(previousSecretExpiresAt) > now) {
+    secrets.push(previousSecret);
+  }
+
+  return secrets;
+};
+
+/**
+ * Builds the value of the signature header: `t=<timestamp>,v1=<signature>[,v1=<signature>]`
+ * where each signature is the hex HMAC-SHA256 of `<timestamp>.<body>`.
+ */
+const createSignatureHeader = (secrets, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signatures = secrets.map(
+    secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, body)}`
+  );
+
+  return [`t=${timestamp}`, ...signatures].join(',');
+};
+
+module.exports = {
+  generateSecret,
+  computeSignature,
+  getActiveSecrets,
+  createSignatureHeader,
+};
@@ -3,6 +3,16 @@
  */
 'use strict';
 
+const _ = require('lodash');
+
+const { generateSecret } = require('./webhook-signature');
+
+const DELIVERY_STATUS = {
+  pending: 'pending',
+  success: 'success',
+  failed: 'failed',
+};
+
 const webhookModel = config => ({
   connection: config.get('currentEnvironment.database.defaultConnection'),
   uid: 'strapi::webhooks',
@@ -29,6 +39,62 @@ const webhookModel = config => ({
     enabled: {
       type: 'boolean',
     },
+    filters: {
+      type: 'json',
+    },
+    secret: {
+      type: 'string',
+    },
+    previous_secret: {
+      type: 'string',
+    },
+    previous_secret_expires_at: {
+      type: 'datetime',
+    },
+  },
+});
+
+const webhookDeliveryModel = config => ({
+  connection: config.get('currentEnvironment.database.defaultConnection'),
+  uid: 'strapi::webhook-deliveries',
+  internal: true,
+  globalId: 'StrapiWebhookDeliveries',
+  collectionName: 'strapi_webhook_deliveries',
+  info: {
+    name: 'Strapi webhook deliveries',
+    description: '',
+  },
+  options: {
+    timestamps: ['created_at', 'updated_at'],
+  },
+  attributes: {
+    webhook: {
+      type: 'string',
+    },
+    event: {
+      type: 'string',
+    },
+    payload: {
+      type: 'json',
+    },
+    status: {
+      type: 'string',
+    },
+    attempts: {
+      type: 'integer',
+    },
+    status_code: {
+      type: 'integer',
+    },
+    latency: {
+      type: 'integer',
+    },
+    response_body: {
+      type: 'text',
+    },
+    next_attempt_at: {
+      type: 'datetime',
+    },
   },
 });
 
@@ -39,6 +105,10 @@ const toDBObject = data => {
     headers: data.headers,
     events: data.events,
     enabled: data.isEnabled,
+    filters: data.filters,
+    secret: data.secret,
+    previous_secret: data.previousSecret,
+    previous_secret_expires_at: data.previousSecretExpiresAt,
   };
 };
 
@@ -50,11 +120,50 @@ const fromDBObject = row => {
     headers: row.headers,
     events: row.events,
     isEnabled: row.enabled,
+    filters: row.filters,
+    secret: row.secret,
+    previousSecret: row.previous_secret,
+    previousSecretExpiresAt: row.previous_secret_expires_at,
+  };
+};
+
+const toDeliveryDBObject = data => {
+  return _.omitBy(
+    {
+      webhook: _.isNil(data.webhookId) ? undefined : String(data.webhookId),
+      event: data.event,
+      payload: data.payload,
+      status: data.status,
+      attempts: data.attempts,
+      status_code: data.statusCode,
+      latency: data.latency,
+      response_body: data.responseBody,
+      next_attempt_at: data.nextAttemptAt,
+    },
+    _.isUndefined
+  );
+};
+
+const fromDeliveryDBObject = row => {
+  return {
+    id: row.id,
+    webhookId: row.webhook,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    statusCode: row.status_code,
+    latency: row.latency,
+    responseBody: row.response_body,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
   };
 };
 
 const createWebhookStore = ({ db }) => {
   const webhookQueries = db.query('strapi_webhooks');
+  const deliveryQueries = db.query('strapi_webhook_deliveries');
 
   return {
     async findWebhooks() {
@@ -77,14 +186,81 @@ const createWebhookStore = ({ db }) => {
       return webhook ? fromDBObject(webhook) : null;
     },
 
+    /**
+     * Replaces the signing secret of a webhook.
+     * When a grace period is given the current secret is kept as the previous secret until it expires.
+     */
+    async setWebhookSecret(id, { gracePeriod = 0 } = {}) {
+      const webhook = await this.findWebhook(id);
+
+      if (!webhook) {
+        return null;
+      }
+
+      const keepPreviousSecret = gracePeriod > 0 && !!webhook.secret;
+
+      return this.updateWebhook(id, {
+        ...webhook,
+        secret: generateSecret(),
+        previousSecret: keepPreviousSecret ? webhook.secret : null,
+        previousSecretExpiresAt: keepPreviousSecret ? new Date(Date.now() + gracePeriod) : null,
+      });
+    },
+
     async deleteWebhook(id) {
       const webhook = await webhookQueries.delete({ id });
       return webhook ? fromDBObject(webhook) : null;
     },
+
+    async findDeliveries(webhookId, { start = 0, limit = 20 } = {}) {
+      const results = await deliveryQueries.find({
+        webhook: String(webhookId),
+        _sort: 'created_at:desc',
+        _start: start,
+        _limit: limit,
+      });
+
+      return results.map(fromDeliveryDBObject);
+    },
+
+    countDeliveries(webhookId) {
+      return deliveryQueries.count({ webhook: String(webhookId) });
+    },
+
+    async findDelivery(id) {
+      const result = await deliveryQueries.findOne({ id });
+      return result ? fromDeliveryDBObject(result) : null;
+    },
+
+    async findPendingDeliveries() {
+      const results = await deliveryQueries.find({
+        status: DELIVERY_STATUS.pending,
+        _limit: -1,
+      });
+
+      return results.map(fromDeliveryDBObject);
+    },
+
+    createDelivery(data) {
+      return deliveryQueries
+        .create(toDeliveryDBObject({ status: DELIVERY_STATUS.pending, attempts: 0, ...data }))
+        .then(fromDeliveryDBObject);
+    },
+
+    async updateDelivery(id, data) {
+      const delivery = await deliveryQueries.update({ id }, toDeliveryDBObject(data));
+      return delivery ? fromDeliveryDBObject(delivery) : null;
+    },
+
+    async deleteDeliveries(webhookId) {
+      await deliveryQueries.delete({ webhook: String(webhookId), _limit: -1 });
+    },
   };
 };
 
 module.exports = {
+  DELIVERY_STATUS,
   webhookModel,
+  webhookDeliveryModel,
   createWebhookStore,
 };